@@ -0,0 +1,74 @@
+const express = require('express');
+const UrlController = require('./controller/urlController');
+const ApiKeyController = require('./controller/apiKeyController');
+const TransferController = require('./controller/transferController');
+const DomainController = require('./controller/domainController');
+const WebhookController = require('./controller/webhookController');
+const createUrlRoutes = require('./route/urlRoutes');
+const createApiKeyRoutes = require('./route/apiKeyRoutes');
+const createTransferRoutes = require('./route/transferRoutes');
+const createDomainRoutes = require('./route/domainRoutes');
+const createWebhookRoutes = require('./route/webhookRoutes');
+const LinkTransferService = require('./service/linkTransferService');
+const { createApiKeyAuth } = require('./middleware/apiKeyAuth');
+const { createRateLimiters } = require('./middleware/rateLimiter');
+const { createIdempotency } = require('./middleware/idempotency');
+const { createSecurityMiddleware } = require('./middleware/security');
+const { logger, loggingMiddleware } = require('./middleware/logger');
+const config = require('./config/config');
+
+// Builds the Express application around already wired services so the same
+// stack can be mounted by index.js and exercised directly from tests.
+const createApp = ({
+    urlService,
+    apiKeyService,
+    transferService = new LinkTransferService(urlService),
+    domainService = null,
+    webhookService = null,
+    rateLimit = config.rateLimit,
+    idempotency = config.idempotency,
+    security = config.security,
+    splitTest = config.splitTest,
+    redirects = config.redirects
+}) => {
+    const app = express();
+
+    app.set('trust proxy', security.trustProxy);
+    // Request id and req.log first, so everything after can log with them
+    app.use(loggingMiddleware);
+    app.use(createSecurityMiddleware(security));
+    app.use(express.json({ limit: config.requestBodyLimit }));
+
+    const auth = createApiKeyAuth(apiKeyService);
+    const rateLimits = createRateLimiters(rateLimit);
+    const idempotent = createIdempotency(idempotency);
+    const urlController = new UrlController(urlService, { splitTest, redirects });
+    const apiKeyController = new ApiKeyController(apiKeyService);
+    const transferController = new TransferController(transferService);
+
+    // Resolve X-API-Key / Bearer keys before any route runs, behind a limit on
+    // rejected keys per IP so keys can't be guessed at full speed
+    app.use(rateLimits.auth, auth.authenticate);
+
+    // Mount routes
+    app.use('/', createApiKeyRoutes(apiKeyController, { ...auth, rateLimits }));
+    app.use('/', createTransferRoutes(transferController, { ...auth, rateLimits }));
+    if (domainService) {
+        app.use('/', createDomainRoutes(new DomainController(domainService), { ...auth, rateLimits }));
+    }
+    if (webhookService) {
+        app.use('/', createWebhookRoutes(new WebhookController(webhookService), { ...auth, rateLimits }));
+    }
+    app.use('/', createUrlRoutes(urlController, { ...auth, rateLimits, idempotent }));
+
+    // Last-resort handler so middleware failures still answer with JSON
+    app.use((error, req, res, next) => {
+        const statusCode = error.status || 500;
+        (req.log || logger).error('Unhandled request error', { method: req.method, url: req.originalUrl, error: error.message });
+        res.status(statusCode).json({ error: statusCode < 500 ? error.message : 'Internal server error' });
+    });
+
+    return app;
+};
+
+module.exports = createApp;
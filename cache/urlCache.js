@@ -7,6 +7,7 @@ class UrlCache {
         this.maxSize = config.cache.maxSize;
         this.ttl = config.cache.ttl;
         this.cleanupInterval = setInterval(() => this.cleanup(), 5 * 60 * 1000); // Cleanup every 5 minutes
+        this.cleanupInterval.unref(); // Don't keep the process alive just for cache housekeeping
         
         logger.info('URL cache initialized', { maxSize: this.maxSize, ttl: this.ttl });
     }
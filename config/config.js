@@ -1,31 +1,16 @@
-const { logger } = require('../middleware/logger');
+const { logger, configureLogging } = require('../logger');
+const { loadConfig, redact } = require('./loader');
 
-const config = {
-    port: process.env.PORT || 3000,
-    host: process.env.HOST || 'localhost',
-    environment: process.env.NODE_ENV || 'development',
-    
-    // URL shortening settings
-    defaultValidity: 30, // minutes
-    shortcodeLength: 6,
-    maxShortcodeLength: 20,
-    
-    // Rate limiting
-    rateLimit: {
-        windowMs: 15 * 60 * 1000, // 15 minutes
-        max: 100 // limit each IP to 100 requests per windowMs
-    },
-    
-    // Logging
-    logLevel: process.env.LOG_LEVEL || 'info',
-    
-    // Cache settings
-    cache: {
-        ttl: 60 * 60 * 1000, // 1 hour in milliseconds
-        maxSize: 1000
-    }
-};
+// Keys, defaults and environment variables are listed in config/schema.js
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    logger.fatal('Configuration invalid', { errors: error.errors || [error.message] });
+    throw error;
+}
 
-logger.info('Configuration loaded', { config });
+configureLogging(config);
+logger.info('Configuration loaded', { config: redact(config) });
 
 module.exports = config;
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const SCHEMA = require('./schema');
+const PROFILES = require('./profiles');
+
+/**
+ * Builds the configuration from, lowest precedence first:
+ *
+ *   1. the defaults in config/schema.js
+ *   2. the built-in profile (config/profiles.js)
+ *   3. the JSON file named by CONFIG_FILE
+ *   4. that file's `profiles.<profile>` section
+ *   5. environment variables
+ *
+ * The profile is APP_PROFILE, else NODE_ENV, else 'development'. Every value is
+ * checked against its type, required keys must be set and rules spanning several
+ * keys must hold; all problems are reported together in one ConfigError.
+ */
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const REDACTED = '[REDACTED]';
+
+const isKey = node => typeof node.type === 'string';
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const describe = value => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+// Turns a value from a file (any JSON type) or the environment (a string) into
+// the key's type. Returns { value } or { error }.
+const coerce = (node, raw) => {
+    if (raw === null && node.nullable) {
+        return { value: null };
+    }
+
+    switch (node.type) {
+        case 'string':
+            return typeof raw === 'string' ? { value: raw } : { error: 'expected a string' };
+        case 'integer': {
+            const value = typeof raw === 'string' && /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+            if (!Number.isInteger(value)) {
+                return { error: 'expected an integer' };
+            }
+            if ((node.min !== undefined && value < node.min) || (node.max !== undefined && value > node.max)) {
+                return { error: `expected an integer from ${node.min ?? '-∞'} to ${node.max ?? '∞'}` };
+            }
+            return { value };
+        }
+        case 'boolean':
+            if (typeof raw === 'boolean') return { value: raw };
+            if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+            return { error: 'expected true or false' };
+        case 'list':
+            if (typeof raw === 'string') return { value: parseList(raw) };
+            if (Array.isArray(raw) && raw.every(item => typeof item === 'string')) return { value: raw };
+            return { error: 'expected a list of strings' };
+        case 'enum': {
+            // Integer choices (HTTP statuses) arrive as strings from the environment
+            const numeric = node.values.every(Number.isInteger) && typeof raw === 'string' && /^\d+$/.test(raw.trim());
+            const value = numeric ? parseInt(raw, 10) : raw;
+            return node.values.includes(value) ? { value } : { error: `expected one of ${node.values.join(', ')}` };
+        }
+        case 'url': {
+            let url;
+            try {
+                url = new URL(raw);
+            } catch (error) {
+                return { error: 'expected a URL' };
+            }
+            const protocols = node.protocols || ['http:', 'https:'];
+            if (!protocols.includes(url.protocol)) {
+                return { error: `expected a ${protocols.join(' or ')} URL` };
+            }
+            return { value: raw.replace(/\/+$/, '') };
+        }
+        case 'path':
+            return typeof raw === 'string' && raw !== '' ? { value: path.resolve(raw) } : { error: 'expected a file path' };
+        case 'object':
+            return isPlainObject(raw) ? { value: raw } : { error: 'expected an object' };
+        case 'trustProxy':
+            // Express accepts a hop count, a boolean or a list of addresses
+            if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+            if (typeof raw === 'string' && /^\d+$/.test(raw)) return { value: parseInt(raw, 10) };
+            if (['boolean', 'number', 'string'].includes(typeof raw)) return { value: raw };
+            return { error: 'expected true, false, a hop count or addresses' };
+        default:
+            return { error: `unknown type ${node.type}` };
+    }
+};
+
+const readConfigFile = (file, errors) => {
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        errors.push(`CONFIG_FILE ${file} could not be read: ${error.message}`);
+        return {};
+    }
+
+    try {
+        const parsed = JSON.parse(content);
+        if (isPlainObject(parsed)) {
+            return parsed;
+        }
+        errors.push(`CONFIG_FILE ${file} must contain a JSON object`);
+    } catch (error) {
+        errors.push(`CONFIG_FILE ${file} is not valid JSON: ${error.message}`);
+    }
+    return {};
+};
+
+// Flags keys a layer sets that the schema doesn't know, which are usually typos
+const checkKnownKeys = (schema, layer, source, prefix, errors) => {
+    Object.entries(layer).forEach(([key, value]) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const node = schema[key];
+        if (!node) {
+            errors.push(`${keyPath} in ${source} is not a configuration key`);
+        } else if (!isKey(node)) {
+            if (isPlainObject(value)) {
+                checkKnownKeys(node, value, source, keyPath, errors);
+            } else {
+                errors.push(`${keyPath} in ${source} must be an object`);
+            }
+        }
+    });
+};
+
+const build = (schema, layers, env, prefix, errors) => Object.fromEntries(Object.entries(schema).map(([key, node]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+
+    if (!isKey(node)) {
+        const nested = layers.map(({ source, values }) => ({
+            source,
+            values: isPlainObject(values[key]) ? values[key] : {}
+        }));
+        return [key, build(node, nested, env, keyPath, errors)];
+    }
+
+    let value = node.default;
+    layers.forEach(({ source, values }) => {
+        if (values[key] === undefined) return;
+        const result = coerce(node, values[key]);
+        if (result.error) {
+            errors.push(`${keyPath} in ${source}: ${result.error}, got ${describe(values[key])}`);
+        } else {
+            value = result.value;
+        }
+    });
+
+    // An empty variable counts as unset, as it did when values were read inline
+    if (node.env && env[node.env] !== undefined && env[node.env] !== '') {
+        const result = coerce(node, env[node.env]);
+        if (result.error) {
+            errors.push(`${node.env} (${keyPath}): ${result.error}, got ${describe(env[node.env])}`);
+        } else {
+            value = result.value;
+        }
+    }
+    return [key, value];
+}));
+
+// Required keys and the rules spanning several keys, once every value has its type
+const checkKeys = (schema, config, values, prefix, errors) => {
+    Object.entries(schema).forEach(([key, node]) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (!isKey(node)) {
+            checkKeys(node, config, values[key], keyPath, errors);
+            return;
+        }
+
+        const setting = node.env ? `set ${node.env} or ${keyPath} in the config file` : `set ${keyPath} in the config file`;
+        const required = typeof node.required === 'function' ? node.required(config) : Boolean(node.required);
+        if (required && (values[key] === null || values[key] === undefined || values[key] === '')) {
+            const reason = node.requiredWhen ? ` when ${node.requiredWhen}` : '';
+            errors.push(`${keyPath} is required${reason} (${setting})`);
+        }
+
+        const problem = node.check ? node.check(config) : null;
+        if (problem) {
+            errors.push(`${keyPath} ${problem} (${setting})`);
+        }
+    });
+};
+
+const loadConfig = ({ env = process.env, schema = SCHEMA, profiles = PROFILES } = {}) => {
+    const errors = [];
+
+    const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE, errors) : {};
+    const { profiles: fileProfiles = {}, ...fileValues } = file;
+    if (!isPlainObject(fileProfiles)) {
+        errors.push('profiles in CONFIG_FILE must be an object');
+    }
+
+    const profile = env.APP_PROFILE || env.NODE_ENV || 'development';
+    const known = [...new Set([...Object.keys(profiles), ...Object.keys(isPlainObject(fileProfiles) ? fileProfiles : {})])];
+    // NODE_ENV may name an environment without a profile; APP_PROFILE must name one
+    if (env.APP_PROFILE && !known.includes(profile)) {
+        errors.push(`APP_PROFILE "${profile}" is not a profile (known: ${known.join(', ') || 'none'})`);
+    }
+
+    const layers = [
+        { source: `profile ${profile}`, values: profiles[profile] || {} },
+        { source: 'CONFIG_FILE', values: fileValues },
+        { source: `CONFIG_FILE profile ${profile}`, values: (isPlainObject(fileProfiles) && fileProfiles[profile]) || {} }
+    ];
+    layers.forEach(({ source, values }) => {
+        if (!isPlainObject(values)) {
+            errors.push(`${source} must be an object`);
+            return;
+        }
+        checkKnownKeys(schema, values, source, '', errors);
+    });
+
+    const config = build(schema, layers.filter(({ values }) => isPlainObject(values)), env, '', errors);
+    if (errors.length === 0) {
+        checkKeys(schema, config, config, '', errors);
+    }
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    config.profile = profile;
+    return config;
+};
+
+// A copy of the configuration that is safe to log
+const redact = (config, schema = SCHEMA) => Object.fromEntries(Object.entries(config).map(([key, value]) => {
+    const node = schema[key];
+    if (!node) {
+        return [key, value];
+    }
+    if (!isKey(node)) {
+        return [key, redact(value, node)];
+    }
+    if (value === null || value === undefined || value === '') {
+        return [key, value];
+    }
+    if (node.redact) {
+        return [key, node.redact(value)];
+    }
+    return [key, node.secret ? REDACTED : value];
+}));
+
+module.exports = { loadConfig, redact, ConfigError };
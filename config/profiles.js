@@ -0,0 +1,25 @@
+/**
+ * Built-in profiles, picked by APP_PROFILE or else NODE_ENV. A profile is a
+ * partial configuration applied over the defaults in config/schema.js; a config
+ * file can add profiles of its own or extend these under its `profiles` key.
+ */
+module.exports = {
+    development: {
+        logging: {
+            console: { enabled: true }
+        },
+        storage: {
+            mongoUri: 'mongodb://localhost:27017/urlshortener'
+        }
+    },
+
+    // Tests never talk to the evaluation service
+    test: {
+        storage: {
+            mongoUri: 'mongodb://localhost:27017/urlshortener_test'
+        },
+        remoteLogging: {
+            enabled: false
+        }
+    }
+};
@@ -0,0 +1,284 @@
+const path = require('path');
+const { LEVELS } = require('../logger/transport');
+
+/**
+ * Every configuration key: its type, default, the environment variable that
+ * sets it and whether it is a secret. A node with a `type` is a key; any other
+ * object groups keys. See config/loader.js for how values are read and checked.
+ *
+ * Types: string, integer, boolean, list (comma-separated in the environment),
+ * enum (one of `values`), url, path (resolved against the working directory),
+ * object (free-form) and trustProxy.
+ *
+ * `required` is true or a function of the loaded config saying when the key must
+ * be set; `requiredWhen` explains that condition in error messages. `check` is a
+ * function of the loaded config for rules spanning several keys: it returns what
+ * is wrong with the key's value, or null. Secrets are
+ * replaced by [REDACTED] when the configuration is logged, or passed through
+ * `redact` for a partial redaction.
+ */
+
+const string = (defaultValue, env, options = {}) => ({ type: 'string', default: defaultValue, env, ...options });
+const integer = (defaultValue, env, options = {}) => ({ type: 'integer', default: defaultValue, env, min: 1, ...options });
+const boolean = (defaultValue, env) => ({ type: 'boolean', default: defaultValue, env });
+const list = (defaultValue, env) => ({ type: 'list', default: defaultValue, env });
+const oneOf = (values, defaultValue, env) => ({ type: 'enum', values, default: defaultValue, env });
+const fixed = (defaultValue, type = 'integer') => ({ type, default: defaultValue });
+// A transport's own minimum level; unset means logLevel
+const transportLevel = env => ({ type: 'enum', values: Object.keys(LEVELS), default: null, env, nullable: true });
+
+// Keeps the host of a connection string but not the password in it
+const redactUri = (uri) => uri.replace(/\/\/([^:/@]+):[^@]*@/, '//$1:[REDACTED]@');
+
+// The evaluation service is only needed when remote logging is on
+const remoteLoggingEnabled = config => config.remoteLogging.enabled;
+const credential = (env) => string(null, env, {
+    nullable: true,
+    secret: true,
+    required: remoteLoggingEnabled,
+    requiredWhen: 'remoteLogging.enabled is true'
+});
+
+module.exports = {
+    port: integer(3000, 'PORT', { max: 65535 }),
+    host: string('localhost', 'HOST'),
+    // Public URL links are served under, e.g. https://sho.rt; unset means http://host:port.
+    // Its host counts as one of urlPolicy.ownHosts.
+    baseUrl: { type: 'url', default: null, env: 'BASE_URL', nullable: true },
+    environment: string('development', 'NODE_ENV'),
+
+    // URL shortening settings
+    defaultValidity: fixed(30), // minutes
+    maxValidity: fixed(30 * 24 * 60), // 30 days in minutes
+
+    // Generated shortcodes: 'random' (crypto), 'counter' (base62 sequence) or
+    // 'hash' (of the URL). length is where codes start; they grow towards
+    // maxLength as collisions show the keyspace filling up.
+    shortcodeGenerator: {
+        strategy: oneOf(['random', 'counter', 'hash'], 'random', 'SHORTCODE_STRATEGY'),
+        length: integer(6, 'SHORTCODE_LENGTH', {
+            check: ({ shortcodeGenerator: { length, maxLength } }) => (length > maxLength
+                ? `must not exceed shortcodeGenerator.maxLength (${maxLength}), got ${length}`
+                : null)
+        }),
+        maxLength: integer(20, 'MAX_SHORTCODE_LENGTH'),
+        maxAttempts: fixed(10),
+        growAfterCollisions: fixed(3),
+        obfuscate: boolean(true, 'SHORTCODE_OBFUSCATE'), // counter strategy only
+        salt: string('', 'SHORTCODE_SALT', { secret: true })
+    },
+
+    // Persistence: 'memory' (lost on restart) or 'mongo'
+    storage: {
+        backend: oneOf(['memory', 'mongo'], 'memory', 'STORAGE_BACKEND'),
+        mongoUri: {
+            type: 'url',
+            default: null,
+            env: 'MONGODB_URI',
+            nullable: true,
+            protocols: ['mongodb:', 'mongodb+srv:'],
+            redact: redactUri,
+            required: config => config.storage.backend === 'mongo',
+            requiredWhen: 'storage.backend is mongo'
+        }
+    },
+
+    // Bulk creation through POST /shorturls/batch
+    batch: {
+        maxSize: integer(500, 'BATCH_MAX_SIZE')
+    },
+
+    // Which destination URLs may be shortened (see service/urlPolicy.js)
+    urlPolicy: {
+        allowedSchemes: list(['http', 'https'], 'URL_ALLOWED_SCHEMES'),
+        blocklistFile: { type: 'path', default: path.join(__dirname, 'blocklist.txt'), env: 'URL_BLOCKLIST_FILE' },
+        allowPrivateAddresses: boolean(false, 'URL_ALLOW_PRIVATE_ADDRESSES'),
+        resolveHosts: boolean(false, 'URL_RESOLVE_HOSTS'), // DNS lookup on every create/update
+        // Hosts short links are served from; destinations on them would loop
+        ownHosts: list([], 'SHORT_DOMAINS')
+    },
+
+    // Failed unlock attempts tolerated per password-protected link per window
+    passwordProtection: {
+        maxFailures: integer(5, 'UNLOCK_MAX_FAILURES'),
+        windowMs: integer(15 * 60 * 1000, 'UNLOCK_WINDOW')
+    },
+
+    // Conditional redirects per link (see service/redirectRules.js)
+    redirectRules: {
+        maxRules: integer(20, 'MAX_REDIRECT_RULES')
+    },
+
+    // A/B split links; the cookie keeps a visitor on the variant they were given
+    splitTest: {
+        maxVariants: integer(10, 'MAX_SPLIT_VARIANTS'),
+        cookieName: fixed('sl_variant', 'string'),
+        cookieMaxAgeMs: integer(30 * 24 * 60 * 60 * 1000, 'SPLIT_COOKIE_MAX_AGE')
+    },
+
+    // Redirect answers: status for links that don't pick one, how long permanent
+    // redirects may be cached and the interstitial page's countdown
+    redirects: {
+        defaultStatus: oneOf([301, 302, 307, 308], 302, 'REDIRECT_STATUS'),
+        permanentMaxAge: integer(24 * 60 * 60, 'PERMANENT_REDIRECT_MAX_AGE'), // seconds
+        interstitialSeconds: integer(5, 'INTERSTITIAL_SECONDS')
+    },
+
+    // Bot clicks are still redirected but counted apart from people (see service/botDetector.js).
+    // scannerRanges lists CIDR ranges of known link scanners; userAgents adds signatures.
+    botDetection: {
+        enabled: boolean(true, 'BOT_DETECTION_ENABLED'),
+        scannerRanges: list([], 'BOT_SCANNER_RANGES'),
+        userAgents: list([], 'BOT_USER_AGENTS')
+    },
+
+    // Visitor IPs are replaced at ingestion by a truncated IP and a daily-salted
+    // hash (see service/visitorPrivacy.js). hashSecret makes the salt the same on
+    // every instance; uniqueCounting 'sketch' estimates unique visitors with
+    // HyperLogLog instead of counting click events.
+    visitors: {
+        retainRawIp: boolean(false, 'RETAIN_RAW_IPS'),
+        hashSecret: string(null, 'VISITOR_HASH_SECRET', { nullable: true, secret: true }),
+        uniqueCounting: oneOf(['exact', 'sketch'], 'exact', 'UNIQUE_VISITOR_COUNTING'),
+        sketchPrecision: fixed(12) // 4096 registers, about 1.6% error
+    },
+
+    // Background fetch of destination title, description and Open Graph image
+    linkPreviews: {
+        enabled: boolean(true, 'LINK_PREVIEWS_ENABLED'),
+        timeoutMs: integer(5000, 'LINK_PREVIEW_TIMEOUT'),
+        maxBytes: integer(512 * 1024, 'LINK_PREVIEW_MAX_BYTES'), // of the page body read
+        maxRedirects: fixed(5),
+        maxAttempts: fixed(3),
+        retryDelayMs: integer(30 * 1000, 'LINK_PREVIEW_RETRY_DELAY'), // doubles per attempt
+        concurrency: fixed(2),
+        maxQueueSize: fixed(1000),
+        userAgent: fixed('url-shortener-link-preview/1.0', 'string')
+    },
+
+    // Signed POSTs to subscribers on link events (see service/webhookService.js).
+    // Failed deliveries are retried after retryDelayMs, doubling each time, and
+    // are dead-lettered after maxAttempts. Delivered and dead deliveries are
+    // pruned by the cleanup job once they are deliveryRetentionDays old.
+    webhooks: {
+        enabled: boolean(true, 'WEBHOOKS_ENABLED'),
+        timeoutMs: integer(5000, 'WEBHOOK_TIMEOUT'),
+        maxAttempts: integer(6, 'WEBHOOK_MAX_ATTEMPTS'),
+        retryDelayMs: integer(10 * 1000, 'WEBHOOK_RETRY_DELAY'),
+        deliveryRetentionDays: integer(30, 'WEBHOOK_DELIVERY_RETENTION_DAYS'),
+        concurrency: fixed(4),
+        maxQueueSize: fixed(10000),
+        maxPerOwner: fixed(10),
+        userAgent: fixed('url-shortener-webhooks/1.0', 'string')
+    },
+
+    // Streaming CSV import and CSV/NDJSON export
+    transfer: {
+        maxImportRows: integer(10000, 'IMPORT_MAX_ROWS')
+    },
+
+    // Largest JSON request body accepted (batches are the biggest)
+    requestBodyLimit: string('1mb', 'REQUEST_BODY_LIMIT'),
+
+    // Paginated listings (links, click events)
+    pagination: {
+        defaultPageSize: fixed(20),
+        maxPageSize: fixed(100)
+    },
+
+    // Click analytics
+    analytics: {
+        topLimit: fixed(10), // entries in each top referrers/countries/user agents list
+        intervals: fixed(['hour', 'day'], 'list')
+    },
+
+    // Bootstrap admin key, sent as X-API-Key, used to issue the first real API keys
+    adminApiKey: string(null, 'ADMIN_API_KEY', { nullable: true, secret: true }),
+
+    // Responses remembered for replay of requests carrying an Idempotency-Key
+    idempotency: {
+        ttlMs: integer(24 * 60 * 60 * 1000, 'IDEMPOTENCY_TTL'),
+        // The stores middleware/idempotency.js knows
+        store: oneOf(['memory'], 'memory', 'IDEMPOTENCY_STORE')
+    },
+
+    // Rate limiting, counted per API key when one is sent and per IP otherwise
+    rateLimit: {
+        windowMs: integer(15 * 60 * 1000, 'RATE_LIMIT_WINDOW'), // 15 minutes
+        max: integer(100, 'RATE_LIMIT_MAX'), // limit each client to 100 requests per windowMs
+        store: oneOf(['memory'], 'memory', 'RATE_LIMIT_STORE'), // the stores middleware/rateLimiter.js knows
+        // Per-route policies; unset fields fall back to windowMs/max above
+        policies: fixed({
+            auth: { windowMs: 15 * 60 * 1000, max: 20 }, // rejected API keys per IP
+            create: { windowMs: 15 * 60 * 1000, max: 50 },
+            redirect: { windowMs: 60 * 1000, max: 300 },
+            stats: { windowMs: 15 * 60 * 1000, max: 300 },
+            management: {}
+        }, 'object')
+    },
+
+    // Security headers and CORS
+    security: {
+        corsOrigins: list(['*'], 'CORS_ORIGINS'),
+        trustProxy: { type: 'trustProxy', default: false, env: 'TRUST_PROXY' } // needed for real client IPs behind a proxy
+    },
+
+    // Logging: the level every transport uses unless it has its own
+    logLevel: oneOf(Object.keys(LEVELS), 'info', 'LOG_LEVEL'),
+
+    // Where entries go (see logger/index.js). Files are per level and rotate
+    // before they grow past maxBytes, keeping maxFiles old ones.
+    logging: {
+        console: {
+            enabled: boolean(false, 'LOG_CONSOLE'),
+            level: transportLevel('LOG_CONSOLE_LEVEL')
+        },
+        file: {
+            enabled: boolean(true, 'LOG_FILE'),
+            level: transportLevel('LOG_FILE_LEVEL'),
+            dir: { type: 'path', default: path.join(__dirname, '../logs'), env: 'LOG_DIR' },
+            maxBytes: integer(10 * 1024 * 1024, 'LOG_FILE_MAX_BYTES'),
+            maxFiles: integer(5, 'LOG_FILE_MAX_FILES')
+        }
+    },
+
+    // Evaluation-service log shipping (see logger/logShipper.js). Entries are sent
+    // in the background; while the endpoint is down they wait in spillFile.
+    remoteLogging: {
+        enabled: boolean(true, 'REMOTE_LOG_ENABLED'),
+        level: transportLevel('REMOTE_LOG_LEVEL'),
+        flushThreshold: fixed(20), // queued entries that start a flush before flushIntervalMs
+        flushIntervalMs: integer(1000, 'REMOTE_LOG_FLUSH_INTERVAL'),
+        maxQueueSize: integer(1000, 'REMOTE_LOG_MAX_QUEUE'),
+        retryDelayMs: fixed(1000), // doubles per failed flush
+        maxRetryDelayMs: fixed(60 * 1000),
+        maxAttempts: fixed(3), // failed flushes in a row before the queue is spilled
+        timeoutMs: integer(5000, 'REMOTE_LOG_TIMEOUT'),
+        spillFile: { type: 'path', default: path.join(__dirname, '../logs/remote-spill.ndjson'), env: 'REMOTE_LOG_SPILL_FILE' },
+        maxSpillBytes: integer(10 * 1024 * 1024, 'REMOTE_LOG_MAX_SPILL_BYTES')
+    },
+
+    // Where remote log entries go and the registration used to get a token
+    evaluationService: {
+        baseUrl: {
+            type: 'url',
+            default: null,
+            env: 'EVAL_SERVICE_URL', // e.g. http://host/evaluation-service
+            nullable: true,
+            required: remoteLoggingEnabled,
+            requiredWhen: 'remoteLogging.enabled is true'
+        },
+        email: credential('EVAL_EMAIL'),
+        name: credential('EVAL_NAME'),
+        rollNo: credential('EVAL_ROLL_NO'),
+        accessCode: credential('EVAL_ACCESS_CODE'),
+        clientId: credential('EVAL_CLIENT_ID'),
+        clientSecret: credential('EVAL_CLIENT_SECRET')
+    },
+
+    // Cache settings
+    cache: {
+        ttl: fixed(60 * 60 * 1000), // 1 hour in milliseconds
+        maxSize: fixed(1000)
+    }
+};
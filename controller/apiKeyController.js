@@ -0,0 +1,60 @@
+const Logger = require('../logger/logger');
+const ServiceError = require('../domain/ServiceError');
+
+class ApiKeyController {
+    constructor(apiKeyService) {
+        this.apiKeyService = apiKeyService;
+
+        // Handlers are passed to the router detached from the instance
+        this.issueKey = this.issueKey.bind(this);
+        this.listKeys = this.listKeys.bind(this);
+        this.revokeKey = this.revokeKey.bind(this);
+    }
+
+    async handleError(res, error, fallbackMessage) {
+        Logger.log('error', 'controller', error.message);
+
+        if (error instanceof ServiceError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+        return res.status(500).json({ error: fallbackMessage });
+    }
+
+    async issueKey(req, res) {
+        try {
+            const { ownerId, name, role } = req.body || {};
+            const { apiKey, plaintext } = await this.apiKeyService.issueKey({ ownerId, name, role });
+
+            Logger.log('info', 'controller', `API key issued for ${ownerId}`);
+
+            // The plaintext key is returned exactly once and cannot be recovered later
+            return res.status(201).json({ ...apiKey.toJSON(), key: plaintext });
+        } catch (error) {
+            return this.handleError(res, error, 'Error issuing API key');
+        }
+    }
+
+    async listKeys(req, res) {
+        try {
+            const keys = await this.apiKeyService.listKeys(req.principal, { ownerId: req.query.ownerId });
+
+            Logger.log('info', 'controller', `Listed ${keys.length} API keys`);
+            return res.status(200).json({ items: keys.map(apiKey => apiKey.toJSON()) });
+        } catch (error) {
+            return this.handleError(res, error, 'Error listing API keys');
+        }
+    }
+
+    async revokeKey(req, res) {
+        try {
+            const apiKey = await this.apiKeyService.revokeKey(req.params.id, req.principal);
+
+            Logger.log('info', 'controller', `API key revoked: ${req.params.id}`);
+            return res.status(200).json(apiKey.toJSON());
+        } catch (error) {
+            return this.handleError(res, error, 'Error revoking API key');
+        }
+    }
+}
+
+module.exports = ApiKeyController;
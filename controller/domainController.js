@@ -0,0 +1,83 @@
+const Logger = require('../logger/logger');
+const ServiceError = require('../domain/ServiceError');
+
+class DomainController {
+    constructor(domainService) {
+        this.domainService = domainService;
+
+        // Handlers are passed to the router detached from the instance
+        this.registerDomain = this.registerDomain.bind(this);
+        this.listDomains = this.listDomains.bind(this);
+        this.getDomain = this.getDomain.bind(this);
+        this.updateDomain = this.updateDomain.bind(this);
+        this.deleteDomain = this.deleteDomain.bind(this);
+    }
+
+    async handleError(res, error, fallbackMessage) {
+        Logger.log('error', 'controller', error.message);
+
+        if (error instanceof ServiceError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+        return res.status(500).json({ error: fallbackMessage });
+    }
+
+    async registerDomain(req, res) {
+        try {
+            const { host, fallbackUrl, ownerId } = req.body || {};
+            const domain = await this.domainService.registerDomain({ host, fallbackUrl, ownerId }, req.principal);
+
+            Logger.log('info', 'controller', `Domain registered: ${domain.host}`);
+            return res.status(201).json(domain.toJSON());
+        } catch (error) {
+            return this.handleError(res, error, 'Error registering domain');
+        }
+    }
+
+    async listDomains(req, res) {
+        try {
+            const domains = await this.domainService.listDomains({ ownerId: req.query.ownerId }, req.principal);
+
+            Logger.log('info', 'controller', `Listed ${domains.length} domains`);
+            return res.status(200).json({ items: domains.map(domain => domain.toJSON()) });
+        } catch (error) {
+            return this.handleError(res, error, 'Error listing domains');
+        }
+    }
+
+    async getDomain(req, res) {
+        try {
+            const domain = await this.domainService.getDomain(req.params.host, req.principal);
+
+            Logger.log('info', 'controller', `Domain retrieved: ${domain.host}`);
+            return res.status(200).json(domain.toJSON());
+        } catch (error) {
+            return this.handleError(res, error, 'Error retrieving domain');
+        }
+    }
+
+    async updateDomain(req, res) {
+        try {
+            const { fallbackUrl } = req.body || {};
+            const domain = await this.domainService.updateDomain(req.params.host, { fallbackUrl }, req.principal);
+
+            Logger.log('info', 'controller', `Domain updated: ${domain.host}`);
+            return res.status(200).json(domain.toJSON());
+        } catch (error) {
+            return this.handleError(res, error, 'Error updating domain');
+        }
+    }
+
+    async deleteDomain(req, res) {
+        try {
+            await this.domainService.deleteDomain(req.params.host, req.principal);
+
+            Logger.log('info', 'controller', `Domain deleted: ${req.params.host}`);
+            return res.status(204).end();
+        } catch (error) {
+            return this.handleError(res, error, 'Error deleting domain');
+        }
+    }
+}
+
+module.exports = DomainController;
@@ -0,0 +1,87 @@
+const { pipeline, Readable } = require('stream');
+const Logger = require('../logger/logger');
+const ServiceError = require('../domain/ServiceError');
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+class TransferController {
+    constructor(transferService) {
+        this.transferService = transferService;
+
+        // Handlers are passed to the router detached from the instance
+        this.importUrls = this.importUrls.bind(this);
+        this.exportUrls = this.exportUrls.bind(this);
+        this.exportClicks = this.exportClicks.bind(this);
+    }
+
+    async handleError(res, error, fallbackMessage) {
+        Logger.log('error', 'controller', error.message);
+
+        if (error instanceof ServiceError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+        return res.status(500).json({ error: fallbackMessage });
+    }
+
+    // Streams generated chunks to the client; once headers are out a failure
+    // can only abort the response, so it is logged rather than answered
+    sendExport(res, chunks, format, filename) {
+        res.status(200);
+        res.set('Content-Type', CONTENT_TYPES[format]);
+        res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+        pipeline(Readable.from(chunks), res, (error) => {
+            if (error) {
+                Logger.log('error', 'controller', `Export ${filename} aborted: ${error.message}`);
+            }
+        });
+    }
+
+    async importUrls(req, res) {
+        try {
+            if (!req.is('text/csv')) {
+                throw new ServiceError('Import body must be sent as text/csv', 415, 'UNSUPPORTED_MEDIA_TYPE');
+            }
+
+            Logger.log('info', 'controller', 'Importing short URLs from CSV');
+            const report = await this.transferService.importCsv(req, {
+                ownerId: req.principal && req.principal.ownerId
+            });
+            Logger.log('info', 'controller', `CSV import created ${report.created} of ${report.total} rows`);
+
+            return res.status(200).json(report);
+        } catch (error) {
+            return this.handleError(res, error, 'Error importing short URLs');
+        }
+    }
+
+    async exportUrls(req, res) {
+        try {
+            const format = req.query.format || 'csv';
+            const chunks = this.transferService.exportLinks(format, { ownerId: req.query.ownerId }, req.principal);
+
+            Logger.log('info', 'controller', `Exporting short URLs as ${format}`);
+            this.sendExport(res, chunks, format, 'shorturls');
+        } catch (error) {
+            return this.handleError(res, error, 'Error exporting short URLs');
+        }
+    }
+
+    async exportClicks(req, res) {
+        try {
+            const format = req.query.format || 'csv';
+            const { shortcode, domain, ownerId, from, to } = req.query;
+            const chunks = await this.transferService.exportClicks(format, { shortcode, domain, ownerId, from, to }, req.principal);
+
+            Logger.log('info', 'controller', `Exporting click events as ${format}`);
+            this.sendExport(res, chunks, format, shortcode ? `clicks-${shortcode}` : 'clicks');
+        } catch (error) {
+            return this.handleError(res, error, 'Error exporting click events');
+        }
+    }
+}
+
+module.exports = TransferController;
@@ -1,129 +1,394 @@
-const ShortUrl = require('../models/shortUrl');
+const crypto = require('crypto');
 const Logger = require('../logger/logger');
+const ShortUrl = require('../domain/ShortUrl');
+const ServiceError = require('../domain/ServiceError');
+const { renderUnlockPage } = require('../view/unlockPage');
+const { renderInterstitialPage, renderPreviewPage } = require('../view/interstitialPage');
 
-// Validate URL format
-const isValidUrl = (url) => {
-    try {
-        new URL(url);
-        return true;
-    } catch {
-        return false;
+// Body fields PATCH /shorturls/:shortcode hands to UrlService.updateShortUrl
+const UPDATABLE_FIELDS = [
+    'url', 'validity', 'expiresAt', 'isActive', 'password', 'maxClicks', 'activeFrom',
+    'rules', 'variants', 'queryOptions', 'redirectStatus', 'interstitial',
+    'fetchMetadata'
+];
+
+// Redirect failures that browsers are answered with the unlock form for
+const UNLOCK_ERRORS = ['PASSWORD_REQUIRED', 'WRONG_PASSWORD', 'UNLOCK_THROTTLED'];
+
+// Value of one cookie from the request; the app runs without a cookie parser
+const readCookie = (req, name) => {
+    for (const pair of (req.get('Cookie') || '').split(';')) {
+        const separator = pair.indexOf('=');
+        if (separator !== -1 && pair.slice(0, separator).trim() === name) {
+            try {
+                return decodeURIComponent(pair.slice(separator + 1).trim());
+            } catch (error) {
+                return undefined;
+            }
+        }
     }
+    return undefined;
 };
 
-const createShortUrl = async (req, res) => {
-    try {
-        const { url, validity, shortcode } = req.body;
-        await Logger.log('info', 'controller', 'Creating new short URL');
+class UrlController {
+    constructor(urlService, options = {}) {
+        this.urlService = urlService;
+        this.splitTest = options.splitTest;
+        this.redirects = options.redirects;
+
+        // Handlers are passed to the router detached from the instance
+        this.createShortUrl = this.createShortUrl.bind(this);
+        this.createShortUrlsBatch = this.createShortUrlsBatch.bind(this);
+        this.redirectToUrl = this.redirectToUrl.bind(this);
+        this.unlockUrl = this.unlockUrl.bind(this);
+        this.previewUrl = this.previewUrl.bind(this);
+        this.getUrlStats = this.getUrlStats.bind(this);
+        this.getUrlClicks = this.getUrlClicks.bind(this);
+        this.getUrlAnalytics = this.getUrlAnalytics.bind(this);
+        this.listUrls = this.listUrls.bind(this);
+        this.updateUrl = this.updateUrl.bind(this);
+        this.deleteUrl = this.deleteUrl.bind(this);
+    }
+
+    // Links on a custom domain are served from it; the rest from the host asked
+    buildShortLink(req, shortUrl) {
+        return `${req.protocol}://${shortUrl.domain || req.get('host')}/${shortUrl.shortcode}`;
+    }
+
+    formatShortUrl(req, shortUrl) {
+        return {
+            ...shortUrl.toJSON(),
+            shortLink: this.buildShortLink(req, shortUrl)
+        };
+    }
+
+    extractRequestData(req) {
+        return {
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+            referer: req.get('Referer'),
+            acceptLanguage: req.get('Accept-Language'),
+            // Picks the shortcode namespace when it is a registered custom domain
+            host: req.get('host'),
+            // For bot detection: scripts tend to skip these, previews announce themselves
+            method: req.method,
+            accept: req.get('Accept'),
+            purpose: req.get('Sec-Purpose') || req.get('Purpose') || req.get('X-Purpose'),
+            query: req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '',
+            variantId: this.splitTest ? readCookie(req, this.splitTest.cookieName) : undefined
+        };
+    }
 
-        // Validate input URL
-        if (!url || !isValidUrl(url)) {
-            await Logger.log('error', 'controller', 'Invalid URL provided');
-            return res.status(400).json({ error: 'Valid URL is required' });
+    // Keeps a split test visitor on their variant; the cookie is scoped to the link's path
+    rememberVariant(res, shortcode, variantId) {
+        if (!variantId || !this.splitTest) {
+            return;
         }
+        res.cookie(this.splitTest.cookieName, variantId, {
+            path: `/${shortcode}`,
+            maxAge: this.splitTest.cookieMaxAgeMs,
+            httpOnly: true,
+            sameSite: 'lax'
+        });
+    }
 
-        // Validate validity period
-        const validityHours = validity || 24;
-        if (validityHours < 1 || validityHours > 720) {
-            await Logger.log('error', 'controller', 'Invalid validity period');
-            return res.status(400).json({ error: 'Validity must be between 1 and 720 hours' });
+    // 301/308 answers may be cached, but never past the link's expiry and only when
+    // every visitor gets the same one; anything else has to come back to us
+    redirectCacheControl(shortUrl, status) {
+        if (!ShortUrl.isPermanentRedirect(status) || !shortUrl.hasCacheableRedirect()) {
+            return 'private, no-cache';
         }
 
-        // Generate or validate shortcode
-        const urlCode = shortcode || Math.random().toString(36).substring(2, 8);
-        if (!/^[a-zA-Z0-9]{4,}$/.test(urlCode)) {
-            await Logger.log('error', 'controller', 'Invalid shortcode format');
-            return res.status(400).json({ error: 'Shortcode must be alphanumeric and at least 4 characters' });
+        const untilExpiry = shortUrl.expiresAt
+            ? Math.floor((new Date(shortUrl.expiresAt).getTime() - Date.now()) / 1000)
+            : Infinity;
+        return `public, max-age=${Math.max(0, Math.min(this.redirects.permanentMaxAge, untilExpiry))}`;
+    }
+
+    // Redirects with the link's status, or shows the interstitial page to browsers
+    // when the link asks for one. status overrides the link's own (the unlock form's 303).
+    async sendDestination(req, res, shortcode, { shortUrl, destination, variantId }, status) {
+        this.rememberVariant(res, shortcode, variantId);
+
+        if (shortUrl.interstitial && req.accepts(['json', 'html']) === 'html') {
+            const nonce = crypto.randomBytes(16).toString('base64');
+            Logger.log('info', 'controller', `Interstitial served for ${shortcode}`);
+            res.set('Cache-Control', 'private, no-cache');
+            res.set('Content-Security-Policy',
+                `default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}'; base-uri 'none'; form-action 'none'`);
+            return res.type('html').send(renderInterstitialPage({
+                destination,
+                seconds: this.redirects.interstitialSeconds,
+                nonce
+            }));
         }
 
-        const shortUrl = new ShortUrl({
-            originalUrl: url,
-            shortcode: urlCode,
-            validity: validityHours,
-            createdAt: new Date()
-        });
+        const redirectStatus = status || shortUrl.redirectStatus || this.redirects.defaultStatus;
+        res.set('Cache-Control', this.redirectCacheControl(shortUrl, redirectStatus));
+        return res.redirect(redirectStatus, destination);
+    }
 
-        const saved = await shortUrl.save();
-        await Logger.log('info', 'controller', `URL created with code: ${urlCode}`);
-        
-        return res.status(201).json({
-            originalUrl: saved.originalUrl,
-            shortUrl: `${req.protocol}://${req.get('host')}/${urlCode}`,
-            shortcode: saved.shortcode,
-            validity: saved.validity,
-            expiresAt: new Date(saved.createdAt.getTime() + saved.validity * 60 * 60 * 1000)
-        });
+    async handleError(res, error, fallbackMessage) {
+        Logger.log('error', 'controller', error.message);
 
-    } catch (error) {
-        if (error.code === 11000) {
-            await Logger.log('error', 'controller', 'Duplicate shortcode');
-            return res.status(409).json({ error: 'Shortcode already exists' });
+        if (error instanceof ServiceError) {
+            return res.status(error.statusCode).json(error.toJSON());
         }
-        await Logger.log('error', 'controller', error.message);
-        return res.status(500).json({ error: 'Error creating short URL' });
+        return res.status(500).json({ error: fallbackMessage });
     }
-};
 
-const redirectToUrl = async (req, res) => {
-    try {
-        const { shortcode } = req.params;
-        const shortUrl = await ShortUrl.findOne({ shortcode });
+    async createShortUrl(req, res) {
+        try {
+            const { url, validity, shortcode, domain, password, maxClicks, activeFrom, rules, variants, queryOptions, redirectStatus, interstitial, fetchMetadata, dedupe } = req.body || {};
+            Logger.log('info', 'controller', 'Creating new short URL');
+
+            if (dedupe !== undefined && typeof dedupe !== 'boolean') {
+                throw ServiceError.validation('dedupe must be a boolean', 'INVALID_DEDUPE');
+            }
+
+            const urlData = {
+                url,
+                validity,
+                shortcode,
+                domain,
+                password,
+                maxClicks,
+                activeFrom,
+                rules,
+                variants,
+                queryOptions,
+                redirectStatus,
+                interstitial,
+                fetchMetadata,
+                ownerId: req.principal && req.principal.ownerId
+            };
+            const { shortUrl, created } = dedupe
+                ? await this.urlService.createOrReuseShortUrl(urlData)
+                : { shortUrl: await this.urlService.createShortUrl(urlData), created: true };
+            Logger.log('info', 'controller', `URL ${created ? 'created' : 'reused'} with code: ${shortUrl.shortcode}`);
 
-        if (!shortUrl) {
-            await Logger.log('error', 'controller', 'URL not found');
-            return res.status(404).json({ error: 'URL not found' });
+            const body = {
+                shortcode: shortUrl.shortcode,
+                domain: shortUrl.domain,
+                originalUrl: shortUrl.originalUrl,
+                shortLink: this.buildShortLink(req, shortUrl),
+                expiry: shortUrl.expiresAt
+            };
+            return created
+                ? res.status(201).json(body)
+                : res.status(200).json({ ...body, deduplicated: true });
+        } catch (error) {
+            return this.handleError(res, error, 'Error creating short URL');
         }
+    }
+
+    async createShortUrlsBatch(req, res) {
+        try {
+            // Accept either a bare array of items or { items, mode }
+            const body = req.body || {};
+            const items = Array.isArray(body) ? body : body.items;
+            const mode = (Array.isArray(body) ? undefined : body.mode) || req.query.mode;
+
+            Logger.log('info', 'controller', 'Creating short URL batch');
+            const batch = await this.urlService.createShortUrlsBatch(items, {
+                mode,
+                ownerId: req.principal && req.principal.ownerId
+            });
+
+            const results = batch.results.map(({ shortUrl, ...result }) => (shortUrl
+                ? {
+                    ...result,
+                    shortcode: shortUrl.shortcode,
+                    domain: shortUrl.domain,
+                    originalUrl: shortUrl.originalUrl,
+                    shortLink: this.buildShortLink(req, shortUrl),
+                    expiry: shortUrl.expiresAt
+                }
+                : result));
+            const response = { ...batch, results };
 
-        // Check expiration
-        const expirationTime = new Date(shortUrl.createdAt.getTime() + shortUrl.validity * 60 * 60 * 1000);
-        if (expirationTime < new Date()) {
-            await Logger.log('error', 'controller', 'URL expired');
-            return res.status(410).json({ error: 'URL has expired' });
+            Logger.log('info', 'controller', `Batch created ${batch.created} of ${batch.total}`);
+
+            if (batch.failed === 0) {
+                return res.status(201).json(response);
+            }
+            if (batch.mode === 'atomic') {
+                return res.status(400).json({ error: 'Batch rejected, no links were created', code: 'BATCH_REJECTED', ...response });
+            }
+            return res.status(207).json(response);
+        } catch (error) {
+            return this.handleError(res, error, 'Error creating short URL batch');
+        }
+    }
+
+    // Browsers get the unlock form for protected links; API clients get JSON.
+    // Unknown codes on a custom domain with a fallback URL redirect there.
+    async handleRedirectError(req, res, shortcode, error) {
+        if (error instanceof ServiceError && error.code === 'NOT_FOUND' && error.details && error.details.fallbackUrl) {
+            Logger.log('info', 'controller', `Unknown shortcode ${shortcode}, redirecting to domain fallback`);
+            res.set('Cache-Control', 'private, no-cache');
+            return res.redirect(302, error.details.fallbackUrl);
         }
 
-        // Update click count
-        shortUrl.clicks += 1;
-        await shortUrl.save();
-        
-        await Logger.log('info', 'controller', `Redirecting ${shortcode}`);
-        return res.redirect(shortUrl.originalUrl);
+        if (!(error instanceof ServiceError) || !UNLOCK_ERRORS.includes(error.code)) {
+            return this.handleError(res, error, 'Error redirecting to URL');
+        }
+
+        if (error.code === 'UNLOCK_THROTTLED') {
+            res.set('Retry-After', String(error.details.retryAfter));
+        }
+        if (req.accepts(['json', 'html']) !== 'html') {
+            return this.handleError(res, error, 'Error redirecting to URL');
+        }
 
-    } catch (error) {
-        await Logger.log('error', 'controller', error.message);
-        return res.status(500).json({ error: 'Error redirecting to URL' });
+        Logger.log('info', 'controller', `Unlock form served for ${shortcode}`);
+        res.set('Cache-Control', 'no-store');
+        return res.status(error.statusCode).type('html').send(renderUnlockPage({
+            shortcode,
+            error: error.code === 'PASSWORD_REQUIRED' ? null : error.message
+        }));
     }
-};
 
-const getUrlStats = async (req, res) => {
-    try {
+    async redirectToUrl(req, res) {
         const { shortcode } = req.params;
-        const shortUrl = await ShortUrl.findOne({ shortcode });
+        try {
+            const result = await this.urlService.redirectToOriginalUrl(shortcode, {
+                ...this.extractRequestData(req),
+                password: req.get('X-Link-Password')
+            });
 
-        if (!shortUrl) {
-            await Logger.log('error', 'controller', 'URL not found');
-            return res.status(404).json({ error: 'URL not found' });
+            Logger.log('info', 'controller', `Redirecting ${shortcode}`);
+            return this.sendDestination(req, res, shortcode, result);
+        } catch (error) {
+            return this.handleRedirectError(req, res, shortcode, error);
         }
+    }
 
-        const expirationTime = new Date(shortUrl.createdAt.getTime() + shortUrl.validity * 60 * 60 * 1000);
-        await Logger.log('info', 'controller', `Stats retrieved for ${shortcode}`);
+    // Submission of the unlock form (or a JSON { password }) for a protected link
+    async unlockUrl(req, res) {
+        const { shortcode } = req.params;
+        try {
+            const password = (req.body && req.body.password) || req.get('X-Link-Password');
+            const result = await this.urlService.redirectToOriginalUrl(shortcode, {
+                ...this.extractRequestData(req),
+                password
+            });
 
-        return res.status(200).json({
-            originalUrl: shortUrl.originalUrl,
-            shortcode: shortUrl.shortcode,
-            clicks: shortUrl.clicks,
-            createdAt: shortUrl.createdAt,
-            expiresAt: expirationTime,
-            isExpired: expirationTime < new Date()
-        });
+            Logger.log('info', 'controller', `Unlocked and redirecting ${shortcode}`);
+            return this.sendDestination(req, res, shortcode, result, 303);
+        } catch (error) {
+            return this.handleRedirectError(req, res, shortcode, error);
+        }
+    }
+
+    // GET /:shortcode+ shows where the link leads without following it or counting a click
+    async previewUrl(req, res) {
+        const { shortcode } = req.params;
+        try {
+            const { shortUrl, destination } = await this.urlService.previewShortUrl(shortcode, {
+                ...this.extractRequestData(req),
+                password: req.get('X-Link-Password')
+            });
 
-    } catch (error) {
-        await Logger.log('error', 'controller', error.message);
-        return res.status(500).json({ error: 'Error retrieving URL stats' });
+            Logger.log('info', 'controller', `Preview served for ${shortcode}`);
+            res.set('Cache-Control', 'private, no-cache');
+            if (req.accepts(['json', 'html']) === 'html') {
+                return res.type('html').send(renderPreviewPage({ shortcode, destination }));
+            }
+            return res.json({
+                shortcode,
+                destination,
+                redirectStatus: shortUrl.redirectStatus || this.redirects.defaultStatus,
+                interstitial: shortUrl.interstitial,
+                expiresAt: shortUrl.expiresAt
+            });
+        } catch (error) {
+            return this.handleRedirectError(req, res, shortcode, error);
+        }
     }
-};
 
-module.exports = {
-    createShortUrl,
-    redirectToUrl,
-    getUrlStats
-};
\ No newline at end of file
+    async getUrlStats(req, res) {
+        try {
+            const { shortcode } = req.params;
+            const { page, limit, domain } = req.query;
+            const stats = await this.urlService.getShortUrlStats(shortcode, { page, limit, domain }, req.principal);
+
+            Logger.log('info', 'controller', `Stats retrieved for ${shortcode}`);
+            return res.status(200).json(stats);
+        } catch (error) {
+            return this.handleError(res, error, 'Error retrieving URL stats');
+        }
+    }
+
+    async getUrlClicks(req, res) {
+        try {
+            const { shortcode } = req.params;
+            const { page, limit, from, to, domain } = req.query;
+            const clicks = await this.urlService.getShortUrlClicks(shortcode, { page, limit, from, to, domain }, req.principal);
+
+            Logger.log('info', 'controller', `Clicks retrieved for ${shortcode}`);
+            return res.status(200).json(clicks);
+        } catch (error) {
+            return this.handleError(res, error, 'Error retrieving URL clicks');
+        }
+    }
+
+    async getUrlAnalytics(req, res) {
+        try {
+            const { shortcode } = req.params;
+            const { from, to, interval, domain } = req.query;
+            const analytics = await this.urlService.getShortUrlAnalytics(shortcode, { from, to, interval, domain }, req.principal);
+
+            Logger.log('info', 'controller', `Analytics retrieved for ${shortcode}`);
+            return res.status(200).json(analytics);
+        } catch (error) {
+            return this.handleError(res, error, 'Error retrieving URL analytics');
+        }
+    }
+
+    async listUrls(req, res) {
+        try {
+            const { page, limit, status, search, ownerId, domain } = req.query;
+            const result = await this.urlService.listShortUrls({ page, limit, status, search, ownerId, domain }, req.principal);
+
+            Logger.log('info', 'controller', `Listed ${result.items.length} URLs`);
+            return res.status(200).json({
+                items: result.items.map(shortUrl => this.formatShortUrl(req, shortUrl)),
+                pagination: result.pagination
+            });
+        } catch (error) {
+            return this.handleError(res, error, 'Error listing URLs');
+        }
+    }
+
+    async updateUrl(req, res) {
+        try {
+            const { shortcode } = req.params;
+            const body = req.body || {};
+            const changes = {};
+            UPDATABLE_FIELDS.forEach((field) => {
+                changes[field] = body[field];
+            });
+            const shortUrl = await this.urlService.updateShortUrl(shortcode, changes, req.principal, { domain: req.query.domain });
+
+            Logger.log('info', 'controller', `URL updated: ${shortcode}`);
+            return res.status(200).json(this.formatShortUrl(req, shortUrl));
+        } catch (error) {
+            return this.handleError(res, error, 'Error updating URL');
+        }
+    }
+
+    async deleteUrl(req, res) {
+        try {
+            const { shortcode } = req.params;
+            await this.urlService.deleteShortUrl(shortcode, req.principal, { domain: req.query.domain });
+
+            Logger.log('info', 'controller', `URL deleted: ${shortcode}`);
+            return res.status(204).end();
+        } catch (error) {
+            return this.handleError(res, error, 'Error deleting URL');
+        }
+    }
+}
+
+module.exports = UrlController;
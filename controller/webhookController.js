@@ -0,0 +1,97 @@
+const Logger = require('../logger/logger');
+const ServiceError = require('../domain/ServiceError');
+
+class WebhookController {
+    constructor(webhookService) {
+        this.webhookService = webhookService;
+
+        // Handlers are passed to the router detached from the instance
+        this.createWebhook = this.createWebhook.bind(this);
+        this.listWebhooks = this.listWebhooks.bind(this);
+        this.getWebhook = this.getWebhook.bind(this);
+        this.deleteWebhook = this.deleteWebhook.bind(this);
+        this.listDeliveries = this.listDeliveries.bind(this);
+        this.redeliver = this.redeliver.bind(this);
+    }
+
+    async handleError(res, error, fallbackMessage) {
+        Logger.log('error', 'controller', error.message);
+
+        if (error instanceof ServiceError) {
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+        return res.status(500).json({ error: fallbackMessage });
+    }
+
+    async createWebhook(req, res) {
+        try {
+            const { url, events, secret } = req.body || {};
+            const { webhook, secret: signingSecret } = await this.webhookService.createWebhook({ url, events, secret }, req.principal);
+
+            Logger.log('info', 'controller', `Webhook created: ${webhook.id}`);
+
+            // The signing secret is returned exactly once
+            return res.status(201).json({ ...webhook.toJSON(), secret: signingSecret });
+        } catch (error) {
+            return this.handleError(res, error, 'Error creating webhook');
+        }
+    }
+
+    async listWebhooks(req, res) {
+        try {
+            const webhooks = await this.webhookService.listWebhooks({ ownerId: req.query.ownerId }, req.principal);
+
+            Logger.log('info', 'controller', `Listed ${webhooks.length} webhooks`);
+            return res.status(200).json({ items: webhooks.map(webhook => webhook.toJSON()) });
+        } catch (error) {
+            return this.handleError(res, error, 'Error listing webhooks');
+        }
+    }
+
+    async getWebhook(req, res) {
+        try {
+            const webhook = await this.webhookService.getWebhook(req.params.id, req.principal);
+
+            Logger.log('info', 'controller', `Webhook retrieved: ${webhook.id}`);
+            return res.status(200).json(webhook.toJSON());
+        } catch (error) {
+            return this.handleError(res, error, 'Error retrieving webhook');
+        }
+    }
+
+    async deleteWebhook(req, res) {
+        try {
+            await this.webhookService.deleteWebhook(req.params.id, req.principal);
+
+            Logger.log('info', 'controller', `Webhook deleted: ${req.params.id}`);
+            return res.status(204).end();
+        } catch (error) {
+            return this.handleError(res, error, 'Error deleting webhook');
+        }
+    }
+
+    async listDeliveries(req, res) {
+        try {
+            const { status, page, limit } = req.query;
+            const result = await this.webhookService.listDeliveries(req.params.id, { status, page, limit }, req.principal);
+
+            Logger.log('info', 'controller', `Listed ${result.items.length} deliveries of webhook ${req.params.id}`);
+            return res.status(200).json(result);
+        } catch (error) {
+            return this.handleError(res, error, 'Error listing webhook deliveries');
+        }
+    }
+
+    async redeliver(req, res) {
+        try {
+            const delivery = await this.webhookService.redeliver(req.params.id, req.params.deliveryId, req.principal);
+
+            Logger.log('info', 'controller', `Webhook delivery requeued: ${req.params.deliveryId}`);
+            return res.status(202).json(delivery);
+        } catch (error) {
+            return this.handleError(res, error, 'Error redelivering webhook');
+        }
+    }
+}
+
+module.exports = WebhookController;
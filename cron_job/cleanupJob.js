@@ -2,9 +2,12 @@ const cron = require('node-cron');
 const { logger } = require('../middleware/logger');
 
 class CleanupJob {
-    constructor(urlService) {
+    constructor(urlService, options = {}) {
         this.urlService = urlService;
+        // WebhookService whose old deliveries the job prunes; optional
+        this.webhooks = options.webhooks || null;
         this.isRunning = false;
+        this.isCleaning = false;
         this.lastRun = null;
         this.nextRun = null;
         
@@ -48,18 +51,22 @@ class CleanupJob {
     }
 
     async runCleanup() {
-        if (this.isRunning) {
+        if (this.isCleaning) {
             logger.warn('Cleanup job already running, skipping this iteration');
             return;
         }
 
         try {
-            this.isRunning = true;
+            this.isCleaning = true;
             const startTime = Date.now();
             
             logger.info('Starting scheduled cleanup of expired URLs');
             
-            const cleanedCount = await this.urlService.cleanupExpiredUrls();
+            const removed = await this.urlService.removeExpiredUrls();
+            const cleanedCount = removed.length;
+            if (this.webhooks) {
+                await this.webhooks.pruneDeliveries();
+            }
             
             const duration = Date.now() - startTime;
             this.lastRun = new Date();
@@ -74,7 +81,7 @@ class CleanupJob {
         } catch (error) {
             logger.error('Error during scheduled cleanup', { error: error.message });
         } finally {
-            this.isRunning = false;
+            this.isCleaning = false;
         }
     }
 
@@ -113,6 +120,7 @@ class CleanupJob {
     getStatus() {
         return {
             isRunning: this.isRunning,
+            isCleaning: this.isCleaning,
             lastRun: this.lastRun,
             nextRun: this.nextRun,
             schedule: 'Every 30 minutes'
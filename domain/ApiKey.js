@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const KEY_PREFIX = 'usk_';
+const ROLES = ['user', 'admin'];
+
+class ApiKey {
+    constructor(data = {}) {
+        this.id = data.id || uuidv4();
+        this.ownerId = data.ownerId;
+        this.name = data.name || null;
+        this.role = data.role || 'user';
+        this.keyHash = data.keyHash;
+        this.prefix = data.prefix; // first characters of the plaintext, for recognising a key in listings
+        this.createdAt = data.createdAt || new Date();
+        this.lastUsedAt = data.lastUsedAt || null;
+        this.revokedAt = data.revokedAt || null;
+
+        // Validate required fields
+        if (!this.ownerId) {
+            throw new Error('Owner ID is required');
+        }
+
+        if (!this.keyHash) {
+            throw new Error('Key hash is required');
+        }
+
+        if (!ROLES.includes(this.role)) {
+            throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+    }
+
+    isRevoked() {
+        return this.revokedAt !== null;
+    }
+
+    isAdmin() {
+        return this.role === 'admin';
+    }
+
+    // What request handlers see as req.principal
+    toPrincipal() {
+        return {
+            keyId: this.id,
+            ownerId: this.ownerId,
+            role: this.role
+        };
+    }
+
+    // Never includes the hash
+    toJSON() {
+        return {
+            id: this.id,
+            ownerId: this.ownerId,
+            name: this.name,
+            role: this.role,
+            prefix: this.prefix,
+            createdAt: this.createdAt,
+            lastUsedAt: this.lastUsedAt,
+            revokedAt: this.revokedAt
+        };
+    }
+
+    static hash(plaintext) {
+        return crypto.createHash('sha256').update(String(plaintext)).digest('hex');
+    }
+
+    // Returns the stored ApiKey and the plaintext, which is only ever shown once
+    static generate({ ownerId, name, role }) {
+        const plaintext = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const apiKey = new ApiKey({
+            ownerId,
+            name,
+            role,
+            keyHash: ApiKey.hash(plaintext),
+            prefix: plaintext.substring(0, KEY_PREFIX.length + 6)
+        });
+
+        return { apiKey, plaintext };
+    }
+
+    static validateOwnerId(ownerId) {
+        if (!ownerId || typeof ownerId !== 'string') {
+            return { isValid: false, error: 'ownerId must be a non-empty string' };
+        }
+
+        if (!/^[a-zA-Z0-9_.@-]{1,64}$/.test(ownerId)) {
+            return { isValid: false, error: 'ownerId must be 1-64 characters of letters, digits, _ . @ or -' };
+        }
+
+        return { isValid: true };
+    }
+}
+
+ApiKey.ROLES = ROLES;
+
+module.exports = ApiKey;
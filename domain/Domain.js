@@ -0,0 +1,66 @@
+const { v4: uuidv4 } = require('uuid');
+
+// A host name with an optional port: labels of letters, digits and hyphens
+const HOST_PATTERN = /^(?=.{1,253}(:|$))([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*(:\d{1,5})?$/;
+
+// A branded short domain. Every domain is its own shortcode namespace, so the
+// same shortcode can point somewhere different on each one.
+class Domain {
+    constructor(data = {}) {
+        this.id = data.id || uuidv4();
+        this.host = data.host ? Domain.canonicalHost(data.host) : data.host;
+        this.ownerId = data.ownerId;
+        this.fallbackUrl = data.fallbackUrl || null; // where unknown shortcodes on this host go
+        this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || null;
+
+        // Validate required fields
+        if (!this.host) {
+            throw new Error('Host is required');
+        }
+
+        if (!this.ownerId) {
+            throw new Error('Owner ID is required');
+        }
+    }
+
+    isOwnedBy(ownerId) {
+        return this.ownerId === ownerId;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            host: this.host,
+            ownerId: this.ownerId,
+            fallbackUrl: this.fallbackUrl,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    // Hosts compare case-insensitively and without the root label's trailing dot
+    static canonicalHost(host) {
+        return String(host).trim().toLowerCase().replace(/\.(?=:|$)/, '');
+    }
+
+    static validateHost(host) {
+        if (!host || typeof host !== 'string') {
+            return { isValid: false, error: 'host must be a non-empty string' };
+        }
+
+        const canonical = Domain.canonicalHost(host);
+        if (!HOST_PATTERN.test(canonical) || !canonical.includes('.')) {
+            return { isValid: false, error: 'host must be a domain name such as go.example.com, optionally with a port' };
+        }
+
+        const port = canonical.split(':')[1];
+        if (port !== undefined && (parseInt(port, 10) < 1 || parseInt(port, 10) > 65535)) {
+            return { isValid: false, error: 'host port must be between 1 and 65535' };
+        }
+
+        return { isValid: true };
+    }
+}
+
+module.exports = Domain;
@@ -0,0 +1,41 @@
+class ServiceError extends Error {
+    constructor(message, statusCode = 400, code = 'BAD_REQUEST', details) {
+        super(message);
+        this.name = 'ServiceError';
+        this.statusCode = statusCode;
+        this.code = code;
+        if (details !== undefined) {
+            this.details = details;
+        }
+    }
+
+    toJSON() {
+        const body = { error: this.message, code: this.code };
+        if (this.details !== undefined) {
+            body.details = this.details;
+        }
+        return body;
+    }
+
+    static notFound(message = 'Short URL not found') {
+        return new ServiceError(message, 404, 'NOT_FOUND');
+    }
+
+    static expired(message = 'Short URL has expired') {
+        return new ServiceError(message, 410, 'EXPIRED');
+    }
+
+    static clickLimitReached(message = 'Short URL has reached its click limit') {
+        return new ServiceError(message, 410, 'CLICK_LIMIT_REACHED');
+    }
+
+    static conflict(message, code = 'CONFLICT') {
+        return new ServiceError(message, 409, code);
+    }
+
+    static validation(message, code = 'VALIDATION_ERROR', details) {
+        return new ServiceError(message, 400, code, details);
+    }
+}
+
+module.exports = ServiceError;
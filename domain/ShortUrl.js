@@ -1,15 +1,49 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
 const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
 
+const scrypt = promisify(crypto.scrypt);
+const PASSWORD_KEY_LENGTH = 32;
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 128;
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+const PERMANENT_REDIRECT_STATUSES = [301, 308];
+
 class ShortUrl {
     constructor(data = {}) {
         this.id = data.id || uuidv4();
         this.originalUrl = data.originalUrl;
         this.shortcode = data.shortcode;
+        // Custom short domain (host) whose namespace the shortcode lives in; null is the default one
+        this.domain = data.domain || null;
         this.createdAt = data.createdAt || new Date();
+        this.updatedAt = data.updatedAt || null;
         this.expiresAt = data.expiresAt;
         this.isActive = data.isActive !== false;
-        this.clicks = data.clicks || [];
+        this.ownerId = data.ownerId || null; // owner of the API key that created the link
+        // Click events live in the click repository; the link only keeps a counter
+        this.clickCount = data.clickCount || 0;
+        this.botClickCount = data.botClickCount || 0; // part of clickCount, see service/botDetector.js
+        this.lastClickAt = data.lastClickAt || null;
+        // "scrypt:<salt>:<hash>" for password-protected links, never the password itself
+        this.passwordHash = data.passwordHash || null;
+        // Optional limits: stop after maxClicks human redirects, and stay hidden until activeFrom
+        this.maxClicks = data.maxClicks || null;
+        this.activeFrom = data.activeFrom || null;
+        // Ordered conditional redirects, see service/redirectRules.js; originalUrl is the fallback
+        this.rules = data.rules || [];
+        // Weighted A/B destinations for visitors no rule matched, see service/splitTest.js
+        this.variants = data.variants || [];
+        // UTM defaults and query pass-through applied on redirect, see service/queryParams.js
+        this.queryOptions = data.queryOptions || null;
+        // HTTP status for the redirect; null means the configured default
+        this.redirectStatus = data.redirectStatus || null;
+        // Show a "you are leaving" page with a countdown instead of redirecting straight away
+        this.interstitial = data.interstitial === true;
+        // Preview of the destination page, fetched in the background (service/linkPreviewService.js)
+        this.fetchMetadata = data.fetchMetadata !== false;
+        this.metadata = data.metadata || null;
         
         // Validate required fields
         if (!this.originalUrl) {
@@ -19,24 +53,55 @@ class ShortUrl {
         if (!this.shortcode) {
             throw new Error('Shortcode is required');
         }
+
+        // Lookup key for deduplication; see normalizeUrl
+        this.normalizedUrl = data.normalizedUrl || ShortUrl.normalizeUrl(this.originalUrl);
     }
 
     addClick(clickData) {
         const click = {
             id: uuidv4(),
+            shortUrlId: this.id,
+            shortcode: this.shortcode,
             timestamp: new Date(),
-            ip: clickData.ip,
+            ip: clickData.ip || null, // only when raw IPs are retained
+            ipPrefix: clickData.ipPrefix || null,
+            visitorId: clickData.visitorId || null,
             userAgent: clickData.userAgent,
             referer: clickData.referer,
-            location: clickData.location
+            location: clickData.location,
+            ruleId: clickData.ruleId || null, // redirect rule that chose the destination, null for the fallback
+            variantId: clickData.variantId || null, // split test variant the visitor was assigned
+            destination: clickData.destination || null, // final URL the visitor was sent to
+            isBot: clickData.isBot === true,
+            botReason: clickData.botReason || null
         };
         
-        this.clicks.push(click);
+        this.clickCount += 1;
+        if (click.isBot) {
+            this.botClickCount += 1;
+        }
+        this.lastClickAt = click.timestamp;
         return click;
     }
 
+    // Shortcodes are unique per domain, so storage indexes links by this key
+    namespaceKey() {
+        return ShortUrl.namespaceKey(this.domain, this.shortcode);
+    }
+
+    isOwnedBy(ownerId) {
+        return this.ownerId === ownerId;
+    }
+
+    // Every redirect served, bots included
     getClickCount() {
-        return this.clicks.length;
+        return this.clickCount;
+    }
+
+    // What click limits count, so crawlers and link unfurlers can't use up a link
+    getHumanClickCount() {
+        return this.clickCount - this.botClickCount;
     }
 
     isExpired() {
@@ -51,19 +116,80 @@ class ShortUrl {
         return expiry.diff(now, 'minutes');
     }
 
+    isScheduled(now = new Date()) {
+        return Boolean(this.activeFrom) && new Date(this.activeFrom) > now;
+    }
+
+    hasReachedClickLimit() {
+        return this.maxClicks !== null && this.getHumanClickCount() >= this.maxClicks;
+    }
+
+    getRemainingClicks() {
+        return this.maxClicks === null ? null : Math.max(this.maxClicks - this.getHumanClickCount(), 0);
+    }
+
+    // True when the link is a bare redirect: no password, limits, schedule, rules,
+    // variants, query options or redirect settings
+    isPlain() {
+        return !this.isPasswordProtected() && this.maxClicks === null && !this.activeFrom &&
+            this.rules.length === 0 && this.variants.length === 0 && this.queryOptions === null &&
+            this.redirectStatus === null && !this.interstitial;
+    }
+
+    // Whether every visitor gets the same answer, so a permanent redirect may be
+    // cached: nothing per visitor (rules, variants, forwarded query, password) and
+    // no click limit that needs each visit to reach us
+    hasCacheableRedirect() {
+        return !this.isPasswordProtected() && this.maxClicks === null && this.rules.length === 0 &&
+            this.variants.length === 0 && !(this.queryOptions && this.queryOptions.passThrough);
+    }
+
+    isPasswordProtected() {
+        return Boolean(this.passwordHash);
+    }
+
+    async verifyPassword(password) {
+        if (!this.passwordHash || typeof password !== 'string') {
+            return false;
+        }
+
+        const [, salt, expectedHex] = this.passwordHash.split(':');
+        const expected = Buffer.from(expectedHex, 'hex');
+        const actual = await scrypt(password, salt, expected.length);
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
     toJSON() {
         return {
             id: this.id,
             originalUrl: this.originalUrl,
             shortcode: this.shortcode,
+            domain: this.domain,
             createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
             expiresAt: this.expiresAt,
             isActive: this.isActive,
+            ownerId: this.ownerId,
             clickCount: this.getClickCount(),
-            clicks: this.clicks
+            botClickCount: this.botClickCount,
+            lastClickAt: this.lastClickAt,
+            passwordProtected: this.isPasswordProtected(),
+            maxClicks: this.maxClicks,
+            activeFrom: this.activeFrom,
+            rules: this.rules,
+            variants: this.variants,
+            queryOptions: this.queryOptions,
+            redirectStatus: this.redirectStatus,
+            interstitial: this.interstitial,
+            fetchMetadata: this.fetchMetadata,
+            metadata: this.metadata
         };
     }
 
+    static namespaceKey(domain, shortcode) {
+        return `${domain || ''}/${shortcode}`;
+    }
+
     static validateShortcode(shortcode) {
         if (!shortcode || typeof shortcode !== 'string') {
             return { isValid: false, error: 'Shortcode must be a non-empty string' };
@@ -80,6 +206,66 @@ class ShortUrl {
         return { isValid: true };
     }
 
+    static validateValidity(validity, maxValidity) {
+        if (validity === undefined || validity === null) {
+            return { isValid: true };
+        }
+
+        if (!Number.isInteger(validity) || validity < 1) {
+            return { isValid: false, error: 'Validity must be a positive integer number of minutes' };
+        }
+
+        if (maxValidity && validity > maxValidity) {
+            return { isValid: false, error: `Validity must be ${maxValidity} minutes or less` };
+        }
+
+        return { isValid: true };
+    }
+
+    static validateMaxClicks(maxClicks) {
+        if (maxClicks === undefined || maxClicks === null) {
+            return { isValid: true };
+        }
+
+        if (!Number.isInteger(maxClicks) || maxClicks < 1) {
+            return { isValid: false, error: 'maxClicks must be a positive integer' };
+        }
+
+        return { isValid: true };
+    }
+
+    static validateRedirectStatus(status) {
+        if (status === undefined || status === null) {
+            return { isValid: true };
+        }
+
+        if (!REDIRECT_STATUSES.includes(status)) {
+            return { isValid: false, error: `redirectStatus must be one of: ${REDIRECT_STATUSES.join(', ')}` };
+        }
+
+        return { isValid: true };
+    }
+
+    static isPermanentRedirect(status) {
+        return PERMANENT_REDIRECT_STATUSES.includes(status);
+    }
+
+    static validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+            return {
+                isValid: false,
+                error: `Password must be a string of ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`
+            };
+        }
+        return { isValid: true };
+    }
+
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+        return `scrypt:${salt}:${hash.toString('hex')}`;
+    }
+
     static validateUrl(url) {
         try {
             new URL(url);
@@ -88,6 +274,25 @@ class ShortUrl {
             return { isValid: false, error: 'Invalid URL format' };
         }
     }
+
+    // Canonical form of a URL, so the same destination written differently maps to
+    // one key: lower-case scheme and host, no default port, no trailing slash on the
+    // path and query parameters sorted by name. Unparseable input is returned as is.
+    static normalizeUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return url;
+        }
+
+        // The WHATWG parser already lower-cases scheme and host and drops default ports
+        parsed.searchParams.sort();
+        if (parsed.pathname.length > 1) {
+            parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+        }
+        return parsed.toString();
+    }
 }
 
 module.exports = ShortUrl;
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const EVENTS = ['link.created', 'link.updated', 'link.expired', 'link.clicked'];
+const SECRET_PREFIX = 'whsec_';
+
+// A subscription of one owner to some link events, delivered to url as signed
+// POST requests. The secret has to be kept in the clear to sign with, so it is
+// only returned when the webhook is created.
+class Webhook {
+    constructor(data = {}) {
+        this.id = data.id || uuidv4();
+        this.ownerId = data.ownerId;
+        this.url = data.url;
+        this.events = data.events || [];
+        this.secret = data.secret;
+        this.createdAt = data.createdAt || new Date();
+
+        // Validate required fields
+        if (!this.ownerId) {
+            throw new Error('Owner ID is required');
+        }
+
+        if (!this.url) {
+            throw new Error('URL is required');
+        }
+
+        if (!this.secret) {
+            throw new Error('Secret is required');
+        }
+    }
+
+    isOwnedBy(ownerId) {
+        return this.ownerId === ownerId;
+    }
+
+    subscribesTo(event) {
+        return this.events.includes(event);
+    }
+
+    // Never includes the secret
+    toJSON() {
+        return {
+            id: this.id,
+            ownerId: this.ownerId,
+            url: this.url,
+            events: this.events,
+            createdAt: this.createdAt
+        };
+    }
+
+    // X-Webhook-Signature value for a request body sent at timestamp (unix seconds):
+    // "t=<timestamp>,v1=<hex HMAC-SHA256 of `${timestamp}.${body}`>"
+    sign(body, timestamp) {
+        const digest = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+        return `t=${timestamp},v1=${digest}`;
+    }
+
+    static generateSecret() {
+        return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+    }
+
+    static validateEvents(events) {
+        if (!Array.isArray(events) || events.length === 0) {
+            return { isValid: false, error: `events must be a non-empty array of: ${EVENTS.join(', ')}` };
+        }
+
+        const unknown = events.filter(event => !EVENTS.includes(event));
+        if (unknown.length > 0) {
+            return { isValid: false, error: `Unknown events: ${unknown.join(', ')} (expected any of: ${EVENTS.join(', ')})` };
+        }
+
+        return { isValid: true };
+    }
+
+    static validateSecret(secret) {
+        if (typeof secret !== 'string' || secret.length < 16 || secret.length > 128) {
+            return { isValid: false, error: 'secret must be a string of 16 to 128 characters' };
+        }
+        return { isValid: true };
+    }
+}
+
+Webhook.EVENTS = EVENTS;
+
+module.exports = Webhook;
@@ -1,31 +1,96 @@
-const express = require('express');
 const mongoose = require('mongoose');
 const Logger = require('./logger/logger');
-const urlRoutes = require('./route/urlRoutes');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-app.use(express.json());
-
-mongoose.connect('mongodb://localhost:27017/urlshortener', {
-    useNewUrlParser: true,
-    useUnifiedTopology: true
-})
-.then(() => {
-    Logger.log('info', 'db', 'Connected to MongoDB');
-    console.log('Connected to MongoDB');
-})
-.catch((error) => {
-    Logger.log('error', 'db', 'MongoDB connection error');
-    console.error('MongoDB connection error:', error);
-    process.exit(1);
-});
+const config = require('./config/config');
+const {
+    createUrlRepository,
+    createClickRepository,
+    createApiKeyRepository,
+    createSequenceRepository,
+    createVisitorSketchRepository,
+    createDomainRepository,
+    createWebhookRepository
+} = require('./repository');
+const { createShortcodeGenerator } = require('./shortcode');
+const UrlService = require('./service/urlService');
+const ApiKeyService = require('./service/apiKeyService');
+const LinkPreviewService = require('./service/linkPreviewService');
+const DomainService = require('./service/domainService');
+const WebhookService = require('./service/webhookService');
+const UrlPolicy = require('./service/urlPolicy');
+const CleanupJob = require('./cron_job/cleanupJob');
+const createApp = require('./app');
+
+const PORT = config.port;
+
+const connectStorage = async () => {
+    if (config.storage.backend !== 'mongo') {
+        return;
+    }
+
+    try {
+        await mongoose.connect(config.storage.mongoUri);
+        Logger.log('info', 'db', 'Connected to MongoDB');
+    } catch (error) {
+        Logger.log('fatal', 'db', `MongoDB connection error: ${error.message}`);
+        await Logger.close();
+        process.exit(1);
+    }
+};
+
+const start = async () => {
+    await connectStorage();
 
-// Mount routes
-app.use('/', urlRoutes);
+    const urlRepository = createUrlRepository();
+    const clickRepository = createClickRepository();
+    const shortcodeGenerator = createShortcodeGenerator(config.shortcodeGenerator, {
+        sequenceRepository: createSequenceRepository()
+    });
+    // Shared so registered domains count as own hosts wherever URLs are checked
+    const urlPolicy = new UrlPolicy();
+    const linkPreviews = config.linkPreviews.enabled ? new LinkPreviewService(urlRepository, { urlPolicy }) : null;
+    const visitorSketches = config.visitors.uniqueCounting === 'sketch' ? createVisitorSketchRepository() : null;
+    const domainService = new DomainService(createDomainRepository(), { urlRepository, urlPolicy });
+    await domainService.load();
+    const webhookService = config.webhooks.enabled ? new WebhookService(createWebhookRepository(), { urlPolicy }) : null;
+    if (webhookService) {
+        await webhookService.resume();
+    }
+    const urlService = new UrlService(urlRepository, clickRepository, {
+        shortcodeGenerator,
+        urlPolicy,
+        linkPreviews,
+        visitorSketches,
+        domainService,
+        webhooks: webhookService
+    });
+    const apiKeyService = new ApiKeyService(createApiKeyRepository());
+    const cleanupJob = new CleanupJob(urlService, { webhooks: webhookService });
 
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-    Logger.log('info', 'service', `Server started on port ${PORT}`);
-});
\ No newline at end of file
+    const app = createApp({ urlService, apiKeyService, domainService, webhookService });
+
+    cleanupJob.start();
+
+    const server = app.listen(PORT, () => {
+        Logger.log('info', 'service', `Server started on port ${PORT}`);
+    });
+
+    // Buffered log entries are written out; remote ones not yet shipped are
+    // spilled to disk and sent by the next start
+    const shutdown = async (signal) => {
+        Logger.log('info', 'service', `${signal} received, shutting down`);
+        cleanupJob.stop();
+        server.close();
+        await Logger.close();
+        process.exit(0);
+    };
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
+};
+
+// Anything failing before the server listens (loading domains, resuming
+// webhook deliveries, ...) ends the process cleanly, with the reason logged
+start().catch(async (error) => {
+    Logger.log('fatal', 'service', `Startup failed: ${error.message}`);
+    await Logger.close();
+    process.exit(1);
+});
@@ -1,25 +1,74 @@
 const axios = require('axios');
 
-const getAuthToken = async () => {
-    try {
-        const response = await axios.post('http://20.244.56.144/evaluation-service/auth', {
-            email: "2215403@nec.edu.in",
-            name: "mariappan r", 
-            rollNo: "2215403",
-            accessCode: "xsZTTn",
-            clientID: "68ed252e-d0e0-4b8c-947b-63a72655f578",
-            clientSecret: "FqpQnDPxqnjdtNCB"
-        });
-
-        if (!response.data?.access_token) {
-            throw new Error('No access token in response');
-        }
+// Used when the auth response doesn't say how long its token lasts
+const DEFAULT_TOKEN_TTL_MS = 10 * 60 * 1000;
+
+// expires_in is an absolute unix time on the evaluation service; smaller
+// values are read as a lifetime in seconds
+const tokenExpiry = (expiresIn, now) => {
+    const value = Number(expiresIn);
+    if (!Number.isFinite(value) || value <= 0) {
+        return now + DEFAULT_TOKEN_TTL_MS;
+    }
+    return value > 1e9 ? value * 1000 : now + value * 1000;
+};
 
-        return response.data.access_token;
-    } catch (error) {
-        console.error('Auth Error:', error.message);
-        throw error;
+// options.authUrl and options.credentials come from config.evaluationService
+// Failures are left to the caller, which logs them (see LogShipper#drain)
+const fetchAuthToken = async (options = {}) => {
+    const response = await axios.post(options.authUrl, options.credentials, {
+        timeout: options.timeoutMs
+    });
+
+    if (!response.data?.access_token) {
+        throw new Error('No access token in response');
     }
+
+    return {
+        token: response.data.access_token,
+        expiresAt: tokenExpiry(response.data.expires_in, Date.now())
+    };
 };
 
-module.exports = { getAuthToken };
\ No newline at end of file
+const getAuthToken = async (options) => (await fetchAuthToken(options)).token;
+
+/**
+ * Hands out the same token until shortly before it expires. Concurrent callers
+ * share one in-flight auth request.
+ */
+class TokenCache {
+    constructor(options = {}) {
+        this.fetchToken = options.fetchToken || (() => fetchAuthToken(options));
+        this.refreshMarginMs = options.refreshMarginMs ?? 30 * 1000;
+        this.token = null;
+        this.expiresAt = 0;
+        this.pending = null;
+    }
+
+    async get() {
+        if (this.token && Date.now() < this.expiresAt - this.refreshMarginMs) {
+            return this.token;
+        }
+
+        if (!this.pending) {
+            this.pending = this.fetchToken()
+                .then(({ token, expiresAt }) => {
+                    this.token = token;
+                    this.expiresAt = expiresAt;
+                    return token;
+                })
+                .finally(() => {
+                    this.pending = null;
+                });
+        }
+        return this.pending;
+    }
+
+    // Forget the token, e.g. after the log endpoint rejected it
+    invalidate() {
+        this.token = null;
+        this.expiresAt = 0;
+    }
+}
+
+module.exports = { getAuthToken, fetchAuthToken, TokenCache };
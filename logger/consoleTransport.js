@@ -0,0 +1,18 @@
+const Transport = require('./transport');
+
+// One readable line per entry, with whatever context and meta it carries
+class ConsoleTransport extends Transport {
+    write(entry) {
+        const { timestamp, level, message, ...fields } = entry;
+        const line = `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+        const stream = Transport.LEVELS[level] >= Transport.LEVELS.error ? console.error : console.log;
+
+        if (Object.keys(fields).length > 0) {
+            stream(line, fields);
+        } else {
+            stream(line);
+        }
+    }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const Transport = require('./transport');
+
+/**
+ * JSON lines in one file per level (info.log, error.log, ...) under dir. Lines are
+ * buffered and appended in the background, one append per file at a time. A
+ * file that would grow past maxBytes is first rotated: info.log becomes
+ * info.log.1, info.log.1 becomes info.log.2 and so on, keeping maxFiles of them.
+ */
+class FileTransport extends Transport {
+    constructor(options = {}) {
+        super(options);
+        this.dir = options.dir || path.join(__dirname, '../logs');
+        this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 5;
+
+        this.files = new Map(); // level -> { buffer, size, writing }
+    }
+
+    write(entry) {
+        const line = JSON.stringify({ ...entry, level: entry.level.toUpperCase() }) + '\n';
+        const file = this.fileFor(entry.level);
+
+        file.buffer.push(line);
+        if (!file.writing) {
+            file.writing = this.drain(entry.level, file);
+        }
+    }
+
+    fileFor(level) {
+        if (!this.files.has(level)) {
+            this.files.set(level, { buffer: [], size: null, writing: null });
+        }
+        return this.files.get(level);
+    }
+
+    // Appends until the buffer stays empty; entries written meanwhile join the next append
+    async drain(level, file) {
+        const filePath = path.join(this.dir, `${level}.log`);
+        try {
+            if (file.size === null) {
+                await fs.promises.mkdir(this.dir, { recursive: true });
+                file.size = await fs.promises.stat(filePath).then(stats => stats.size, () => 0);
+            }
+
+            while (file.buffer.length > 0) {
+                // As many lines as still fit; a file always takes at least one
+                let bytes = 0;
+                let count = 0;
+                while (count < file.buffer.length) {
+                    const lineBytes = Buffer.byteLength(file.buffer[count]);
+                    if (file.size + bytes + lineBytes > this.maxBytes && file.size + bytes > 0) break;
+                    bytes += lineBytes;
+                    count += 1;
+                }
+
+                if (count === 0) {
+                    await this.rotate(filePath);
+                    file.size = 0;
+                    continue;
+                }
+                await fs.promises.appendFile(filePath, file.buffer.splice(0, count).join(''));
+                file.size += bytes;
+            }
+        } catch (error) {
+            this.reportFailure(new Error(`Writing ${filePath} failed: ${error.message}`));
+            file.buffer = [];
+        } finally {
+            file.writing = null;
+        }
+    }
+
+    async rotate(filePath) {
+        for (let index = this.maxFiles - 1; index >= 1; index -= 1) {
+            await fs.promises.rename(`${filePath}.${index}`, `${filePath}.${index + 1}`).catch(() => {});
+        }
+        await fs.promises.rename(filePath, `${filePath}.1`);
+    }
+
+    async flush() {
+        await Promise.all([...this.files.values()].map(file => file.writing));
+    }
+}
+
+module.exports = FileTransport;
@@ -2,41 +2,27 @@ const axios = require('axios');
 
 const MAX_MESSAGE_LENGTH = 48;
 
-const sendLog = async (token, level, packageName, message) => {
-    try {
-        const truncatedMessage = message.substring(0, MAX_MESSAGE_LENGTH);
-        
-        console.log('Sending log:', {
-            level,
+// Failures are left to the caller, which logs them (see LogShipper#drain)
+const sendLog = async (token, level, packageName, message, options = {}) => {
+    const truncatedMessage = message.substring(0, MAX_MESSAGE_LENGTH);
+
+    const response = await axios.post(options.logUrl,
+        {
+            stack: "backend",
+            level: level,
             package: packageName,
             message: truncatedMessage
-        });
-
-        const response = await axios.post('http://20.244.56.144/evaluation-service/logs', 
-            {
-                stack: "backend",
-                level: level,
-                package: packageName,
-                message: truncatedMessage
+        },
+        {
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
             },
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+            timeout: options.timeoutMs
+        }
+    );
 
-        console.log('Log response:', response.status, response.data);
-        return response.data;
-    } catch (error) {
-        console.error('Log Error Details:', {
-            status: error.response?.status,
-            data: error.response?.data,
-            message: error.message
-        });
-        throw error;
-    }
+    return response.data;
 };
 
-module.exports = { sendLog };
\ No newline at end of file
+module.exports = { sendLog };
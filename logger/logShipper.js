@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./structuredLogger');
+const { TokenCache } = require('./authService');
+const { sendLog } = require('./logService');
+
+/**
+ * Ships evaluation-service log entries off the request path. enqueue() only
+ * appends to a bounded in-memory queue; a background flush sends the queued
+ * entries with a cached auth token. The endpoint takes one entry per request, so
+ * a flush of n entries makes n requests, one after another and in order. A flush
+ * starts early once flushThreshold entries are waiting. When the endpoint fails,
+ * flushing backs off exponentially, and after maxAttempts failures in a row the
+ * queue is spilled to spillFile (one JSON entry per line). Entries that overflow
+ * the queue are spilled too. Once a flush succeeds again the spill file is replayed.
+ */
+class LogShipper {
+    constructor(options = {}) {
+        this.settings = {
+            flushThreshold: 20,
+            flushIntervalMs: 1000,
+            maxQueueSize: 1000,
+            retryDelayMs: 1000,
+            maxRetryDelayMs: 60 * 1000,
+            maxAttempts: 3,
+            timeoutMs: 5000,
+            maxSpillBytes: 10 * 1024 * 1024,
+            spillFile: path.join(__dirname, '../logs/remote-spill.ndjson'),
+            ...options
+        };
+        this.tokens = options.tokens || new TokenCache(this.settings);
+        this.send = options.send || ((token, entry) => sendLog(token, entry.level, entry.package, entry.message, this.settings));
+
+        this.queue = [];
+        this.inFlight = null; // entry being sent, which an overflow must not spill
+        this.failures = 0; // consecutive failed flushes
+        this.timer = null;
+        this.timerDueAt = 0;
+        this.flushing = null;
+        this.closed = false;
+        // Spill file appends and replays run one at a time in order
+        this.fileOps = Promise.resolve();
+        this.replayFile = `${this.settings.spillFile}.replay`;
+        this.hasSpill = fs.existsSync(this.settings.spillFile) || fs.existsSync(this.replayFile);
+        this.dropped = 0;
+
+        // Entries left behind by an earlier process
+        if (this.hasSpill) {
+            this.schedule(this.settings.flushIntervalMs);
+        }
+    }
+
+    enqueue(level, packageName, message) {
+        if (this.closed) return;
+
+        this.queue.push({ level, package: packageName, message });
+        if (this.queue.length > this.settings.maxQueueSize) {
+            const overflow = this.queue.splice(0, this.queue.length - this.settings.maxQueueSize);
+            this.spill(overflow.filter(entry => entry !== this.inFlight));
+        }
+
+        // While the endpoint is failing the backoff timer decides when to flush
+        if (this.failures === 0) {
+            this.schedule(this.queue.length >= this.settings.flushThreshold ? 0 : this.settings.flushIntervalMs);
+        }
+    }
+
+    // Keeps one flush pending, whichever is due first
+    schedule(delay) {
+        const dueAt = Date.now() + delay;
+        if (this.closed || (this.timer && this.timerDueAt <= dueAt)) return;
+
+        clearTimeout(this.timer);
+        this.timerDueAt = dueAt;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, delay);
+        this.timer.unref();
+    }
+
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.drain().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async drain() {
+        try {
+            if (this.hasSpill) {
+                await this.replay();
+            }
+
+            let sent = 0;
+            while (this.queue.length > 0) {
+                sent += await this.sendEntries(this.queue.slice());
+            }
+            if (sent > 0 && this.failures > 0) {
+                logger.info('Remote log endpoint reachable again', { failures: this.failures });
+                this.failures = 0;
+            }
+            // More spilled entries than the queue had room for
+            if (this.hasSpill) {
+                this.schedule(0);
+            }
+        } catch (error) {
+            this.failures += 1;
+            const delay = Math.min(this.settings.retryDelayMs * 2 ** (this.failures - 1), this.settings.maxRetryDelayMs);
+            logger.warn('Shipping remote logs failed', {
+                failures: this.failures,
+                retryIn: delay,
+                status: error.response?.status,
+                error: error.message
+            });
+
+            if (this.failures >= this.settings.maxAttempts) {
+                this.spill(this.queue.splice(0));
+            }
+            this.schedule(delay);
+        }
+    }
+
+    // Entries leave the queue only once sent, so a failure keeps the rest in order.
+    // An overflow during a send moves the oldest entries to the spill file: those
+    // are skipped here and replayed from there. The entry being sent is kept out of
+    // the spill unless its send fails, so it is shipped exactly once either way.
+    async sendEntries(entries) {
+        let sent = 0;
+        for (const entry of entries) {
+            if (!this.queue.includes(entry)) continue;
+
+            this.inFlight = entry;
+            try {
+                await this.sendEntry(entry);
+            } catch (error) {
+                if (!this.queue.includes(entry)) {
+                    this.spill([entry]);
+                }
+                throw error;
+            } finally {
+                this.inFlight = null;
+            }
+
+            const index = this.queue.indexOf(entry);
+            if (index !== -1) {
+                this.queue.splice(index, 1);
+            }
+            sent += 1;
+        }
+        return sent;
+    }
+
+    async sendEntry(entry) {
+        const token = await this.tokens.get();
+        try {
+            await this.send(token, entry);
+        } catch (error) {
+            // A token revoked or expired early is fetched again on the next attempt
+            if (error.response?.status === 401) {
+                this.tokens.invalidate();
+            }
+            throw error;
+        }
+    }
+
+    spill(entries) {
+        if (entries.length === 0) return this.fileOps;
+
+        this.hasSpill = true;
+        this.fileOps = this.fileOps.then(async () => {
+            try {
+                const { spillFile, maxSpillBytes } = this.settings;
+                const data = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+                const size = await fs.promises.stat(spillFile).then(stats => stats.size, () => 0);
+
+                if (size + Buffer.byteLength(data) > maxSpillBytes) {
+                    this.dropped += entries.length;
+                    logger.error('Remote log spill file full, dropping entries', { dropped: entries.length, spillFile });
+                    return;
+                }
+
+                await fs.promises.mkdir(path.dirname(spillFile), { recursive: true });
+                await fs.promises.appendFile(spillFile, data);
+                logger.warn('Remote log entries spilled to disk', { count: entries.length, spillFile });
+            } catch (error) {
+                this.dropped += entries.length;
+                logger.error('Error spilling remote log entries', { count: entries.length, error: error.message });
+            }
+        });
+        return this.fileOps;
+    }
+
+    // Moves the spill file aside and puts its entries back at the front of the
+    // queue, since they are older. A replay file left by a crash mid-replay is
+    // picked up first. Entries beyond the queue's room are spilled again.
+    replay() {
+        this.fileOps = this.fileOps.then(async () => {
+            try {
+                const { spillFile } = this.settings;
+                if (!fs.existsSync(this.replayFile)) {
+                    if (!fs.existsSync(spillFile)) {
+                        this.hasSpill = false;
+                        return;
+                    }
+                    await fs.promises.rename(spillFile, this.replayFile);
+                }
+
+                const content = await fs.promises.readFile(this.replayFile, 'utf8');
+                await fs.promises.unlink(this.replayFile);
+                this.hasSpill = fs.existsSync(spillFile);
+
+                const entries = content.split('\n').filter(Boolean).flatMap((line) => {
+                    try {
+                        return [JSON.parse(line)];
+                    } catch (error) {
+                        return [];
+                    }
+                });
+                logger.info('Replaying spilled remote log entries', { count: entries.length });
+
+                const room = Math.max(this.settings.maxQueueSize - this.queue.length, 0);
+                this.queue.unshift(...entries.slice(0, room));
+                if (entries.length > room) {
+                    this.spill(entries.slice(room));
+                }
+            } catch (error) {
+                logger.error('Error replaying spilled remote log entries', { error: error.message });
+            }
+        });
+        return this.fileOps;
+    }
+
+    // Stops flushing and writes whatever is still queued to the spill file, so the
+    // next process replays it
+    async close() {
+        this.closed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.flushing) {
+            await this.flushing;
+        }
+        await this.spill(this.queue.splice(0));
+    }
+}
+
+module.exports = LogShipper;
@@ -1,12 +1,17 @@
-const { getAuthToken } = require('./authService');
-const { sendLog } = require('./logService');
+const { logger, closeLogging } = require('./index');
+const { PACKAGES } = require('./remoteTransport');
+const { LEVELS } = require('./transport');
 
-const validLevels = ['debug', 'info', 'warn', 'error', 'fatal'];
-const validPackages = ['cache', 'controller', 'cron_job', 'db', 'domain', 
-                      'handler', 'repository', 'route', 'service'];
+const validLevels = Object.keys(LEVELS);
+const validPackages = PACKAGES;
+
+// One child per package, carrying { package } into every entry
+const packageLoggers = new Map();
 
 class Logger {
-    static async log(level, packageName, message) {
+    // Same pipeline as logger.info(message, meta): the entry goes to every
+    // configured transport and the call returns before any of them write
+    static log(level, packageName, message) {
         try {
             if (!validLevels.includes(level)) {
                 throw new Error('Invalid log level');
@@ -15,13 +20,21 @@ class Logger {
                 throw new Error('Invalid package name');
             }
 
-            const token = await getAuthToken();
-            await sendLog(token, level, packageName, message);
+            if (!packageLoggers.has(packageName)) {
+                packageLoggers.set(packageName, logger.child({ package: packageName }));
+            }
+            packageLoggers.get(packageName).log(level, String(message));
         } catch (error) {
-            console.error('Logging failed:', error.message);
-            // Don't throw here - we don't want logging failures to crash the app
+            // Don't throw here - we don't want logging failures to crash the app.
+            // packageName rather than package, so the remote transport never ships this.
+            logger.error('Logging failed', { error: error.message, level, packageName, logMessage: String(message) });
         }
     }
+
+    // Writes out buffered entries and spills unsent remote ones; call on shutdown
+    static async close() {
+        await closeLogging();
+    }
 }
 
-module.exports = Logger;
\ No newline at end of file
+module.exports = Logger;
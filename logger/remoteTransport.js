@@ -0,0 +1,47 @@
+const Transport = require('./transport');
+const LogShipper = require('./logShipper');
+
+// What the evaluation service accepts in an entry's package field
+const PACKAGES = ['cache', 'controller', 'cron_job', 'db', 'domain',
+                  'handler', 'repository', 'route', 'service'];
+
+/**
+ * Sends entries to the evaluation service through a LogShipper. Only entries
+ * whose context names one of the service's packages are sent, so a logger has to
+ * be a child with { package } for its entries to leave the process.
+ */
+class RemoteTransport extends Transport {
+    constructor(options = {}) {
+        super(options);
+        this.options = options;
+        // Created on first write so an unused transport starts no timers
+        this.shipper = options.shipper || null;
+    }
+
+    write(entry) {
+        if (!PACKAGES.includes(entry.package)) {
+            return;
+        }
+
+        if (!this.shipper) {
+            this.shipper = new LogShipper(this.options);
+        }
+        this.shipper.enqueue(entry.level, entry.package, String(entry.message));
+    }
+
+    async flush() {
+        if (this.shipper) {
+            await this.shipper.flush();
+        }
+    }
+
+    // Entries not yet sent are spilled to disk for the next process
+    async close() {
+        if (this.shipper) {
+            await this.shipper.close();
+        }
+    }
+}
+
+module.exports = RemoteTransport;
+module.exports.PACKAGES = PACKAGES;
@@ -0,0 +1,128 @@
+const Transport = require('./transport');
+const ConsoleTransport = require('./consoleTransport');
+
+/**
+ * The one logger behind both logging styles. An entry goes to every transport
+ * whose level it meets; transports write in the background, so logging never
+ * waits on a file or the network.
+ *
+ * child(context) returns a logger whose entries also carry context (a package,
+ * a request id, ...). Children share their parent's transports, including ones
+ * set later with setTransports().
+ *
+ * Problems with logging itself (an unknown level, a transport that fails) are
+ * logged as errors on the transports still working, never straight to the console.
+ */
+class StructuredLogger {
+    constructor(options = {}) {
+        // Shared with every child
+        this.sink = options.sink || { transports: this.watch(options.transports || []) };
+        this.context = options.context || {};
+    }
+
+    child(context = {}) {
+        return new StructuredLogger({ sink: this.sink, context: { ...this.context, ...context } });
+    }
+
+    get transports() {
+        return this.sink.transports;
+    }
+
+    // Replaces the transports and closes the old ones
+    async setTransports(transports) {
+        const previous = this.sink.transports;
+        this.watch(transports);
+        this.sink.transports = transports;
+        await Promise.all(previous.filter(transport => !transports.includes(transport)).map(transport => transport.close()));
+    }
+
+    // Background failures of these transports are reported on the others
+    watch(transports) {
+        transports.forEach((transport) => {
+            transport.onFailure = error => this.transportFailed(transport, error);
+        });
+        return transports;
+    }
+
+    // Logged on every transport but the failed one. Should those fail as well,
+    // there is nowhere left to report it and the entry is dropped.
+    transportFailed(failed, error) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: 'error',
+            message: 'Log transport failed',
+            transport: failed.constructor.name,
+            error: error.message
+        };
+
+        this.sink.transports.forEach((transport) => {
+            if (transport === failed || !transport.accepts('error')) return;
+            try {
+                transport.write(entry);
+            } catch (ignored) {
+                // Dropped, see above
+            }
+        });
+    }
+
+    log(level, message, meta = {}) {
+        // Logging never throws into the caller
+        if (Transport.LEVELS[level] === undefined) {
+            this.error('Invalid log level', { requestedLevel: level, logMessage: String(message) });
+            return;
+        }
+
+        // Core fields last, so context or meta can't overwrite them
+        const entry = {
+            ...this.context,
+            ...meta,
+            timestamp: new Date().toISOString(),
+            level,
+            message
+        };
+
+        this.sink.transports.forEach((transport) => {
+            if (!transport.accepts(level)) return;
+            try {
+                transport.write(entry);
+            } catch (error) {
+                this.transportFailed(transport, error);
+            }
+        });
+    }
+
+    debug(message, meta) {
+        this.log('debug', message, meta);
+    }
+
+    info(message, meta) {
+        this.log('info', message, meta);
+    }
+
+    warn(message, meta) {
+        this.log('warn', message, meta);
+    }
+
+    error(message, meta) {
+        this.log('error', message, meta);
+    }
+
+    fatal(message, meta) {
+        this.log('fatal', message, meta);
+    }
+
+    async flush() {
+        await Promise.all(this.sink.transports.map(transport => transport.flush()));
+    }
+
+    async close() {
+        await this.setTransports([]);
+    }
+}
+
+// The application's root logger. Until configureLogging() (logger/index.js) runs
+// with the loaded configuration, only problems are shown, on the console.
+const logger = new StructuredLogger({ transports: [new ConsoleTransport({ level: 'warn' })] });
+
+module.exports = StructuredLogger;
+module.exports.logger = logger;
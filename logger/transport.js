@@ -0,0 +1,52 @@
+const LEVELS = {
+    debug: 0,
+    info: 1,
+    warn: 2,
+    error: 3,
+    fatal: 4
+};
+
+/**
+ * Contract shared by every log destination. Each transport has its own minimum
+ * level. An entry is a plain object:
+ *
+ *   { timestamp, level, message, ...context, ...meta }
+ *
+ * where context comes from the (child) logger and meta from the call. write()
+ * must return at once; slow destinations buffer and write in the background.
+ * Failures in the background go to reportFailure(), which the logger owning the
+ * transport points at its other transports.
+ */
+class Transport {
+    constructor(options = {}) {
+        this.level = options.level || 'info';
+        // Set by StructuredLogger; called with the Error of a failed write
+        this.onFailure = null;
+    }
+
+    reportFailure(error) {
+        if (this.onFailure) {
+            this.onFailure(error);
+        }
+    }
+
+    accepts(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    /** Take one entry. Must not block or throw. */
+    write(entry) {
+        throw new Error(`${this.constructor.name} must implement write()`);
+    }
+
+    /** Resolve once everything written so far has reached the destination. */
+    async flush() {}
+
+    /** Flush and release files, timers and connections. */
+    async close() {
+        await this.flush();
+    }
+}
+
+module.exports = Transport;
+module.exports.LEVELS = LEVELS;
@@ -0,0 +1,62 @@
+const { logger, loggedIp } = require('./logger');
+
+const extractApiKey = (req) => {
+    const headerKey = req.get('X-API-Key');
+    if (headerKey) return headerKey;
+
+    const authorization = req.get('Authorization') || '';
+    const [scheme, token] = authorization.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+// authenticate resolves any presented key to req.principal; the require* guards
+// then decide per route whether a principal (or an admin one) is needed. An
+// unknown or revoked key only sets req.invalidApiKey, so public routes such as
+// the redirect still serve the request, and the guards answer INVALID_API_KEY.
+const createApiKeyAuth = (apiKeyService) => {
+    const authenticate = async (req, res, next) => {
+        const apiKey = extractApiKey(req);
+        if (!apiKey) {
+            return next();
+        }
+
+        try {
+            const principal = await apiKeyService.authenticate(apiKey);
+            if (!principal) {
+                logger.warn('Invalid API key presented', { method: req.method, url: req.originalUrl, ip: loggedIp(req) });
+                req.invalidApiKey = true;
+                return next();
+            }
+
+            req.principal = principal;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    const rejectUnauthenticated = (req, res) => (req.invalidApiKey
+        ? res.status(401).json({ error: 'Invalid or revoked API key', code: 'INVALID_API_KEY' })
+        : res.status(401).json({ error: 'API key required', code: 'UNAUTHENTICATED' }));
+
+    const requireApiKey = (req, res, next) => {
+        if (!req.principal) {
+            return rejectUnauthenticated(req, res);
+        }
+        next();
+    };
+
+    const requireAdmin = (req, res, next) => {
+        if (!req.principal) {
+            return rejectUnauthenticated(req, res);
+        }
+        if (req.principal.role !== 'admin') {
+            return res.status(403).json({ error: 'Admin API key required', code: 'FORBIDDEN' });
+        }
+        next();
+    };
+
+    return { authenticate, requireApiKey, requireAdmin };
+};
+
+module.exports = { createApiKeyAuth, extractApiKey };
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const config = require('../config/config');
+
+const MAX_KEY_LENGTH = 255;
+
+// Remembers the response sent for each idempotency key until ttlMs passes.
+// begin() reserves a key and returns null, or returns the entry already held
+// for it, so two concurrent requests with one key can never both run.
+class MemoryIdempotencyStore {
+    constructor({ ttlMs }) {
+        this.ttlMs = ttlMs;
+        this.entries = new Map();
+        this.cleanupInterval = setInterval(() => this.cleanup(), Math.min(ttlMs, 60 * 60 * 1000));
+        this.cleanupInterval.unref(); // Don't keep the process alive just for housekeeping
+    }
+
+    async begin(key, fingerprint) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry;
+        }
+
+        this.entries.set(key, { fingerprint, state: 'pending', expiresAt: Date.now() + this.ttlMs });
+        return null;
+    }
+
+    async complete(key, response) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            Object.assign(entry, response, { state: 'done' });
+        }
+    }
+
+    async release(key) {
+        this.entries.delete(key);
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries.entries()) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    destroy() {
+        clearInterval(this.cleanupInterval);
+        this.entries.clear();
+    }
+}
+
+// Stores by name; a shared store only needs an entry here implementing begin/complete/release
+const stores = {
+    memory: (options) => new MemoryIdempotencyStore(options)
+};
+
+const createStore = (name, options) => {
+    const factory = stores[name];
+    if (!factory) {
+        throw new Error(`Unknown idempotency store "${name}" (expected one of: ${Object.keys(stores).join(', ')})`);
+    }
+    return factory(options);
+};
+
+const fingerprintOf = (req) => crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body === undefined ? null : req.body)}`)
+    .digest('hex');
+
+// Replays the stored response when a request repeats its Idempotency-Key header.
+// Keys are scoped to the caller and route, and a key may not be reused for a
+// different request. 5xx responses are not stored, so those can be retried.
+const createIdempotency = (idempotencyConfig = config.idempotency) => {
+    const store = createStore(idempotencyConfig.store, { ttlMs: idempotencyConfig.ttlMs });
+
+    const middleware = async (req, res, next) => {
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (idempotencyKey === undefined) {
+            return next();
+        }
+
+        if (!idempotencyKey || idempotencyKey.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({
+                error: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+                code: 'INVALID_IDEMPOTENCY_KEY'
+            });
+        }
+
+        try {
+            const caller = req.principal ? `owner:${req.principal.ownerId}` : `ip:${req.ip}`;
+            const key = `${caller} ${req.method} ${req.baseUrl}${req.path} ${idempotencyKey}`;
+            const fingerprint = fingerprintOf(req);
+
+            const existing = await store.begin(key, fingerprint);
+            if (existing) {
+                if (existing.fingerprint !== fingerprint) {
+                    return res.status(422).json({
+                        error: 'Idempotency-Key was already used for a different request',
+                        code: 'IDEMPOTENCY_KEY_REUSED'
+                    });
+                }
+                if (existing.state === 'pending') {
+                    return res.status(409).json({
+                        error: 'A request with this Idempotency-Key is still being processed',
+                        code: 'IDEMPOTENCY_IN_PROGRESS'
+                    });
+                }
+
+                logger.info('Replaying idempotent response', { key, statusCode: existing.statusCode });
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.statusCode).json(existing.body);
+            }
+
+            let settled = false;
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                settled = true;
+                const outcome = res.statusCode < 500
+                    ? store.complete(key, { statusCode: res.statusCode, body })
+                    : store.release(key);
+                outcome.catch(error => logger.error('Error saving idempotent response', { key, error: error.message }));
+                return json(body);
+            };
+
+            // A request that never produced a JSON body must not hold its key forever
+            res.on('close', () => {
+                if (!settled) {
+                    store.release(key).catch(() => {});
+                }
+            });
+
+            return next();
+        } catch (error) {
+            logger.error('Idempotency check failed', { error: error.message });
+            return next(error);
+        }
+    };
+
+    middleware.store = store;
+    return middleware;
+};
+
+module.exports = { createIdempotency, MemoryIdempotencyStore, stores };
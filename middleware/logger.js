@@ -1,96 +1,29 @@
-const fs = require('fs');
-const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../logger');
+const config = require('../config/config');
+const { truncateIp } = require('../service/visitorPrivacy');
 
-class Logger {
-    constructor() {
-        this.logLevels = {
-            debug: 0,
-            info: 1,
-            warn: 2,
-            error: 3,
-            fatal: 4
-        };
-        
-        this.currentLevel = process.env.LOG_LEVEL || 'info';
-        this.logDir = path.join(__dirname, '../logs');
-        
-        // Create logs directory if it doesn't exist
-        if (!fs.existsSync(this.logDir)) {
-            fs.mkdirSync(this.logDir, { recursive: true });
-        }
-    }
+// Accepted from upstream proxies when it looks like an id, generated otherwise
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
 
-    _getTimestamp() {
-        return new Date().toISOString();
-    }
+// What logs keep of the client address: its network prefix, like stored clicks,
+// or the full IP only when visitors.retainRawIp is on
+const loggedIp = req => (config.visitors.retainRawIp ? req.ip : truncateIp(req.ip));
 
-    _writeLog(level, message, meta = {}) {
-        const timestamp = this._getTimestamp();
-        const logEntry = {
-            timestamp,
-            level: level.toUpperCase(),
-            message,
-            ...meta
-        };
-
-        const logString = JSON.stringify(logEntry) + '\n';
-        const logFile = path.join(this.logDir, `${level}.log`);
-        
-        fs.appendFileSync(logFile, logString);
-        
-        // Also log to console for development
-        if (process.env.NODE_ENV === 'development') {
-            console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, meta);
-        }
-    }
-
-    _shouldLog(level) {
-        return this.logLevels[level] >= this.logLevels[this.currentLevel];
-    }
-
-    debug(message, meta = {}) {
-        if (this._shouldLog('debug')) {
-            this._writeLog('debug', message, meta);
-        }
-    }
-
-    info(message, meta = {}) {
-        if (this._shouldLog('info')) {
-            this._writeLog('info', message, meta);
-        }
-    }
-
-    warn(message, meta = {}) {
-        if (this._shouldLog('warn')) {
-            this._writeLog('warn', message, meta);
-        }
-    }
-
-    error(message, meta = {}) {
-        if (this._shouldLog('error')) {
-            this._writeLog('error', message, meta);
-        }
-    }
-
-    fatal(message, meta = {}) {
-        if (this._shouldLog('fatal')) {
-            this._writeLog('fatal', message, meta);
-        }
-    }
-}
-
-// Create logger instance
-const logger = new Logger();
-
-// Middleware function for Express
+// Middleware function for Express. Gives every request an id, echoed in
+// X-Request-Id, and a child logger on req.log whose entries carry it.
 const loggingMiddleware = (req, res, next) => {
     const start = Date.now();
-    
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : uuidv4();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
     // Log request
-    logger.info('Incoming request', {
+    req.log.info('Incoming request', {
         method: req.method,
         url: req.url,
-        ip: req.ip,
+        ip: loggedIp(req),
         userAgent: req.get('User-Agent'),
         referer: req.get('Referer')
     });
@@ -99,19 +32,19 @@ const loggingMiddleware = (req, res, next) => {
     const originalEnd = res.end;
     res.end = function(chunk, encoding) {
         const duration = Date.now() - start;
-        
-        logger.info('Request completed', {
+
+        req.log.info('Request completed', {
             method: req.method,
             url: req.url,
             statusCode: res.statusCode,
             duration: `${duration}ms`,
             contentLength: res.get('Content-Length') || 0
         });
-        
-        originalEnd.call(this, chunk, encoding);
+
+        return originalEnd.call(this, chunk, encoding);
     };
 
     next();
 };
 
-module.exports = { logger, loggingMiddleware };
+module.exports = { logger, loggingMiddleware, loggedIp };
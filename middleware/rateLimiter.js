@@ -0,0 +1,78 @@
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const { logger } = require('./logger');
+const { extractApiKey } = require('./apiKeyAuth');
+const config = require('../config/config');
+
+// Counter stores by name. Every limiter gets its own instance; a shared store
+// (e.g. Redis) only needs an entry here that returns an express-rate-limit Store.
+const stores = {
+    memory: () => new MemoryStore()
+};
+
+const createStore = (name) => {
+    const factory = stores[name];
+    if (!factory) {
+        throw new Error(`Unknown rate limit store "${name}" (expected one of: ${Object.keys(stores).join(', ')})`);
+    }
+    return factory();
+};
+
+// Callers with an API key share one budget wherever they connect from;
+// anonymous callers are counted per IP
+const keyGenerator = (req) => (req.principal ? `key:${req.principal.keyId}` : `ip:${req.ip}`);
+
+// The auth policy runs before API keys are resolved, so it counts per IP, and
+// only requests whose key was rejected use up its budget: it slows down key
+// guessing without getting in the way of anyone else.
+const POLICY_OPTIONS = {
+    auth: {
+        skip: req => !extractApiKey(req),
+        skipSuccessfulRequests: true,
+        requestWasSuccessful: req => !req.invalidApiKey
+    }
+};
+
+const createLimiter = (policyName, policy, storeName) => rateLimit({
+    windowMs: policy.windowMs,
+    limit: policy.max,
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    keyGenerator,
+    store: createStore(storeName),
+    ...POLICY_OPTIONS[policyName],
+    handler: (req, res, next, options) => {
+        // Seconds until this client's window resets, as in the Retry-After header
+        const { resetTime } = req.rateLimit;
+        const retryAfter = resetTime
+            ? Math.max(Math.ceil((resetTime.getTime() - Date.now()) / 1000), 0)
+            : Math.ceil(options.windowMs / 1000);
+        logger.warn('Rate limit exceeded', { policy: policyName, key: keyGenerator(req), url: req.originalUrl });
+
+        res.status(options.statusCode).json({
+            error: 'Too many requests, please try again later',
+            code: 'RATE_LIMITED',
+            policy: policyName,
+            limit: options.limit,
+            windowMs: options.windowMs,
+            retryAfter
+        });
+    }
+});
+
+// One limiter per named policy in rateLimitConfig.policies, each falling back
+// to the global windowMs/max for whatever it doesn't set
+const createRateLimiters = (rateLimitConfig = config.rateLimit) => {
+    const limiters = {};
+
+    for (const [name, policy] of Object.entries(rateLimitConfig.policies)) {
+        limiters[name] = createLimiter(name, {
+            windowMs: policy.windowMs || rateLimitConfig.windowMs,
+            max: policy.max || rateLimitConfig.max
+        }, rateLimitConfig.store);
+    }
+
+    logger.info('Rate limiters initialized', { policies: Object.keys(limiters), store: rateLimitConfig.store });
+    return limiters;
+};
+
+module.exports = { createRateLimiters, keyGenerator, stores };
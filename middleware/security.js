@@ -0,0 +1,20 @@
+const helmet = require('helmet');
+const cors = require('cors');
+const config = require('../config/config');
+
+// Security headers and CORS applied to every route
+const createSecurityMiddleware = (securityConfig = config.security) => {
+    const origins = securityConfig.corsOrigins;
+
+    return [
+        helmet(),
+        cors({
+            origin: origins.includes('*') ? '*' : origins,
+            methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key', 'X-Link-Password'],
+            exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'Idempotent-Replayed']
+        })
+    ];
+};
+
+module.exports = { createSecurityMiddleware };
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    ownerId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: String,
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user'
+    },
+    // SHA-256 of the plaintext key; the plaintext itself is never stored
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    prefix: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+module.exports = mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema);
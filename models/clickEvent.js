@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const locationSchema = new mongoose.Schema({
+    country: String,
+    region: String,
+    city: String
+}, { _id: false });
+
+const clickEventSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Domain id of the ShortUrl; survives shortcode changes
+    shortUrlId: {
+        type: String,
+        required: true
+    },
+    shortcode: String,
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    // Raw IP, only kept when config.visitors.retainRawIp is on
+    ip: String,
+    // Truncated IP (/24 or /48) and the daily-salted visitor hash, see service/visitorPrivacy.js
+    ipPrefix: String,
+    visitorId: String,
+    userAgent: String,
+    referer: String,
+    location: locationSchema,
+    // Redirect rule that picked the destination; null when the link's own URL was used
+    ruleId: {
+        type: String,
+        default: null
+    },
+    // Split test variant served, when the link has variants
+    variantId: {
+        type: String,
+        default: null
+    },
+    // Final URL after rules, variants and query handling
+    destination: String,
+    // Crawler, unfurler or scanner rather than a person; botReason says which check caught it
+    isBot: {
+        type: Boolean,
+        default: false
+    },
+    botReason: {
+        type: String,
+        default: null
+    }
+});
+
+clickEventSchema.index({ shortUrlId: 1, timestamp: -1 });
+
+module.exports = mongoose.models.ClickEvent || mongoose.model('ClickEvent', clickEventSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const domainSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Canonical host (Domain.canonicalHost), unique across all owners
+    host: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    ownerId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    fallbackUrl: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+module.exports = mongoose.models.Domain || mongoose.model('Domain', domainSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// One document per named counter, e.g. { _id: 'shortcode', value: 1042 }
+const sequenceSchema = new mongoose.Schema({
+    _id: String,
+    value: {
+        type: Number,
+        default: 0
+    }
+});
+
+module.exports = mongoose.models.Sequence || mongoose.model('Sequence', sequenceSchema);
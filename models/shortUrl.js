@@ -1,29 +1,124 @@
 const mongoose = require('mongoose');
 
 const shortUrlSchema = new mongoose.Schema({
+    // Domain id (uuid) of the ShortUrl, kept separate from Mongo's _id
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
     originalUrl: {
         type: String,
         required: true
     },
+    // ShortUrl.normalizeUrl(originalUrl), looked up by dedupe together with ownerId
+    normalizedUrl: String,
+    // Unique per domain, see the compound index below
     shortcode: {
         type: String,
-        required: true,
-        unique: true
+        required: true
+    },
+    // Custom short domain the link is served from; null for the default namespace
+    domain: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    ownerId: {
+        type: String,
+        default: null,
+        index: true
     },
-    clicks: {
+    // Click events are stored in the ClickEvent collection; only the total lives here
+    clickCount: {
         type: Number,
-        required: true,
         default: 0
     },
-    validity: {
+    // How many of clickCount were bots
+    botClickCount: {
         type: Number,
-        required: true,
-        default: 24
+        default: 0
     },
-    createdAt: {
+    lastClickAt: {
         type: Date,
-        default: Date.now
+        default: null
+    },
+    // Salted scrypt hash (see ShortUrl.hashPassword); null when the link is public
+    passwordHash: {
+        type: String,
+        default: null
+    },
+    // Redirect limit; addClick only increments clickCount while it is below this
+    maxClicks: {
+        type: Number,
+        default: null
+    },
+    activeFrom: {
+        type: Date,
+        default: null
+    },
+    // Conditional redirects as normalized by service/redirectRules.js
+    rules: {
+        type: [{
+            _id: false,
+            id: String,
+            url: String,
+            conditions: mongoose.Schema.Types.Mixed
+        }],
+        default: []
+    },
+    // Weighted split test destinations (service/splitTest.js)
+    variants: {
+        type: [{
+            _id: false,
+            id: String,
+            url: String,
+            weight: Number
+        }],
+        default: []
+    },
+    // { utm, passThrough, conflict } as normalized by service/queryParams.js
+    queryOptions: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // 301, 302, 307 or 308; null uses the configured default
+    redirectStatus: {
+        type: Number,
+        default: null
+    },
+    interstitial: {
+        type: Boolean,
+        default: false
+    },
+    fetchMetadata: {
+        type: Boolean,
+        default: true
+    },
+    // { status, title, description, image, finalUrl, fetchedAt, attempts, error }
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
     }
 });
 
-module.exports = mongoose.model('ShortUrl', shortUrlSchema);
\ No newline at end of file
+shortUrlSchema.index({ domain: 1, shortcode: 1 }, { unique: true });
+shortUrlSchema.index({ ownerId: 1, normalizedUrl: 1 });
+
+module.exports = mongoose.models.ShortUrl || mongoose.model('ShortUrl', shortUrlSchema);
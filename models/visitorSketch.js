@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One HyperLogLog sketch per link per UTC day; registers is sparse { index: rank }
+const visitorSketchSchema = new mongoose.Schema({
+    shortUrlId: {
+        type: String,
+        required: true
+    },
+    day: {
+        type: String,
+        required: true
+    },
+    registers: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, { minimize: false });
+
+visitorSketchSchema.index({ shortUrlId: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.models.VisitorSketch || mongoose.model('VisitorSketch', visitorSketchSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const webhookSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    ownerId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    events: {
+        type: [String],
+        default: []
+    },
+    // Signing secret; needed in the clear to compute signatures
+    secret: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.models.Webhook || mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    webhookId: {
+        type: String,
+        required: true
+    },
+    ownerId: String,
+    event: String,
+    // The JSON body sent to the receiver, kept so retries send the same thing
+    payload: mongoose.Schema.Types.Mixed,
+    // 'pending' | 'delivered' | 'dead'; dead deliveries are the dead-letter list
+    status: {
+        type: String,
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastStatusCode: {
+        type: Number,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: null
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.WebhookDelivery || mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,57 @@
+const { logger } = require('../middleware/logger');
+const ApiKeyStorageAdapter = require('./apiKeyStorageAdapter');
+
+class ApiKeyRepository extends ApiKeyStorageAdapter {
+    constructor() {
+        super();
+        this.keys = new Map(); // id -> ApiKey
+        this.hashIndex = new Map(); // keyHash -> id
+
+        logger.info('API key repository initialized');
+    }
+
+    async create(apiKey) {
+        this.keys.set(apiKey.id, apiKey);
+        this.hashIndex.set(apiKey.keyHash, apiKey.id);
+
+        logger.info('API key stored', { id: apiKey.id, ownerId: apiKey.ownerId, role: apiKey.role });
+        return apiKey;
+    }
+
+    async findByHash(keyHash) {
+        const id = this.hashIndex.get(keyHash);
+        return id ? this.keys.get(id) || null : null;
+    }
+
+    async findById(id) {
+        return this.keys.get(id) || null;
+    }
+
+    async list({ ownerId } = {}) {
+        return Array.from(this.keys.values())
+            .filter(apiKey => !ownerId || apiKey.ownerId === ownerId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async revoke(id) {
+        const apiKey = this.keys.get(id);
+        if (!apiKey) {
+            return null;
+        }
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            logger.info('API key revoked', { id, ownerId: apiKey.ownerId });
+        }
+        return apiKey;
+    }
+
+    async touch(id) {
+        const apiKey = this.keys.get(id);
+        if (apiKey) {
+            apiKey.lastUsedAt = new Date();
+        }
+    }
+}
+
+module.exports = ApiKeyRepository;
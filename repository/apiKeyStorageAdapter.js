@@ -0,0 +1,40 @@
+/**
+ * Contract shared by every API key store. Keys are only ever stored and looked
+ * up by their SHA-256 hash; the plaintext never reaches the repository.
+ */
+class ApiKeyStorageAdapter {
+    /** Persist a new ApiKey. */
+    async create(apiKey) {
+        throw new Error(`${this.constructor.name} must implement create()`);
+    }
+
+    /** Resolve a key hash to its ApiKey (revoked or not), or null. */
+    async findByHash(keyHash) {
+        throw new Error(`${this.constructor.name} must implement findByHash()`);
+    }
+
+    /** Resolve an id to its ApiKey, or null. */
+    async findById(id) {
+        throw new Error(`${this.constructor.name} must implement findById()`);
+    }
+
+    /** Keys newest first, optionally only those of { ownerId }. */
+    async list(options) {
+        throw new Error(`${this.constructor.name} must implement list()`);
+    }
+
+    /** Stamp revokedAt and return the updated ApiKey, or null when unknown. */
+    async revoke(id) {
+        throw new Error(`${this.constructor.name} must implement revoke()`);
+    }
+
+    /** Record that a key was just used. */
+    async touch(id) {
+        throw new Error(`${this.constructor.name} must implement touch()`);
+    }
+
+    /** Release timers and connections held by the backend. */
+    async close() {}
+}
+
+module.exports = ApiKeyStorageAdapter;
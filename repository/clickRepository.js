@@ -0,0 +1,157 @@
+const { logger } = require('../middleware/logger');
+const ClickStorageAdapter = require('./clickStorageAdapter');
+
+const truncateToInterval = (timestamp, interval) => {
+    const date = new Date(timestamp);
+    if (interval === 'day') {
+        date.setUTCHours(0, 0, 0, 0);
+    } else {
+        date.setUTCMinutes(0, 0, 0);
+    }
+    return date.toISOString();
+};
+
+const topValues = (counts, top) => Array.from(counts.entries())
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || (a.value < b.value ? -1 : 1))
+    .slice(0, top);
+
+class ClickRepository extends ClickStorageAdapter {
+    constructor() {
+        super();
+        this.clicksByUrl = new Map(); // shortUrlId -> click events in arrival order
+
+        logger.info('Click repository initialized');
+    }
+
+    inRange(click, { from, to } = {}) {
+        const timestamp = new Date(click.timestamp).getTime();
+        if (from && timestamp < new Date(from).getTime()) return false;
+        if (to && timestamp > new Date(to).getTime()) return false;
+        return true;
+    }
+
+    async add(click) {
+        try {
+            if (!this.clicksByUrl.has(click.shortUrlId)) {
+                this.clicksByUrl.set(click.shortUrlId, []);
+            }
+            this.clicksByUrl.get(click.shortUrlId).push(click);
+
+            logger.debug('Click event stored', { shortUrlId: click.shortUrlId, clickId: click.id });
+            return click;
+        } catch (error) {
+            logger.error('Error storing click event', { shortUrlId: click.shortUrlId, error: error.message });
+            throw error;
+        }
+    }
+
+    async list(shortUrlId, options = {}) {
+        try {
+            const { page = 1, limit = 50 } = options;
+            const matching = (this.clicksByUrl.get(shortUrlId) || [])
+                .filter(click => this.inRange(click, options))
+                .reverse();
+
+            const start = (page - 1) * limit;
+            return {
+                items: matching.slice(start, start + limit),
+                total: matching.length
+            };
+        } catch (error) {
+            logger.error('Error listing click events', { shortUrlId, error: error.message });
+            throw error;
+        }
+    }
+
+    async *iterate(shortUrlId, options = {}) {
+        const snapshot = (this.clicksByUrl.get(shortUrlId) || []).filter(click => this.inRange(click, options));
+        yield* snapshot;
+    }
+
+    async aggregate(shortUrlId, options = {}) {
+        try {
+            const { interval = 'day', top = 10 } = options;
+            const timeline = new Map();
+            const referrers = new Map();
+            const countries = new Map();
+            const userAgents = new Map();
+            let total = 0;
+            let bots = 0;
+
+            const increment = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+
+            for (const click of this.clicksByUrl.get(shortUrlId) || []) {
+                if (!this.inRange(click, options)) continue;
+                if (click.isBot) {
+                    bots++;
+                    continue;
+                }
+
+                total++;
+                increment(timeline, truncateToInterval(click.timestamp, interval));
+                increment(referrers, click.referer || ClickStorageAdapter.DIRECT_REFERER);
+                increment(countries, (click.location && click.location.country) || ClickStorageAdapter.UNKNOWN);
+                increment(userAgents, click.userAgent || ClickStorageAdapter.UNKNOWN);
+            }
+
+            return {
+                total,
+                bots,
+                timeline: Array.from(timeline.entries())
+                    .map(([bucket, count]) => ({ bucket, count }))
+                    .sort((a, b) => a.bucket.localeCompare(b.bucket)),
+                topReferrers: topValues(referrers, top),
+                topCountries: topValues(countries, top),
+                topUserAgents: topValues(userAgents, top)
+            };
+        } catch (error) {
+            logger.error('Error aggregating click events', { shortUrlId, error: error.message });
+            throw error;
+        }
+    }
+
+    async countBy(shortUrlId, field, { excludeBots = false } = {}) {
+        const counts = new Map();
+        for (const click of this.clicksByUrl.get(shortUrlId) || []) {
+            if (excludeBots && click.isBot) continue;
+            const value = click[field] === undefined ? null : click[field];
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        return Array.from(counts.entries()).map(([value, count]) => ({ value, count }));
+    }
+
+    async countUnique(shortUrlId, options = {}) {
+        const visitors = new Set();
+        const daily = new Map();
+        for (const click of this.clicksByUrl.get(shortUrlId) || []) {
+            if (click.isBot || !click.visitorId || !this.inRange(click, options)) continue;
+
+            const day = truncateToInterval(click.timestamp, 'day').slice(0, 10);
+            if (!daily.has(day)) {
+                daily.set(day, new Set());
+            }
+            daily.get(day).add(click.visitorId);
+            visitors.add(click.visitorId);
+        }
+
+        return {
+            total: visitors.size,
+            daily: Array.from(daily.entries())
+                .map(([day, ids]) => ({ day, count: ids.size }))
+                .sort((a, b) => a.day.localeCompare(b.day))
+        };
+    }
+
+    async deleteByShortUrlId(shortUrlId) {
+        const removed = (this.clicksByUrl.get(shortUrlId) || []).length;
+        this.clicksByUrl.delete(shortUrlId);
+
+        if (removed > 0) {
+            logger.info('Click events deleted', { shortUrlId, removed });
+        }
+        return removed;
+    }
+}
+
+module.exports = ClickRepository;
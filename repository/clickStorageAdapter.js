@@ -0,0 +1,63 @@
+/**
+ * Contract shared by every click event store.
+ *
+ * Click events are written here instead of onto the ShortUrl so a popular link
+ * doesn't drag an ever-growing array around. Events are keyed by the link's id
+ * (not its shortcode, which can change) and listed newest first.
+ */
+class ClickStorageAdapter {
+    /** Persist one click event produced by ShortUrl.addClick. */
+    async add(click) {
+        throw new Error(`${this.constructor.name} must implement add()`);
+    }
+
+    /** One page of raw events: { items, total }. Accepts { from, to, page, limit }. */
+    async list(shortUrlId, options) {
+        throw new Error(`${this.constructor.name} must implement list()`);
+    }
+
+    /** Async iterator over one link's events within { from, to }, oldest first, for streaming exports. */
+    async *iterate(shortUrlId, options) {
+        throw new Error(`${this.constructor.name} must implement iterate()`);
+    }
+
+    /**
+     * Time-bucketed counts and top-N breakdowns for { from, to, interval, top }:
+     * { total, bots, timeline, topReferrers, topCountries, topUserAgents }.
+     * Bot events (isBot) are only counted in bots; everything else covers people.
+     */
+    async aggregate(shortUrlId, options) {
+        throw new Error(`${this.constructor.name} must implement aggregate()`);
+    }
+
+    /**
+     * Number of events per distinct value of one click field, e.g. 'ruleId':
+     * [{ value, count }]. Events without the field are counted under null.
+     * { excludeBots: true } leaves bot events out.
+     */
+    async countBy(shortUrlId, field, options) {
+        throw new Error(`${this.constructor.name} must implement countBy()`);
+    }
+
+    /**
+     * Distinct visitors (by visitorId) among the human events within { from, to }:
+     * { total, daily: [{ day, count }] } with days as UTC 'YYYY-MM-DD', oldest first.
+     */
+    async countUnique(shortUrlId, options) {
+        throw new Error(`${this.constructor.name} must implement countUnique()`);
+    }
+
+    /** Drop every event recorded for a link and resolve to the number removed. */
+    async deleteByShortUrlId(shortUrlId) {
+        throw new Error(`${this.constructor.name} must implement deleteByShortUrlId()`);
+    }
+
+    /** Release timers and connections held by the backend. */
+    async close() {}
+}
+
+// Labels used when a click carries no value for a breakdown dimension
+ClickStorageAdapter.DIRECT_REFERER = '(direct)';
+ClickStorageAdapter.UNKNOWN = 'Unknown';
+
+module.exports = ClickStorageAdapter;
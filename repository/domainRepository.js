@@ -0,0 +1,55 @@
+const { logger } = require('../middleware/logger');
+const ServiceError = require('../domain/ServiceError');
+const DomainStorageAdapter = require('./domainStorageAdapter');
+
+class DomainRepository extends DomainStorageAdapter {
+    constructor() {
+        super();
+        this.domains = new Map(); // host -> Domain
+
+        logger.info('Domain repository initialized');
+    }
+
+    async create(domain) {
+        if (this.domains.has(domain.host)) {
+            throw ServiceError.conflict(`Domain ${domain.host} is already registered`, 'DOMAIN_TAKEN');
+        }
+
+        this.domains.set(domain.host, domain);
+
+        logger.info('Domain stored', { host: domain.host, ownerId: domain.ownerId });
+        return domain;
+    }
+
+    async findByHost(host) {
+        return this.domains.get(host) || null;
+    }
+
+    async list({ ownerId } = {}) {
+        return Array.from(this.domains.values())
+            .filter(domain => !ownerId || domain.ownerId === ownerId)
+            .sort((a, b) => a.host.localeCompare(b.host));
+    }
+
+    async update(host, updateData) {
+        const domain = this.domains.get(host);
+        if (!domain) {
+            return null;
+        }
+
+        Object.assign(domain, updateData, { updatedAt: new Date() });
+
+        logger.info('Domain updated', { host, fields: Object.keys(updateData) });
+        return domain;
+    }
+
+    async delete(host) {
+        const deleted = this.domains.delete(host);
+        if (deleted) {
+            logger.info('Domain deleted', { host });
+        }
+        return deleted;
+    }
+}
+
+module.exports = DomainRepository;
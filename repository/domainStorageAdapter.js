@@ -0,0 +1,35 @@
+/**
+ * Contract shared by every custom domain store. Hosts are stored in their
+ * canonical form (Domain.canonicalHost) and are unique across all owners.
+ */
+class DomainStorageAdapter {
+    /** Persist a new Domain. Rejects with a 409 ServiceError when the host is already registered. */
+    async create(domain) {
+        throw new Error(`${this.constructor.name} must implement create()`);
+    }
+
+    /** Resolve a canonical host to its Domain, or null. */
+    async findByHost(host) {
+        throw new Error(`${this.constructor.name} must implement findByHost()`);
+    }
+
+    /** Domains sorted by host, optionally only those of { ownerId }. */
+    async list(options) {
+        throw new Error(`${this.constructor.name} must implement list()`);
+    }
+
+    /** Apply a partial update and return the updated Domain, or null when unknown. */
+    async update(host, updateData) {
+        throw new Error(`${this.constructor.name} must implement update()`);
+    }
+
+    /** Remove a domain. Resolves to true when something was deleted. */
+    async delete(host) {
+        throw new Error(`${this.constructor.name} must implement delete()`);
+    }
+
+    /** Release timers and connections held by the backend. */
+    async close() {}
+}
+
+module.exports = DomainStorageAdapter;
@@ -0,0 +1,77 @@
+const config = require('../config/config');
+const UrlRepository = require('./urlRepository');
+const MongoUrlRepository = require('./mongoUrlRepository');
+const ClickRepository = require('./clickRepository');
+const MongoClickRepository = require('./mongoClickRepository');
+const ApiKeyRepository = require('./apiKeyRepository');
+const MongoApiKeyRepository = require('./mongoApiKeyRepository');
+const SequenceRepository = require('./sequenceRepository');
+const MongoSequenceRepository = require('./mongoSequenceRepository');
+const VisitorSketchRepository = require('./visitorSketchRepository');
+const MongoVisitorSketchRepository = require('./mongoVisitorSketchRepository');
+const DomainRepository = require('./domainRepository');
+const MongoDomainRepository = require('./mongoDomainRepository');
+const WebhookRepository = require('./webhookRepository');
+const MongoWebhookRepository = require('./mongoWebhookRepository');
+
+const backends = {
+    memory: {
+        urls: () => new UrlRepository(),
+        clicks: () => new ClickRepository(),
+        apiKeys: () => new ApiKeyRepository(),
+        sequences: () => new SequenceRepository(),
+        visitorSketches: () => new VisitorSketchRepository(),
+        domains: () => new DomainRepository(),
+        webhooks: () => new WebhookRepository()
+    },
+    mongo: {
+        urls: () => new MongoUrlRepository(),
+        clicks: () => new MongoClickRepository(),
+        apiKeys: () => new MongoApiKeyRepository(),
+        sequences: () => new MongoSequenceRepository(),
+        visitorSketches: () => new MongoVisitorSketchRepository(),
+        domains: () => new MongoDomainRepository(),
+        webhooks: () => new MongoWebhookRepository()
+    }
+};
+
+const resolveBackend = (backend) => {
+    const factories = backends[backend];
+    if (!factories) {
+        throw new Error(`Unknown storage backend "${backend}" (expected one of: ${Object.keys(backends).join(', ')})`);
+    }
+    return factories;
+};
+
+// Pick the implementations named by config.storage.backend
+const createUrlRepository = (backend = config.storage.backend) => resolveBackend(backend).urls();
+const createClickRepository = (backend = config.storage.backend) => resolveBackend(backend).clicks();
+const createApiKeyRepository = (backend = config.storage.backend) => resolveBackend(backend).apiKeys();
+const createSequenceRepository = (backend = config.storage.backend) => resolveBackend(backend).sequences();
+const createVisitorSketchRepository = (backend = config.storage.backend) => resolveBackend(backend).visitorSketches();
+const createDomainRepository = (backend = config.storage.backend) => resolveBackend(backend).domains();
+const createWebhookRepository = (backend = config.storage.backend) => resolveBackend(backend).webhooks();
+
+module.exports = {
+    createUrlRepository,
+    createClickRepository,
+    createApiKeyRepository,
+    createSequenceRepository,
+    createVisitorSketchRepository,
+    createDomainRepository,
+    createWebhookRepository,
+    UrlRepository,
+    MongoUrlRepository,
+    ClickRepository,
+    MongoClickRepository,
+    ApiKeyRepository,
+    MongoApiKeyRepository,
+    SequenceRepository,
+    MongoSequenceRepository,
+    VisitorSketchRepository,
+    MongoVisitorSketchRepository,
+    DomainRepository,
+    MongoDomainRepository,
+    WebhookRepository,
+    MongoWebhookRepository
+};
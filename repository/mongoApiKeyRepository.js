@@ -0,0 +1,64 @@
+const { logger } = require('../middleware/logger');
+const ApiKey = require('../domain/ApiKey');
+const ApiKeyStorageAdapter = require('./apiKeyStorageAdapter');
+const ApiKeyModel = require('../models/apiKey');
+
+class MongoApiKeyRepository extends ApiKeyStorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.model = options.model || ApiKeyModel;
+
+        logger.info('Mongo API key repository initialized', { collection: this.model.collection.name });
+    }
+
+    toDomain(doc) {
+        return doc ? new ApiKey(doc) : null;
+    }
+
+    async create(apiKey) {
+        try {
+            await this.model.create({ ...apiKey });
+
+            logger.info('API key stored', { id: apiKey.id, ownerId: apiKey.ownerId, role: apiKey.role });
+            return apiKey;
+        } catch (error) {
+            logger.error('Error storing API key', { ownerId: apiKey.ownerId, error: error.message });
+            throw error;
+        }
+    }
+
+    async findByHash(keyHash) {
+        return this.toDomain(await this.model.findOne({ keyHash }).lean());
+    }
+
+    async findById(id) {
+        return this.toDomain(await this.model.findOne({ id }).lean());
+    }
+
+    async list({ ownerId } = {}) {
+        const docs = await this.model.find(ownerId ? { ownerId } : {}).sort({ createdAt: -1 }).lean();
+        return docs.map(doc => this.toDomain(doc));
+    }
+
+    async revoke(id) {
+        try {
+            // Only the first revocation sets the timestamp
+            await this.model.updateOne({ id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+            const apiKey = await this.findById(id);
+            if (apiKey) {
+                logger.info('API key revoked', { id, ownerId: apiKey.ownerId });
+            }
+            return apiKey;
+        } catch (error) {
+            logger.error('Error revoking API key', { id, error: error.message });
+            throw error;
+        }
+    }
+
+    async touch(id) {
+        await this.model.updateOne({ id }, { $set: { lastUsedAt: new Date() } });
+    }
+}
+
+module.exports = MongoApiKeyRepository;
@@ -0,0 +1,191 @@
+const { logger } = require('../middleware/logger');
+const ClickStorageAdapter = require('./clickStorageAdapter');
+const ClickEventModel = require('../models/clickEvent');
+
+// Same bucket labels as ClickRepository: ISO timestamps truncated in UTC
+const BUCKET_FORMATS = {
+    hour: '%Y-%m-%dT%H:00:00.000Z',
+    day: '%Y-%m-%dT00:00:00.000Z'
+};
+
+class MongoClickRepository extends ClickStorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.model = options.model || ClickEventModel;
+
+        logger.info('Mongo click repository initialized', { collection: this.model.collection.name });
+    }
+
+    buildFilter(shortUrlId, { from, to } = {}) {
+        const filter = { shortUrlId };
+        if (from || to) {
+            filter.timestamp = {};
+            if (from) filter.timestamp.$gte = new Date(from);
+            if (to) filter.timestamp.$lte = new Date(to);
+        }
+        return filter;
+    }
+
+    toClick(doc) {
+        const { _id, __v, ...click } = doc;
+        return click;
+    }
+
+    topStage(field, fallback, top) {
+        return [
+            { $group: { _id: { $ifNull: [field, fallback] }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: top },
+            { $project: { _id: 0, value: '$_id', count: 1 } }
+        ];
+    }
+
+    async add(click) {
+        try {
+            await this.model.create(click);
+
+            logger.debug('Click event stored', { shortUrlId: click.shortUrlId, clickId: click.id });
+            return click;
+        } catch (error) {
+            logger.error('Error storing click event', { shortUrlId: click.shortUrlId, error: error.message });
+            throw error;
+        }
+    }
+
+    async list(shortUrlId, options = {}) {
+        try {
+            const { page = 1, limit = 50 } = options;
+            const filter = this.buildFilter(shortUrlId, options);
+
+            const [docs, total] = await Promise.all([
+                this.model.find(filter)
+                    .sort({ timestamp: -1, _id: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                this.model.countDocuments(filter)
+            ]);
+
+            return { items: docs.map(doc => this.toClick(doc)), total };
+        } catch (error) {
+            logger.error('Error listing click events', { shortUrlId, error: error.message });
+            throw error;
+        }
+    }
+
+    async *iterate(shortUrlId, options = {}) {
+        const cursor = this.model.find(this.buildFilter(shortUrlId, options)).sort({ timestamp: 1, _id: 1 }).lean().cursor();
+
+        for await (const doc of cursor) {
+            yield this.toClick(doc);
+        }
+    }
+
+    async aggregate(shortUrlId, options = {}) {
+        try {
+            const { interval = 'day', top = 10 } = options;
+            const people = { $match: { isBot: { $ne: true } } };
+
+            const [result] = await this.model.aggregate([
+                { $match: this.buildFilter(shortUrlId, options) },
+                {
+                    $facet: {
+                        total: [people, { $count: 'count' }],
+                        bots: [{ $match: { isBot: true } }, { $count: 'count' }],
+                        timeline: [
+                            people,
+                            {
+                                $group: {
+                                    _id: { $dateToString: { format: BUCKET_FORMATS[interval], date: '$timestamp', timezone: 'UTC' } },
+                                    count: { $sum: 1 }
+                                }
+                            },
+                            { $sort: { _id: 1 } },
+                            { $project: { _id: 0, bucket: '$_id', count: 1 } }
+                        ],
+                        topReferrers: [people, ...this.topStage('$referer', ClickStorageAdapter.DIRECT_REFERER, top)],
+                        topCountries: [people, ...this.topStage('$location.country', ClickStorageAdapter.UNKNOWN, top)],
+                        topUserAgents: [people, ...this.topStage('$userAgent', ClickStorageAdapter.UNKNOWN, top)]
+                    }
+                }
+            ]);
+
+            return {
+                total: result.total.length > 0 ? result.total[0].count : 0,
+                bots: result.bots.length > 0 ? result.bots[0].count : 0,
+                timeline: result.timeline,
+                topReferrers: result.topReferrers,
+                topCountries: result.topCountries,
+                topUserAgents: result.topUserAgents
+            };
+        } catch (error) {
+            logger.error('Error aggregating click events', { shortUrlId, error: error.message });
+            throw error;
+        }
+    }
+
+    async countBy(shortUrlId, field, { excludeBots = false } = {}) {
+        try {
+            const filter = excludeBots ? { shortUrlId, isBot: { $ne: true } } : { shortUrlId };
+            return await this.model.aggregate([
+                { $match: filter },
+                { $group: { _id: { $ifNull: [`$${field}`, null] }, count: { $sum: 1 } } },
+                { $project: { _id: 0, value: '$_id', count: 1 } }
+            ]);
+        } catch (error) {
+            logger.error('Error counting click events', { shortUrlId, field, error: error.message });
+            throw error;
+        }
+    }
+
+    async countUnique(shortUrlId, options = {}) {
+        try {
+            const filter = { ...this.buildFilter(shortUrlId, options), isBot: { $ne: true }, visitorId: { $ne: null } };
+            const [result] = await this.model.aggregate([
+                { $match: filter },
+                {
+                    $facet: {
+                        total: [{ $group: { _id: '$visitorId' } }, { $count: 'count' }],
+                        daily: [
+                            {
+                                $group: {
+                                    _id: {
+                                        day: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone: 'UTC' } },
+                                        visitorId: '$visitorId'
+                                    }
+                                }
+                            },
+                            { $group: { _id: '$_id.day', count: { $sum: 1 } } },
+                            { $sort: { _id: 1 } },
+                            { $project: { _id: 0, day: '$_id', count: 1 } }
+                        ]
+                    }
+                }
+            ]);
+
+            return {
+                total: result.total.length > 0 ? result.total[0].count : 0,
+                daily: result.daily
+            };
+        } catch (error) {
+            logger.error('Error counting unique visitors', { shortUrlId, error: error.message });
+            throw error;
+        }
+    }
+
+    async deleteByShortUrlId(shortUrlId) {
+        try {
+            const result = await this.model.deleteMany({ shortUrlId });
+
+            if (result.deletedCount > 0) {
+                logger.info('Click events deleted', { shortUrlId, removed: result.deletedCount });
+            }
+            return result.deletedCount;
+        } catch (error) {
+            logger.error('Error deleting click events', { shortUrlId, error: error.message });
+            throw error;
+        }
+    }
+}
+
+module.exports = MongoClickRepository;
@@ -0,0 +1,78 @@
+const { logger } = require('../middleware/logger');
+const Domain = require('../domain/Domain');
+const ServiceError = require('../domain/ServiceError');
+const DomainStorageAdapter = require('./domainStorageAdapter');
+const DomainModel = require('../models/domain');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+class MongoDomainRepository extends DomainStorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.model = options.model || DomainModel;
+
+        logger.info('Mongo domain repository initialized', { collection: this.model.collection.name });
+    }
+
+    toDomain(doc) {
+        return doc ? new Domain(doc) : null;
+    }
+
+    async create(domain) {
+        try {
+            await this.model.create({ ...domain });
+
+            logger.info('Domain stored', { host: domain.host, ownerId: domain.ownerId });
+            return domain;
+        } catch (error) {
+            if (error.code === DUPLICATE_KEY_ERROR) {
+                throw ServiceError.conflict(`Domain ${domain.host} is already registered`, 'DOMAIN_TAKEN');
+            }
+            logger.error('Error storing domain', { host: domain.host, error: error.message });
+            throw error;
+        }
+    }
+
+    async findByHost(host) {
+        return this.toDomain(await this.model.findOne({ host }).lean());
+    }
+
+    async list({ ownerId } = {}) {
+        const docs = await this.model.find(ownerId ? { ownerId } : {}).sort({ host: 1 }).lean();
+        return docs.map(doc => this.toDomain(doc));
+    }
+
+    async update(host, updateData) {
+        try {
+            const doc = await this.model.findOneAndUpdate(
+                { host },
+                { $set: { ...updateData, updatedAt: new Date() } },
+                { new: true }
+            ).lean();
+
+            if (doc) {
+                logger.info('Domain updated', { host, fields: Object.keys(updateData) });
+            }
+            return this.toDomain(doc);
+        } catch (error) {
+            logger.error('Error updating domain', { host, error: error.message });
+            throw error;
+        }
+    }
+
+    async delete(host) {
+        try {
+            const result = await this.model.deleteOne({ host });
+            const deleted = result.deletedCount > 0;
+            if (deleted) {
+                logger.info('Domain deleted', { host });
+            }
+            return deleted;
+        } catch (error) {
+            logger.error('Error deleting domain', { host, error: error.message });
+            throw error;
+        }
+    }
+}
+
+module.exports = MongoDomainRepository;
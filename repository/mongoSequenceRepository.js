@@ -0,0 +1,29 @@
+const { logger } = require('../middleware/logger');
+const SequenceStorageAdapter = require('./sequenceStorageAdapter');
+const SequenceModel = require('../models/sequence');
+
+class MongoSequenceRepository extends SequenceStorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.model = options.model || SequenceModel;
+
+        logger.info('Mongo sequence repository initialized', { collection: this.model.collection.name });
+    }
+
+    async next(name) {
+        try {
+            // $inc under upsert is a single atomic write, so concurrent instances never share a value
+            const doc = await this.model.findOneAndUpdate(
+                { _id: name },
+                { $inc: { value: 1 } },
+                { upsert: true, new: true, lean: true }
+            );
+            return doc.value;
+        } catch (error) {
+            logger.error('Error advancing sequence', { name, error: error.message });
+            throw error;
+        }
+    }
+}
+
+module.exports = MongoSequenceRepository;
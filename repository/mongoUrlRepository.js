@@ -0,0 +1,422 @@
+const { logger } = require('../middleware/logger');
+const ShortUrl = require('../domain/ShortUrl');
+const ServiceError = require('../domain/ServiceError');
+const UrlCache = require('../cache/urlCache');
+const UrlStorageAdapter = require('./urlStorageAdapter');
+const ShortUrlModel = require('../models/shortUrl');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Clicks that count against maxClicks; bot clicks don't, as in ShortUrl#hasReachedClickLimit
+const HUMAN_CLICKS = { $subtract: ['$clickCount', { $ifNull: ['$botClickCount', 0] }] };
+
+class MongoUrlRepository extends UrlStorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.model = options.model || ShortUrlModel;
+        this.cache = new UrlCache();
+
+        logger.info('Mongo URL repository initialized', { collection: this.model.collection.name });
+    }
+
+    toDomain(doc) {
+        if (!doc) return null;
+
+        return new ShortUrl({
+            id: doc.id,
+            originalUrl: doc.originalUrl,
+            normalizedUrl: doc.normalizedUrl,
+            shortcode: doc.shortcode,
+            domain: doc.domain,
+            createdAt: doc.createdAt,
+            updatedAt: doc.updatedAt,
+            expiresAt: doc.expiresAt || undefined,
+            isActive: doc.isActive,
+            ownerId: doc.ownerId,
+            clickCount: doc.clickCount,
+            botClickCount: doc.botClickCount,
+            lastClickAt: doc.lastClickAt,
+            passwordHash: doc.passwordHash,
+            maxClicks: doc.maxClicks,
+            activeFrom: doc.activeFrom,
+            rules: doc.rules,
+            variants: doc.variants,
+            queryOptions: doc.queryOptions,
+            redirectStatus: doc.redirectStatus,
+            interstitial: doc.interstitial,
+            fetchMetadata: doc.fetchMetadata,
+            metadata: doc.metadata
+        });
+    }
+
+    toDocument(shortUrl) {
+        return {
+            id: shortUrl.id,
+            originalUrl: shortUrl.originalUrl,
+            normalizedUrl: shortUrl.normalizedUrl,
+            shortcode: shortUrl.shortcode,
+            domain: shortUrl.domain,
+            createdAt: shortUrl.createdAt,
+            updatedAt: shortUrl.updatedAt,
+            expiresAt: shortUrl.expiresAt || null,
+            isActive: shortUrl.isActive,
+            ownerId: shortUrl.ownerId,
+            clickCount: shortUrl.clickCount,
+            botClickCount: shortUrl.botClickCount,
+            lastClickAt: shortUrl.lastClickAt,
+            passwordHash: shortUrl.passwordHash,
+            maxClicks: shortUrl.maxClicks,
+            activeFrom: shortUrl.activeFrom,
+            rules: shortUrl.rules,
+            variants: shortUrl.variants,
+            queryOptions: shortUrl.queryOptions,
+            redirectStatus: shortUrl.redirectStatus,
+            interstitial: shortUrl.interstitial,
+            fetchMetadata: shortUrl.fetchMetadata,
+            metadata: shortUrl.metadata
+        };
+    }
+
+    activeFilter(now = new Date()) {
+        return { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+    }
+
+    async create(shortUrlData) {
+        try {
+            const shortUrl = new ShortUrl(shortUrlData);
+
+            // Unique (domain, shortcode) index must exist before we rely on it for collisions
+            await this.model.init();
+
+            try {
+                await this.model.create(this.toDocument(shortUrl));
+            } catch (error) {
+                if (error.code === DUPLICATE_KEY_ERROR) {
+                    logger.warn('Shortcode collision detected', { shortcode: shortUrl.shortcode, domain: shortUrl.domain });
+                    throw ServiceError.conflict('Shortcode already exists', 'SHORTCODE_TAKEN');
+                }
+                throw error;
+            }
+
+            this.cache.set(shortUrl.namespaceKey(), shortUrl);
+
+            logger.info('Short URL created successfully', {
+                id: shortUrl.id,
+                shortcode: shortUrl.shortcode,
+                originalUrl: shortUrl.originalUrl
+            });
+
+            return shortUrl;
+        } catch (error) {
+            logger.error('Error creating short URL', { error: error.message, data: shortUrlData });
+            throw error;
+        }
+    }
+
+    async findByShortcode(shortcode, { domain = null } = {}) {
+        try {
+            const key = ShortUrl.namespaceKey(domain, shortcode);
+            const cached = this.cache.get(key);
+            if (cached && !cached.isExpired()) {
+                logger.debug('Short URL found in cache', { shortcode });
+                return cached;
+            }
+
+            const shortUrl = this.toDomain(await this.model.findOne({ shortcode, domain }).lean());
+            if (!shortUrl) {
+                logger.debug('Short URL not found', { shortcode });
+                return null;
+            }
+
+            if (shortUrl.isExpired()) {
+                logger.info('Short URL expired', { shortcode, expiry: shortUrl.expiresAt });
+                await this.expire(shortUrl);
+                return null;
+            }
+
+            this.cache.set(key, shortUrl);
+
+            logger.debug('Short URL found in storage', { shortcode });
+            return shortUrl;
+        } catch (error) {
+            logger.error('Error finding short URL by shortcode', { shortcode, error: error.message });
+            throw error;
+        }
+    }
+
+    async findById(id) {
+        try {
+            const shortUrl = this.toDomain(await this.model.findOne({ id }).lean());
+            if (!shortUrl) {
+                logger.debug('Short URL not found by ID', { id });
+                return null;
+            }
+
+            if (shortUrl.isExpired()) {
+                logger.info('Short URL expired', { id, expiry: shortUrl.expiresAt });
+                await this.expire(shortUrl);
+                return null;
+            }
+
+            logger.debug('Short URL found by ID', { id });
+            return shortUrl;
+        } catch (error) {
+            logger.error('Error finding short URL by ID', { id, error: error.message });
+            throw error;
+        }
+    }
+
+    async findByNormalizedUrl(normalizedUrl, { ownerId, domain = null } = {}) {
+        try {
+            const doc = await this.model
+                .findOne({
+                    ownerId: ownerId || null,
+                    domain,
+                    normalizedUrl,
+                    isActive: true,
+                    $and: [
+                        this.activeFilter(),
+                        { $or: [{ activeFrom: null }, { activeFrom: { $lte: new Date() } }] },
+                        { $or: [{ maxClicks: null }, { $expr: { $lt: [HUMAN_CLICKS, '$maxClicks'] } }] }
+                    ]
+                })
+                .sort({ createdAt: -1 })
+                .lean();
+
+            logger.debug('Looked up short URL by normalized URL', { normalizedUrl, ownerId, found: Boolean(doc) });
+            return this.toDomain(doc);
+        } catch (error) {
+            logger.error('Error finding short URL by normalized URL', { normalizedUrl, error: error.message });
+            throw error;
+        }
+    }
+
+    async update(id, updateData) {
+        try {
+            const current = await this.findById(id);
+            if (!current) {
+                throw ServiceError.notFound();
+            }
+
+            // Only the changed fields, so a concurrent update of other fields (a link
+            // preview landing while the owner edits the link) is kept. The click
+            // counters only ever move through addClick's $inc.
+            const { clickCount, botClickCount, lastClickAt, ...fields } = updateData;
+            if ('expiresAt' in fields) {
+                fields.expiresAt = fields.expiresAt || null;
+            }
+
+            let doc;
+            try {
+                doc = await this.model.findOneAndUpdate(
+                    { id },
+                    { $set: { ...fields, updatedAt: new Date() } },
+                    { new: true, lean: true }
+                );
+            } catch (error) {
+                if (error.code === DUPLICATE_KEY_ERROR) {
+                    throw ServiceError.conflict('Shortcode already exists', 'SHORTCODE_TAKEN');
+                }
+                throw error;
+            }
+            if (!doc) {
+                throw ServiceError.notFound();
+            }
+
+            const shortUrl = this.toDomain(doc);
+            this.cache.delete(current.namespaceKey());
+            this.cache.set(shortUrl.namespaceKey(), shortUrl);
+
+            logger.info('Short URL updated successfully', { id, updateData });
+            return shortUrl;
+        } catch (error) {
+            logger.error('Error updating short URL', { id, error: error.message, updateData });
+            throw error;
+        }
+    }
+
+    async delete(id) {
+        try {
+            const deleted = await this.model.findOneAndDelete({ id }).lean();
+            if (!deleted) {
+                logger.debug('Short URL not found for deletion', { id });
+                return false;
+            }
+
+            this.cache.delete(ShortUrl.namespaceKey(deleted.domain, deleted.shortcode));
+
+            logger.info('Short URL deleted successfully', { id, shortcode: deleted.shortcode });
+            return true;
+        } catch (error) {
+            logger.error('Error deleting short URL', { id, error: error.message });
+            throw error;
+        }
+    }
+
+    async addClick(shortcode, clickData, { domain = null } = {}) {
+        try {
+            const shortUrl = await this.findByShortcode(shortcode, { domain });
+            if (!shortUrl) {
+                throw ServiceError.notFound();
+            }
+
+            // The limits are part of the update filter, so concurrent redirects can
+            // never push human clicks past maxClicks or count a link before activeFrom
+            const now = new Date();
+            const doc = await this.model.findOneAndUpdate(
+                {
+                    id: shortUrl.id,
+                    $and: [
+                        { $or: [{ maxClicks: null }, { $expr: { $lt: [HUMAN_CLICKS, '$maxClicks'] } }] },
+                        { $or: [{ activeFrom: null }, { activeFrom: { $lte: now } }] }
+                    ]
+                },
+                { $inc: { clickCount: 1, botClickCount: clickData.isBot ? 1 : 0 }, $set: { lastClickAt: now } },
+                { new: true, lean: true }
+            );
+
+            if (!doc) {
+                this.cache.delete(shortUrl.namespaceKey());
+                const current = await this.findByShortcode(shortcode, { domain });
+                if (!current || current.isScheduled(now)) {
+                    throw ServiceError.notFound();
+                }
+                throw ServiceError.clickLimitReached();
+            }
+
+            const click = shortUrl.addClick(clickData);
+            shortUrl.clickCount = doc.clickCount;
+            shortUrl.botClickCount = doc.botClickCount;
+            this.cache.set(shortUrl.namespaceKey(), shortUrl);
+
+            logger.info('Click counted on short URL', { shortcode, clickId: click.id });
+            return click;
+        } catch (error) {
+            logger.error('Error adding click to short URL', { shortcode, error: error.message });
+            throw error;
+        }
+    }
+
+    buildListFilter({ status, search, ownerId, domain } = {}) {
+        const now = new Date();
+        const conditions = [];
+
+        if (ownerId) {
+            conditions.push({ ownerId });
+        }
+
+        if (domain !== undefined) {
+            conditions.push({ domain });
+        }
+
+        if (status === 'active') {
+            conditions.push({ isActive: true }, this.activeFilter(now));
+        } else if (status === 'inactive') {
+            conditions.push({ isActive: false });
+        } else if (status === 'expired') {
+            conditions.push({ expiresAt: { $ne: null, $lte: now } });
+        }
+
+        if (search) {
+            const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            conditions.push({ $or: [{ shortcode: pattern }, { originalUrl: pattern }] });
+        }
+
+        return conditions.length > 0 ? { $and: conditions } : {};
+    }
+
+    async list(options = {}) {
+        try {
+            const { page = 1, limit = 20 } = options;
+            const filter = this.buildListFilter(options);
+
+            const [docs, total] = await Promise.all([
+                this.model.find(filter)
+                    .sort({ createdAt: -1, _id: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .lean(),
+                this.model.countDocuments(filter)
+            ]);
+
+            logger.debug('Listed short URLs', { total, page, limit });
+            return { items: docs.map(doc => this.toDomain(doc)), total };
+        } catch (error) {
+            logger.error('Error listing short URLs', { error: error.message, options });
+            throw error;
+        }
+    }
+
+    async *iterate({ ownerId } = {}) {
+        // A cursor keeps memory flat however many links the export covers
+        const cursor = this.model.find(ownerId ? { ownerId } : {}).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+
+        for await (const doc of cursor) {
+            yield this.toDomain(doc);
+        }
+    }
+
+    async getAll() {
+        try {
+            const docs = await this.model.find().lean();
+            const allUrls = docs.map(doc => this.toDomain(doc));
+            logger.debug('Retrieved all short URLs', { count: allUrls.length });
+            return allUrls;
+        } catch (error) {
+            logger.error('Error retrieving all short URLs', { error: error.message });
+            throw error;
+        }
+    }
+
+    async getStats() {
+        try {
+            const [totalUrls, activeUrls] = await Promise.all([
+                this.model.countDocuments(),
+                this.model.countDocuments(this.activeFilter())
+            ]);
+
+            const stats = {
+                totalUrls,
+                activeUrls,
+                expiredUrls: totalUrls - activeUrls,
+                cacheStats: this.cache.getStats()
+            };
+
+            logger.debug('Repository stats retrieved', stats);
+            return stats;
+        } catch (error) {
+            logger.error('Error retrieving repository stats', { error: error.message });
+            throw error;
+        }
+    }
+
+    async cleanup() {
+        try {
+            const expiredFilter = { expiresAt: { $ne: null, $lte: new Date() } };
+            const expired = await this.model.find(expiredFilter).lean();
+            if (expired.length === 0) {
+                return 0;
+            }
+
+            // One at a time, so a link a read expires meanwhile reaches onExpired only once
+            let cleanedCount = 0;
+            for (const doc of expired) {
+                if (await this.expire(this.toDomain(doc))) {
+                    cleanedCount++;
+                }
+            }
+
+            logger.info('Repository cleanup completed', { cleanedCount });
+            return cleanedCount;
+        } catch (error) {
+            logger.error('Error during repository cleanup', { error: error.message });
+            throw error;
+        }
+    }
+
+    async close() {
+        this.cache.destroy();
+    }
+}
+
+module.exports = MongoUrlRepository;
@@ -0,0 +1,54 @@
+const { logger } = require('../middleware/logger');
+const VisitorSketchStorageAdapter = require('./visitorSketchStorageAdapter');
+const VisitorSketchModel = require('../models/visitorSketch');
+
+class MongoVisitorSketchRepository extends VisitorSketchStorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.model = options.model || VisitorSketchModel;
+
+        logger.info('Mongo visitor sketch repository initialized', { collection: this.model.collection.name });
+    }
+
+    async raise(shortUrlId, day, index, rank) {
+        try {
+            // $max on a single register under upsert is one atomic write
+            await this.model.updateOne(
+                { shortUrlId, day },
+                { $max: { [`registers.${index}`]: rank } },
+                { upsert: true }
+            );
+        } catch (error) {
+            logger.error('Error updating visitor sketch', { shortUrlId, day, error: error.message });
+            throw error;
+        }
+    }
+
+    async list(shortUrlId, { from, to } = {}) {
+        try {
+            const filter = { shortUrlId };
+            if (from || to) {
+                filter.day = {};
+                if (from) filter.day.$gte = from;
+                if (to) filter.day.$lte = to;
+            }
+
+            const docs = await this.model.find(filter).sort({ day: 1 }).lean();
+            return docs.map(doc => ({ day: doc.day, registers: doc.registers || {} }));
+        } catch (error) {
+            logger.error('Error listing visitor sketches', { shortUrlId, error: error.message });
+            throw error;
+        }
+    }
+
+    async deleteByShortUrlId(shortUrlId) {
+        try {
+            await this.model.deleteMany({ shortUrlId });
+        } catch (error) {
+            logger.error('Error deleting visitor sketches', { shortUrlId, error: error.message });
+            throw error;
+        }
+    }
+}
+
+module.exports = MongoVisitorSketchRepository;
@@ -0,0 +1,114 @@
+const { logger } = require('../middleware/logger');
+const Webhook = require('../domain/Webhook');
+const WebhookStorageAdapter = require('./webhookStorageAdapter');
+const WebhookModel = require('../models/webhook');
+const WebhookDeliveryModel = require('../models/webhookDelivery');
+
+class MongoWebhookRepository extends WebhookStorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.model = options.model || WebhookModel;
+        this.deliveryModel = options.deliveryModel || WebhookDeliveryModel;
+
+        logger.info('Mongo webhook repository initialized', {
+            collection: this.model.collection.name,
+            deliveries: this.deliveryModel.collection.name
+        });
+    }
+
+    toDomain(doc) {
+        return doc ? new Webhook(doc) : null;
+    }
+
+    toDelivery(doc) {
+        if (!doc) {
+            return null;
+        }
+        const { _id, __v, ...delivery } = doc;
+        return delivery;
+    }
+
+    async create(webhook) {
+        try {
+            await this.model.create({ ...webhook });
+
+            logger.info('Webhook stored', { id: webhook.id, ownerId: webhook.ownerId, events: webhook.events });
+            return webhook;
+        } catch (error) {
+            logger.error('Error storing webhook', { ownerId: webhook.ownerId, error: error.message });
+            throw error;
+        }
+    }
+
+    async findById(id) {
+        return this.toDomain(await this.model.findOne({ id }).lean());
+    }
+
+    async list({ ownerId } = {}) {
+        const docs = await this.model.find(ownerId ? { ownerId } : {}).sort({ createdAt: 1 }).lean();
+        return docs.map(doc => this.toDomain(doc));
+    }
+
+    async delete(id) {
+        try {
+            const result = await this.model.deleteOne({ id });
+            const deleted = result.deletedCount > 0;
+            if (deleted) {
+                await this.deliveryModel.deleteMany({ webhookId: id });
+                logger.info('Webhook deleted', { id });
+            }
+            return deleted;
+        } catch (error) {
+            logger.error('Error deleting webhook', { id, error: error.message });
+            throw error;
+        }
+    }
+
+    async createDelivery(delivery) {
+        try {
+            await this.deliveryModel.create({ ...delivery });
+            return delivery;
+        } catch (error) {
+            logger.error('Error storing webhook delivery', { webhookId: delivery.webhookId, error: error.message });
+            throw error;
+        }
+    }
+
+    async findDelivery(id) {
+        return this.toDelivery(await this.deliveryModel.findOne({ id }).lean());
+    }
+
+    async updateDelivery(id, changes) {
+        try {
+            const doc = await this.deliveryModel.findOneAndUpdate({ id }, { $set: changes }, { new: true }).lean();
+            return this.toDelivery(doc);
+        } catch (error) {
+            logger.error('Error updating webhook delivery', { id, error: error.message });
+            throw error;
+        }
+    }
+
+    async listDeliveries({ webhookId, status, page = 1, limit = 20 } = {}) {
+        const filter = {};
+        if (webhookId) filter.webhookId = webhookId;
+        if (status) filter.status = status;
+
+        const [docs, total] = await Promise.all([
+            this.deliveryModel.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            this.deliveryModel.countDocuments(filter)
+        ]);
+        return { items: docs.map(doc => this.toDelivery(doc)), total };
+    }
+
+    async pruneDeliveries(before) {
+        try {
+            const result = await this.deliveryModel.deleteMany({ status: { $in: ['delivered', 'dead'] }, createdAt: { $lt: before } });
+            return result.deletedCount;
+        } catch (error) {
+            logger.error('Error pruning webhook deliveries', { error: error.message });
+            throw error;
+        }
+    }
+}
+
+module.exports = MongoWebhookRepository;
@@ -0,0 +1,16 @@
+const SequenceStorageAdapter = require('./sequenceStorageAdapter');
+
+class SequenceRepository extends SequenceStorageAdapter {
+    constructor() {
+        super();
+        this.counters = new Map(); // name -> last value handed out
+    }
+
+    async next(name) {
+        const value = (this.counters.get(name) || 0) + 1;
+        this.counters.set(name, value);
+        return value;
+    }
+}
+
+module.exports = SequenceRepository;
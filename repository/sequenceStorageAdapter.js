@@ -0,0 +1,16 @@
+/**
+ * Contract shared by every named-counter store. Counters back the sequential
+ * shortcode generator, so next() must never hand out the same value twice,
+ * even to concurrent callers.
+ */
+class SequenceStorageAdapter {
+    /** Atomically increment the counter called name (starting at 1) and return the new value. */
+    async next(name) {
+        throw new Error(`${this.constructor.name} must implement next()`);
+    }
+
+    /** Release timers and connections held by the backend. */
+    async close() {}
+}
+
+module.exports = SequenceStorageAdapter;
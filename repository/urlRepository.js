@@ -1,32 +1,61 @@
 const { logger } = require('../middleware/logger');
 const ShortUrl = require('../domain/ShortUrl');
+const ServiceError = require('../domain/ServiceError');
 const UrlCache = require('../cache/urlCache');
+const UrlStorageAdapter = require('./urlStorageAdapter');
 
-class UrlRepository {
+class UrlRepository extends UrlStorageAdapter {
     constructor() {
+        super();
         this.cache = new UrlCache();
         this.urls = new Map(); // In-memory storage for demo purposes
-        this.shortcodeIndex = new Map(); // Index for quick shortcode lookups
+        this.shortcodeIndex = new Map(); // domain/shortcode key -> id, see ShortUrl.namespaceKey
+        this.normalizedUrlIndex = new Map(); // ownerId + normalized URL -> Set of ids
         
         logger.info('URL repository initialized');
     }
 
+    normalizedUrlKey({ ownerId, normalizedUrl }) {
+        return `${ownerId || ''}\n${normalizedUrl}`;
+    }
+
+    indexNormalizedUrl(shortUrl) {
+        const key = this.normalizedUrlKey(shortUrl);
+        if (!this.normalizedUrlIndex.has(key)) {
+            this.normalizedUrlIndex.set(key, new Set());
+        }
+        this.normalizedUrlIndex.get(key).add(shortUrl.id);
+    }
+
+    unindexNormalizedUrl(shortUrl) {
+        const key = this.normalizedUrlKey(shortUrl);
+        const ids = this.normalizedUrlIndex.get(key);
+        if (ids) {
+            ids.delete(shortUrl.id);
+            if (ids.size === 0) {
+                this.normalizedUrlIndex.delete(key);
+            }
+        }
+    }
+
     async create(shortUrlData) {
         try {
             const shortUrl = new ShortUrl(shortUrlData);
             
-            // Check if shortcode already exists
-            if (this.shortcodeIndex.has(shortUrl.shortcode)) {
-                logger.warn('Shortcode collision detected', { shortcode: shortUrl.shortcode });
-                throw new Error('Shortcode already exists');
+            // Check if shortcode already exists in the link's domain
+            const key = shortUrl.namespaceKey();
+            if (this.shortcodeIndex.has(key)) {
+                logger.warn('Shortcode collision detected', { shortcode: shortUrl.shortcode, domain: shortUrl.domain });
+                throw ServiceError.conflict('Shortcode already exists', 'SHORTCODE_TAKEN');
             }
 
             // Store in memory
             this.urls.set(shortUrl.id, shortUrl);
-            this.shortcodeIndex.set(shortUrl.shortcode, shortUrl.id);
+            this.shortcodeIndex.set(key, shortUrl.id);
+            this.indexNormalizedUrl(shortUrl);
             
             // Cache the shortcode for quick access
-            this.cache.set(shortUrl.shortcode, shortUrl);
+            this.cache.set(key, shortUrl);
             
             logger.info('Short URL created successfully', { 
                 id: shortUrl.id, 
@@ -41,18 +70,20 @@ class UrlRepository {
         }
     }
 
-    async findByShortcode(shortcode) {
+    async findByShortcode(shortcode, { domain = null } = {}) {
         try {
+            const key = ShortUrl.namespaceKey(domain, shortcode);
+
             // Check cache first
-            let shortUrl = this.cache.get(shortcode);
+            let shortUrl = this.cache.get(key);
             
-            if (shortUrl) {
+            if (shortUrl && !shortUrl.isExpired()) {
                 logger.debug('Short URL found in cache', { shortcode });
                 return shortUrl;
             }
 
             // Check memory storage
-            const urlId = this.shortcodeIndex.get(shortcode);
+            const urlId = this.shortcodeIndex.get(key);
             if (!urlId) {
                 logger.debug('Short URL not found', { shortcode });
                 return null;
@@ -67,12 +98,12 @@ class UrlRepository {
             // Check if expired
             if (shortUrl.isExpired()) {
                 logger.info('Short URL expired', { shortcode, expiry: shortUrl.expiresAt });
-                await this.delete(shortUrl.id);
+                await this.expire(shortUrl);
                 return null;
             }
 
             // Cache for future requests
-            this.cache.set(shortcode, shortUrl);
+            this.cache.set(key, shortUrl);
             
             logger.debug('Short URL found in storage', { shortcode });
             return shortUrl;
@@ -93,7 +124,7 @@ class UrlRepository {
             // Check if expired
             if (shortUrl.isExpired()) {
                 logger.info('Short URL expired', { id, expiry: shortUrl.expiresAt });
-                await this.delete(id);
+                await this.expire(shortUrl);
                 return null;
             }
 
@@ -105,23 +136,43 @@ class UrlRepository {
         }
     }
 
+    async findByNormalizedUrl(normalizedUrl, { ownerId, domain = null } = {}) {
+        const ids = this.normalizedUrlIndex.get(this.normalizedUrlKey({ ownerId, normalizedUrl })) || [];
+        const live = Array.from(ids)
+            .map(id => this.urls.get(id))
+            .filter(shortUrl => shortUrl && shortUrl.domain === domain && shortUrl.isActive && !shortUrl.isExpired() &&
+                !shortUrl.isScheduled() && !shortUrl.hasReachedClickLimit())
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        logger.debug('Looked up short URL by normalized URL', { normalizedUrl, ownerId, found: live.length > 0 });
+        return live[0] || null;
+    }
+
     async update(id, updateData) {
         try {
             const shortUrl = await this.findById(id);
             if (!shortUrl) {
-                throw new Error('Short URL not found');
+                throw ServiceError.notFound();
+            }
+
+            const previousKey = shortUrl.namespaceKey();
+            const nextKey = ShortUrl.namespaceKey(shortUrl.domain, updateData.shortcode || shortUrl.shortcode);
+            if (nextKey !== previousKey && this.shortcodeIndex.has(nextKey)) {
+                throw ServiceError.conflict('Shortcode already exists', 'SHORTCODE_TAKEN');
             }
 
             // Update fields
-            Object.assign(shortUrl, updateData);
+            this.unindexNormalizedUrl(shortUrl);
+            Object.assign(shortUrl, updateData, { updatedAt: new Date() });
+            this.indexNormalizedUrl(shortUrl);
             
             // Update cache if shortcode changed
-            if (updateData.shortcode && updateData.shortcode !== shortUrl.shortcode) {
-                this.cache.delete(shortUrl.shortcode);
-                this.shortcodeIndex.delete(shortUrl.shortcode);
-                this.shortcodeIndex.set(updateData.shortcode, id);
-                this.cache.set(updateData.shortcode, shortUrl);
+            if (nextKey !== previousKey) {
+                this.cache.delete(previousKey);
+                this.shortcodeIndex.delete(previousKey);
+                this.shortcodeIndex.set(nextKey, id);
             }
+            this.cache.set(nextKey, shortUrl);
 
             logger.info('Short URL updated successfully', { id, updateData });
             return shortUrl;
@@ -141,8 +192,9 @@ class UrlRepository {
 
             // Remove from all storage locations
             this.urls.delete(id);
-            this.shortcodeIndex.delete(shortUrl.shortcode);
-            this.cache.delete(shortUrl.shortcode);
+            this.shortcodeIndex.delete(shortUrl.namespaceKey());
+            this.unindexNormalizedUrl(shortUrl);
+            this.cache.delete(shortUrl.namespaceKey());
             
             logger.info('Short URL deleted successfully', { id, shortcode: shortUrl.shortcode });
             return true;
@@ -152,19 +204,27 @@ class UrlRepository {
         }
     }
 
-    async addClick(shortcode, clickData) {
+    async addClick(shortcode, clickData, { domain = null } = {}) {
         try {
-            const shortUrl = await this.findByShortcode(shortcode);
+            const shortUrl = await this.findByShortcode(shortcode, { domain });
             if (!shortUrl) {
-                throw new Error('Short URL not found');
+                throw ServiceError.notFound();
             }
 
+            // Check and count without yielding in between, so concurrent redirects
+            // can never take a link past maxClicks
+            if (shortUrl.isScheduled()) {
+                throw ServiceError.notFound();
+            }
+            if (shortUrl.hasReachedClickLimit()) {
+                throw ServiceError.clickLimitReached();
+            }
             const click = shortUrl.addClick(clickData);
             
             // Update cache
-            this.cache.set(shortcode, shortUrl);
+            this.cache.set(shortUrl.namespaceKey(), shortUrl);
             
-            logger.info('Click added to short URL', { shortcode, clickId: click.id });
+            logger.info('Click counted on short URL', { shortcode, clickId: click.id });
             return click;
         } catch (error) {
             logger.error('Error adding click to short URL', { shortcode, error: error.message });
@@ -172,6 +232,50 @@ class UrlRepository {
         }
     }
 
+    matchesListFilter(shortUrl, { status, search, ownerId, domain } = {}) {
+        if (ownerId && shortUrl.ownerId !== ownerId) return false;
+        if (domain !== undefined && shortUrl.domain !== domain) return false;
+        if (status === 'active' && (!shortUrl.isActive || shortUrl.isExpired())) return false;
+        if (status === 'inactive' && shortUrl.isActive) return false;
+        if (status === 'expired' && !shortUrl.isExpired()) return false;
+
+        if (search) {
+            const needle = search.toLowerCase();
+            return shortUrl.shortcode.toLowerCase().includes(needle) ||
+                shortUrl.originalUrl.toLowerCase().includes(needle);
+        }
+
+        return true;
+    }
+
+    async list(options = {}) {
+        try {
+            const { page = 1, limit = 20 } = options;
+            const matching = Array.from(this.urls.values())
+                .filter(shortUrl => this.matchesListFilter(shortUrl, options))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            const start = (page - 1) * limit;
+            logger.debug('Listed short URLs', { total: matching.length, page, limit });
+            return {
+                items: matching.slice(start, start + limit),
+                total: matching.length
+            };
+        } catch (error) {
+            logger.error('Error listing short URLs', { error: error.message, options });
+            throw error;
+        }
+    }
+
+    async *iterate({ ownerId } = {}) {
+        // Snapshot first so links created mid-export don't disturb the iteration
+        const snapshot = Array.from(this.urls.values())
+            .filter(shortUrl => !ownerId || shortUrl.ownerId === ownerId)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        yield* snapshot;
+    }
+
     async getAll() {
         try {
             const allUrls = Array.from(this.urls.values());
@@ -209,9 +313,8 @@ class UrlRepository {
             const now = new Date();
             let cleanedCount = 0;
             
-            for (const [id, shortUrl] of this.urls.entries()) {
-                if (shortUrl.isExpired()) {
-                    await this.delete(id);
+            for (const shortUrl of Array.from(this.urls.values())) {
+                if (shortUrl.isExpired() && await this.expire(shortUrl)) {
                     cleanedCount++;
                 }
             }
@@ -226,6 +329,10 @@ class UrlRepository {
             throw error;
         }
     }
+
+    async close() {
+        this.cache.destroy();
+    }
 }
 
 module.exports = UrlRepository;
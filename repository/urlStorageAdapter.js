@@ -0,0 +1,101 @@
+/**
+ * Contract shared by every UrlRepository backend.
+ *
+ * UrlService only talks to storage through these methods, so a backend is
+ * interchangeable as long as it returns ShortUrl domain objects (or null when
+ * nothing matches) and treats expired links as absent. The conformance suite
+ * in test/urlRepository.conformance.test.js runs against every implementation.
+ */
+class UrlStorageAdapter {
+    constructor() {
+        // Called with each link the repository deletes because it expired, on a read
+        // or in cleanup(), so the owner of its clicks can remove them as well
+        this.onExpired = null;
+    }
+
+    /** Persist a new link. Rejects with a 409 ServiceError when the shortcode is taken in the link's domain. */
+    async create(shortUrlData) {
+        throw new Error(`${this.constructor.name} must implement create()`);
+    }
+
+    /**
+     * Resolve a shortcode to a live (non-expired) ShortUrl, or null. Shortcodes are
+     * unique per { domain }; a null domain is the default namespace.
+     */
+    async findByShortcode(shortcode, options) {
+        throw new Error(`${this.constructor.name} must implement findByShortcode()`);
+    }
+
+    /** Resolve an id to a live (non-expired) ShortUrl, or null. */
+    async findById(id) {
+        throw new Error(`${this.constructor.name} must implement findById()`);
+    }
+
+    /** Apply a partial update and return the updated ShortUrl. */
+    async update(id, updateData) {
+        throw new Error(`${this.constructor.name} must implement update()`);
+    }
+
+    /** Newest link of { ownerId, domain } whose normalizedUrl matches and that would redirect right now, or null. */
+    async findByNormalizedUrl(normalizedUrl, options) {
+        throw new Error(`${this.constructor.name} must implement findByNormalizedUrl()`);
+    }
+
+    /** Remove a link. Resolves to true when something was deleted. */
+    async delete(id) {
+        throw new Error(`${this.constructor.name} must implement delete()`);
+    }
+
+    /**
+     * Count a click against a live link and return the click event for the click
+     * store. The limit checks and the increment must be one atomic step: a link
+     * before its activeFrom rejects with 404, one at maxClicks with 410 CLICK_LIMIT_REACHED.
+     * Accepts { domain } like findByShortcode.
+     */
+    async addClick(shortcode, clickData, options) {
+        throw new Error(`${this.constructor.name} must implement addClick()`);
+    }
+
+    /**
+     * One page of links, newest first: { items, total }. Accepts
+     * { status: 'active'|'inactive'|'expired', search, ownerId, domain, page, limit }.
+     * domain, when given (null included), narrows the list to that namespace.
+     */
+    async list(options) {
+        throw new Error(`${this.constructor.name} must implement list()`);
+    }
+
+    /** Async iterator over every link (of { ownerId }, if given), oldest first, for streaming exports. */
+    async *iterate(options) {
+        throw new Error(`${this.constructor.name} must implement iterate()`);
+    }
+
+    /** Every stored link, expired or not. */
+    async getAll() {
+        throw new Error(`${this.constructor.name} must implement getAll()`);
+    }
+
+    /** Totals for the health endpoint: { totalUrls, activeUrls, expiredUrls, cacheStats }. */
+    async getStats() {
+        throw new Error(`${this.constructor.name} must implement getStats()`);
+    }
+
+    /** Delete every expired link, through expire(), and resolve to the number removed. */
+    async cleanup() {
+        throw new Error(`${this.constructor.name} must implement cleanup()`);
+    }
+
+    /** Delete a link that has expired and pass it to onExpired. Resolves to true when it was deleted. */
+    async expire(shortUrl) {
+        const deleted = await this.delete(shortUrl.id);
+        if (deleted && this.onExpired) {
+            await this.onExpired(shortUrl);
+        }
+        return deleted;
+    }
+
+    /** Release timers and connections held by the backend. */
+    async close() {}
+}
+
+module.exports = UrlStorageAdapter;
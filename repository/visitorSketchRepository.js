@@ -0,0 +1,38 @@
+const VisitorSketchStorageAdapter = require('./visitorSketchStorageAdapter');
+
+const inDays = (day, { from, to } = {}) => (!from || day >= from) && (!to || day <= to);
+
+class VisitorSketchRepository extends VisitorSketchStorageAdapter {
+    constructor() {
+        super();
+        this.sketches = new Map(); // shortUrlId -> Map(day -> registers)
+    }
+
+    async raise(shortUrlId, day, index, rank) {
+        if (!this.sketches.has(shortUrlId)) {
+            this.sketches.set(shortUrlId, new Map());
+        }
+        const days = this.sketches.get(shortUrlId);
+        if (!days.has(day)) {
+            days.set(day, {});
+        }
+
+        const registers = days.get(day);
+        if ((registers[index] || 0) < rank) {
+            registers[index] = rank;
+        }
+    }
+
+    async list(shortUrlId, options = {}) {
+        return Array.from((this.sketches.get(shortUrlId) || new Map()).entries())
+            .filter(([day]) => inDays(day, options))
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([day, registers]) => ({ day, registers: { ...registers } }));
+    }
+
+    async deleteByShortUrlId(shortUrlId) {
+        this.sketches.delete(shortUrlId);
+    }
+}
+
+module.exports = VisitorSketchRepository;
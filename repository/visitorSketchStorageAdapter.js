@@ -0,0 +1,27 @@
+/**
+ * Contract shared by every store of unique visitor sketches (see
+ * service/hyperLogLog.js). There is one sketch per link per UTC day, kept as
+ * sparse registers { index: rank }. raise() is the only write and must be
+ * atomic, so concurrent redirects can't lose each other's visitors.
+ */
+class VisitorSketchStorageAdapter {
+    /** Set register index of the link's sketch for day ('YYYY-MM-DD') to at least rank. */
+    async raise(shortUrlId, day, index, rank) {
+        throw new Error(`${this.constructor.name} must implement raise()`);
+    }
+
+    /** The link's sketches for days within { from, to } (inclusive), oldest first: [{ day, registers }]. */
+    async list(shortUrlId, options) {
+        throw new Error(`${this.constructor.name} must implement list()`);
+    }
+
+    /** Drop every sketch kept for a link. */
+    async deleteByShortUrlId(shortUrlId) {
+        throw new Error(`${this.constructor.name} must implement deleteByShortUrlId()`);
+    }
+
+    /** Release timers and connections held by the backend. */
+    async close() {}
+}
+
+module.exports = VisitorSketchStorageAdapter;
@@ -0,0 +1,87 @@
+const { logger } = require('../middleware/logger');
+const WebhookStorageAdapter = require('./webhookStorageAdapter');
+
+class WebhookRepository extends WebhookStorageAdapter {
+    constructor() {
+        super();
+        this.webhooks = new Map(); // id -> Webhook
+        this.deliveries = new Map(); // id -> delivery, in creation order
+
+        logger.info('Webhook repository initialized');
+    }
+
+    async create(webhook) {
+        this.webhooks.set(webhook.id, webhook);
+
+        logger.info('Webhook stored', { id: webhook.id, ownerId: webhook.ownerId, events: webhook.events });
+        return webhook;
+    }
+
+    async findById(id) {
+        return this.webhooks.get(id) || null;
+    }
+
+    async list({ ownerId } = {}) {
+        return Array.from(this.webhooks.values())
+            .filter(webhook => !ownerId || webhook.ownerId === ownerId)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    async delete(id) {
+        const deleted = this.webhooks.delete(id);
+        if (deleted) {
+            for (const [deliveryId, delivery] of this.deliveries) {
+                if (delivery.webhookId === id) {
+                    this.deliveries.delete(deliveryId);
+                }
+            }
+            logger.info('Webhook deleted', { id });
+        }
+        return deleted;
+    }
+
+    async createDelivery(delivery) {
+        this.deliveries.set(delivery.id, { ...delivery });
+        return delivery;
+    }
+
+    async findDelivery(id) {
+        const delivery = this.deliveries.get(id);
+        return delivery ? { ...delivery } : null;
+    }
+
+    async updateDelivery(id, changes) {
+        const delivery = this.deliveries.get(id);
+        if (!delivery) {
+            return null;
+        }
+
+        Object.assign(delivery, changes);
+        return { ...delivery };
+    }
+
+    async listDeliveries({ webhookId, status, page = 1, limit = 20 } = {}) {
+        const matching = Array.from(this.deliveries.values())
+            .filter(delivery => (!webhookId || delivery.webhookId === webhookId) && (!status || delivery.status === status))
+            .reverse();
+
+        const start = (page - 1) * limit;
+        return {
+            items: matching.slice(start, start + limit).map(delivery => ({ ...delivery })),
+            total: matching.length
+        };
+    }
+
+    async pruneDeliveries(before) {
+        let removed = 0;
+        for (const [id, delivery] of this.deliveries) {
+            if (delivery.status !== 'pending' && new Date(delivery.createdAt) < before) {
+                this.deliveries.delete(id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+module.exports = WebhookRepository;
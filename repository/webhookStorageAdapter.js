@@ -0,0 +1,64 @@
+/**
+ * Contract shared by every webhook store: the subscriptions and the log of
+ * their deliveries. A delivery is a plain object:
+ *
+ *   { id, webhookId, ownerId, event, payload, status: 'pending' | 'delivered' | 'dead',
+ *     attempts, lastStatusCode, lastError, lastAttemptAt, nextAttemptAt, deliveredAt, createdAt }
+ *
+ * Deliveries that ran out of attempts stay 'dead' and form the dead-letter list
+ * until pruneDeliveries removes them.
+ */
+class WebhookStorageAdapter {
+    /** Persist a new Webhook. */
+    async create(webhook) {
+        throw new Error(`${this.constructor.name} must implement create()`);
+    }
+
+    /** Resolve an id to its Webhook, or null. */
+    async findById(id) {
+        throw new Error(`${this.constructor.name} must implement findById()`);
+    }
+
+    /** Webhooks oldest first, optionally only those of { ownerId }. */
+    async list(options) {
+        throw new Error(`${this.constructor.name} must implement list()`);
+    }
+
+    /** Remove a webhook and its delivery log. Resolves to true when something was deleted. */
+    async delete(id) {
+        throw new Error(`${this.constructor.name} must implement delete()`);
+    }
+
+    /** Persist a new delivery. */
+    async createDelivery(delivery) {
+        throw new Error(`${this.constructor.name} must implement createDelivery()`);
+    }
+
+    /** Resolve a delivery id to the delivery, or null. */
+    async findDelivery(id) {
+        throw new Error(`${this.constructor.name} must implement findDelivery()`);
+    }
+
+    /** Apply a partial update and return the updated delivery, or null when unknown. */
+    async updateDelivery(id, changes) {
+        throw new Error(`${this.constructor.name} must implement updateDelivery()`);
+    }
+
+    /**
+     * One page of deliveries, newest first: { items, total }. Accepts
+     * { webhookId, status, page, limit }; without webhookId every webhook's are listed.
+     */
+    async listDeliveries(options) {
+        throw new Error(`${this.constructor.name} must implement listDeliveries()`);
+    }
+
+    /** Delete 'delivered' and 'dead' deliveries created before the given Date. Resolves to the number removed. */
+    async pruneDeliveries(before) {
+        throw new Error(`${this.constructor.name} must implement pruneDeliveries()`);
+    }
+
+    /** Release timers and connections held by the backend. */
+    async close() {}
+}
+
+module.exports = WebhookStorageAdapter;
@@ -0,0 +1,13 @@
+const express = require('express');
+
+const createApiKeyRoutes = (apiKeyController, { requireApiKey, requireAdmin, rateLimits }) => {
+    const router = express.Router();
+
+    router.post('/apikeys', rateLimits.management, requireAdmin, apiKeyController.issueKey);
+    router.get('/apikeys', rateLimits.management, requireApiKey, apiKeyController.listKeys);
+    router.delete('/apikeys/:id', rateLimits.management, requireApiKey, apiKeyController.revokeKey);
+
+    return router;
+};
+
+module.exports = createApiKeyRoutes;
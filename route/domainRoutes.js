@@ -0,0 +1,17 @@
+const express = require('express');
+
+// Custom short domains. Only admins register them, since a host must already
+// point at this deployment; owners then manage their own (admins see all).
+const createDomainRoutes = (domainController, { requireApiKey, requireAdmin, rateLimits }) => {
+    const router = express.Router();
+
+    router.post('/domains', rateLimits.management, requireAdmin, domainController.registerDomain);
+    router.get('/domains', rateLimits.management, requireApiKey, domainController.listDomains);
+    router.get('/domains/:host', rateLimits.management, requireApiKey, domainController.getDomain);
+    router.patch('/domains/:host', rateLimits.management, requireApiKey, domainController.updateDomain);
+    router.delete('/domains/:host', rateLimits.management, requireApiKey, domainController.deleteDomain);
+
+    return router;
+};
+
+module.exports = createDomainRoutes;
@@ -0,0 +1,16 @@
+const express = require('express');
+
+const createTransferRoutes = (transferController, { requireApiKey, rateLimits }) => {
+    const router = express.Router();
+
+    // Bulk CSV import counts as a single create request
+    router.post('/import/shorturls', rateLimits.create, requireApiKey, transferController.importUrls);
+
+    // Streaming exports, scoped to the caller's own links (admins see all)
+    router.get('/export/shorturls', rateLimits.stats, requireApiKey, transferController.exportUrls);
+    router.get('/export/clicks', rateLimits.stats, requireApiKey, transferController.exportClicks);
+
+    return router;
+};
+
+module.exports = createTransferRoutes;
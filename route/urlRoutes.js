@@ -1,10 +1,27 @@
 const express = require('express');
-const router = express.Router();
-const UrlController = require('../controller/urlController');
 
-// Define routes
-router.post('/shorturls', UrlController.createShortUrl);
-router.get('/shorturls/:shortcode', UrlController.getUrlStats);
-router.get('/:shortcode', UrlController.redirectToUrl);
+const createUrlRoutes = (urlController, { requireApiKey, rateLimits, idempotent }) => {
+    const router = express.Router();
 
-module.exports = router;
+    // Management routes, scoped to the caller's own links (admins see all)
+    router.get('/shorturls', rateLimits.management, requireApiKey, urlController.listUrls);
+    router.patch('/shorturls/:shortcode', rateLimits.management, requireApiKey, urlController.updateUrl);
+    router.delete('/shorturls/:shortcode', rateLimits.management, requireApiKey, urlController.deleteUrl);
+
+    // Define routes
+    router.post('/shorturls', rateLimits.create, requireApiKey, idempotent, urlController.createShortUrl);
+    router.post('/shorturls/batch', rateLimits.create, requireApiKey, idempotent, urlController.createShortUrlsBatch);
+    router.get('/shorturls/:shortcode', rateLimits.stats, requireApiKey, urlController.getUrlStats);
+    router.get('/shorturls/:shortcode/clicks', rateLimits.stats, requireApiKey, urlController.getUrlClicks);
+    router.get('/shorturls/:shortcode/analytics', rateLimits.stats, requireApiKey, urlController.getUrlAnalytics);
+
+    // Public redirect; POST carries the password for protected links, and a
+    // trailing + (/abc123+) previews the destination instead of following it
+    router.get('/:shortcode\\+', rateLimits.redirect, urlController.previewUrl);
+    router.get('/:shortcode', rateLimits.redirect, urlController.redirectToUrl);
+    router.post('/:shortcode', rateLimits.redirect, express.urlencoded({ extended: false, limit: '10kb' }), urlController.unlockUrl);
+
+    return router;
+};
+
+module.exports = createUrlRoutes;
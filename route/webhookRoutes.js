@@ -0,0 +1,17 @@
+const express = require('express');
+
+// Webhook subscriptions and their delivery log, scoped to the caller's own webhooks (admins see all)
+const createWebhookRoutes = (webhookController, { requireApiKey, rateLimits }) => {
+    const router = express.Router();
+
+    router.post('/webhooks', rateLimits.management, requireApiKey, webhookController.createWebhook);
+    router.get('/webhooks', rateLimits.management, requireApiKey, webhookController.listWebhooks);
+    router.get('/webhooks/:id', rateLimits.management, requireApiKey, webhookController.getWebhook);
+    router.delete('/webhooks/:id', rateLimits.management, requireApiKey, webhookController.deleteWebhook);
+    router.get('/webhooks/:id/deliveries', rateLimits.management, requireApiKey, webhookController.listDeliveries);
+    router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', rateLimits.management, requireApiKey, webhookController.redeliver);
+
+    return router;
+};
+
+module.exports = createWebhookRoutes;
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { logger } = require('../middleware/logger');
+const ApiKey = require('../domain/ApiKey');
+const ServiceError = require('../domain/ServiceError');
+const config = require('../config/config');
+
+// Principal for config.adminApiKey, which exists so the first real keys can be issued
+const BOOTSTRAP_PRINCIPAL = Object.freeze({ keyId: 'bootstrap', ownerId: 'admin', role: 'admin' });
+
+class ApiKeyService {
+    constructor(apiKeyRepository, options = {}) {
+        this.apiKeyRepository = apiKeyRepository;
+
+        const bootstrapKey = options.bootstrapAdminKey !== undefined ? options.bootstrapAdminKey : config.adminApiKey;
+        this.bootstrapKeyHash = bootstrapKey ? Buffer.from(ApiKey.hash(bootstrapKey), 'hex') : null;
+
+        logger.info('API key service initialized', { bootstrapAdminKey: Boolean(this.bootstrapKeyHash) });
+    }
+
+    isBootstrapKey(keyHash) {
+        if (!this.bootstrapKeyHash) return false;
+        return crypto.timingSafeEqual(Buffer.from(keyHash, 'hex'), this.bootstrapKeyHash);
+    }
+
+    async issueKey({ ownerId, name, role = 'user' } = {}) {
+        try {
+            const ownerValidation = ApiKey.validateOwnerId(ownerId);
+            if (!ownerValidation.isValid) {
+                throw ServiceError.validation(ownerValidation.error, 'INVALID_OWNER');
+            }
+
+            if (!ApiKey.ROLES.includes(role)) {
+                throw ServiceError.validation(`role must be one of: ${ApiKey.ROLES.join(', ')}`, 'INVALID_ROLE');
+            }
+
+            if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > 100)) {
+                throw ServiceError.validation('name must be a string of at most 100 characters', 'INVALID_NAME');
+            }
+
+            const { apiKey, plaintext } = ApiKey.generate({ ownerId, name, role });
+            await this.apiKeyRepository.create(apiKey);
+
+            logger.info('API key issued', { id: apiKey.id, ownerId, role });
+            return { apiKey, plaintext };
+        } catch (error) {
+            logger.error('Error issuing API key', { ownerId, error: error.message });
+            throw error;
+        }
+    }
+
+    // Resolves a presented key to a principal, or null when it is unknown or revoked
+    async authenticate(plaintext) {
+        try {
+            const keyHash = ApiKey.hash(plaintext);
+            if (this.isBootstrapKey(keyHash)) {
+                return BOOTSTRAP_PRINCIPAL;
+            }
+
+            const apiKey = await this.apiKeyRepository.findByHash(keyHash);
+            if (!apiKey || apiKey.isRevoked()) {
+                logger.warn('Rejected API key', { prefix: String(plaintext).substring(0, 10), revoked: Boolean(apiKey) });
+                return null;
+            }
+
+            // Usage tracking must not hold up the request
+            this.apiKeyRepository.touch(apiKey.id).catch((error) => {
+                logger.warn('Could not record API key usage', { id: apiKey.id, error: error.message });
+            });
+
+            return apiKey.toPrincipal();
+        } catch (error) {
+            logger.error('Error authenticating API key', { error: error.message });
+            throw error;
+        }
+    }
+
+    async listKeys(principal, options = {}) {
+        const ownerId = principal.role === 'admin' ? options.ownerId : principal.ownerId;
+        return this.apiKeyRepository.list({ ownerId });
+    }
+
+    async revokeKey(id, principal) {
+        try {
+            const apiKey = await this.apiKeyRepository.findById(id);
+
+            // Non-admins can only see (and so revoke) their own keys
+            if (!apiKey || (principal.role !== 'admin' && apiKey.ownerId !== principal.ownerId)) {
+                throw ServiceError.notFound('API key not found');
+            }
+
+            const revoked = await this.apiKeyRepository.revoke(id);
+            logger.info('API key revoked', { id, revokedBy: principal.keyId });
+            return revoked;
+        } catch (error) {
+            logger.error('Error revoking API key', { id, error: error.message });
+            throw error;
+        }
+    }
+}
+
+module.exports = ApiKeyService;
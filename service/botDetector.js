@@ -0,0 +1,100 @@
+const net = require('net');
+const { logger } = require('../middleware/logger');
+const config = require('../config/config');
+
+// Crawlers, link unfurlers, uptime monitors, security scanners and HTTP libraries.
+// Matched case-insensitively anywhere in the User-Agent.
+const USER_AGENT_SIGNATURES = [
+    'bot', 'crawl', 'spider', 'slurp', 'scan', 'monitor', 'preview', 'fetcher',
+    'facebookexternalhit', 'embedly', 'quora link preview', 'whatsapp', 'telegram',
+    'skypeuripreview', 'bitlypreview', 'vkshare', 'outbrain', 'pinterest', 'redditbot',
+    'pingdom', 'uptimerobot', 'statuscake', 'site24x7', 'newrelicpinger', 'datadog',
+    'headlesschrome', 'phantomjs', 'lighthouse', 'google-inspectiontool', 'feedfetcher',
+    'curl/', 'wget/', 'python-requests', 'python-urllib', 'aiohttp', 'httpx', 'go-http-client',
+    'java/', 'okhttp', 'apache-httpclient', 'libwww-perl', 'node-fetch', 'axios/', 'undici',
+    'postmanruntime', 'insomnia', 'httpie'
+];
+
+// User-Agents that claim to be a browser. Real browsers always send Accept and
+// Accept-Language on navigation; a "browser" without them is almost always a script.
+const BROWSER_PATTERN = /\bMozilla\/\d/;
+
+const parseRange = (entry) => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIP(address);
+    if (type === 0) {
+        return null;
+    }
+    const bits = prefix === undefined ? (type === 4 ? 32 : 128) : Number(prefix);
+    if (!Number.isInteger(bits) || bits < 0 || bits > (type === 4 ? 32 : 128)) {
+        return null;
+    }
+    return [address, bits, type === 4 ? 'ipv4' : 'ipv6'];
+};
+
+/**
+ * Tells bots from people for click tracking. A request is a bot when it comes
+ * from a configured scanner range, its User-Agent carries a known signature, or
+ * it looks scripted: no User-Agent, a HEAD request, a prefetch/preview hint or a
+ * browser User-Agent without the headers every browser sends. classify() returns
+ * { isBot, reason } with reason one of SCANNER_IP, USER_AGENT, HEURISTIC or null.
+ *
+ * Detection only labels the click; bots are redirected like everyone else.
+ */
+class BotDetector {
+    constructor(settings = config.botDetection) {
+        this.enabled = settings.enabled !== false;
+        this.signatures = USER_AGENT_SIGNATURES.concat((settings.userAgents || []).map(signature => signature.toLowerCase()));
+
+        this.scannerRanges = new net.BlockList();
+        let ranges = 0;
+        for (const entry of settings.scannerRanges || []) {
+            const range = parseRange(entry);
+            if (!range) {
+                logger.warn('Ignoring invalid scanner IP range', { entry });
+                continue;
+            }
+            this.scannerRanges.addSubnet(...range);
+            ranges++;
+        }
+
+        logger.info('Bot detector initialized', { enabled: this.enabled, scannerRanges: ranges });
+    }
+
+    isScannerIp(ip) {
+        const type = net.isIP(ip || '');
+        return type !== 0 && this.scannerRanges.check(ip, type === 4 ? 'ipv4' : 'ipv6');
+    }
+
+    hasBotSignature(userAgent) {
+        const lowered = userAgent.toLowerCase();
+        return this.signatures.some(signature => lowered.includes(signature));
+    }
+
+    looksScripted({ userAgent, method, acceptLanguage, accept, purpose }) {
+        if (method === 'HEAD') return true;
+        if (purpose && /prefetch|preview/i.test(purpose)) return true;
+        return BROWSER_PATTERN.test(userAgent) && (!acceptLanguage || !accept);
+    }
+
+    // requestData: { ip, userAgent, method, accept, acceptLanguage, purpose }
+    classify(requestData = {}) {
+        if (!this.enabled) {
+            return { isBot: false, reason: null };
+        }
+
+        const userAgent = (requestData.userAgent || '').trim();
+        let reason = null;
+        if (this.isScannerIp(requestData.ip)) {
+            reason = 'SCANNER_IP';
+        } else if (userAgent && this.hasBotSignature(userAgent)) {
+            reason = 'USER_AGENT';
+        } else if (!userAgent || this.looksScripted({ ...requestData, userAgent })) {
+            reason = 'HEURISTIC';
+        }
+
+        return { isBot: reason !== null, reason };
+    }
+}
+
+module.exports = BotDetector;
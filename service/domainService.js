@@ -0,0 +1,184 @@
+const { logger } = require('../middleware/logger');
+const Domain = require('../domain/Domain');
+const ShortUrl = require('../domain/ShortUrl');
+const ServiceError = require('../domain/ServiceError');
+const UrlPolicy = require('./urlPolicy');
+
+/**
+ * Registration and lookup of custom short domains. Each registered host is its
+ * own shortcode namespace and may carry a fallbackUrl that visitors are sent to
+ * when a shortcode on it is unknown. Registered hosts are added to the URL
+ * policy's own hosts, so links can't point back at them; pass UrlService the
+ * same UrlPolicy instance.
+ */
+class DomainService {
+    constructor(domainRepository, options = {}) {
+        this.domainRepository = domainRepository;
+        // Only used to refuse deleting a domain that still has links
+        this.urlRepository = options.urlRepository || null;
+        this.urlPolicy = options.urlPolicy || new UrlPolicy();
+
+        logger.info('Domain service initialized');
+    }
+
+    // Registers the hosts already in storage with the URL policy; call once at startup
+    async load() {
+        try {
+            const domains = await this.domainRepository.list();
+            domains.forEach(domain => this.urlPolicy.addOwnHost(domain.host));
+
+            logger.info('Custom domains loaded', { count: domains.length });
+            return domains.length;
+        } catch (error) {
+            logger.error('Error loading custom domains', { error: error.message });
+            throw error;
+        }
+    }
+
+    parseHost(host) {
+        const hostValidation = Domain.validateHost(host);
+        if (!hostValidation.isValid) {
+            throw ServiceError.validation(hostValidation.error, 'INVALID_DOMAIN');
+        }
+        return Domain.canonicalHost(host);
+    }
+
+    // null clears the fallback; anything else is held to the same checks as a link's URL
+    async validateFallbackUrl(fallbackUrl) {
+        if (fallbackUrl === undefined || fallbackUrl === null) {
+            return;
+        }
+
+        const urlValidation = ShortUrl.validateUrl(fallbackUrl);
+        if (!urlValidation.isValid) {
+            throw ServiceError.validation(`fallbackUrl: ${urlValidation.error}`, 'INVALID_FALLBACK_URL');
+        }
+        await this.urlPolicy.check(fallbackUrl);
+    }
+
+    // Owners see their own domains and admins see every domain. Callers without a
+    // principal (scripts) are not restricted.
+    assertCanAccess(domain, principal) {
+        if (!principal || principal.role === 'admin' || domain.isOwnedBy(principal.ownerId)) {
+            return;
+        }
+
+        // Answer as if the domain didn't exist so registrations can't be probed
+        logger.warn('Access to domain denied', { host: domain.host, ownerId: principal.ownerId });
+        throw ServiceError.notFound('Domain not found');
+    }
+
+    async registerDomain({ host, fallbackUrl, ownerId } = {}, principal) {
+        try {
+            logger.info('Registering custom domain', { host });
+
+            const canonical = this.parseHost(host);
+            await this.validateFallbackUrl(fallbackUrl);
+
+            // Admins may register a domain on someone else's behalf
+            const owner = !principal || principal.role === 'admin'
+                ? ownerId || (principal && principal.ownerId)
+                : principal.ownerId;
+            if (!owner) {
+                throw ServiceError.validation('ownerId is required', 'INVALID_OWNER');
+            }
+
+            if (await this.domainRepository.findByHost(canonical)) {
+                throw ServiceError.conflict(`Domain ${canonical} is already registered`, 'DOMAIN_TAKEN');
+            }
+
+            const domain = await this.domainRepository.create(new Domain({ host: canonical, ownerId: owner, fallbackUrl }));
+            this.urlPolicy.addOwnHost(domain.host);
+
+            logger.info('Custom domain registered', { host: domain.host, ownerId: domain.ownerId });
+            return domain;
+        } catch (error) {
+            logger.error('Error registering custom domain', { host, error: error.message });
+            throw error;
+        }
+    }
+
+    async listDomains(options = {}, principal) {
+        // Admins may narrow the listing to one owner; everyone else only sees their own domains
+        const ownerId = !principal || principal.role === 'admin' ? options.ownerId : principal.ownerId;
+        return this.domainRepository.list({ ownerId: ownerId || undefined });
+    }
+
+    async getDomain(host, principal) {
+        const domain = await this.domainRepository.findByHost(Domain.canonicalHost(host));
+        if (!domain) {
+            throw ServiceError.notFound('Domain not found');
+        }
+        this.assertCanAccess(domain, principal);
+        return domain;
+    }
+
+    async updateDomain(host, changes = {}, principal) {
+        try {
+            logger.info('Updating custom domain', { host, fields: Object.keys(changes) });
+
+            const domain = await this.getDomain(host, principal);
+
+            if (changes.fallbackUrl === undefined) {
+                throw ServiceError.validation('Nothing to update: provide fallbackUrl', 'EMPTY_UPDATE');
+            }
+            await this.validateFallbackUrl(changes.fallbackUrl);
+
+            const updated = await this.domainRepository.update(domain.host, { fallbackUrl: changes.fallbackUrl });
+
+            logger.info('Custom domain updated', { host: domain.host });
+            return updated;
+        } catch (error) {
+            logger.error('Error updating custom domain', { host, error: error.message });
+            throw error;
+        }
+    }
+
+    // A domain can only go once its links have been deleted, or they would
+    // silently fall back into another namespace
+    async deleteDomain(host, principal) {
+        try {
+            logger.info('Deleting custom domain', { host });
+
+            const domain = await this.getDomain(host, principal);
+
+            if (this.urlRepository) {
+                const { total } = await this.urlRepository.list({ domain: domain.host, page: 1, limit: 1 });
+                if (total > 0) {
+                    throw new ServiceError(
+                        `Domain ${domain.host} still has ${total} links`,
+                        409,
+                        'DOMAIN_IN_USE',
+                        { links: total }
+                    );
+                }
+            }
+
+            await this.domainRepository.delete(domain.host);
+            this.urlPolicy.removeOwnHost(domain.host);
+
+            logger.info('Custom domain deleted', { host: domain.host });
+            return { host: domain.host };
+        } catch (error) {
+            logger.error('Error deleting custom domain', { host, error: error.message });
+            throw error;
+        }
+    }
+
+    // The registered domain a request's Host header names, or null. A Host with a
+    // port also matches the domain registered without one.
+    async findByHost(host) {
+        if (!host) {
+            return null;
+        }
+
+        const canonical = Domain.canonicalHost(host);
+        const domain = await this.domainRepository.findByHost(canonical);
+        if (domain || !canonical.includes(':')) {
+            return domain;
+        }
+        return this.domainRepository.findByHost(canonical.replace(/:\d+$/, ''));
+    }
+}
+
+module.exports = DomainService;
@@ -0,0 +1,75 @@
+/**
+ * HyperLogLog cardinality sketch for unique visitor counts on busy links. The
+ * sketch is 2^precision small registers; each visitor raises at most one of
+ * them, so storage can apply an add as a single atomic "max" on one register.
+ * The standard error is about 1.04 / sqrt(2^precision), 1.6% at precision 12.
+ *
+ * Registers are kept sparse as { index: rank }, which is also how they are stored.
+ */
+const MIN_PRECISION = 4;
+const MAX_PRECISION = 16;
+
+const alphaFor = (registerCount) => {
+    if (registerCount === 16) return 0.673;
+    if (registerCount === 32) return 0.697;
+    if (registerCount === 64) return 0.709;
+    return 0.7213 / (1 + 1.079 / registerCount);
+};
+
+class HyperLogLog {
+    constructor(precision = 12, registers = {}) {
+        if (!Number.isInteger(precision) || precision < MIN_PRECISION || precision > MAX_PRECISION) {
+            throw new Error(`HyperLogLog precision must be an integer from ${MIN_PRECISION} to ${MAX_PRECISION}`);
+        }
+        this.precision = precision;
+        this.registers = { ...registers };
+    }
+
+    // Register index and rank for a value that is already a uniform hash in hex
+    // (such as a visitorId); only its first 64 bits are used
+    static position(hashHex, precision) {
+        const bits = BigInt(`0x${hashHex.slice(0, 16).padEnd(16, '0')}`);
+        const index = Number(bits >> BigInt(64 - precision));
+        const rest = bits & ((1n << BigInt(64 - precision)) - 1n);
+        const width = 64 - precision;
+        const rank = rest === 0n ? width + 1 : width - rest.toString(2).length + 1;
+        return { index, rank };
+    }
+
+    add(hashHex) {
+        const { index, rank } = HyperLogLog.position(hashHex, this.precision);
+        if ((this.registers[index] || 0) < rank) {
+            this.registers[index] = rank;
+        }
+        return this;
+    }
+
+    merge(other) {
+        for (const [index, rank] of Object.entries(other.registers)) {
+            if ((this.registers[index] || 0) < rank) {
+                this.registers[index] = rank;
+            }
+        }
+        return this;
+    }
+
+    count() {
+        const registerCount = 2 ** this.precision;
+        const ranks = Object.values(this.registers);
+        const zeros = registerCount - ranks.length;
+
+        let sum = zeros; // 2^-0 for every empty register
+        for (const rank of ranks) {
+            sum += 2 ** -rank;
+        }
+        const estimate = alphaFor(registerCount) * registerCount * registerCount / sum;
+
+        // Small cardinalities are far more accurate by linear counting
+        if (estimate <= 2.5 * registerCount && zeros > 0) {
+            return Math.round(registerCount * Math.log(registerCount / zeros));
+        }
+        return Math.round(estimate);
+    }
+}
+
+module.exports = HyperLogLog;
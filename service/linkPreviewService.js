@@ -0,0 +1,142 @@
+const { logger } = require('../middleware/logger');
+const { MetadataFetcher } = require('./metadataFetcher');
+const UrlPolicy = require('./urlPolicy');
+const config = require('../config/config');
+
+/**
+ * Background fetching of link preview metadata. Jobs run a few at a time off
+ * the request path; retryable failures (timeouts, network errors, 5xx) go back
+ * on the queue with exponential backoff until maxAttempts. The outcome is
+ * stored on the link as metadata:
+ *
+ *   { status: 'pending' | 'ok' | 'failed', title, description, image, finalUrl,
+ *     fetchedAt, attempts, error }
+ */
+class LinkPreviewService {
+    constructor(urlRepository, options = {}) {
+        this.urlRepository = urlRepository;
+        this.settings = options.settings || config.linkPreviews;
+        this.fetcher = options.fetcher || new MetadataFetcher(this.settings, {
+            urlPolicy: options.urlPolicy || new UrlPolicy()
+        });
+
+        this.queue = []; // jobs ready to run: { shortUrlId, url, attempt }
+        this.retryTimers = new Set();
+        this.active = 0;
+        this.idleWaiters = [];
+
+        logger.info('Link preview service initialized', {
+            concurrency: this.settings.concurrency,
+            maxAttempts: this.settings.maxAttempts
+        });
+    }
+
+    get size() {
+        return this.queue.length + this.active + this.retryTimers.size;
+    }
+
+    // Queues a fetch for a link's current destination. The link should already
+    // say { status: 'pending' }. Returns false when the queue is full.
+    enqueue(shortUrl) {
+        const job = { shortUrlId: shortUrl.id, url: shortUrl.originalUrl, attempt: 1 };
+
+        if (this.size >= this.settings.maxQueueSize) {
+            logger.warn('Link preview queue full, skipping fetch', { shortcode: shortUrl.shortcode, size: this.size });
+            this.store(job, { status: 'failed', error: 'QUEUE_FULL', attempts: 0, fetchedAt: new Date() });
+            return false;
+        }
+
+        this.queue.push(job);
+        this.pump();
+        return true;
+    }
+
+    pump() {
+        while (this.active < this.settings.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.active++;
+            this.run(job).finally(() => {
+                this.active--;
+                this.pump();
+                this.notifyIdle();
+            });
+        }
+    }
+
+    async run(job) {
+        try {
+            const metadata = await this.fetcher.fetch(job.url);
+            logger.info('Link preview fetched', { shortUrlId: job.shortUrlId, attempt: job.attempt });
+            await this.store(job, { status: 'ok', ...metadata, fetchedAt: new Date(), attempts: job.attempt, error: null });
+        } catch (error) {
+            if (error.retryable && job.attempt < this.settings.maxAttempts) {
+                this.scheduleRetry(job, error);
+                return;
+            }
+
+            logger.warn('Link preview fetch failed', { shortUrlId: job.shortUrlId, attempt: job.attempt, error: error.message });
+            await this.store(job, {
+                status: 'failed',
+                error: error.code || 'FETCH_FAILED',
+                attempts: job.attempt,
+                fetchedAt: new Date()
+            });
+        }
+    }
+
+    scheduleRetry(job, error) {
+        const delay = this.settings.retryDelayMs * 2 ** (job.attempt - 1);
+        logger.info('Link preview fetch failed, retrying', {
+            shortUrlId: job.shortUrlId,
+            attempt: job.attempt,
+            delay,
+            error: error.message
+        });
+
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(timer);
+            this.queue.push({ ...job, attempt: job.attempt + 1 });
+            this.pump();
+        }, delay);
+        timer.unref();
+        this.retryTimers.add(timer);
+    }
+
+    // The link may have been deleted, pointed elsewhere or had previews switched
+    // off while the fetch ran; then the result is stale and dropped
+    async store(job, metadata) {
+        try {
+            const shortUrl = await this.urlRepository.findById(job.shortUrlId);
+            if (!shortUrl || shortUrl.originalUrl !== job.url || !shortUrl.fetchMetadata) {
+                logger.debug('Discarding link preview for a changed, opted-out or deleted link', { shortUrlId: job.shortUrlId });
+                return;
+            }
+            await this.urlRepository.update(shortUrl.id, { metadata });
+        } catch (error) {
+            logger.error('Error storing link preview', { shortUrlId: job.shortUrlId, error: error.message });
+        }
+    }
+
+    notifyIdle() {
+        if (this.size > 0) return;
+        this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    // Resolves once nothing is queued, running or waiting for a retry
+    onIdle() {
+        if (this.size === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    // Drops queued jobs and pending retries; running fetches finish on their own
+    close() {
+        this.retryTimers.forEach(timer => clearTimeout(timer));
+        this.retryTimers.clear();
+        this.queue = [];
+        this.notifyIdle();
+    }
+}
+
+module.exports = LinkPreviewService;
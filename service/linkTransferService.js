@@ -0,0 +1,172 @@
+const { parse } = require('csv-parse');
+const { logger } = require('../middleware/logger');
+const ServiceError = require('../domain/ServiceError');
+const config = require('../config/config');
+
+const FORMATS = ['csv', 'ndjson'];
+
+// Link exports use the import column names first so an export can be re-imported elsewhere
+const LINK_COLUMNS = ['url', 'shortcode', 'domain', 'expiry', 'createdAt', 'isActive', 'ownerId', 'clickCount'];
+const CLICK_COLUMNS = ['shortcode', 'domain', 'clickId', 'timestamp', 'ip', 'ipPrefix', 'visitorId', 'userAgent', 'referer', 'country', 'region', 'city', 'ruleId', 'variantId', 'destination', 'isBot'];
+
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) return '';
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (columns, row) => columns.map(column => escapeCsv(row[column])).join(',') + '\n';
+
+// Turns an async iterable of plain rows into CSV or NDJSON text chunks
+async function* formatRows(rows, columns, format) {
+    if (format === 'csv') {
+        yield columns.join(',') + '\n';
+    }
+
+    for await (const row of rows) {
+        yield format === 'csv' ? toCsvLine(columns, row) : JSON.stringify(row) + '\n';
+    }
+}
+
+async function* mapRows(source, mapper) {
+    for await (const item of source) {
+        yield mapper(item);
+    }
+}
+
+class LinkTransferService {
+    constructor(urlService) {
+        this.urlService = urlService;
+        logger.info('Link transfer service initialized');
+    }
+
+    validateFormat(format = 'csv') {
+        if (!FORMATS.includes(format)) {
+            throw ServiceError.validation(`format must be one of: ${FORMATS.join(', ')}`, 'INVALID_FORMAT');
+        }
+        return format;
+    }
+
+    toUrlData(record, ownerId) {
+        const blankToUndefined = (value) => (value === undefined || value === '' ? undefined : value);
+        const validity = blankToUndefined(record.validity);
+
+        return {
+            url: blankToUndefined(record.url),
+            shortcode: blankToUndefined(record.shortcode),
+            domain: blankToUndefined(record.domain),
+            validity: validity === undefined ? undefined : Number(validity),
+            expiresAt: blankToUndefined(record.expiry) || blankToUndefined(record.expiresAt),
+            ownerId
+        };
+    }
+
+    // Reads url,shortcode,domain,validity,expiry rows from a CSV stream and creates one
+    // link per row. Rows are handled one at a time, so the upload is never
+    // buffered and later rows see shortcodes claimed by earlier ones.
+    async importCsv(input, options = {}) {
+        const maxRows = options.maxRows || config.transfer.maxImportRows;
+        const report = { total: 0, created: 0, failed: 0, truncated: false, links: [], errors: [] };
+
+        const parser = input.pipe(parse({
+            bom: true,
+            trim: true,
+            skip_empty_lines: true,
+            info: true,
+            columns: (header) => {
+                if (!header.includes('url')) {
+                    throw ServiceError.validation('CSV header must include a url column', 'INVALID_CSV');
+                }
+                return header;
+            }
+        }));
+
+        try {
+            logger.info('Starting CSV import', { ownerId: options.ownerId, maxRows });
+
+            for await (const { record, info } of parser) {
+                if (report.total >= maxRows) {
+                    report.truncated = true;
+                    input.unpipe(parser);
+                    parser.destroy();
+                    break;
+                }
+
+                report.total++;
+                try {
+                    const shortUrl = await this.urlService.createShortUrl(this.toUrlData(record, options.ownerId));
+                    report.created++;
+                    report.links.push({ row: info.lines, shortcode: shortUrl.shortcode, expiry: shortUrl.expiresAt });
+                } catch (error) {
+                    report.failed++;
+                    report.errors.push({ row: info.lines, url: record.url, ...this.urlService.toItemError(error) });
+                }
+            }
+
+            logger.info('CSV import finished', {
+                total: report.total,
+                created: report.created,
+                failed: report.failed,
+                truncated: report.truncated
+            });
+            return report;
+        } catch (error) {
+            logger.error('Error importing CSV', { error: error.message, rowsProcessed: report.total });
+            if (error instanceof ServiceError) {
+                throw error;
+            }
+            throw ServiceError.validation(`Malformed CSV: ${error.message}`, 'INVALID_CSV');
+        }
+    }
+
+    exportLinks(format, options = {}, principal) {
+        this.validateFormat(format);
+        logger.info('Exporting links', { format, ownerId: principal && principal.ownerId });
+
+        const rows = mapRows(this.urlService.streamShortUrls(options, principal), shortUrl => ({
+            url: shortUrl.originalUrl,
+            shortcode: shortUrl.shortcode,
+            domain: shortUrl.domain,
+            expiry: shortUrl.expiresAt || null,
+            createdAt: shortUrl.createdAt,
+            isActive: shortUrl.isActive,
+            ownerId: shortUrl.ownerId,
+            clickCount: shortUrl.getClickCount()
+        }));
+
+        return formatRows(rows, LINK_COLUMNS, format);
+    }
+
+    async exportClicks(format, options = {}, principal) {
+        this.validateFormat(format);
+        logger.info('Exporting click events', { format, shortcode: options.shortcode, ownerId: principal && principal.ownerId });
+
+        const clicks = await this.urlService.streamClicks(options, principal);
+        const rows = mapRows(clicks, ({ shortUrl, click }) => {
+            const location = click.location || {};
+            return {
+                shortcode: shortUrl.shortcode,
+                domain: shortUrl.domain,
+                clickId: click.id,
+                timestamp: click.timestamp,
+                ip: click.ip,
+                ipPrefix: click.ipPrefix,
+                visitorId: click.visitorId,
+                userAgent: click.userAgent,
+                referer: click.referer,
+                country: location.country,
+                region: location.region,
+                city: location.city,
+                ruleId: click.ruleId,
+                variantId: click.variantId,
+                destination: click.destination,
+                isBot: click.isBot === true
+            };
+        });
+
+        return formatRows(rows, CLICK_COLUMNS, format);
+    }
+}
+
+module.exports = LinkTransferService;
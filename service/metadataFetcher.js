@@ -0,0 +1,202 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { logger } = require('../middleware/logger');
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// code is reported on the link; retryable failures go back on the retry queue
+class MetadataFetchError extends Error {
+    constructor(message, code, retryable) {
+        super(message);
+        this.name = 'MetadataFetchError';
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+const decodeEntities = text => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] || match;
+});
+
+const clean = (text, maxLength) => {
+    if (!text) return null;
+    const value = decodeEntities(text).replace(/\s+/g, ' ').trim();
+    return value ? value.slice(0, maxLength) : null;
+};
+
+const parseAttributes = (tag) => {
+    const attributes = {};
+    const pattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+        attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+    }
+    return attributes;
+};
+
+const resolveUrl = (value, baseUrl) => {
+    try {
+        const url = new URL(decodeEntities(value.trim()), baseUrl);
+        return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Title, description and Open Graph image from the (possibly truncated) HTML of
+// a page. Good enough for the <head> of real pages; not a general HTML parser.
+const parseMetadata = (html, baseUrl) => {
+    const meta = {};
+    for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+        const attributes = parseAttributes(tag);
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        if (key && attributes.content !== undefined && meta[key] === undefined) {
+            meta[key] = attributes.content;
+        }
+    }
+
+    const titleMatch = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+    return {
+        title: clean(titleMatch && titleMatch[1], MAX_TITLE_LENGTH) || clean(meta['og:title'], MAX_TITLE_LENGTH),
+        description: clean(meta.description, MAX_DESCRIPTION_LENGTH) || clean(meta['og:description'], MAX_DESCRIPTION_LENGTH),
+        image: meta['og:image'] ? resolveUrl(meta['og:image'], baseUrl) : null
+    };
+};
+
+// Buffers at most maxBytes of a response body; the rest is never downloaded
+const readLimited = (stream, maxBytes, signal) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let settled = false;
+
+    const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        signal.removeEventListener('abort', onAbort);
+        stream.destroy();
+        if (error) {
+            reject(error);
+        } else {
+            resolve(Buffer.concat(chunks));
+        }
+    };
+    const onAbort = () => finish(new MetadataFetchError('Timed out reading the page', 'TIMEOUT', true));
+
+    signal.addEventListener('abort', onAbort);
+    stream.on('data', (chunk) => {
+        const room = maxBytes - size;
+        chunks.push(chunk.length > room ? chunk.subarray(0, room) : chunk);
+        size += Math.min(chunk.length, room);
+        if (size >= maxBytes) finish();
+    });
+    stream.on('end', () => finish());
+    stream.on('error', error => finish(signal.aborted
+        ? new MetadataFetchError('Timed out reading the page', 'TIMEOUT', true)
+        : new MetadataFetchError(error.message, 'NETWORK_ERROR', true)));
+});
+
+const toFetchError = (error, signal) => {
+    if (error instanceof MetadataFetchError) return error;
+    if (error.code === 'URL_REJECTED') {
+        // Turned away by UrlPolicy#lookup when connecting
+        return new MetadataFetchError(error.message, 'URL_REJECTED', false);
+    }
+    if (signal.aborted || error.code === 'ECONNABORTED') {
+        return new MetadataFetchError('Timed out fetching the page', 'TIMEOUT', true);
+    }
+    return new MetadataFetchError(error.message, 'NETWORK_ERROR', true);
+};
+
+/**
+ * Fetches a destination page and extracts its preview metadata:
+ * { title, description, image, finalUrl }. Redirects are followed by hand so
+ * every hop passes the URL policy (a public link must not bounce the fetcher
+ * into the internal network). Every hop's host is resolved and checked, and the
+ * agents connect only to addresses UrlPolicy#lookup vets at connect time, so
+ * DNS rebinding can't slip in between. One deadline covers all hops and the body.
+ */
+class MetadataFetcher {
+    constructor({ timeoutMs, maxBytes, maxRedirects, userAgent }, { urlPolicy }) {
+        this.timeoutMs = timeoutMs;
+        this.maxBytes = maxBytes;
+        this.maxRedirects = maxRedirects;
+        this.userAgent = userAgent;
+        this.urlPolicy = urlPolicy;
+        this.httpAgent = new http.Agent({ lookup: urlPolicy.lookup });
+        this.httpsAgent = new https.Agent({ lookup: urlPolicy.lookup });
+    }
+
+    async fetch(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            let currentUrl = url;
+            for (let hop = 0; hop <= this.maxRedirects; hop++) {
+                try {
+                    await this.urlPolicy.check(currentUrl, { resolveHosts: true });
+                } catch (error) {
+                    throw new MetadataFetchError(error.message, 'URL_REJECTED', false);
+                }
+
+                const response = await this.request(currentUrl, controller.signal);
+                const location = response.headers.location;
+
+                if (response.status >= 300 && response.status < 400 && location) {
+                    response.data.destroy();
+                    currentUrl = new URL(location, currentUrl).toString();
+                    logger.debug('Following redirect for link preview', { url, next: currentUrl });
+                    continue;
+                }
+
+                if (response.status < 200 || response.status >= 300) {
+                    response.data.destroy();
+                    // Server trouble and rate limiting may pass; other client errors won't
+                    const retryable = response.status >= 500 || response.status === 429;
+                    throw new MetadataFetchError(`Destination answered ${response.status}`, `HTTP_${response.status}`, retryable);
+                }
+
+                if (!/^\s*(text\/html|application\/xhtml\+xml)/i.test(response.headers['content-type'] || '')) {
+                    // Images, PDFs and the like have nothing to parse, but the final URL is still useful
+                    response.data.destroy();
+                    return { title: null, description: null, image: null, finalUrl: currentUrl };
+                }
+
+                const body = await readLimited(response.data, this.maxBytes, controller.signal);
+                return { ...parseMetadata(body.toString('utf8'), currentUrl), finalUrl: currentUrl };
+            }
+
+            throw new MetadataFetchError(`More than ${this.maxRedirects} redirects`, 'TOO_MANY_REDIRECTS', false);
+        } catch (error) {
+            throw toFetchError(error, controller.signal);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    request(url, signal) {
+        return axios.get(url, {
+            responseType: 'stream',
+            maxRedirects: 0,
+            validateStatus: () => true,
+            signal,
+            httpAgent: this.httpAgent,
+            httpsAgent: this.httpsAgent,
+            // A proxy would do the resolving, out of reach of the agents' lookup
+            proxy: false,
+            headers: {
+                'User-Agent': this.userAgent,
+                Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+            }
+        });
+    }
+}
+
+module.exports = { MetadataFetcher, MetadataFetchError, parseMetadata };
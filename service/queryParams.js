@@ -0,0 +1,101 @@
+const ServiceError = require('../domain/ServiceError');
+
+/**
+ * Query string handling on redirect. A link's queryOptions look like
+ *
+ *   { utm: { utm_source: 'newsletter', ... }, passThrough: true, conflict: 'keep' }
+ *
+ * utm holds default UTM parameters merged into the destination, and passThrough
+ * forwards the visitor's own query string (GET /:shortcode?ref=x). When a key
+ * being added is already on the URL, conflict decides: 'keep' leaves the URL's
+ * value, 'override' replaces it and 'drop' removes the key altogether.
+ */
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id'];
+const CONFLICT_POLICIES = ['keep', 'override', 'drop'];
+const MAX_VALUE_LENGTH = 200;
+
+const invalid = message => ServiceError.validation(message, 'INVALID_QUERY_OPTIONS');
+
+const normalizeUtm = (utm) => {
+    if (!utm || typeof utm !== 'object' || Array.isArray(utm)) {
+        throw invalid('queryOptions.utm must be an object of UTM parameters');
+    }
+
+    for (const [key, value] of Object.entries(utm)) {
+        if (!UTM_KEYS.includes(key)) {
+            throw invalid(`Unknown UTM parameter "${key}", expected one of: ${UTM_KEYS.join(', ')}`);
+        }
+        if (typeof value !== 'string' || value === '' || value.length > MAX_VALUE_LENGTH) {
+            throw invalid(`${key} must be a string of 1 to ${MAX_VALUE_LENGTH} characters`);
+        }
+    }
+    return { ...utm };
+};
+
+// Validates queryOptions from a request and fills in the defaults
+const normalizeQueryOptions = (options) => {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw invalid('queryOptions must be an object with utm, passThrough and conflict');
+    }
+
+    const unknown = Object.keys(options).find(key => !['utm', 'passThrough', 'conflict'].includes(key));
+    if (unknown) {
+        throw invalid(`queryOptions has an unknown field "${unknown}"`);
+    }
+
+    const passThrough = options.passThrough === undefined ? false : options.passThrough;
+    if (typeof passThrough !== 'boolean') {
+        throw invalid('queryOptions.passThrough must be a boolean');
+    }
+
+    const conflict = options.conflict === undefined ? 'keep' : options.conflict;
+    if (!CONFLICT_POLICIES.includes(conflict)) {
+        throw invalid(`queryOptions.conflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+
+    return {
+        utm: options.utm === undefined ? {} : normalizeUtm(options.utm),
+        passThrough,
+        conflict
+    };
+};
+
+// Adds params (a list of [key, value] pairs) to target, settling keys the
+// target already had according to the conflict policy
+const mergeParams = (target, params, conflict) => {
+    const existing = new Set(target.keys());
+    const added = new Set();
+
+    for (const [key, value] of params) {
+        if (!existing.has(key)) {
+            target.append(key, value);
+            added.add(key);
+        } else if (conflict === 'override') {
+            if (!added.has(key)) {
+                target.delete(key);
+                added.add(key);
+            }
+            target.append(key, value);
+        } else if (conflict === 'drop') {
+            target.delete(key);
+        }
+    }
+};
+
+// The URL the visitor is sent to: destination plus UTM defaults, then the
+// forwarded query string. incomingQuery is the raw query of the short link request.
+const applyQueryOptions = (destination, queryOptions, incomingQuery) => {
+    if (!queryOptions) {
+        return destination;
+    }
+
+    const url = new URL(destination);
+    mergeParams(url.searchParams, Object.entries(queryOptions.utm || {}), queryOptions.conflict);
+
+    if (queryOptions.passThrough && incomingQuery) {
+        mergeParams(url.searchParams, Array.from(new URLSearchParams(incomingQuery)), queryOptions.conflict);
+    }
+    return url.toString();
+};
+
+module.exports = { normalizeQueryOptions, applyQueryOptions };
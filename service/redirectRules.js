@@ -0,0 +1,233 @@
+const { v4: uuidv4 } = require('uuid');
+const ServiceError = require('../domain/ServiceError');
+const { parseUserAgent, DEVICE_CLASSES, OS_FAMILIES } = require('./userAgent');
+
+/**
+ * Conditional redirects. A link may carry an ordered list of rules:
+ *
+ *   { id, url, conditions: { country, region, device, os, language, time } }
+ *
+ * The first rule whose conditions all match the visitor picks the destination;
+ * when none matches the link's own originalUrl is the fallback. List conditions
+ * take a string or an array of strings and match when any entry does:
+ *   country  ISO 3166-1 alpha-2 code ("DE")
+ *   region   country and subdivision code ("US-CA")
+ *   device   one of DEVICE_CLASSES, from the User-Agent
+ *   os       one of OS_FAMILIES, from the User-Agent
+ *   language language tag ("fr" also matches "fr-CH") compared with the visitor's
+ *            most preferred Accept-Language entry
+ *   time     { from: "HH:MM", to: "HH:MM", timezone: "UTC" }; from inclusive, to
+ *            exclusive, and a window may wrap past midnight ("22:00" to "06:00")
+ */
+const LIST_CONDITIONS = {
+    country: {
+        pattern: /^[A-Z]{2}$/,
+        canonical: value => value.toUpperCase(),
+        expected: 'ISO 3166-1 alpha-2 country codes'
+    },
+    region: {
+        pattern: /^[A-Z]{2}-[A-Z0-9]{1,3}$/,
+        canonical: value => value.toUpperCase(),
+        expected: 'country-region codes such as US-CA'
+    },
+    device: {
+        allowed: DEVICE_CLASSES,
+        canonical: value => value.toLowerCase(),
+        expected: `one of: ${DEVICE_CLASSES.join(', ')}`
+    },
+    os: {
+        allowed: OS_FAMILIES,
+        canonical: value => value.toLowerCase(),
+        expected: `one of: ${OS_FAMILIES.join(', ')}`
+    },
+    language: {
+        pattern: /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/,
+        canonical: value => value.toLowerCase(),
+        expected: 'language tags such as fr or pt-BR'
+    }
+};
+const CONDITION_NAMES = [...Object.keys(LIST_CONDITIONS), 'time'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const invalid = (index, message) => new ServiceError(`Rule ${index}: ${message}`, 400, 'INVALID_RULES', { index });
+
+const toMinutes = (time) => {
+    const [, hours, minutes] = TIME_OF_DAY.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+const isTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const normalizeList = (index, name, value) => {
+    const spec = LIST_CONDITIONS[name];
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.some(item => typeof item !== 'string' || item === '')) {
+        throw invalid(index, `${name} must be a non-empty string or array of strings`);
+    }
+
+    const canonical = values.map(spec.canonical);
+    const bad = canonical.find(item => (spec.allowed ? !spec.allowed.includes(item) : !spec.pattern.test(item)));
+    if (bad !== undefined) {
+        throw invalid(index, `${name} "${bad}" is not valid, expected ${spec.expected}`);
+    }
+    return Array.from(new Set(canonical));
+};
+
+const normalizeTime = (index, time) => {
+    if (!time || typeof time !== 'object' || Array.isArray(time)) {
+        throw invalid(index, 'time must be an object with from and to');
+    }
+    const unknown = Object.keys(time).find(key => !['from', 'to', 'timezone'].includes(key));
+    if (unknown) {
+        throw invalid(index, `time has an unknown field "${unknown}"`);
+    }
+    if (!TIME_OF_DAY.test(time.from) || !TIME_OF_DAY.test(time.to)) {
+        throw invalid(index, 'time.from and time.to must be HH:MM (24-hour)');
+    }
+    if (time.from === time.to) {
+        throw invalid(index, 'time.from and time.to must differ');
+    }
+
+    const timezone = time.timezone === undefined ? 'UTC' : time.timezone;
+    if (typeof timezone !== 'string' || !isTimezone(timezone)) {
+        throw invalid(index, `time.timezone "${timezone}" is not a known IANA time zone`);
+    }
+    return { from: time.from, to: time.to, timezone };
+};
+
+const normalizeRule = (rule, index, seenIds) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw invalid(index, 'each rule must be an object with url and conditions');
+    }
+    if (typeof rule.url !== 'string' || rule.url === '') {
+        throw invalid(index, 'url is required');
+    }
+
+    const id = rule.id === undefined ? uuidv4() : rule.id;
+    if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+        throw invalid(index, 'id must be 1 to 64 letters, digits, hyphens or underscores');
+    }
+    if (seenIds.has(id)) {
+        throw invalid(index, `id "${id}" is used by another rule`);
+    }
+    seenIds.add(id);
+
+    const conditions = rule.conditions;
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions) || Object.keys(conditions).length === 0) {
+        // A rule without conditions would shadow every rule after it and the fallback
+        throw invalid(index, 'conditions must name at least one of: ' + CONDITION_NAMES.join(', '));
+    }
+
+    const normalized = {};
+    for (const [name, value] of Object.entries(conditions)) {
+        if (!CONDITION_NAMES.includes(name)) {
+            throw invalid(index, `unknown condition "${name}", expected one of: ${CONDITION_NAMES.join(', ')}`);
+        }
+        normalized[name] = name === 'time' ? normalizeTime(index, value) : normalizeList(index, name, value);
+    }
+
+    return { id, url: rule.url, conditions: normalized };
+};
+
+// Validates a rules list from a request and returns it in stored form: ids
+// assigned, codes upper-cased and lists deduplicated. Destination URLs are
+// left for the caller to run through ShortUrl.validateUrl and the URL policy.
+const normalizeRules = (rules, { maxRules }) => {
+    if (!Array.isArray(rules)) {
+        throw ServiceError.validation('rules must be an array', 'INVALID_RULES');
+    }
+    if (rules.length > maxRules) {
+        throw ServiceError.validation(`A link can have at most ${maxRules} rules`, 'INVALID_RULES');
+    }
+
+    const seenIds = new Set();
+    return rules.map((rule, index) => normalizeRule(rule, index, seenIds));
+};
+
+// Language tags from an Accept-Language header, most preferred first; q=0 entries
+// and the "*" wildcard are dropped
+const parseAcceptLanguage = (header) => {
+    if (!header || typeof header !== 'string') {
+        return [];
+    }
+
+    return header.split(',')
+        .map((part, position) => {
+            const [tag, ...params] = part.trim().split(';');
+            const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            const q = qParam ? Number(qParam.slice(2)) : 1;
+            return { tag: tag.trim().toLowerCase(), q: Number.isNaN(q) ? 0 : q, position };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.position - b.position)
+        .map(entry => entry.tag);
+};
+
+const minutesInTimezone = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = type => Number(parts.find(entry => entry.type === type).value);
+    return part('hour') * 60 + part('minute');
+};
+
+const inTimeWindow = ({ from, to, timezone }, now) => {
+    const current = minutesInTimezone(now, timezone);
+    const start = toMinutes(from);
+    const end = toMinutes(to);
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+};
+
+// Everything the rules look at, worked out once per redirect
+const buildContext = ({ location, userAgent, acceptLanguage, now = new Date() }) => {
+    const country = location && location.country !== 'Unknown' ? location.country.toUpperCase() : null;
+    const region = country && location.region && location.region !== 'Unknown'
+        ? `${country}-${location.region.toUpperCase()}`
+        : null;
+
+    return {
+        country,
+        region,
+        ...parseUserAgent(userAgent),
+        language: parseAcceptLanguage(acceptLanguage)[0] || null,
+        now
+    };
+};
+
+const matchesLanguage = (wanted, language) => language !== null
+    && wanted.some(tag => language === tag || language.startsWith(`${tag}-`));
+
+const matches = (conditions, context) => Object.entries(conditions).every(([name, value]) => {
+    switch (name) {
+    case 'time':
+        return inTimeWindow(value, context.now);
+    case 'language':
+        return matchesLanguage(value, context.language);
+    default:
+        return value.includes(context[name]);
+    }
+});
+
+// First rule matching the visitor, or null when the link's fallback applies
+const selectRule = (rules, visitor) => {
+    if (!rules || rules.length === 0) {
+        return null;
+    }
+
+    const context = buildContext(visitor);
+    return rules.find(rule => matches(rule.conditions, context)) || null;
+};
+
+module.exports = { normalizeRules, selectRule, parseAcceptLanguage };
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const ServiceError = require('../domain/ServiceError');
+
+/**
+ * A/B split destinations. A link may carry weighted variants:
+ *
+ *   [{ id, url, weight }]
+ *
+ * Visitors no redirect rule claims are spread across the variants in proportion
+ * to their weights. A weight of 0 pauses a variant; when every variant is paused
+ * the link's own originalUrl is used. Assignment is sticky: a visitor who already
+ * carries a variant id (from the cookie) keeps it while that variant is live, and
+ * everyone else is placed by a hash of the link, IP and User-Agent, so cookieless
+ * clients land on the same variant too.
+ */
+const MIN_VARIANTS = 2;
+const MAX_WEIGHT = 1000;
+
+const invalid = (index, message) => new ServiceError(`Variant ${index}: ${message}`, 400, 'INVALID_VARIANTS', { index });
+
+const normalizeVariant = (variant, index, seenIds) => {
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+        throw invalid(index, 'each variant must be an object with url and weight');
+    }
+    if (typeof variant.url !== 'string' || variant.url === '') {
+        throw invalid(index, 'url is required');
+    }
+    if (!Number.isInteger(variant.weight) || variant.weight < 0 || variant.weight > MAX_WEIGHT) {
+        throw invalid(index, `weight must be an integer from 0 to ${MAX_WEIGHT}`);
+    }
+
+    const id = variant.id === undefined ? uuidv4() : variant.id;
+    if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+        throw invalid(index, 'id must be 1 to 64 letters, digits, hyphens or underscores');
+    }
+    if (seenIds.has(id)) {
+        throw invalid(index, `id "${id}" is used by another variant`);
+    }
+    seenIds.add(id);
+
+    return { id, url: variant.url, weight: variant.weight };
+};
+
+// Validates a variants list from a request and returns it in stored form with
+// ids assigned. Destination URLs are left for the caller to check.
+const normalizeVariants = (variants, { maxVariants }) => {
+    if (!Array.isArray(variants)) {
+        throw ServiceError.validation('variants must be an array', 'INVALID_VARIANTS');
+    }
+    if (variants.length < MIN_VARIANTS || variants.length > maxVariants) {
+        throw ServiceError.validation(
+            `A split link needs ${MIN_VARIANTS} to ${maxVariants} variants`,
+            'INVALID_VARIANTS'
+        );
+    }
+
+    const seenIds = new Set();
+    return variants.map((variant, index) => normalizeVariant(variant, index, seenIds));
+};
+
+// Stable position in [0, total) for one visitor of one link
+const bucketFor = (linkId, visitor, total) => {
+    const digest = crypto.createHash('sha256')
+        .update(`${linkId}\n${visitor.ip || ''}\n${visitor.userAgent || ''}`)
+        .digest();
+    return digest.readUIntBE(0, 6) % total;
+};
+
+// The variant this visitor gets, or null when the link has no live variant
+const selectVariant = (linkId, variants, visitor) => {
+    const live = (variants || []).filter(variant => variant.weight > 0);
+    if (live.length === 0) {
+        return null;
+    }
+
+    const assigned = visitor.variantId && live.find(variant => variant.id === visitor.variantId);
+    if (assigned) {
+        return assigned;
+    }
+
+    const total = live.reduce((sum, variant) => sum + variant.weight, 0);
+    let bucket = bucketFor(linkId, visitor, total);
+    for (const variant of live) {
+        if (bucket < variant.weight) {
+            return variant;
+        }
+        bucket -= variant.weight;
+    }
+    return live[live.length - 1];
+};
+
+module.exports = { normalizeVariants, selectVariant };
@@ -0,0 +1,40 @@
+// Counts failed password attempts per link. Once a link collects maxFailures
+// within windowMs it stays locked until that window has passed, whoever asks.
+class UnlockThrottle {
+    constructor({ maxFailures, windowMs }) {
+        this.maxFailures = maxFailures;
+        this.windowMs = windowMs;
+        this.failures = new Map(); // shortUrlId -> { count, windowStart }
+    }
+
+    current(shortUrlId, now = Date.now()) {
+        const entry = this.failures.get(shortUrlId);
+        if (entry && now - entry.windowStart >= this.windowMs) {
+            this.failures.delete(shortUrlId);
+            return null;
+        }
+        return entry || null;
+    }
+
+    // Seconds until the link unlocks again, or 0 when attempts are allowed
+    retryAfter(shortUrlId, now = Date.now()) {
+        const entry = this.current(shortUrlId, now);
+        if (!entry || entry.count < this.maxFailures) {
+            return 0;
+        }
+        return Math.ceil((entry.windowStart + this.windowMs - now) / 1000);
+    }
+
+    recordFailure(shortUrlId, now = Date.now()) {
+        const entry = this.current(shortUrlId, now) || { count: 0, windowStart: now };
+        entry.count++;
+        this.failures.set(shortUrlId, entry);
+        return entry.count;
+    }
+
+    reset(shortUrlId) {
+        this.failures.delete(shortUrlId);
+    }
+}
+
+module.exports = UnlockThrottle;
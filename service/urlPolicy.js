@@ -0,0 +1,275 @@
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const { logger } = require('../middleware/logger');
+const ServiceError = require('../domain/ServiceError');
+const config = require('../config/config');
+
+// Loopback, private, link-local, CGNAT, documentation, multicast, reserved and
+// other non-public ranges. IPv6 addresses carrying an IPv4 address (IPv4-mapped
+// ::ffff:10.0.0.1, IPv4-compatible ::10.0.0.1 and 6to4 2002:0a00:0001::) are
+// matched against the IPv4 entries too; NAT64 addresses (64:ff9b::/96) reach
+// IPv4 hosts through a local gateway and are refused outright.
+const NON_PUBLIC_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['fec0::', 10, 'ipv6']
+];
+
+// The eight 16-bit groups of a valid IPv6 address, "::" and a dotted IPv4 tail expanded
+const ipv6Groups = (address) => {
+    let text = address.replace(/%.*$/, '');
+    const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const [head, tail] = text.split('::');
+    if (tail === undefined) {
+        return parse(head);
+    }
+    const headGroups = parse(head);
+    const tailGroups = parse(tail);
+    return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+};
+
+// The IPv4 address inside an IPv4-compatible (::/96) or 6to4 (2002::/16) address, or null.
+// net.BlockList already matches IPv4-mapped addresses against IPv4 ranges.
+const embeddedIpv4 = (address) => {
+    const groups = ipv6Groups(address);
+    const ipv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+
+    if (groups.slice(0, 6).every(group => group === 0)) {
+        return ipv4(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x2002) {
+        return ipv4(groups[1], groups[2]);
+    }
+    return null;
+};
+
+const reject = (reason, message, details = {}) => new ServiceError(message, 400, 'URL_REJECTED', { reason, ...details });
+
+// Host names compare case-insensitively and without the root label's trailing dot
+const canonicalHost = (host) => host.toLowerCase().replace(/\.$/, '');
+
+// Where this shortener serves its links: baseUrl, or else the address it listens on
+const baseHost = () => {
+    try {
+        return new URL(config.baseUrl || `http://${config.host}:${config.port}`).host;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Blocklist file format: one entry per line, # starts a comment. A bare host
+ * ("evil.example") blocks exactly that host; a leading "*." or "."
+ * ("*.evil.example") blocks the domain and every subdomain of it.
+ */
+const parseBlocklist = (text) => {
+    const hosts = new Set();
+    const domains = new Set();
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const entry = canonicalHost(rawLine.replace(/#.*/, '').trim());
+        if (!entry) continue;
+
+        if (entry.startsWith('*.') || entry.startsWith('.')) {
+            domains.add(entry.replace(/^\*?\./, ''));
+        } else {
+            hosts.add(entry);
+        }
+    }
+
+    return { hosts, domains };
+};
+
+// Decides whether a destination URL may be stored. Every rejection is a 400
+// ServiceError with code URL_REJECTED and details.reason set to one of
+// SCHEME_NOT_ALLOWED, BLOCKED_HOST, BLOCKED_DOMAIN, PRIVATE_ADDRESS or SELF_REFERENCE.
+class UrlPolicy {
+    constructor(policyConfig = config.urlPolicy) {
+        this.allowedSchemes = policyConfig.allowedSchemes.map(scheme => scheme.toLowerCase());
+        this.allowPrivateAddresses = Boolean(policyConfig.allowPrivateAddresses);
+        this.resolveHosts = Boolean(policyConfig.resolveHosts);
+        // The base URL's host is always one, whether or not SHORT_DOMAINS lists it
+        this.ownHosts = new Set([...policyConfig.ownHosts, baseHost()].filter(Boolean).map(canonicalHost));
+        this.configuredOwnHosts = new Set(this.ownHosts);
+
+        this.lookup = this.lookup.bind(this);
+
+        this.nonPublic = new net.BlockList();
+        NON_PUBLIC_RANGES.forEach(([address, prefix, type]) => this.nonPublic.addSubnet(address, prefix, type));
+
+        this.blocklist = this.loadBlocklist(policyConfig.blocklistFile);
+        logger.info('URL policy initialized', {
+            allowedSchemes: this.allowedSchemes,
+            blockedHosts: this.blocklist.hosts.size,
+            blockedDomains: this.blocklist.domains.size,
+            ownHosts: Array.from(this.ownHosts)
+        });
+    }
+
+    loadBlocklist(file) {
+        if (!file) {
+            return { hosts: new Set(), domains: new Set() };
+        }
+
+        try {
+            return parseBlocklist(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            logger.warn('URL blocklist file not found, no hosts are blocked', { file });
+            return { hosts: new Set(), domains: new Set() };
+        }
+    }
+
+    // Registered custom domains are short hosts too (see service/domainService.js)
+    addOwnHost(host) {
+        this.ownHosts.add(canonicalHost(host));
+    }
+
+    // Hosts from the configuration stay short hosts whatever happens to a domain
+    removeOwnHost(host) {
+        const canonical = canonicalHost(host);
+        if (!this.configuredOwnHosts.has(canonical)) {
+            this.ownHosts.delete(canonical);
+        }
+    }
+
+    isNonPublicAddress(address) {
+        const type = net.isIP(address);
+        if (type === 0) {
+            return false;
+        }
+        if (type === 4) {
+            return this.nonPublic.check(address, 'ipv4');
+        }
+
+        const ipv4 = embeddedIpv4(address);
+        return this.nonPublic.check(address, 'ipv6') || (ipv4 !== null && this.nonPublic.check(ipv4, 'ipv4'));
+    }
+
+    checkBlocklist(hostname) {
+        if (this.blocklist.hosts.has(hostname)) {
+            throw reject('BLOCKED_HOST', `Links to ${hostname} are not allowed`, { host: hostname });
+        }
+
+        // Walk up the labels: a.b.evil.example -> b.evil.example -> evil.example -> example
+        const labels = hostname.split('.');
+        for (let i = 0; i < labels.length; i++) {
+            const domain = labels.slice(i).join('.');
+            if (this.blocklist.domains.has(domain)) {
+                throw reject('BLOCKED_DOMAIN', `Links to ${domain} are not allowed`, { host: hostname, domain });
+            }
+        }
+    }
+
+    async checkAddress(hostname, resolveHosts = this.resolveHosts) {
+        const literal = hostname.replace(/^\[(.*)\]$/, '$1');
+        if (hostname === 'localhost' || hostname.endsWith('.localhost') || this.isNonPublicAddress(literal)) {
+            throw reject('PRIVATE_ADDRESS', 'Links to private or loopback addresses are not allowed', { host: hostname });
+        }
+
+        if (!resolveHosts || net.isIP(literal)) {
+            return;
+        }
+
+        // Optional: also catch public names that resolve into private ranges
+        let addresses = [];
+        try {
+            addresses = await dns.promises.lookup(hostname, { all: true });
+        } catch (error) {
+            logger.debug('Destination host did not resolve, skipping address check', { hostname, error: error.code });
+        }
+        const privateAddress = addresses.find(({ address }) => this.isNonPublicAddress(address));
+        if (privateAddress) {
+            throw reject('PRIVATE_ADDRESS', 'Links to private or loopback addresses are not allowed', {
+                host: hostname,
+                address: privateAddress.address
+            });
+        }
+    }
+
+    /**
+     * Drop-in for dns.lookup, for agents that connect to destinations on the
+     * server's behalf. Fails with a URL_REJECTED error when the host resolves to a
+     * non-public address; as this runs when the connection is made, a host can't
+     * pass check() with a public address and then rebind to an internal one.
+     */
+    lookup(hostname, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) {
+                return callback(error);
+            }
+
+            const privateAddress = this.allowPrivateAddresses ? null : addresses.find(({ address }) => this.isNonPublicAddress(address));
+            if (privateAddress) {
+                return callback(reject('PRIVATE_ADDRESS', 'Links to private or loopback addresses are not allowed', {
+                    host: hostname,
+                    address: privateAddress.address
+                }));
+            }
+
+            if (options.all) {
+                return callback(null, addresses);
+            }
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    // Resolves when url may be stored, throws a URL_REJECTED ServiceError otherwise.
+    // url must already have passed ShortUrl.validateUrl. resolveHosts overrides the
+    // configured setting for callers that are about to connect to the host.
+    async check(url, { resolveHosts = this.resolveHosts } = {}) {
+        const parsed = new URL(url);
+        const scheme = parsed.protocol.replace(/:$/, '').toLowerCase();
+
+        if (!this.allowedSchemes.includes(scheme)) {
+            throw reject('SCHEME_NOT_ALLOWED', `URL scheme "${scheme}" is not allowed`, {
+                scheme,
+                allowedSchemes: this.allowedSchemes
+            });
+        }
+
+        const hostname = canonicalHost(parsed.hostname);
+        if (this.ownHosts.has(hostname) || this.ownHosts.has(canonicalHost(parsed.host))) {
+            throw reject('SELF_REFERENCE', 'Links may not point back at this shortener', { host: hostname });
+        }
+
+        this.checkBlocklist(hostname);
+
+        if (!this.allowPrivateAddresses) {
+            await this.checkAddress(hostname, resolveHosts);
+        }
+    }
+}
+
+module.exports = UrlPolicy;
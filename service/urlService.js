@@ -3,61 +3,85 @@ const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
 const geoip = require('geoip-lite');
 const ShortUrl = require('../domain/ShortUrl');
+const Domain = require('../domain/Domain');
+const ServiceError = require('../domain/ServiceError');
+const ClickRepository = require('../repository/clickRepository');
+const { createShortcodeGenerator } = require('../shortcode');
+const UrlPolicy = require('./urlPolicy');
+const UnlockThrottle = require('./unlockThrottle');
+const BotDetector = require('./botDetector');
+const { VisitorPrivacy, truncateIp, dayOf } = require('./visitorPrivacy');
+const HyperLogLog = require('./hyperLogLog');
+const { normalizeRules, selectRule } = require('./redirectRules');
+const { normalizeVariants, selectVariant } = require('./splitTest');
+const { normalizeQueryOptions, applyQueryOptions } = require('./queryParams');
 const config = require('../config/config');
 
 class UrlService {
-    constructor(urlRepository) {
+    constructor(urlRepository, clickRepository = new ClickRepository(), options = {}) {
         this.urlRepository = urlRepository;
+        this.clickRepository = clickRepository;
+        this.shortcodeGenerator = options.shortcodeGenerator || createShortcodeGenerator();
+        this.urlPolicy = options.urlPolicy || new UrlPolicy();
+        this.unlockThrottle = options.unlockThrottle || new UnlockThrottle(config.passwordProtection);
+        this.botDetector = options.botDetector || new BotDetector();
+        this.visitorPrivacy = options.visitorPrivacy || new VisitorPrivacy();
+        // VisitorSketchStorageAdapter; with one, unique visitors are estimated from
+        // HyperLogLog sketches instead of counted from the click events
+        this.visitorSketches = options.visitorSketches || null;
+        // LinkPreviewService; without one links are created without metadata
+        this.linkPreviews = options.linkPreviews || null;
+        // DomainService; without one every link lives in the default namespace
+        this.domainService = options.domainService || null;
+        // WebhookService told about link events; without one nothing is sent
+        this.webhooks = options.webhooks || null;
+        // Links the repository expires on a read or in cleanup take their clicks with
+        // them, and subscribers hear about it either way
+        this.urlRepository.onExpired = shortUrl => this.onLinkExpired(shortUrl);
         logger.info('URL service initialized');
     }
 
-    generateShortcode() {
-        try {
-            const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-            let shortcode = '';
-            
-            for (let i = 0; i < config.shortcodeLength; i++) {
-                shortcode += chars.charAt(Math.floor(Math.random() * chars.length));
-            }
-            
-            logger.debug('Generated shortcode', { shortcode });
-            return shortcode;
-        } catch (error) {
-            logger.error('Error generating shortcode', { error: error.message });
-            throw error;
+    // Hands a link event to the webhooks without waiting for it; emit never rejects
+    notify(event, shortUrl, data = {}) {
+        if (this.webhooks) {
+            this.webhooks.emit(event, shortUrl.ownerId, { link: shortUrl.toJSON(), ...data });
         }
     }
 
-    async generateUniqueShortcode() {
+    // Loops over the configured generator until a free code turns up, growing the
+    // code length whenever collisions suggest the current keyspace is filling up
+    async generateUniqueShortcode(url, domain = null) {
         try {
-            let attempts = 0;
-            const maxAttempts = 10;
-            
-            while (attempts < maxAttempts) {
-                const shortcode = this.generateShortcode();
-                
-                // Check if shortcode already exists
-                const existing = await this.urlRepository.findByShortcode(shortcode);
+            const { maxAttempts, growAfterCollisions } = config.shortcodeGenerator;
+
+            for (let attempt = 0; attempt < maxAttempts; attempt++) {
+                const shortcode = await this.shortcodeGenerator.generate({ url, attempt });
+
+                // Check if shortcode already exists in the link's namespace
+                const existing = await this.urlRepository.findByShortcode(shortcode, { domain });
                 if (!existing) {
-                    logger.debug('Unique shortcode generated', { shortcode, attempts });
+                    logger.debug('Unique shortcode generated', { shortcode, attempts: attempt });
                     return shortcode;
                 }
-                
-                attempts++;
-                logger.debug('Shortcode collision, retrying', { shortcode, attempts });
+
+                logger.debug('Shortcode collision, retrying', { shortcode, attempts: attempt + 1 });
+                if ((attempt + 1) % growAfterCollisions === 0 && this.shortcodeGenerator.grow()) {
+                    logger.info('Shortcode keyspace filling up, growing code length', { length: this.shortcodeGenerator.length });
+                }
             }
-            
-            throw new Error('Unable to generate unique shortcode after maximum attempts');
+
+            throw new ServiceError('Unable to generate unique shortcode after maximum attempts', 503, 'SHORTCODE_EXHAUSTED');
         } catch (error) {
             logger.error('Error generating unique shortcode', { error: error.message });
             throw error;
         }
     }
 
-    calculateExpiryTime(validityMinutes) {
+    // validity counts from `from`: now, or the go-live time of a scheduled link
+    calculateExpiryTime(validityMinutes, from = new Date()) {
         try {
             const validity = validityMinutes || config.defaultValidity;
-            const expiryTime = moment().add(validity, 'minutes').toDate();
+            const expiryTime = moment(from).add(validity, 'minutes').toDate();
             
             logger.debug('Calculated expiry time', { validityMinutes, expiryTime });
             return expiryTime;
@@ -67,46 +91,236 @@ class UrlService {
         }
     }
 
+    parseActiveFrom(value) {
+        const activeFrom = new Date(value);
+        if (value === null || value === '' || isNaN(activeFrom.getTime())) {
+            throw ServiceError.validation('activeFrom must be a valid date', 'INVALID_ACTIVE_FROM');
+        }
+        return activeFrom;
+    }
+
+    assertActivatesBeforeExpiry(activeFrom, expiresAt) {
+        if (activeFrom && expiresAt && new Date(activeFrom) >= new Date(expiresAt)) {
+            throw ServiceError.validation('activeFrom must be before the link expires', 'INVALID_ACTIVE_FROM');
+        }
+    }
+
+    // Rule and variant destinations are held to the same checks as the link's own URL
+    async checkDestinations(entries, label, code) {
+        for (const [index, entry] of entries.entries()) {
+            const urlValidation = ShortUrl.validateUrl(entry.url);
+            if (!urlValidation.isValid) {
+                throw ServiceError.validation(`${label} ${index}: ${urlValidation.error}`, code, { index });
+            }
+            await this.urlPolicy.check(entry.url);
+        }
+        return entries;
+    }
+
+    async validateRules(rules) {
+        return this.checkDestinations(normalizeRules(rules, config.redirectRules), 'Rule', 'INVALID_RULES');
+    }
+
+    async validateVariants(variants) {
+        return this.checkDestinations(normalizeVariants(variants, config.splitTest), 'Variant', 'INVALID_VARIANTS');
+    }
+
+    validateRedirectSettings({ redirectStatus, interstitial }) {
+        const statusValidation = ShortUrl.validateRedirectStatus(redirectStatus);
+        if (!statusValidation.isValid) {
+            throw ServiceError.validation(statusValidation.error, 'INVALID_REDIRECT_STATUS');
+        }
+        if (interstitial !== undefined && typeof interstitial !== 'boolean') {
+            throw ServiceError.validation('interstitial must be a boolean', 'INVALID_INTERSTITIAL');
+        }
+    }
+
+    validateFetchMetadata(fetchMetadata) {
+        if (fetchMetadata !== undefined && fetchMetadata !== null && typeof fetchMetadata !== 'boolean') {
+            throw ServiceError.validation('fetchMetadata must be a boolean', 'INVALID_FETCH_METADATA');
+        }
+    }
+
+    // Metadata for a link whose destination is new: pending until the background
+    // fetch reports back, or null when previews are off for the link or the service
+    initialMetadata(fetchMetadata) {
+        return this.linkPreviews && fetchMetadata ? { status: 'pending' } : null;
+    }
+
+    queuePreview(shortUrl) {
+        if (shortUrl.metadata && shortUrl.metadata.status === 'pending') {
+            this.linkPreviews.enqueue(shortUrl);
+        }
+    }
+
+    // The namespace a management request names: a custom domain's host, or null
+    // for the default one
+    namespaceOf(domain) {
+        return domain ? Domain.canonicalHost(domain) : null;
+    }
+
+    // The canonical host a new link is created on, or null. Only the domain's
+    // owner can put links on it.
+    async resolveLinkDomain(urlData) {
+        if (urlData.domain === undefined || urlData.domain === null) {
+            return null;
+        }
+
+        if (typeof urlData.domain !== 'string' || !this.domainService) {
+            throw ServiceError.validation('domain must be a registered custom domain', 'INVALID_DOMAIN');
+        }
+
+        const domain = await this.domainService.findByHost(urlData.domain);
+        if (!domain || !domain.isOwnedBy(urlData.ownerId)) {
+            throw ServiceError.validation(`Domain ${urlData.domain} is not registered to you`, 'INVALID_DOMAIN');
+        }
+        return domain.host;
+    }
+
+    // The registered domain a visitor reached us on, or null for any other host
+    async resolveRequestDomain(host) {
+        return this.domainService ? this.domainService.findByHost(host) : null;
+    }
+
+    parseExpiresAt(value) {
+        const expiresAt = new Date(value);
+        if (value === null || isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+            throw ServiceError.validation('expiresAt must be a future date', 'INVALID_EXPIRY');
+        }
+        return expiresAt;
+    }
+
+    // Every rule a new link must pass before anything is written; shared by
+    // single, batch and CSV creation. Resolves to the link's domain (see resolveLinkDomain).
+    async validateShortUrlData(urlData) {
+        const urlValidation = ShortUrl.validateUrl(urlData.url);
+        if (!urlValidation.isValid) {
+            throw ServiceError.validation(urlValidation.error, 'INVALID_URL');
+        }
+        await this.urlPolicy.check(urlData.url);
+
+        const validityValidation = ShortUrl.validateValidity(urlData.validity, config.maxValidity);
+        if (!validityValidation.isValid) {
+            throw ServiceError.validation(validityValidation.error, 'INVALID_VALIDITY');
+        }
+
+        if (urlData.expiresAt !== undefined) {
+            if (urlData.validity !== undefined && urlData.validity !== null) {
+                throw ServiceError.validation('Provide either validity or expiresAt, not both', 'INVALID_EXPIRY');
+            }
+            this.parseExpiresAt(urlData.expiresAt);
+        }
+
+        const maxClicksValidation = ShortUrl.validateMaxClicks(urlData.maxClicks);
+        if (!maxClicksValidation.isValid) {
+            throw ServiceError.validation(maxClicksValidation.error, 'INVALID_MAX_CLICKS');
+        }
+
+        if (urlData.activeFrom !== undefined && urlData.activeFrom !== null) {
+            this.parseActiveFrom(urlData.activeFrom);
+        }
+
+        if (urlData.rules !== undefined && urlData.rules !== null) {
+            await this.validateRules(urlData.rules);
+        }
+
+        if (urlData.variants !== undefined && urlData.variants !== null) {
+            await this.validateVariants(urlData.variants);
+        }
+
+        if (urlData.queryOptions !== undefined && urlData.queryOptions !== null) {
+            normalizeQueryOptions(urlData.queryOptions);
+        }
+
+        this.validateRedirectSettings(urlData);
+        this.validateFetchMetadata(urlData.fetchMetadata);
+
+        if (urlData.password !== undefined && urlData.password !== null) {
+            const passwordValidation = ShortUrl.validatePassword(urlData.password);
+            if (!passwordValidation.isValid) {
+                throw ServiceError.validation(passwordValidation.error, 'INVALID_PASSWORD');
+            }
+        }
+
+        const domain = await this.resolveLinkDomain(urlData);
+
+        if (urlData.shortcode) {
+            // Validate custom shortcode
+            const shortcodeValidation = ShortUrl.validateShortcode(urlData.shortcode);
+            if (!shortcodeValidation.isValid) {
+                throw ServiceError.validation(shortcodeValidation.error, 'INVALID_SHORTCODE');
+            }
+
+            // Check if custom shortcode is available on the link's domain
+            const existing = await this.urlRepository.findByShortcode(urlData.shortcode, { domain });
+            if (existing) {
+                throw ServiceError.conflict('Custom shortcode already exists', 'SHORTCODE_TAKEN');
+            }
+        }
+
+        return domain;
+    }
+
+    // urlData as safe to log: the plaintext password is reduced to a flag
+    describeUrlData({ password, ...urlData }) {
+        return { ...urlData, passwordProtected: password !== undefined && password !== null };
+    }
+
     async createShortUrl(urlData) {
+        const shortUrl = await this.insertShortUrl(urlData);
+        this.announceCreated(shortUrl);
+        return shortUrl;
+    }
+
+    // Subscribers hear of a new link, and its preview is fetched, only once the link is there to stay
+    announceCreated(shortUrl) {
+        this.queuePreview(shortUrl);
+        this.notify('link.created', shortUrl);
+    }
+
+    // Validates and stores a new link without announcing it
+    async insertShortUrl(urlData) {
         try {
             logger.info('Creating short URL', { originalUrl: urlData.url, validity: urlData.validity });
             
             // Validate input
-            const urlValidation = ShortUrl.validateUrl(urlData.url);
-            if (!urlValidation.isValid) {
-                throw new Error(urlValidation.error);
-            }
+            const domain = await this.validateShortUrlData(urlData);
 
             let shortcode = urlData.shortcode;
             
             // Generate shortcode if not provided
             if (!shortcode) {
-                shortcode = await this.generateUniqueShortcode();
+                shortcode = await this.generateUniqueShortcode(urlData.url, domain);
                 logger.info('No shortcode provided, generated new one', { shortcode });
             } else {
-                // Validate custom shortcode
-                const shortcodeValidation = ShortUrl.validateShortcode(shortcode);
-                if (!shortcodeValidation.isValid) {
-                    throw new Error(shortcodeValidation.error);
-                }
-                
-                // Check if custom shortcode is available
-                const existing = await this.urlRepository.findByShortcode(shortcode);
-                if (existing) {
-                    throw new Error('Custom shortcode already exists');
-                }
-                
                 logger.info('Using custom shortcode', { shortcode });
             }
 
-            // Calculate expiry time
-            const expiresAt = this.calculateExpiryTime(urlData.validity);
+            // Calculate expiry time, unless an absolute one was given (e.g. by an import).
+            // A scheduled link's validity starts when it goes live.
+            const activeFrom = urlData.activeFrom ? this.parseActiveFrom(urlData.activeFrom) : null;
+            const expiresAt = urlData.expiresAt !== undefined
+                ? this.parseExpiresAt(urlData.expiresAt)
+                : this.calculateExpiryTime(urlData.validity, activeFrom && activeFrom > new Date() ? activeFrom : undefined);
+            this.assertActivatesBeforeExpiry(activeFrom, expiresAt);
             
             // Create short URL
             const shortUrlData = {
                 originalUrl: urlData.url,
                 shortcode,
-                expiresAt
+                domain,
+                expiresAt,
+                ownerId: urlData.ownerId,
+                passwordHash: urlData.password ? await ShortUrl.hashPassword(urlData.password) : null,
+                maxClicks: urlData.maxClicks || null,
+                activeFrom,
+                rules: urlData.rules ? normalizeRules(urlData.rules, config.redirectRules) : [],
+                variants: urlData.variants ? normalizeVariants(urlData.variants, config.splitTest) : [],
+                queryOptions: urlData.queryOptions ? normalizeQueryOptions(urlData.queryOptions) : null,
+                redirectStatus: urlData.redirectStatus || null,
+                interstitial: urlData.interstitial === true,
+                fetchMetadata: urlData.fetchMetadata !== false,
+                metadata: this.initialMetadata(urlData.fetchMetadata !== false)
             };
             
             const shortUrl = await this.urlRepository.create(shortUrlData);
@@ -114,90 +328,452 @@ class UrlService {
             logger.info('Short URL created successfully', { 
                 id: shortUrl.id, 
                 shortcode: shortUrl.shortcode,
+                domain: shortUrl.domain,
                 expiresAt: shortUrl.expiresAt 
             });
             
             return shortUrl;
         } catch (error) {
-            logger.error('Error creating short URL', { error: error.message, urlData });
+            logger.error('Error creating short URL', { error: error.message, urlData: this.describeUrlData(urlData) });
             throw error;
         }
     }
 
-    async redirectToOriginalUrl(shortcode, requestData) {
+    // Dedupe mode: hand back the owner's live link for the same normalized URL
+    // rather than minting another shortcode. A custom shortcode, password, click
+    // limit, schedule, redirect rules, variants, query options or redirect settings
+    // always ask for a new link, and links with any of those are never handed out
+    // for plain requests. Resolves to { shortUrl, created }.
+    async createOrReuseShortUrl(urlData) {
         try {
-            logger.info('Processing redirect request', { shortcode });
-            
-            // Find the short URL
-            const shortUrl = await this.urlRepository.findByShortcode(shortcode);
-            if (!shortUrl) {
-                logger.warn('Short URL not found for redirect', { shortcode });
-                throw new Error('Short URL not found');
+            const plainRequest = !urlData.shortcode && !urlData.password && !urlData.maxClicks &&
+                !urlData.activeFrom && !urlData.rules && !urlData.variants && !urlData.queryOptions &&
+                !urlData.redirectStatus && !urlData.interstitial;
+            if (plainRequest) {
+                const domain = await this.validateShortUrlData(urlData);
+
+                const normalizedUrl = ShortUrl.normalizeUrl(urlData.url);
+                const existing = await this.urlRepository.findByNormalizedUrl(normalizedUrl, { ownerId: urlData.ownerId, domain });
+                if (existing && existing.isPlain()) {
+                    logger.info('Reusing existing short URL for duplicate URL', { shortcode: existing.shortcode, normalizedUrl });
+                    return { shortUrl: existing, created: false };
+                }
+            }
+
+            return { shortUrl: await this.createShortUrl(urlData), created: true };
+        } catch (error) {
+            logger.error('Error creating or reusing short URL', { error: error.message, urlData: this.describeUrlData(urlData) });
+            throw error;
+        }
+    }
+
+    toItemError(error) {
+        if (error instanceof ServiceError) {
+            return error.details === undefined
+                ? { code: error.code, message: error.message }
+                : { code: error.code, message: error.message, details: error.details };
+        }
+        return { code: 'INTERNAL_ERROR', message: 'Unexpected error creating short URL' };
+    }
+
+    // mode 'partial' creates every valid item; mode 'atomic' creates all items or none
+    async createShortUrlsBatch(items, options = {}) {
+        try {
+            const mode = options.mode || 'partial';
+            logger.info('Creating short URL batch', { size: Array.isArray(items) ? items.length : null, mode });
+
+            if (!['partial', 'atomic'].includes(mode)) {
+                throw ServiceError.validation('mode must be one of: partial, atomic', 'INVALID_BATCH_MODE');
+            }
+            if (!Array.isArray(items) || items.length === 0) {
+                throw ServiceError.validation('items must be a non-empty array', 'INVALID_BATCH');
+            }
+            if (items.length > config.batch.maxSize) {
+                throw new ServiceError(
+                    `Batch size ${items.length} exceeds the maximum of ${config.batch.maxSize}`,
+                    413,
+                    'BATCH_TOO_LARGE'
+                );
             }
 
-            // Check if expired
-            if (shortUrl.isExpired()) {
-                logger.info('Short URL expired, cannot redirect', { shortcode, expiry: shortUrl.expiresAt });
-                throw new Error('Short URL has expired');
+            const results = mode === 'atomic'
+                ? await this.createBatchAtomically(items, options.ownerId)
+                : await this.createBatchPartially(items, options.ownerId);
+
+            const created = results.filter(result => result.status === 'created').length;
+            logger.info('Short URL batch processed', { mode, total: items.length, created });
+
+            return {
+                mode,
+                total: items.length,
+                created,
+                failed: results.filter(result => result.status === 'error').length,
+                results
+            };
+        } catch (error) {
+            logger.error('Error creating short URL batch', { error: error.message });
+            throw error;
+        }
+    }
+
+    toBatchData(item, ownerId) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            throw ServiceError.validation('Each item must be an object with url, validity and shortcode', 'INVALID_ITEM');
+        }
+        return {
+            url: item.url,
+            validity: item.validity,
+            shortcode: item.shortcode,
+            password: item.password,
+            maxClicks: item.maxClicks,
+            activeFrom: item.activeFrom,
+            rules: item.rules,
+            variants: item.variants,
+            queryOptions: item.queryOptions,
+            redirectStatus: item.redirectStatus,
+            interstitial: item.interstitial,
+            fetchMetadata: item.fetchMetadata,
+            domain: item.domain,
+            ownerId
+        };
+    }
+
+    async createBatchPartially(items, ownerId) {
+        const results = [];
+
+        // Sequential on purpose: later items see the shortcodes taken by earlier ones
+        for (const [index, item] of items.entries()) {
+            try {
+                const shortUrl = await this.createShortUrl(this.toBatchData(item, ownerId));
+                results.push({ index, status: 'created', shortUrl });
+            } catch (error) {
+                results.push({ index, status: 'error', error: this.toItemError(error) });
             }
+        }
 
-            // Extract location information from IP
-            const location = this.extractLocation(requestData.ip);
+        return results;
+    }
+
+    async createBatchAtomically(items, ownerId) {
+        // Validate everything up front so a bad item means nothing gets written
+        const requestedShortcodes = new Set();
+        const errors = new Map();
+
+        for (const [index, item] of items.entries()) {
+            try {
+                const urlData = this.toBatchData(item, ownerId);
+                const domain = await this.validateShortUrlData(urlData);
+
+                if (urlData.shortcode) {
+                    // The same shortcode on two domains is two different links
+                    const key = ShortUrl.namespaceKey(domain, urlData.shortcode);
+                    if (requestedShortcodes.has(key)) {
+                        throw ServiceError.conflict('Shortcode is used more than once in this batch', 'DUPLICATE_IN_BATCH');
+                    }
+                    requestedShortcodes.add(key);
+                }
+            } catch (error) {
+                errors.set(index, this.toItemError(error));
+            }
+        }
+
+        if (errors.size > 0) {
+            return items.map((item, index) => (errors.has(index)
+                ? { index, status: 'error', error: errors.get(index) }
+                : { index, status: 'skipped' }));
+        }
+
+        const created = [];
+        try {
+            for (const item of items) {
+                created.push(await this.insertShortUrl(this.toBatchData(item, ownerId)));
+            }
+        } catch (error) {
+            // A shortcode can still be claimed between validation and creation: undo what we wrote
+            const failedIndex = created.length;
+            logger.warn('Batch creation failed, rolling back', { failedIndex, rolledBack: created.length });
+            await Promise.all(created.map(shortUrl => this.urlRepository.delete(shortUrl.id)));
+
+            return items.map((item, index) => (index === failedIndex
+                ? { index, status: 'error', error: this.toItemError(error) }
+                : { index, status: 'skipped' }));
+        }
+
+        created.forEach(shortUrl => this.announceCreated(shortUrl));
+        return created.map((shortUrl, index) => ({ index, status: 'created', shortUrl }));
+    }
+
+    // Password gate in front of a protected link. Failures are counted per link
+    // and lock it for the rest of the throttle window once there are too many.
+    async unlockShortUrl(shortUrl, password) {
+        if (password === undefined || password === null || password === '') {
+            throw new ServiceError('This link is password protected', 401, 'PASSWORD_REQUIRED');
+        }
+
+        const retryAfter = this.unlockThrottle.retryAfter(shortUrl.id);
+        if (retryAfter > 0) {
+            logger.warn('Unlock attempt on throttled link', { shortcode: shortUrl.shortcode, retryAfter });
+            throw new ServiceError('Too many wrong passwords, try again later', 429, 'UNLOCK_THROTTLED', { retryAfter });
+        }
+
+        if (!await shortUrl.verifyPassword(String(password))) {
+            const failures = this.unlockThrottle.recordFailure(shortUrl.id);
+            logger.warn('Wrong password for protected link', { shortcode: shortUrl.shortcode, failures });
+            throw new ServiceError('Wrong password', 401, 'WRONG_PASSWORD');
+        }
+
+        this.unlockThrottle.reset(shortUrl.id);
+        logger.info('Protected link unlocked', { shortcode: shortUrl.shortcode });
+    }
+
+    // Not found on a custom domain with a fallback URL carries it, so the
+    // controller can send the visitor there instead
+    notFoundOn(domain) {
+        return domain && domain.fallbackUrl
+            ? new ServiceError('Short URL not found', 404, 'NOT_FOUND', { fallbackUrl: domain.fallbackUrl })
+            : ServiceError.notFound();
+    }
+
+    // Everything a redirect settles before the click is counted: the link must be
+    // live and unlocked, then rules, variants and query options pick where the
+    // visitor goes. The shortcode is looked up in the namespace of the Host the
+    // visitor came in on. Resolves to { shortUrl, destination, location, rule, variant }.
+    async resolveRedirect(shortcode, requestData) {
+        // Find the short URL
+        const domain = await this.resolveRequestDomain(requestData.host);
+        const shortUrl = await this.urlRepository.findByShortcode(shortcode, { domain: domain ? domain.host : null });
+        if (!shortUrl) {
+            logger.warn('Short URL not found for redirect', { shortcode, domain: domain ? domain.host : null });
+            throw this.notFoundOn(domain);
+        }
+
+        // Check if expired
+        if (shortUrl.isExpired()) {
+            logger.info('Short URL expired, cannot redirect', { shortcode, expiry: shortUrl.expiresAt });
+            throw ServiceError.expired();
+        }
+
+        // Deactivated links keep their stats but stop redirecting
+        if (!shortUrl.isActive) {
+            logger.info('Short URL inactive, cannot redirect', { shortcode });
+            throw new ServiceError('Short URL is inactive', 410, 'INACTIVE');
+        }
+
+        // Scheduled links don't exist yet as far as visitors can tell
+        if (shortUrl.isScheduled()) {
+            logger.info('Short URL not live yet, cannot redirect', { shortcode, activeFrom: shortUrl.activeFrom });
+            throw this.notFoundOn(domain);
+        }
+
+        if (shortUrl.hasReachedClickLimit()) {
+            logger.info('Short URL click limit reached, cannot redirect', { shortcode, maxClicks: shortUrl.maxClicks });
+            throw ServiceError.clickLimitReached();
+        }
+
+        if (shortUrl.isPasswordProtected()) {
+            await this.unlockShortUrl(shortUrl, requestData.password);
+        }
+
+        // Location comes from the truncated IP, the same one the click keeps
+        const location = this.extractLocation(truncateIp(requestData.ip));
+
+        // The first matching redirect rule picks the destination, otherwise the link's own URL
+        const rule = selectRule(shortUrl.rules, {
+            location,
+            userAgent: requestData.userAgent,
+            acceptLanguage: requestData.acceptLanguage
+        });
+        // Visitors no rule claimed are spread across the split test variants, if any
+        const variant = rule ? null : selectVariant(shortUrl.id, shortUrl.variants, {
+            ip: requestData.ip,
+            userAgent: requestData.userAgent,
+            variantId: requestData.variantId
+        });
+
+        let target = shortUrl.originalUrl;
+        if (rule) {
+            target = rule.url;
+        } else if (variant) {
+            target = variant.url;
+        }
+        const destination = applyQueryOptions(target, shortUrl.queryOptions, requestData.query);
+
+        return { shortUrl, destination, location, rule, variant };
+    }
+
+    async redirectToOriginalUrl(shortcode, requestData) {
+        try {
+            logger.info('Processing redirect request', { shortcode });
+
+            const { shortUrl, destination, location, rule, variant } = await this.resolveRedirect(shortcode, requestData);
+            const bot = this.botDetector.classify(requestData);
+            const visitor = this.visitorPrivacy.identify(requestData);
             
-            // Prepare click data
+            // Prepare click data; the full IP is dropped here unless raw IPs are retained
             const clickData = {
-                ip: requestData.ip,
+                ip: visitor.ip,
+                ipPrefix: visitor.ipPrefix,
+                visitorId: visitor.visitorId,
                 userAgent: requestData.userAgent,
                 referer: requestData.referer,
-                location
+                location,
+                ruleId: rule ? rule.id : null,
+                variantId: variant ? variant.id : null,
+                destination,
+                isBot: bot.isBot,
+                botReason: bot.reason
             };
             
-            // Add click to statistics
-            await this.urlRepository.addClick(shortcode, clickData);
+            // Count the click on the link and keep the event in the click store. The
+            // repository re-checks the limits in the same step as the increment,
+            // so racing redirects can't both take a link's last click.
+            const click = await this.urlRepository.addClick(shortcode, clickData, { domain: shortUrl.domain });
+            await this.clickRepository.add(click);
+            if (this.visitorSketches && !bot.isBot) {
+                const { index, rank } = HyperLogLog.position(visitor.visitorId, config.visitors.sketchPrecision);
+                await this.visitorSketches.raise(shortUrl.id, dayOf(click.timestamp), index, rank);
+            }
+            this.notify('link.clicked', shortUrl, { click: this.formatClick(click) });
             
             logger.info('Redirect processed successfully', { 
                 shortcode, 
-                originalUrl: shortUrl.originalUrl,
+                destination,
+                ruleId: clickData.ruleId,
+                variantId: clickData.variantId,
+                isBot: bot.isBot,
                 clickCount: shortUrl.getClickCount() 
             });
             
-            return shortUrl.originalUrl;
+            return { shortUrl, destination, variantId: clickData.variantId };
         } catch (error) {
             logger.error('Error processing redirect', { shortcode, error: error.message });
             throw error;
         }
     }
 
-    async getShortUrlStats(shortcode) {
+    // Where GET /:shortcode would send this visitor, without counting a click
+    async previewShortUrl(shortcode, requestData) {
         try {
-            logger.info('Retrieving short URL statistics', { shortcode });
-            
-            const shortUrl = await this.urlRepository.findByShortcode(shortcode);
-            if (!shortUrl) {
-                logger.warn('Short URL not found for statistics', { shortcode });
-                throw new Error('Short URL not found');
-            }
+            logger.info('Processing preview request', { shortcode });
+
+            const { shortUrl, destination } = await this.resolveRedirect(shortcode, requestData);
+            return { shortUrl, destination };
+        } catch (error) {
+            logger.error('Error processing preview', { shortcode, error: error.message });
+            throw error;
+        }
+    }
+
+    parsePagination(options = {}) {
+        const page = options.page === undefined ? 1 : Number(options.page);
+        const limit = options.limit === undefined ? config.pagination.defaultPageSize : Number(options.limit);
+
+        if (!Number.isInteger(page) || page < 1) {
+            throw ServiceError.validation('page must be a positive integer', 'INVALID_PAGE');
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > config.pagination.maxPageSize) {
+            throw ServiceError.validation(`limit must be an integer between 1 and ${config.pagination.maxPageSize}`, 'INVALID_LIMIT');
+        }
 
-            // Check if expired
-            if (shortUrl.isExpired()) {
-                logger.info('Short URL expired, cannot retrieve statistics', { shortcode, expiry: shortUrl.expiresAt });
-                throw new Error('Short URL has expired');
+        return { page, limit };
+    }
+
+    parseTimeRange(options = {}) {
+        const range = {};
+
+        for (const key of ['from', 'to']) {
+            if (options[key] === undefined || options[key] === '') continue;
+
+            const date = new Date(options[key]);
+            if (isNaN(date.getTime())) {
+                throw ServiceError.validation(`${key} must be a valid date`, 'INVALID_DATE_RANGE');
             }
+            range[key] = date;
+        }
+
+        if (range.from && range.to && range.from > range.to) {
+            throw ServiceError.validation('from must not be after to', 'INVALID_DATE_RANGE');
+        }
+
+        return range;
+    }
+
+    buildPaginationInfo({ page, limit }, total) {
+        return {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        };
+    }
+
+    // Owners see their own links and admins see every link. Callers without a
+    // principal (the cleanup job, scripts) are not restricted.
+    assertCanAccess(shortUrl, principal) {
+        if (!principal || principal.role === 'admin' || shortUrl.isOwnedBy(principal.ownerId)) {
+            return;
+        }
+
+        // Answer as if the link didn't exist so shortcodes can't be probed
+        logger.warn('Access to short URL denied', { shortcode: shortUrl.shortcode, ownerId: principal.ownerId });
+        throw ServiceError.notFound();
+    }
+
+    async findLiveShortUrl(shortcode, purpose, principal, domain) {
+        const shortUrl = await this.urlRepository.findByShortcode(shortcode, { domain: this.namespaceOf(domain) });
+        if (!shortUrl) {
+            logger.warn(`Short URL not found for ${purpose}`, { shortcode });
+            throw ServiceError.notFound();
+        }
+
+        this.assertCanAccess(shortUrl, principal);
+
+        // Check if expired
+        if (shortUrl.isExpired()) {
+            logger.info(`Short URL expired, cannot retrieve ${purpose}`, { shortcode, expiry: shortUrl.expiresAt });
+            throw ServiceError.expired();
+        }
+
+        return shortUrl;
+    }
+
+    async getShortUrlStats(shortcode, options = {}, principal) {
+        try {
+            logger.info('Retrieving short URL statistics', { shortcode });
+            
+            const pagination = this.parsePagination(options);
+            const shortUrl = await this.findLiveShortUrl(shortcode, 'statistics', principal, options.domain);
+            const recentClicks = await this.clickRepository.list(shortUrl.id, pagination);
+            const ruleClicks = await this.countClicksBy(shortUrl, 'ruleId', shortUrl.rules);
+            const variantClicks = await this.countClicksBy(shortUrl, 'variantId', shortUrl.variants);
+            const uniqueVisitors = await this.countUniqueVisitors(shortUrl, { from: shortUrl.createdAt, to: new Date() });
 
             const stats = {
                 shortcode: shortUrl.shortcode,
+                domain: shortUrl.domain,
                 originalUrl: shortUrl.originalUrl,
                 createdAt: shortUrl.createdAt,
                 expiresAt: shortUrl.expiresAt,
-                totalClicks: shortUrl.getClickCount(),
+                passwordProtected: shortUrl.isPasswordProtected(),
+                activeFrom: shortUrl.activeFrom,
+                isLive: !shortUrl.isScheduled(),
+                maxClicks: shortUrl.maxClicks,
+                remainingClicks: shortUrl.getRemainingClicks(),
+                // People only; bots are redirected but counted on their own
+                totalClicks: shortUrl.getHumanClickCount(),
+                botClicks: shortUrl.botClickCount,
+                uniqueVisitors,
+                rules: shortUrl.rules.map(rule => ({ ...rule, clicks: ruleClicks.get(rule.id) || 0 })),
+                fallbackClicks: ruleClicks.get(null) || 0,
+                variants: shortUrl.variants.map(variant => ({ ...variant, clicks: variantClicks.get(variant.id) || 0 })),
+                queryOptions: shortUrl.queryOptions,
+                redirectStatus: shortUrl.redirectStatus,
+                interstitial: shortUrl.interstitial,
+                fetchMetadata: shortUrl.fetchMetadata,
+                metadata: shortUrl.metadata,
                 timeUntilExpiry: shortUrl.getTimeUntilExpiry(),
-                clicks: shortUrl.clicks.map(click => ({
-                    timestamp: click.timestamp,
-                    ip: click.ip,
-                    userAgent: click.userAgent,
-                    referer: click.referer,
-                    location: click.location
-                }))
+                clicks: recentClicks.items.map(click => this.formatClick(click)),
+                pagination: this.buildPaginationInfo(pagination, recentClicks.total)
             };
             
             logger.info('Short URL statistics retrieved successfully', { 
@@ -212,6 +788,352 @@ class UrlService {
         }
     }
 
+    // ruleId or variantId -> human clicks; the null key counts clicks that no rule
+    // (or variant) served. Clicks of entries that have since been removed keep their old id.
+    async countClicksBy(shortUrl, field, entries) {
+        if (entries.length === 0) {
+            return new Map([[null, shortUrl.getHumanClickCount()]]);
+        }
+
+        const counts = await this.clickRepository.countBy(shortUrl.id, field, { excludeBots: true });
+        return new Map(counts.map(({ value, count }) => [value, count]));
+    }
+
+    // Unique human visitors in [from, to]: { total, daily: [{ day, count }], method }.
+    // Visitor hashes rotate daily, so over a longer period someone counts once
+    // for every day they came back.
+    async countUniqueVisitors(shortUrl, { from, to }) {
+        if (!this.visitorSketches) {
+            const counts = await this.clickRepository.countUnique(shortUrl.id, { from, to });
+            return { ...counts, method: 'exact' };
+        }
+
+        const precision = config.visitors.sketchPrecision;
+        const sketches = await this.visitorSketches.list(shortUrl.id, { from: dayOf(from), to: dayOf(to) });
+        const period = new HyperLogLog(precision);
+        const daily = sketches.map(({ day, registers }) => {
+            const sketch = new HyperLogLog(precision, registers);
+            period.merge(sketch);
+            return { day, count: sketch.count() };
+        });
+        return { total: period.count(), daily, method: 'estimate' };
+    }
+
+    formatClick(click) {
+        return {
+            timestamp: click.timestamp,
+            ip: click.ip || null,
+            ipPrefix: click.ipPrefix || null,
+            visitorId: click.visitorId || null,
+            userAgent: click.userAgent,
+            referer: click.referer,
+            location: click.location,
+            ruleId: click.ruleId || null,
+            variantId: click.variantId || null,
+            destination: click.destination || null,
+            isBot: click.isBot === true,
+            botReason: click.botReason || null
+        };
+    }
+
+    async getShortUrlClicks(shortcode, options = {}, principal) {
+        try {
+            logger.info('Retrieving short URL click events', { shortcode });
+
+            const pagination = this.parsePagination(options);
+            const range = this.parseTimeRange(options);
+            const shortUrl = await this.findLiveShortUrl(shortcode, 'click events', principal, options.domain);
+
+            const result = await this.clickRepository.list(shortUrl.id, { ...range, ...pagination });
+
+            return {
+                shortcode: shortUrl.shortcode,
+                domain: shortUrl.domain,
+                from: range.from || null,
+                to: range.to || null,
+                clicks: result.items.map(click => this.formatClick(click)),
+                pagination: this.buildPaginationInfo(pagination, result.total)
+            };
+        } catch (error) {
+            logger.error('Error retrieving short URL click events', { shortcode, error: error.message });
+            throw error;
+        }
+    }
+
+    async getShortUrlAnalytics(shortcode, options = {}, principal) {
+        try {
+            logger.info('Retrieving short URL analytics', { shortcode, interval: options.interval });
+
+            const interval = options.interval || 'day';
+            if (!config.analytics.intervals.includes(interval)) {
+                throw ServiceError.validation(
+                    `interval must be one of: ${config.analytics.intervals.join(', ')}`,
+                    'INVALID_INTERVAL'
+                );
+            }
+
+            const range = this.parseTimeRange(options);
+            const shortUrl = await this.findLiveShortUrl(shortcode, 'analytics', principal, options.domain);
+
+            const from = range.from || shortUrl.createdAt;
+            const to = range.to || new Date();
+            const aggregated = await this.clickRepository.aggregate(shortUrl.id, {
+                from,
+                to,
+                interval,
+                top: config.analytics.topLimit
+            });
+
+            return {
+                shortcode: shortUrl.shortcode,
+                domain: shortUrl.domain,
+                from,
+                to,
+                interval,
+                totalClicks: aggregated.total,
+                botClicks: aggregated.bots,
+                uniqueVisitors: await this.countUniqueVisitors(shortUrl, { from, to }),
+                timeline: aggregated.timeline,
+                topReferrers: aggregated.topReferrers,
+                topCountries: aggregated.topCountries,
+                topUserAgents: aggregated.topUserAgents
+            };
+        } catch (error) {
+            logger.error('Error retrieving short URL analytics', { shortcode, error: error.message });
+            throw error;
+        }
+    }
+
+    async listShortUrls(options = {}, principal) {
+        try {
+            logger.info('Listing short URLs', { status: options.status, search: options.search });
+
+            const pagination = this.parsePagination(options);
+            const status = options.status || 'all';
+            if (!['all', 'active', 'inactive', 'expired'].includes(status)) {
+                throw ServiceError.validation('status must be one of: all, active, inactive, expired', 'INVALID_STATUS');
+            }
+
+            // Admins may narrow the listing to one owner; everyone else only sees their own links
+            const ownerId = !principal || principal.role === 'admin' ? options.ownerId : principal.ownerId;
+
+            const result = await this.urlRepository.list({
+                ownerId: ownerId || undefined,
+                status: status === 'all' ? undefined : status,
+                search: options.search || undefined,
+                domain: options.domain ? Domain.canonicalHost(options.domain) : undefined,
+                ...pagination
+            });
+
+            return {
+                items: result.items,
+                pagination: this.buildPaginationInfo(pagination, result.total)
+            };
+        } catch (error) {
+            logger.error('Error listing short URLs', { error: error.message });
+            throw error;
+        }
+    }
+
+    // options.domain picks the namespace the shortcode is looked up in
+    async updateShortUrl(shortcode, changes = {}, principal, options = {}) {
+        try {
+            logger.info('Updating short URL', { shortcode, domain: options.domain, fields: Object.keys(changes) });
+
+            const shortUrl = await this.urlRepository.findByShortcode(shortcode, { domain: this.namespaceOf(options.domain) });
+            if (!shortUrl) {
+                throw ServiceError.notFound();
+            }
+            this.assertCanAccess(shortUrl, principal);
+
+            const updateData = {};
+
+            if (changes.url !== undefined) {
+                const urlValidation = ShortUrl.validateUrl(changes.url);
+                if (!urlValidation.isValid) {
+                    throw ServiceError.validation(urlValidation.error, 'INVALID_URL');
+                }
+                await this.urlPolicy.check(changes.url);
+                updateData.originalUrl = changes.url;
+                updateData.normalizedUrl = ShortUrl.normalizeUrl(changes.url);
+            }
+
+            if (changes.validity !== undefined && changes.expiresAt !== undefined) {
+                throw ServiceError.validation('Provide either validity or expiresAt, not both', 'INVALID_EXPIRY');
+            }
+
+            if (changes.validity !== undefined) {
+                // validity counts from now, so an update can extend a link that is about to expire
+                const validityValidation = ShortUrl.validateValidity(changes.validity, config.maxValidity);
+                if (changes.validity === null || !validityValidation.isValid) {
+                    throw ServiceError.validation(
+                        validityValidation.error || 'Validity must be a positive integer number of minutes',
+                        'INVALID_VALIDITY'
+                    );
+                }
+                updateData.expiresAt = this.calculateExpiryTime(changes.validity);
+            }
+
+            if (changes.expiresAt !== undefined) {
+                updateData.expiresAt = this.parseExpiresAt(changes.expiresAt);
+            }
+
+            if (changes.maxClicks !== undefined) {
+                // null removes the limit
+                const maxClicksValidation = ShortUrl.validateMaxClicks(changes.maxClicks);
+                if (!maxClicksValidation.isValid) {
+                    throw ServiceError.validation(maxClicksValidation.error, 'INVALID_MAX_CLICKS');
+                }
+                updateData.maxClicks = changes.maxClicks;
+            }
+
+            if (changes.activeFrom !== undefined) {
+                // null makes a scheduled link live straight away
+                updateData.activeFrom = changes.activeFrom === null ? null : this.parseActiveFrom(changes.activeFrom);
+            }
+            this.assertActivatesBeforeExpiry(
+                updateData.activeFrom !== undefined ? updateData.activeFrom : shortUrl.activeFrom,
+                updateData.expiresAt !== undefined ? updateData.expiresAt : shortUrl.expiresAt
+            );
+
+            if (changes.rules !== undefined) {
+                // null or [] removes every rule; a list replaces them all
+                updateData.rules = changes.rules === null ? [] : await this.validateRules(changes.rules);
+            }
+
+            if (changes.variants !== undefined) {
+                // Reweighting keeps the shortcode; send the variant ids back to keep their stats
+                updateData.variants = changes.variants === null ? [] : await this.validateVariants(changes.variants);
+            }
+
+            if (changes.queryOptions !== undefined) {
+                updateData.queryOptions = changes.queryOptions === null ? null : normalizeQueryOptions(changes.queryOptions);
+            }
+
+            this.validateRedirectSettings(changes);
+            if (changes.redirectStatus !== undefined) {
+                // null goes back to the configured default
+                updateData.redirectStatus = changes.redirectStatus;
+            }
+            if (changes.interstitial !== undefined) {
+                updateData.interstitial = changes.interstitial;
+            }
+
+            if (changes.fetchMetadata !== undefined) {
+                if (typeof changes.fetchMetadata !== 'boolean') {
+                    throw ServiceError.validation('fetchMetadata must be a boolean', 'INVALID_FETCH_METADATA');
+                }
+                updateData.fetchMetadata = changes.fetchMetadata;
+            }
+            // A new destination needs a new preview; switching previews on (again)
+            // fetches a fresh one and switching them off drops the old one
+            const fetchMetadata = updateData.fetchMetadata !== undefined ? updateData.fetchMetadata : shortUrl.fetchMetadata;
+            if (updateData.originalUrl !== undefined || updateData.fetchMetadata !== undefined) {
+                updateData.metadata = this.initialMetadata(fetchMetadata);
+            }
+
+            if (changes.password !== undefined) {
+                // null lifts the protection; a string replaces the password
+                if (changes.password !== null) {
+                    const passwordValidation = ShortUrl.validatePassword(changes.password);
+                    if (!passwordValidation.isValid) {
+                        throw ServiceError.validation(passwordValidation.error, 'INVALID_PASSWORD');
+                    }
+                }
+                updateData.passwordHash = changes.password === null ? null : await ShortUrl.hashPassword(changes.password);
+                this.unlockThrottle.reset(shortUrl.id);
+            }
+
+            if (changes.isActive !== undefined) {
+                if (typeof changes.isActive !== 'boolean') {
+                    throw ServiceError.validation('isActive must be a boolean', 'INVALID_IS_ACTIVE');
+                }
+                updateData.isActive = changes.isActive;
+            }
+
+            if (Object.keys(updateData).length === 0) {
+                throw ServiceError.validation(
+                    'Nothing to update: provide url, validity, expiresAt, isActive, password, maxClicks, ' +
+                    'activeFrom, rules, variants, queryOptions, redirectStatus, interstitial or fetchMetadata',
+                    'EMPTY_UPDATE'
+                );
+            }
+
+            const updated = await this.urlRepository.update(shortUrl.id, updateData);
+            if (updateData.metadata !== undefined) {
+                this.queuePreview(updated);
+            }
+            this.notify('link.updated', updated, { changes: Object.keys(updateData) });
+
+            logger.info('Short URL updated', { shortcode, fields: Object.keys(updateData) });
+            return updated;
+        } catch (error) {
+            logger.error('Error updating short URL', { shortcode, error: error.message });
+            throw error;
+        }
+    }
+
+    async deleteShortUrl(shortcode, principal, options = {}) {
+        try {
+            logger.info('Deleting short URL', { shortcode, domain: options.domain });
+
+            const shortUrl = await this.urlRepository.findByShortcode(shortcode, { domain: this.namespaceOf(options.domain) });
+            if (!shortUrl) {
+                throw ServiceError.notFound();
+            }
+            this.assertCanAccess(shortUrl, principal);
+
+            await this.urlRepository.delete(shortUrl.id);
+            const removedClicks = await this.removeLinkData(shortUrl);
+
+            logger.info('Short URL deleted', { shortcode, domain: shortUrl.domain, removedClicks });
+            return { shortcode, domain: shortUrl.domain, removedClicks };
+        } catch (error) {
+            logger.error('Error deleting short URL', { shortcode, error: error.message });
+            throw error;
+        }
+    }
+
+    // Removes what is stored for a deleted link besides the link itself: its click
+    // events and visitor sketch. Resolves to the number of clicks removed.
+    async removeLinkData(shortUrl) {
+        const removedClicks = await this.clickRepository.deleteByShortUrlId(shortUrl.id);
+        if (this.visitorSketches) {
+            await this.visitorSketches.deleteByShortUrlId(shortUrl.id);
+        }
+        return removedClicks;
+    }
+
+    async onLinkExpired(shortUrl) {
+        await this.removeLinkData(shortUrl);
+        this.notify('link.expired', shortUrl);
+    }
+
+    // Async iterable over every link visible to the principal, for exports
+    streamShortUrls(options = {}, principal) {
+        const ownerId = !principal || principal.role === 'admin' ? options.ownerId : principal.ownerId;
+        return this.urlRepository.iterate({ ownerId: ownerId || undefined });
+    }
+
+    // Async iterable of { shortUrl, click } for one link (when shortcode is given)
+    // or for every link visible to the principal. Arguments are checked before
+    // this resolves, so callers can still answer with an error status.
+    async streamClicks(options = {}, principal) {
+        const range = this.parseTimeRange(options);
+        const shortUrls = options.shortcode
+            ? [await this.findLiveShortUrl(options.shortcode, 'click export', principal, options.domain)]
+            : this.streamShortUrls(options, principal);
+        const clickRepository = this.clickRepository;
+
+        return (async function* () {
+            for await (const shortUrl of shortUrls) {
+                for await (const click of clickRepository.iterate(shortUrl.id, range)) {
+                    yield { shortUrl, click };
+                }
+            }
+        })();
+    }
+
     extractLocation(ip) {
         try {
             if (!ip || ip === '::1' || ip === '127.0.0.1') {
@@ -229,10 +1151,10 @@ class UrlService {
                 city: geo.city || 'Unknown'
             };
             
-            logger.debug('Location extracted from IP', { ip, location });
+            logger.debug('Location extracted from IP', { ipPrefix: truncateIp(ip), location });
             return location;
         } catch (error) {
-            logger.error('Error extracting location from IP', { ip, error: error.message });
+            logger.error('Error extracting location from IP', { ipPrefix: truncateIp(ip), error: error.message });
             return { country: 'Unknown', region: 'Unknown', city: 'Unknown' };
         }
     }
@@ -251,6 +1173,34 @@ class UrlService {
         }
     }
 
+    // Deletes expired links one at a time and resolves to the ShortUrls removed, for
+    // callers that report on each of them. Links expiring meanwhile wait for the next run.
+    async removeExpiredUrls() {
+        try {
+            logger.info('Starting removal of expired URLs');
+
+            const expired = [];
+            for (let page = 1; ; page++) {
+                const { items } = await this.urlRepository.list({ status: 'expired', page, limit: config.pagination.maxPageSize });
+                expired.push(...items);
+                if (items.length < config.pagination.maxPageSize) break;
+            }
+
+            const removed = [];
+            for (const shortUrl of expired) {
+                if (await this.urlRepository.expire(shortUrl)) {
+                    removed.push(shortUrl);
+                }
+            }
+
+            logger.info('Expired URLs removed', { removedCount: removed.length });
+            return removed;
+        } catch (error) {
+            logger.error('Error removing expired URLs', { error: error.message });
+            throw error;
+        }
+    }
+
     async getServiceStats() {
         try {
             logger.debug('Retrieving service statistics');
@@ -0,0 +1,43 @@
+// Coarse User-Agent classification for redirect rules. Only the device class and
+// the operating system family are derived; anything unrecognised is 'unknown'.
+const OS_PATTERNS = [
+    ['ios', /\b(iPhone|iPad|iPod)\b/],
+    ['android', /\bAndroid\b/],
+    ['chromeos', /\bCrOS\b/],
+    ['windows', /\bWindows\b/],
+    ['macos', /\bMac OS X\b|\bMacintosh\b/],
+    ['linux', /\bLinux\b|\bX11\b/]
+];
+
+const DEVICE_CLASSES = ['mobile', 'tablet', 'desktop'];
+const OS_FAMILIES = OS_PATTERNS.map(([os]) => os);
+
+const detectOs = (userAgent) => {
+    const match = OS_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+    return match ? match[0] : 'unknown';
+};
+
+const detectDevice = (userAgent, os) => {
+    // Android tablets leave "Mobile" out of their User-Agent
+    if (/\biPad\b|\bTablet\b/i.test(userAgent) || (os === 'android' && !/\bMobile\b/.test(userAgent))) {
+        return 'tablet';
+    }
+    if (/\bMobi|\biPhone\b|\biPod\b|\bWindows Phone\b/.test(userAgent)) {
+        return 'mobile';
+    }
+    if (['windows', 'macos', 'linux', 'chromeos'].includes(os)) {
+        return 'desktop';
+    }
+    return 'unknown';
+};
+
+const parseUserAgent = (userAgent) => {
+    if (!userAgent || typeof userAgent !== 'string') {
+        return { device: 'unknown', os: 'unknown' };
+    }
+
+    const os = detectOs(userAgent);
+    return { device: detectDevice(userAgent, os), os };
+};
+
+module.exports = { parseUserAgent, DEVICE_CLASSES, OS_FAMILIES };
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const net = require('net');
+// Not ../middleware/logger, which takes truncateIp from here
+const { logger } = require('../logger');
+const config = require('../config/config');
+
+const MAPPED_IPV4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+// UTC calendar day, the unit the visitor hash salt rotates on
+const dayOf = (date = new Date()) => new Date(date).toISOString().slice(0, 10);
+
+// The network part of an address, good enough for geo lookups but not for
+// telling people apart: IPv4 keeps /24, IPv6 keeps /48. Mapped IPv4 addresses
+// (::ffff:1.2.3.4) are treated as IPv4. Anything unparseable gives null.
+const truncateIp = (ip) => {
+    if (!ip || typeof ip !== 'string') return null;
+
+    const mapped = MAPPED_IPV4.exec(ip);
+    const address = mapped ? mapped[1] : ip;
+    const type = net.isIP(address);
+
+    if (type === 4) {
+        return address.split('.').slice(0, 3).concat('0').join('.');
+    }
+    if (type === 6) {
+        const [head, tail = ''] = address.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const groups = address.includes('::')
+            ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+            : headGroups;
+        return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::`;
+    }
+    return null;
+};
+
+/**
+ * Replaces visitor IPs at ingestion. A click keeps a truncated IP (ipPrefix) and
+ * a visitorId: a hash of the IP and User-Agent under a salt that changes every
+ * UTC day, so a visitor can be counted once per day but not followed across days.
+ *
+ * Without a configured hashSecret the salt is random and only the current day's
+ * is kept in memory. With one, the salt is derived from the secret and the day,
+ * so every instance (and a restarted one) hashes the same visitor the same way.
+ * The raw IP is only stored when retainRawIp is on.
+ */
+class VisitorPrivacy {
+    constructor(settings = config.visitors) {
+        this.retainRawIp = settings.retainRawIp === true;
+        this.hashSecret = settings.hashSecret || null;
+        this.salt = null; // { day, value } for the random salt
+
+        logger.info('Visitor privacy initialized', { retainRawIp: this.retainRawIp, derivedSalt: Boolean(this.hashSecret) });
+    }
+
+    saltFor(day) {
+        if (this.hashSecret) {
+            return crypto.createHmac('sha256', this.hashSecret).update(day).digest('hex');
+        }
+        if (!this.salt || this.salt.day !== day) {
+            // Yesterday's salt is dropped here, which is what makes old hashes unlinkable
+            this.salt = { day, value: crypto.randomBytes(32).toString('hex') };
+        }
+        return this.salt.value;
+    }
+
+    // What a click stores about who made it: { ip, ipPrefix, visitorId }
+    identify({ ip, userAgent }, now = new Date()) {
+        const visitorId = crypto.createHash('sha256')
+            .update(`${this.saltFor(dayOf(now))}\n${ip || ''}\n${userAgent || ''}`)
+            .digest('hex')
+            .slice(0, 32);
+
+        return {
+            ip: this.retainRawIp ? ip || null : null,
+            ipPrefix: truncateIp(ip),
+            visitorId
+        };
+    }
+}
+
+module.exports = { VisitorPrivacy, truncateIp, dayOf };
@@ -0,0 +1,462 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../middleware/logger');
+const Webhook = require('../domain/Webhook');
+const ShortUrl = require('../domain/ShortUrl');
+const ServiceError = require('../domain/ServiceError');
+const UrlPolicy = require('./urlPolicy');
+const config = require('../config/config');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+/**
+ * Webhook subscriptions and their delivery. emit() records one delivery per
+ * subscribed webhook and queues it; deliveries run a few at a time off the
+ * request path. Every attempt POSTs the same JSON body:
+ *
+ *   { id, event, createdAt, data }
+ *
+ * signed in X-Webhook-Signature (see Webhook#sign). Anything but a 2xx answer is
+ * retried with exponential backoff; after maxAttempts the delivery is 'dead' and
+ * stays in the dead-letter list until it is redelivered by hand.
+ */
+class WebhookService {
+    constructor(webhookRepository, options = {}) {
+        this.webhookRepository = webhookRepository;
+        this.settings = options.settings || config.webhooks;
+        // Receivers are held to the same rules as link destinations
+        this.urlPolicy = options.urlPolicy || new UrlPolicy();
+        // Deliveries connect only to addresses UrlPolicy#lookup vets at connect
+        // time, so a receiver can't rebind its name to an internal address
+        this.http = options.http || axios.create({
+            httpAgent: new http.Agent({ lookup: this.urlPolicy.lookup }),
+            httpsAgent: new https.Agent({ lookup: this.urlPolicy.lookup }),
+            // A proxy would do the resolving, out of reach of the agents' lookup
+            proxy: false
+        });
+
+        this.queue = []; // deliveries ready to run: { deliveryId, attempt }
+        this.retryTimers = new Set();
+        this.active = 0;
+        this.emitting = 0;
+        this.idleWaiters = [];
+
+        logger.info('Webhook service initialized', {
+            concurrency: this.settings.concurrency,
+            maxAttempts: this.settings.maxAttempts
+        });
+    }
+
+    get size() {
+        return this.queue.length + this.active + this.retryTimers.size + this.emitting;
+    }
+
+    async validateUrl(url) {
+        const urlValidation = ShortUrl.validateUrl(url);
+        if (!urlValidation.isValid) {
+            throw ServiceError.validation(urlValidation.error, 'INVALID_URL');
+        }
+        // The server POSTs to this host, so its name is resolved and checked too
+        await this.urlPolicy.check(url, { resolveHosts: true });
+    }
+
+    // Owners see their own webhooks and admins see every webhook. Callers without
+    // a principal (scripts) are not restricted.
+    assertCanAccess(webhook, principal) {
+        if (!principal || principal.role === 'admin' || webhook.isOwnedBy(principal.ownerId)) {
+            return;
+        }
+
+        // Answer as if the webhook didn't exist so ids can't be probed
+        logger.warn('Access to webhook denied', { id: webhook.id, ownerId: principal.ownerId });
+        throw ServiceError.notFound('Webhook not found');
+    }
+
+    // Resolves to { webhook, secret }; the secret is only ever returned here
+    async createWebhook({ url, events, secret } = {}, principal) {
+        try {
+            const ownerId = principal && principal.ownerId;
+            logger.info('Creating webhook', { ownerId, url, events });
+
+            await this.validateUrl(url);
+
+            const eventsValidation = Webhook.validateEvents(events);
+            if (!eventsValidation.isValid) {
+                throw ServiceError.validation(eventsValidation.error, 'INVALID_EVENTS');
+            }
+
+            if (secret !== undefined && secret !== null) {
+                const secretValidation = Webhook.validateSecret(secret);
+                if (!secretValidation.isValid) {
+                    throw ServiceError.validation(secretValidation.error, 'INVALID_SECRET');
+                }
+            }
+
+            const existing = await this.webhookRepository.list({ ownerId });
+            if (existing.length >= this.settings.maxPerOwner) {
+                throw ServiceError.conflict(`At most ${this.settings.maxPerOwner} webhooks per owner`, 'WEBHOOK_LIMIT_REACHED');
+            }
+
+            const webhook = await this.webhookRepository.create(new Webhook({
+                ownerId,
+                url,
+                events: Array.from(new Set(events)),
+                secret: secret || Webhook.generateSecret()
+            }));
+
+            logger.info('Webhook created', { id: webhook.id, ownerId });
+            return { webhook, secret: webhook.secret };
+        } catch (error) {
+            logger.error('Error creating webhook', { url, error: error.message });
+            throw error;
+        }
+    }
+
+    async listWebhooks(options = {}, principal) {
+        // Admins may narrow the listing to one owner; everyone else only sees their own webhooks
+        const ownerId = !principal || principal.role === 'admin' ? options.ownerId : principal.ownerId;
+        return this.webhookRepository.list({ ownerId: ownerId || undefined });
+    }
+
+    async getWebhook(id, principal) {
+        const webhook = await this.webhookRepository.findById(id);
+        if (!webhook) {
+            throw ServiceError.notFound('Webhook not found');
+        }
+        this.assertCanAccess(webhook, principal);
+        return webhook;
+    }
+
+    // Queued deliveries of a deleted webhook are dropped when they come up
+    async deleteWebhook(id, principal) {
+        try {
+            const webhook = await this.getWebhook(id, principal);
+            await this.webhookRepository.delete(webhook.id);
+
+            logger.info('Webhook deleted', { id });
+            return { id };
+        } catch (error) {
+            logger.error('Error deleting webhook', { id, error: error.message });
+            throw error;
+        }
+    }
+
+    parsePagination(options = {}) {
+        const page = options.page === undefined ? 1 : Number(options.page);
+        const limit = options.limit === undefined ? config.pagination.defaultPageSize : Number(options.limit);
+
+        if (!Number.isInteger(page) || page < 1) {
+            throw ServiceError.validation('page must be a positive integer', 'INVALID_PAGE');
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > config.pagination.maxPageSize) {
+            throw ServiceError.validation(`limit must be an integer between 1 and ${config.pagination.maxPageSize}`, 'INVALID_LIMIT');
+        }
+
+        return { page, limit };
+    }
+
+    // The delivery log of one webhook, newest first; status 'dead' is its dead-letter list
+    async listDeliveries(id, options = {}, principal) {
+        try {
+            const webhook = await this.getWebhook(id, principal);
+
+            if (options.status !== undefined && !DELIVERY_STATUSES.includes(options.status)) {
+                throw ServiceError.validation(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`, 'INVALID_STATUS');
+            }
+            const { page, limit } = this.parsePagination(options);
+
+            const result = await this.webhookRepository.listDeliveries({ webhookId: webhook.id, status: options.status, page, limit });
+            return {
+                items: result.items,
+                pagination: { page, limit, total: result.total, totalPages: Math.ceil(result.total / limit) }
+            };
+        } catch (error) {
+            logger.error('Error listing webhook deliveries', { id, error: error.message });
+            throw error;
+        }
+    }
+
+    // Sends a dead-lettered delivery again, with a fresh set of attempts
+    async redeliver(id, deliveryId, principal) {
+        try {
+            const webhook = await this.getWebhook(id, principal);
+
+            const delivery = await this.webhookRepository.findDelivery(deliveryId);
+            if (!delivery || delivery.webhookId !== webhook.id) {
+                throw ServiceError.notFound('Delivery not found');
+            }
+            if (delivery.status !== 'dead') {
+                throw ServiceError.conflict('Only dead deliveries can be redelivered', 'DELIVERY_NOT_DEAD');
+            }
+
+            const updated = await this.webhookRepository.updateDelivery(deliveryId, {
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: new Date()
+            });
+            this.enqueue(updated);
+
+            logger.info('Webhook delivery requeued', { id, deliveryId });
+            return updated;
+        } catch (error) {
+            logger.error('Error redelivering webhook', { id, deliveryId, error: error.message });
+            throw error;
+        }
+    }
+
+    // Records and queues one delivery per webhook of ownerId subscribed to event.
+    // Never rejects: callers fire and forget, so a failure here must not reach them.
+    async emit(event, ownerId, data) {
+        if (!ownerId) {
+            return 0;
+        }
+
+        this.emitting++;
+        try {
+            const webhooks = (await this.webhookRepository.list({ ownerId })).filter(webhook => webhook.subscribesTo(event));
+
+            for (const webhook of webhooks) {
+                const id = uuidv4();
+                const createdAt = new Date();
+                const delivery = await this.webhookRepository.createDelivery({
+                    id,
+                    webhookId: webhook.id,
+                    ownerId,
+                    event,
+                    payload: { id, event, createdAt, data },
+                    status: 'pending',
+                    attempts: 0,
+                    lastStatusCode: null,
+                    lastError: null,
+                    lastAttemptAt: null,
+                    nextAttemptAt: createdAt,
+                    deliveredAt: null,
+                    createdAt
+                });
+                this.enqueue(delivery);
+            }
+
+            if (webhooks.length > 0) {
+                logger.debug('Webhook event queued', { event, ownerId, deliveries: webhooks.length });
+            }
+            return webhooks.length;
+        } catch (error) {
+            logger.error('Error emitting webhook event', { event, ownerId, error: error.message });
+            return 0;
+        } finally {
+            this.emitting--;
+            this.notifyIdle();
+        }
+    }
+
+    // Picks up deliveries a previous process left pending; call once at startup
+    async resume() {
+        try {
+            // Collected before anything runs, since finished deliveries leave the pending pages
+            const pending = [];
+            for (let page = 1; ; page++) {
+                const { items } = await this.webhookRepository.listDeliveries({ status: 'pending', page, limit: 100 });
+                pending.push(...items);
+                if (items.length < 100) break;
+            }
+            pending.reverse().forEach(delivery => this.enqueue(delivery));
+
+            logger.info('Pending webhook deliveries resumed', { count: pending.length });
+            return pending.length;
+        } catch (error) {
+            logger.error('Error resuming webhook deliveries', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Removes delivered and dead deliveries older than deliveryRetentionDays, so the
+    // log doesn't grow forever; run by the cleanup job. Pending ones are still owed.
+    async pruneDeliveries(now = new Date()) {
+        try {
+            const before = new Date(now.getTime() - this.settings.deliveryRetentionDays * 24 * 60 * 60 * 1000);
+            const removed = await this.webhookRepository.pruneDeliveries(before);
+
+            logger.info('Old webhook deliveries pruned', { removed, before });
+            return removed;
+        } catch (error) {
+            logger.error('Error pruning webhook deliveries', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Returns false when the queue is full; the delivery is dead-lettered then
+    enqueue(delivery) {
+        const job = { deliveryId: delivery.id, attempt: delivery.attempts + 1 };
+
+        if (this.size >= this.settings.maxQueueSize) {
+            logger.warn('Webhook queue full, dead-lettering delivery', { deliveryId: delivery.id, size: this.size });
+            this.record(job, { status: 'dead', lastError: 'QUEUE_FULL', nextAttemptAt: null });
+            return false;
+        }
+
+        this.queue.push(job);
+        this.pump();
+        return true;
+    }
+
+    pump() {
+        while (this.active < this.settings.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.active++;
+            this.run(job).finally(() => {
+                this.active--;
+                this.pump();
+                this.notifyIdle();
+            });
+        }
+    }
+
+    // POSTs the delivery's payload once. Resolves to { statusCode } for a 2xx
+    // answer and rejects with an error carrying statusCode (if any) and retryable.
+    async send(webhook, delivery) {
+        try {
+            await this.urlPolicy.check(webhook.url, { resolveHosts: true });
+        } catch (error) {
+            error.retryable = false;
+            throw error;
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        let response;
+        try {
+            response = await this.http.post(webhook.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': this.settings.userAgent,
+                    'X-Webhook-Id': webhook.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Signature': webhook.sign(body, timestamp)
+                },
+                timeout: this.settings.timeoutMs,
+                maxRedirects: 0,
+                responseType: 'text',
+                transformResponse: [raw => raw],
+                validateStatus: () => true
+            });
+        } catch (error) {
+            if (error.code === 'URL_REJECTED') {
+                // Turned away by UrlPolicy#lookup when connecting
+                const failure = new Error(error.message);
+                failure.code = 'URL_REJECTED';
+                failure.retryable = false;
+                throw failure;
+            }
+            const failure = new Error(error.code === 'ECONNABORTED' ? 'TIMEOUT' : error.code || 'NETWORK_ERROR');
+            failure.retryable = true;
+            throw failure;
+        }
+
+        if (response.status < 200 || response.status >= 300) {
+            const failure = new Error(`HTTP_${response.status}`);
+            failure.statusCode = response.status;
+            failure.retryable = true;
+            throw failure;
+        }
+        return { statusCode: response.status };
+    }
+
+    async run(job) {
+        try {
+            const delivery = await this.webhookRepository.findDelivery(job.deliveryId);
+            const webhook = delivery && await this.webhookRepository.findById(delivery.webhookId);
+            if (!webhook) {
+                logger.debug('Dropping delivery of a deleted webhook', { deliveryId: job.deliveryId });
+                return;
+            }
+
+            const attemptedAt = new Date();
+            try {
+                const { statusCode } = await this.send(webhook, delivery);
+                logger.info('Webhook delivered', { deliveryId: delivery.id, event: delivery.event, attempt: job.attempt });
+                await this.record(job, {
+                    status: 'delivered',
+                    attempts: job.attempt,
+                    lastStatusCode: statusCode,
+                    lastError: null,
+                    lastAttemptAt: attemptedAt,
+                    nextAttemptAt: null,
+                    deliveredAt: new Date()
+                });
+            } catch (error) {
+                const failure = {
+                    attempts: job.attempt,
+                    lastStatusCode: error.statusCode || null,
+                    lastError: error.code === 'URL_REJECTED' ? 'URL_REJECTED' : error.message,
+                    lastAttemptAt: attemptedAt
+                };
+
+                if (error.retryable && job.attempt < this.settings.maxAttempts) {
+                    const delay = this.scheduleRetry(job, error);
+                    await this.record(job, { ...failure, nextAttemptAt: new Date(Date.now() + delay) });
+                    return;
+                }
+
+                logger.warn('Webhook delivery dead-lettered', { deliveryId: delivery.id, attempt: job.attempt, error: error.message });
+                await this.record(job, { ...failure, status: 'dead', nextAttemptAt: null });
+            }
+        } catch (error) {
+            logger.error('Error running webhook delivery', { deliveryId: job.deliveryId, error: error.message });
+        }
+    }
+
+    scheduleRetry(job, error) {
+        const delay = this.settings.retryDelayMs * 2 ** (job.attempt - 1);
+        logger.info('Webhook delivery failed, retrying', {
+            deliveryId: job.deliveryId,
+            attempt: job.attempt,
+            delay,
+            error: error.message
+        });
+
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(timer);
+            this.queue.push({ ...job, attempt: job.attempt + 1 });
+            this.pump();
+        }, delay);
+        timer.unref();
+        this.retryTimers.add(timer);
+        return delay;
+    }
+
+    async record(job, changes) {
+        try {
+            await this.webhookRepository.updateDelivery(job.deliveryId, changes);
+        } catch (error) {
+            logger.error('Error recording webhook delivery', { deliveryId: job.deliveryId, error: error.message });
+        }
+    }
+
+    notifyIdle() {
+        if (this.size > 0) return;
+        this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    // Resolves once nothing is being emitted, queued, sent or waiting for a retry
+    onIdle() {
+        if (this.size === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    // Drops queued deliveries and pending retries; they stay 'pending' in storage
+    // and resume() picks them up again. Running deliveries finish on their own.
+    close() {
+        this.retryTimers.forEach(timer => clearTimeout(timer));
+        this.retryTimers.clear();
+        this.queue = [];
+        this.notifyIdle();
+    }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,38 @@
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const BASE = BigInt(ALPHABET.length);
+
+// Encodes a non-negative integer in the given 62-character alphabet, left
+// padded with the alphabet's zero digit to at least minLength characters
+const encode = (value, alphabet = ALPHABET, minLength = 1) => {
+    let remaining = BigInt(value);
+    let encoded = '';
+
+    do {
+        encoded = alphabet[Number(remaining % BASE)] + encoded;
+        remaining /= BASE;
+    } while (remaining > 0n);
+
+    return encoded.padStart(minLength, alphabet[0]);
+};
+
+// Number of base62 digits needed to write value
+const digitsFor = (value) => encode(value).length;
+
+// Deterministic salt-keyed permutation of the alphabet (the shuffle hashids uses)
+const shuffle = (alphabet, salt) => {
+    if (!salt) {
+        return alphabet;
+    }
+
+    const chars = alphabet.split('');
+    for (let i = chars.length - 1, v = 0, p = 0; i > 0; i--, v++) {
+        v %= salt.length;
+        const code = salt.charCodeAt(v);
+        p += code;
+        const j = (code + v + p) % i;
+        [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars.join('');
+};
+
+module.exports = { ALPHABET, BASE, encode, digitsFor, shuffle };
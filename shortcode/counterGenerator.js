@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const ShortcodeGenerator = require('./shortcodeGenerator');
+const ServiceError = require('../domain/ServiceError');
+const { ALPHABET, BASE, encode, digitsFor, shuffle } = require('./base62');
+
+// Odd and not a multiple of 31, so it is coprime with 62^n and multiplying by it
+// permutes every n-character keyspace
+const MULTIPLIER = 1580030173n;
+
+// Encodes an ever-increasing sequence number, so codes never collide with each
+// other (only with custom shortcodes). Obfuscation scrambles the number inside
+// its length's keyspace and encodes it with a salt-shuffled alphabet, which keeps
+// it collision free while hiding how many links exist.
+class CounterGenerator extends ShortcodeGenerator {
+    constructor(options, sequenceRepository) {
+        super(options);
+        this.sequenceRepository = sequenceRepository;
+        this.sequenceName = options.sequenceName || 'shortcode';
+        this.obfuscate = Boolean(options.obfuscate);
+        this.alphabet = this.obfuscate ? shuffle(ALPHABET, options.salt) : ALPHABET;
+        this.offset = BigInt(`0x${crypto.createHash('sha256').update(options.salt || '').digest('hex')}`);
+    }
+
+    async generate() {
+        const value = BigInt(await this.sequenceRepository.next(this.sequenceName));
+
+        // The code length follows the sequence once it outgrows the configured length
+        const length = Math.max(this.length, digitsFor(value));
+        if (length > this.maxLength) {
+            throw new ServiceError('Shortcode sequence has outgrown the maximum shortcode length', 503, 'SHORTCODE_EXHAUSTED');
+        }
+
+        if (!this.obfuscate) {
+            return encode(value, this.alphabet, length);
+        }
+
+        const keyspace = BASE ** BigInt(length);
+        return encode((value * MULTIPLIER + this.offset) % keyspace, this.alphabet, length);
+    }
+}
+
+module.exports = CounterGenerator;
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+const ShortcodeGenerator = require('./shortcodeGenerator');
+const { encode } = require('./base62');
+
+// The same URL always proposes the same first code. Retries after a collision
+// hash the URL together with the attempt number to get a fresh candidate.
+class HashGenerator extends ShortcodeGenerator {
+    constructor(options) {
+        super(options);
+        this.salt = options.salt || '';
+    }
+
+    async generate({ url, attempt = 0 }) {
+        const input = attempt ? `${this.salt}${url}#${attempt}` : `${this.salt}${url}`;
+        const digest = crypto.createHash('sha256').update(input).digest('hex');
+
+        return encode(BigInt(`0x${digest}`)).slice(0, this.length);
+    }
+}
+
+module.exports = HashGenerator;
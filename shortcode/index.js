@@ -0,0 +1,28 @@
+const config = require('../config/config');
+const RandomGenerator = require('./randomGenerator');
+const CounterGenerator = require('./counterGenerator');
+const HashGenerator = require('./hashGenerator');
+const SequenceRepository = require('../repository/sequenceRepository');
+
+const strategies = {
+    random: (options) => new RandomGenerator(options),
+    counter: (options, { sequenceRepository = new SequenceRepository() }) => new CounterGenerator(options, sequenceRepository),
+    hash: (options) => new HashGenerator(options)
+};
+
+// Pick the strategy named by config.shortcodeGenerator.strategy. The counter
+// strategy needs a sequence store that outlives restarts when storage does.
+const createShortcodeGenerator = (options = config.shortcodeGenerator, dependencies = {}) => {
+    const factory = strategies[options.strategy];
+    if (!factory) {
+        throw new Error(`Unknown shortcode strategy "${options.strategy}" (expected one of: ${Object.keys(strategies).join(', ')})`);
+    }
+    return factory(options, dependencies);
+};
+
+module.exports = {
+    createShortcodeGenerator,
+    RandomGenerator,
+    CounterGenerator,
+    HashGenerator
+};
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+const ShortcodeGenerator = require('./shortcodeGenerator');
+const { ALPHABET } = require('./base62');
+
+// Uniformly random codes from the OS CSPRNG
+class RandomGenerator extends ShortcodeGenerator {
+    async generate() {
+        let shortcode = '';
+        for (let i = 0; i < this.length; i++) {
+            shortcode += ALPHABET[crypto.randomInt(ALPHABET.length)];
+        }
+        return shortcode;
+    }
+}
+
+module.exports = RandomGenerator;
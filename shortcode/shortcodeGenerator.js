@@ -0,0 +1,28 @@
+/**
+ * Base for shortcode strategies. generate() proposes a candidate and UrlService
+ * checks it against the store, asking again with attempt + 1 on a collision.
+ * When collisions pile up the service calls grow(), so codes get longer as the
+ * keyspace at the current length fills.
+ */
+class ShortcodeGenerator {
+    constructor({ length, maxLength }) {
+        this.length = length;
+        this.maxLength = maxLength;
+    }
+
+    /** Propose a shortcode for { url, attempt }. */
+    async generate(context) {
+        throw new Error(`${this.constructor.name} must implement generate()`);
+    }
+
+    /** Lengthen future codes by one character; false once maxLength is reached. */
+    grow() {
+        if (this.length >= this.maxLength) {
+            return false;
+        }
+        this.length++;
+        return true;
+    }
+}
+
+module.exports = ShortcodeGenerator;
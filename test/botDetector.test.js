@@ -0,0 +1,54 @@
+const BotDetector = require('../service/botDetector');
+
+const BROWSER = {
+    ip: '198.51.100.7',
+    method: 'GET',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15',
+    accept: 'text/html,application/xhtml+xml',
+    acceptLanguage: 'en-US,en;q=0.9'
+};
+
+describe('BotDetector', () => {
+    const detector = new BotDetector({
+        scannerRanges: ['203.0.113.0/24', '2001:db8:5ca::/48', '192.0.2.15', 'not-a-range'],
+        userAgents: ['AcmeLinkChecker']
+    });
+    const reasonFor = overrides => detector.classify({ ...BROWSER, ...overrides }).reason;
+
+    test('ordinary browser visits are people', () => {
+        expect(detector.classify(BROWSER)).toEqual({ isBot: false, reason: null });
+        expect(reasonFor({ userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) Mobile/15E148' })).toBeNull();
+    });
+
+    test.each([
+        'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)',
+        'Twitterbot/1.0',
+        'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+        'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+        'Mozilla/5.0+(compatible; UptimeRobot/2.0; http://www.uptimerobot.com/)',
+        'curl/8.5.0',
+        'python-requests/2.32.3',
+        'Mozilla/5.0 AcmeLinkChecker/3.1'
+    ])('%s is caught by its User-Agent', (userAgent) => {
+        expect(reasonFor({ userAgent })).toBe('USER_AGENT');
+    });
+
+    test('scripted requests are caught by heuristics', () => {
+        expect(reasonFor({ userAgent: undefined })).toBe('HEURISTIC');
+        expect(reasonFor({ method: 'HEAD' })).toBe('HEURISTIC');
+        expect(reasonFor({ purpose: 'prefetch' })).toBe('HEURISTIC');
+        expect(reasonFor({ acceptLanguage: undefined })).toBe('HEURISTIC');
+    });
+
+    test('configured scanner ranges match IPv4, IPv6 and mapped addresses', () => {
+        expect(reasonFor({ ip: '203.0.113.200' })).toBe('SCANNER_IP');
+        expect(reasonFor({ ip: '::ffff:203.0.113.9' })).toBe('SCANNER_IP');
+        expect(reasonFor({ ip: '2001:db8:5ca:1::10' })).toBe('SCANNER_IP');
+        expect(reasonFor({ ip: '192.0.2.15' })).toBe('SCANNER_IP');
+        expect(reasonFor({ ip: '192.0.2.16' })).toBeNull();
+    });
+
+    test('a disabled detector treats everyone as a person', () => {
+        expect(new BotDetector({ enabled: false }).classify({ userAgent: 'Twitterbot/1.0' }).isBot).toBe(false);
+    });
+});
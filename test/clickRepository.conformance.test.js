@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const ClickRepository = require('../repository/clickRepository');
+const MongoClickRepository = require('../repository/mongoClickRepository');
+const ClickEventModel = require('../models/clickEvent');
+
+const backends = [
+    {
+        name: 'memory',
+        enabled: true,
+        connect: async () => {},
+        reset: async () => {},
+        disconnect: async () => {},
+        create: () => new ClickRepository()
+    },
+    {
+        name: 'mongo',
+        enabled: Boolean(process.env.MONGODB_TEST_URI),
+        connect: () => mongoose.connect(process.env.MONGODB_TEST_URI, { dbName: 'click_repository_conformance' }),
+        reset: () => ClickEventModel.deleteMany({}),
+        disconnect: async () => {
+            await mongoose.connection.dropDatabase();
+            await mongoose.disconnect();
+        },
+        create: () => new MongoClickRepository()
+    }
+];
+
+let sequence = 0;
+const click = (shortUrlId, timestamp, overrides = {}) => ({
+    id: `click-${++sequence}`,
+    shortUrlId,
+    shortcode: 'code',
+    timestamp: new Date(timestamp),
+    ip: '203.0.113.1',
+    userAgent: 'Mozilla/5.0',
+    referer: 'https://ref.example',
+    location: { country: 'US', region: 'CA', city: 'San Francisco' },
+    ...overrides
+});
+
+backends.forEach((backend) => {
+    const describeBackend = backend.enabled ? describe : describe.skip;
+
+    describeBackend(`Click store conformance: ${backend.name}`, () => {
+        let repository;
+
+        beforeAll(() => backend.connect());
+        afterAll(() => backend.disconnect());
+
+        beforeEach(async () => {
+            await backend.reset();
+            repository = backend.create();
+
+            await repository.add(click('url-1', '2025-01-01T10:15:00Z'));
+            await repository.add(click('url-1', '2025-01-01T10:45:00Z', { referer: undefined, userAgent: 'curl/8.0' }));
+            await repository.add(click('url-1', '2025-01-01T12:05:00Z', { location: { country: 'IN' } }));
+            await repository.add(click('url-1', '2025-01-02T08:00:00Z', { location: { country: 'IN' } }));
+            await repository.add(click('url-2', '2025-01-01T10:30:00Z'));
+        });
+
+        afterEach(() => repository.close());
+
+        test('list pages through one link\'s events newest first', async () => {
+            const firstPage = await repository.list('url-1', { page: 1, limit: 3 });
+            expect(firstPage.total).toBe(4);
+            expect(firstPage.items.map(item => new Date(item.timestamp).toISOString())).toEqual([
+                '2025-01-02T08:00:00.000Z',
+                '2025-01-01T12:05:00.000Z',
+                '2025-01-01T10:45:00.000Z'
+            ]);
+
+            const secondPage = await repository.list('url-1', { page: 2, limit: 3 });
+            expect(secondPage.items).toHaveLength(1);
+            expect(secondPage.items[0].shortUrlId).toBe('url-1');
+        });
+
+        test('list honours the time range', async () => {
+            const result = await repository.list('url-1', {
+                from: new Date('2025-01-01T10:30:00Z'),
+                to: new Date('2025-01-01T23:59:59Z'),
+                page: 1,
+                limit: 10
+            });
+
+            expect(result.total).toBe(2);
+        });
+
+        test('aggregate buckets by hour and ranks breakdowns', async () => {
+            const result = await repository.aggregate('url-1', {
+                from: new Date('2025-01-01T00:00:00Z'),
+                to: new Date('2025-01-01T23:59:59Z'),
+                interval: 'hour',
+                top: 5
+            });
+
+            expect(result.total).toBe(3);
+            expect(result.timeline).toEqual([
+                { bucket: '2025-01-01T10:00:00.000Z', count: 2 },
+                { bucket: '2025-01-01T12:00:00.000Z', count: 1 }
+            ]);
+            expect(result.topReferrers).toEqual([
+                { value: 'https://ref.example', count: 2 },
+                { value: '(direct)', count: 1 }
+            ]);
+            expect(result.topCountries).toEqual([
+                { value: 'US', count: 2 },
+                { value: 'IN', count: 1 }
+            ]);
+            expect(result.topUserAgents[0]).toEqual({ value: 'Mozilla/5.0', count: 2 });
+        });
+
+        test('aggregate buckets by day and trims the top lists', async () => {
+            const result = await repository.aggregate('url-1', { interval: 'day', top: 1 });
+
+            expect(result.timeline).toEqual([
+                { bucket: '2025-01-01T00:00:00.000Z', count: 3 },
+                { bucket: '2025-01-02T00:00:00.000Z', count: 1 }
+            ]);
+            expect(result.topCountries).toEqual([{ value: 'IN', count: 2 }]);
+        });
+
+        test('countBy counts events per field value, missing values under null', async () => {
+            await repository.add(click('url-1', '2025-01-03T09:00:00Z', { ruleId: 'mobile' }));
+            await repository.add(click('url-1', '2025-01-03T09:05:00Z', { ruleId: 'mobile' }));
+
+            const counts = await repository.countBy('url-1', 'ruleId');
+            expect(counts.sort((a, b) => b.count - a.count)).toEqual([
+                { value: null, count: 4 },
+                { value: 'mobile', count: 2 }
+            ]);
+        });
+
+        test('bot events are counted apart from people', async () => {
+            await repository.add(click('url-3', '2025-01-04T09:00:00Z', { ruleId: 'mobile' }));
+            await repository.add(click('url-3', '2025-01-04T09:05:00Z', { ruleId: 'mobile', isBot: true, userAgent: 'Slackbot' }));
+
+            const summary = await repository.aggregate('url-3', { interval: 'day', top: 5 });
+            expect(summary.total).toBe(1);
+            expect(summary.bots).toBe(1);
+            expect(summary.topUserAgents).toEqual([{ value: 'Mozilla/5.0', count: 1 }]);
+
+            expect(await repository.countBy('url-3', 'ruleId')).toEqual([{ value: 'mobile', count: 2 }]);
+            expect(await repository.countBy('url-3', 'ruleId', { excludeBots: true })).toEqual([{ value: 'mobile', count: 1 }]);
+        });
+
+        test('countUnique counts distinct human visitors per day', async () => {
+            const visit = (timestamp, visitorId, overrides) => repository.add(click('url-4', timestamp, { visitorId, ...overrides }));
+            await visit('2025-01-05T09:00:00Z', 'a');
+            await visit('2025-01-05T10:00:00Z', 'a');
+            await visit('2025-01-05T11:00:00Z', 'b');
+            await visit('2025-01-05T12:00:00Z', 'bot', { isBot: true });
+            await visit('2025-01-06T09:00:00Z', 'c');
+            await repository.add(click('url-4', '2025-01-06T10:00:00Z'));
+
+            expect(await repository.countUnique('url-4', {})).toEqual({
+                total: 3,
+                daily: [{ day: '2025-01-05', count: 2 }, { day: '2025-01-06', count: 1 }]
+            });
+            expect(await repository.countUnique('url-4', { from: new Date('2025-01-06T00:00:00Z') }))
+                .toEqual({ total: 1, daily: [{ day: '2025-01-06', count: 1 }] });
+        });
+
+        test('deleteByShortUrlId drops only that link\'s events', async () => {
+            expect(await repository.deleteByShortUrlId('url-1')).toBe(4);
+            expect((await repository.list('url-1', { page: 1, limit: 10 })).total).toBe(0);
+            expect((await repository.list('url-2', { page: 1, limit: 10 })).total).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,190 @@
+const http = require('http');
+const UrlRepository = require('../repository/urlRepository');
+const UrlService = require('../service/urlService');
+const UrlPolicy = require('../service/urlPolicy');
+const LinkPreviewService = require('../service/linkPreviewService');
+const { MetadataFetcher, parseMetadata } = require('../service/metadataFetcher');
+
+const settings = {
+    timeoutMs: 300,
+    maxBytes: 4096,
+    maxRedirects: 2,
+    maxAttempts: 2,
+    retryDelayMs: 10,
+    concurrency: 2,
+    maxQueueSize: 100,
+    userAgent: 'link-preview-test'
+};
+
+const ARTICLE = `<!doctype html><html><head>
+<title> Launch &amp; Learn </title>
+<meta name="description" content="Everything about the launch">
+<meta property="og:image" content="/images/cover.png">
+</head><body>Hello</body></html>`;
+
+describe('link previews', () => {
+    let stub;
+    let baseUrl;
+    let hits;
+    let urlRepository;
+    let linkPreviews;
+    let urlService;
+
+    // Local stand-in for destination sites
+    const routes = {
+        '/article': (req, res) => res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(ARTICLE),
+        '/hop1': (req, res) => res.writeHead(301, { Location: '/hop2' }).end(),
+        '/hop2': (req, res) => res.writeHead(302, { Location: `${baseUrl}/article` }).end(),
+        '/loop': (req, res) => res.writeHead(302, { Location: '/loop' }).end(),
+        '/huge': (req, res) => {
+            // The title sits past maxBytes, so it is never read
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(`<html><head>${' '.repeat(8192)}<title>Too far</title></head></html>`);
+        },
+        '/slow': (req, res) => setTimeout(() => res.writeHead(200, { 'Content-Type': 'text/html' }).end(ARTICLE), 1000),
+        '/flaky': (req, res) => (hits['/flaky'] === 1
+            ? res.writeHead(503).end()
+            : res.writeHead(200, { 'Content-Type': 'text/html' }).end('<title>Back up</title>')),
+        '/gone': (req, res) => res.writeHead(404).end(),
+        '/file.pdf': (req, res) => res.writeHead(200, { 'Content-Type': 'application/pdf' }).end('%PDF-1.4')
+    };
+
+    beforeAll(async () => {
+        stub = http.createServer((req, res) => {
+            hits[req.url] = (hits[req.url] || 0) + 1;
+            (routes[req.url] || routes['/gone'])(req, res);
+        });
+        await new Promise((resolve) => {
+            stub.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${stub.address().port}`;
+    });
+
+    beforeEach(() => {
+        hits = {};
+        const urlPolicy = new UrlPolicy({ allowedSchemes: ['http', 'https'], allowPrivateAddresses: true, ownHosts: [] });
+        urlRepository = new UrlRepository();
+        linkPreviews = new LinkPreviewService(urlRepository, { settings, urlPolicy });
+        urlService = new UrlService(urlRepository, undefined, { urlPolicy, linkPreviews });
+    });
+
+    afterEach(() => {
+        linkPreviews.close();
+    });
+
+    afterAll((done) => {
+        stub.close(done);
+    });
+
+    const createAndWait = async (path, extra = {}) => {
+        const shortUrl = await urlService.createShortUrl({ url: `${baseUrl}${path}`, ...extra });
+        await linkPreviews.onIdle();
+        return urlRepository.findById(shortUrl.id);
+    };
+
+    test('parseMetadata reads title, description and a resolved Open Graph image', () => {
+        expect(parseMetadata(ARTICLE, 'https://example.com/posts/1')).toEqual({
+            title: 'Launch & Learn',
+            description: 'Everything about the launch',
+            image: 'https://example.com/images/cover.png'
+        });
+        expect(parseMetadata('<meta content="OG title" property="og:title"><meta property="og:image" content="javascript:x">', 'https://example.com/'))
+            .toEqual({ title: 'OG title', description: null, image: null });
+    });
+
+    test('a new link starts pending and gets its metadata in the background', async () => {
+        const shortUrl = await urlService.createShortUrl({ url: `${baseUrl}/article` });
+        expect(shortUrl.metadata).toEqual({ status: 'pending' });
+
+        await linkPreviews.onIdle();
+        const stats = await urlService.getShortUrlStats(shortUrl.shortcode);
+        expect(stats.metadata).toMatchObject({
+            status: 'ok',
+            title: 'Launch & Learn',
+            description: 'Everything about the launch',
+            image: `${baseUrl}/images/cover.png`,
+            finalUrl: `${baseUrl}/article`,
+            attempts: 1
+        });
+    });
+
+    test('redirects are followed up to the limit and the final URL is kept', async () => {
+        expect((await createAndWait('/hop1')).metadata).toMatchObject({ status: 'ok', finalUrl: `${baseUrl}/article` });
+        expect((await createAndWait('/loop')).metadata).toMatchObject({ status: 'failed', error: 'TOO_MANY_REDIRECTS' });
+    });
+
+    test('only the first maxBytes of a page are read', async () => {
+        expect((await createAndWait('/huge')).metadata).toMatchObject({ status: 'ok', title: null });
+    });
+
+    test('non-HTML destinations keep only the final URL', async () => {
+        expect((await createAndWait('/file.pdf')).metadata)
+            .toMatchObject({ status: 'ok', title: null, finalUrl: `${baseUrl}/file.pdf` });
+    });
+
+    test('retryable failures are retried with backoff, others fail at once', async () => {
+        expect((await createAndWait('/flaky')).metadata).toMatchObject({ status: 'ok', title: 'Back up', attempts: 2 });
+
+        const slow = await createAndWait('/slow');
+        expect(slow.metadata).toMatchObject({ status: 'failed', error: 'TIMEOUT', attempts: 2 });
+
+        const gone = await createAndWait('/gone');
+        expect(gone.metadata).toMatchObject({ status: 'failed', error: 'HTTP_404', attempts: 1 });
+        expect(hits['/gone']).toBe(1);
+    });
+
+    test('fetchMetadata: false opts a link out, and switching it on fetches', async () => {
+        const shortUrl = await createAndWait('/article', { fetchMetadata: false });
+        expect(shortUrl.metadata).toBeNull();
+        expect(hits['/article']).toBeUndefined();
+
+        await urlService.updateShortUrl(shortUrl.shortcode, { fetchMetadata: true });
+        await linkPreviews.onIdle();
+        expect((await urlRepository.findById(shortUrl.id)).metadata).toMatchObject({ status: 'ok', title: 'Launch & Learn' });
+
+        await expect(urlService.createShortUrl({ url: `${baseUrl}/article`, fetchMetadata: 'no' }))
+            .rejects.toMatchObject({ code: 'INVALID_FETCH_METADATA' });
+    });
+
+    test('a host that turns out private when connecting is never fetched', async () => {
+        const urlPolicy = new UrlPolicy({ allowedSchemes: ['http', 'https'], allowPrivateAddresses: false, ownHosts: [] });
+        // As if the host had resolved to a public address when it was checked
+        jest.spyOn(urlPolicy, 'check').mockResolvedValue();
+        const fetcher = new MetadataFetcher(settings, { urlPolicy });
+
+        await expect(fetcher.fetch(`http://localhost:${stub.address().port}/article`))
+            .rejects.toMatchObject({ code: 'URL_REJECTED', retryable: false });
+        expect(hits['/article']).toBeUndefined();
+    });
+
+    test('a fetch finishing after previews were switched off or the link deleted stores nothing', async () => {
+        // Fetches wait until released, so the link changes while they are in flight
+        const pending = [];
+        const fetcher = { fetch: () => new Promise(resolve => pending.push(resolve)) };
+        const heldPreviews = new LinkPreviewService(urlRepository, { settings, fetcher });
+        const service = new UrlService(urlRepository, undefined, { urlPolicy: urlService.urlPolicy, linkPreviews: heldPreviews });
+
+        const switchedOff = await service.createShortUrl({ url: `${baseUrl}/article` });
+        const deleted = await service.createShortUrl({ url: `${baseUrl}/article` });
+        await service.updateShortUrl(switchedOff.shortcode, { fetchMetadata: false });
+        await service.deleteShortUrl(deleted.shortcode);
+        const update = jest.spyOn(urlRepository, 'update');
+
+        pending.forEach(resolve => resolve({ title: 'Too late', finalUrl: `${baseUrl}/article` }));
+        await heldPreviews.onIdle();
+
+        expect(update).not.toHaveBeenCalled();
+        expect((await urlRepository.findById(switchedOff.id)).metadata).toBeNull();
+        expect(await urlRepository.findById(deleted.id)).toBeNull();
+    });
+
+    test('changing the destination replaces the preview and drops stale results', async () => {
+        const shortUrl = await urlService.createShortUrl({ url: `${baseUrl}/slow` });
+        await urlService.updateShortUrl(shortUrl.shortcode, { url: `${baseUrl}/article` });
+        await linkPreviews.onIdle();
+
+        // The slow fetch of the old destination finished last but was discarded
+        expect((await urlRepository.findById(shortUrl.id)).metadata)
+            .toMatchObject({ status: 'ok', finalUrl: `${baseUrl}/article` });
+    });
+});
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const LogShipper = require('../logger/logShipper');
+const { StructuredLogger, RemoteTransport } = require('../logger');
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+describe('remote log shipping', () => {
+    let stub;
+    let baseUrl;
+    let state;
+    let tmpDir;
+    let shipper;
+
+    beforeAll(async () => {
+        // Local stand-in for the evaluation service's auth and log endpoints
+        stub = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const reply = (status, data) => {
+                    res.writeHead(status, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(data));
+                };
+
+                state.requests[req.url] = (state.requests[req.url] || 0) + 1;
+                if (req.url === '/auth') {
+                    state.tokensIssued += 1;
+                    return reply(200, { access_token: `token-${state.tokensIssued}`, expires_in: 3600 });
+                }
+                if (state.down) {
+                    return reply(503, { message: 'unavailable' });
+                }
+                const token = (req.headers.authorization || '').replace('Bearer ', '');
+                if (state.revoked.includes(token)) {
+                    return reply(401, { message: 'token expired' });
+                }
+                state.logs.push({ ...JSON.parse(body), token });
+                return reply(200, { logID: String(state.logs.length) });
+            });
+        });
+        await new Promise((resolve) => {
+            stub.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${stub.address().port}`;
+    });
+
+    beforeEach(() => {
+        state = { tokensIssued: 0, logs: [], down: false, revoked: [], requests: {} };
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-shipper-'));
+    });
+
+    afterEach(async () => {
+        if (shipper) {
+            await shipper.close();
+            shipper = null;
+        }
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    afterAll((done) => {
+        stub.close(done);
+    });
+
+    const createShipper = (options = {}) => new LogShipper({
+        authUrl: `${baseUrl}/auth`,
+        logUrl: `${baseUrl}/logs`,
+        credentials: { clientID: 'test', clientSecret: 'test' },
+        spillFile: path.join(tmpDir, 'spill.ndjson'),
+        flushThreshold: 5,
+        flushIntervalMs: 60 * 1000, // tests flush by hand
+        maxQueueSize: 10,
+        retryDelayMs: 10,
+        maxRetryDelayMs: 40,
+        maxAttempts: 2,
+        timeoutMs: 500,
+        ...options
+    });
+
+    const messages = () => state.logs.map(entry => entry.message);
+
+    test('one cached token is reused until the log endpoint rejects it', async () => {
+        shipper = createShipper();
+        ['one', 'two', 'three'].forEach(message => shipper.enqueue('info', 'service', message));
+        await shipper.flush();
+
+        expect(state.tokensIssued).toBe(1);
+        expect(state.logs).toEqual([
+            { stack: 'backend', level: 'info', package: 'service', message: 'one', token: 'token-1' },
+            { stack: 'backend', level: 'info', package: 'service', message: 'two', token: 'token-1' },
+            { stack: 'backend', level: 'info', package: 'service', message: 'three', token: 'token-1' }
+        ]);
+
+        state.revoked.push('token-1');
+        shipper.enqueue('warn', 'db', 'four');
+        // The 401 forgets the token; the retry after the backoff fetches a new one
+        shipper.flush();
+        await waitFor(() => state.logs.length === 4);
+
+        expect(state.tokensIssued).toBe(2);
+        expect(state.logs[3]).toMatchObject({ message: 'four', token: 'token-2' });
+    });
+
+    test('a flush sends one request per entry and fetches the token once', async () => {
+        shipper = createShipper();
+        ['one', 'two', 'three'].forEach(message => shipper.enqueue('info', 'service', message));
+        expect(state.requests).toEqual({});
+
+        await shipper.flush();
+        expect(state.requests).toEqual({ '/auth': 1, '/logs': 3 });
+
+        ['four', 'five'].forEach(message => shipper.enqueue('info', 'service', message));
+        await shipper.flush();
+        expect(state.requests).toEqual({ '/auth': 1, '/logs': 5 });
+        expect(messages()).toEqual(['one', 'two', 'three', 'four', 'five']);
+    });
+
+    test('a logger with a remote transport returns before anything is sent', async () => {
+        shipper = createShipper({ flushIntervalMs: 10 });
+        const root = new StructuredLogger({ transports: [new RemoteTransport({ level: 'info', shipper })] });
+        const log = root.child({ package: 'controller' });
+
+        expect(log.info('Creating new short URL')).toBeUndefined();
+        log.debug('below the transport level');
+        // Only entries naming one of the service's packages are shipped
+        root.info('no package');
+        root.child({ package: 'middleware' }).info('unknown package');
+        expect(state.logs).toEqual([]);
+
+        await waitFor(() => state.logs.length === 1);
+        await shipper.flush();
+        expect(state.logs).toHaveLength(1);
+        expect(state.logs[0]).toMatchObject({ level: 'info', package: 'controller', message: 'Creating new short URL' });
+    });
+
+    test('entries spill to disk while the endpoint is down and are replayed in order once it is back', async () => {
+        state.down = true;
+        shipper = createShipper();
+        const spillFile = path.join(tmpDir, 'spill.ndjson');
+
+        ['a', 'b', 'c'].forEach(message => shipper.enqueue('error', 'handler', message));
+        shipper.flush();
+        // Two failed flushes in a row, the second after a backoff, spill the queue
+        await waitFor(() => shipper.failures >= 2 && fs.existsSync(spillFile));
+        await shipper.fileOps;
+        expect(shipper.queue).toEqual([]);
+        expect(fs.readFileSync(spillFile, 'utf8').trim().split('\n').map(line => JSON.parse(line).message)).toEqual(['a', 'b', 'c']);
+
+        shipper.enqueue('error', 'handler', 'd');
+        state.down = false;
+        await waitFor(() => state.logs.length === 4 && shipper.failures === 0);
+        expect(messages()).toEqual(['a', 'b', 'c', 'd']);
+        expect(fs.existsSync(spillFile)).toBe(false);
+    });
+
+    test('an entry pushed out of the queue while it is being sent is shipped once', async () => {
+        const spillFile = path.join(tmpDir, 'spill.ndjson');
+        const shipped = [];
+        let release = null;
+        shipper = createShipper({
+            maxQueueSize: 2,
+            send: async (token, entry) => {
+                if (entry.message === 'first') {
+                    await new Promise((resolve) => {
+                        release = resolve;
+                    });
+                }
+                shipped.push(entry.message);
+            }
+        });
+
+        shipper.enqueue('info', 'service', 'first');
+        const flushing = shipper.flush();
+        await waitFor(() => release !== null);
+        // Overflows the queue twice while "first" is in flight
+        ['second', 'third', 'fourth'].forEach(message => shipper.enqueue('info', 'service', message));
+        await shipper.fileOps;
+        expect(fs.readFileSync(spillFile, 'utf8').trim().split('\n').map(line => JSON.parse(line).message)).toEqual(['second']);
+
+        release();
+        await flushing;
+        await waitFor(() => shipped.length === 4);
+        expect(shipped).toEqual(['first', 'third', 'fourth', 'second']);
+        expect(fs.existsSync(spillFile)).toBe(false);
+    });
+
+    test('queue overflow and shutdown spill to disk, and the next process replays the file', async () => {
+        shipper = createShipper();
+        const spillFile = path.join(tmpDir, 'spill.ndjson');
+
+        // A full batch would be sent right away; keep this one waiting
+        shipper.failures = 1;
+        for (let i = 1; i <= 12; i += 1) {
+            shipper.enqueue('debug', 'cache', `entry ${i}`);
+        }
+        expect(shipper.queue).toHaveLength(10);
+
+        await shipper.close();
+        shipper = null;
+        expect(fs.readFileSync(spillFile, 'utf8').trim().split('\n')).toHaveLength(12);
+        expect(state.logs).toEqual([]);
+
+        shipper = createShipper({ flushIntervalMs: 10 });
+        await waitFor(() => state.logs.length === 12);
+        expect(messages()).toEqual(Array.from({ length: 12 }, (_, i) => `entry ${i + 1}`));
+        expect(fs.existsSync(spillFile)).toBe(false);
+    });
+});
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const axios = require('axios');
+const { logger, StructuredLogger, FileTransport } = require('../logger');
+const Transport = require('../logger/transport');
+const Logger = require('../logger/logger');
+const { loggingMiddleware } = require('../middleware/logger');
+
+// Keeps entries in memory so tests can look at them
+class MemoryTransport extends Transport {
+    constructor(options) {
+        super(options);
+        this.entries = [];
+    }
+
+    write(entry) {
+        this.entries.push(entry);
+    }
+}
+
+describe('structured logging', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logging-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    // Routes the application's root logger to one memory transport for a test
+    const captureRootLogger = async (run) => {
+        const previous = logger.transports;
+        const memory = new MemoryTransport({ level: 'debug' });
+        logger.sink.transports = [memory];
+        try {
+            await run(memory);
+        } finally {
+            logger.sink.transports = previous;
+        }
+    };
+
+    test('each transport applies its own level and child loggers add their context', () => {
+        const everything = new MemoryTransport({ level: 'debug' });
+        const problems = new MemoryTransport({ level: 'warn' });
+        const root = new StructuredLogger({ transports: [everything, problems] });
+
+        const service = root.child({ package: 'service' });
+        const request = service.child({ requestId: 'req-1' });
+        request.debug('Looking up link', { shortcode: 'abc' });
+        request.error('Lookup failed', { shortcode: 'abc' });
+        root.info('Plain entry');
+        root.log('verbose', 'Unknown level');
+
+        expect(everything.entries.map(({ level, message }) => `${level} ${message}`)).toEqual([
+            'debug Looking up link',
+            'error Lookup failed',
+            'info Plain entry',
+            'error Invalid log level'
+        ]);
+        expect(everything.entries[3]).toMatchObject({ requestedLevel: 'verbose', logMessage: 'Unknown level' });
+        expect(problems.entries).toHaveLength(2);
+        expect(problems.entries[0]).toMatchObject({
+            level: 'error',
+            message: 'Lookup failed',
+            package: 'service',
+            requestId: 'req-1',
+            shortcode: 'abc'
+        });
+        expect(everything.entries[2]).not.toHaveProperty('package');
+    });
+
+    test('context and meta cannot overwrite the timestamp, level or message', () => {
+        const memory = new MemoryTransport({ level: 'debug' });
+        const log = new StructuredLogger({ transports: [memory] }).child({ level: 'debug', message: 'from context' });
+
+        log.warn('Real message', { timestamp: 'yesterday', level: 'fatal', message: 'from meta', shortcode: 'abc' });
+
+        expect(memory.entries).toEqual([expect.objectContaining({ level: 'warn', message: 'Real message', shortcode: 'abc' })]);
+        expect(memory.entries[0].timestamp).not.toBe('yesterday');
+    });
+
+    test('Logger.log and logger.info go through the same transports', async () => {
+        await captureRootLogger(async (memory) => {
+            Logger.log('warn', 'cron_job', 'Cleanup skipped');
+            Logger.log('info', 'elsewhere', 'Rejected package');
+            logger.info('Cleanup job started', { schedule: '*/30 * * * *' });
+
+            expect(memory.entries).toEqual([
+                expect.objectContaining({ level: 'warn', package: 'cron_job', message: 'Cleanup skipped' }),
+                expect.objectContaining({ level: 'error', message: 'Logging failed', error: 'Invalid package name', packageName: 'elsewhere' }),
+                expect.objectContaining({ level: 'info', message: 'Cleanup job started', schedule: '*/30 * * * *' })
+            ]);
+            expect(memory.entries[1]).not.toHaveProperty('package');
+        });
+    });
+
+    test('file writes happen in the background and rotate at maxBytes', async () => {
+        const file = new FileTransport({ level: 'info', dir: tmpDir, maxBytes: 400, maxFiles: 2 });
+        const log = new StructuredLogger({ transports: [file] }).child({ package: 'db' });
+
+        for (let i = 1; i <= 12; i += 1) {
+            log.info(`Entry number ${i}`, { padding: 'x'.repeat(40) });
+        }
+        log.error('Something broke');
+        expect(fs.existsSync(path.join(tmpDir, 'info.log'))).toBe(false);
+
+        await file.flush();
+        const read = name => fs.readFileSync(path.join(tmpDir, name), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+        expect(fs.readdirSync(tmpDir).sort()).toEqual(['error.log', 'info.log', 'info.log.1', 'info.log.2']);
+        expect(fs.statSync(path.join(tmpDir, 'info.log.1')).size).toBeLessThanOrEqual(400);
+        expect(read('error.log')).toEqual([expect.objectContaining({ level: 'ERROR', message: 'Something broke', package: 'db' })]);
+        // The oldest entries were rotated out; the newest are in info.log
+        expect(read('info.log').pop().message).toBe('Entry number 12');
+        expect(read('info.log.2')[0].message).not.toBe('Entry number 1');
+    });
+
+    test('a transport that fails to write is reported on the others, not on the console', async () => {
+        const memory = new MemoryTransport({ level: 'debug' });
+        // A file where the log directory should be: every write to it fails
+        const blocked = path.join(tmpDir, 'not-a-dir');
+        fs.writeFileSync(blocked, '');
+        const file = new FileTransport({ level: 'info', dir: blocked });
+        const broken = new MemoryTransport({ level: 'info' });
+        broken.write = () => {
+            throw new Error('disk full');
+        };
+        const consoleError = jest.spyOn(console, 'error');
+        const log = new StructuredLogger({ transports: [memory, file, broken] });
+
+        try {
+            log.info('Written where it can be');
+            await file.flush();
+
+            expect(memory.entries.map(({ level, message }) => `${level} ${message}`)).toEqual([
+                'info Written where it can be',
+                'error Log transport failed',
+                'error Log transport failed',
+                'error Log transport failed'
+            ]);
+            expect(memory.entries[1]).toMatchObject({ transport: 'MemoryTransport', error: 'disk full' });
+            // info.log, and error.log with the report of the broken transport
+            expect(memory.entries.slice(2).map(entry => entry.transport)).toEqual(['FileTransport', 'FileTransport']);
+            expect(memory.entries[2].error).toContain('info.log failed');
+            expect(consoleError).not.toHaveBeenCalled();
+        } finally {
+            consoleError.mockRestore();
+        }
+    });
+
+    test('requests get an id that their log entries and response carry', async () => {
+        const app = express();
+        app.use(loggingMiddleware);
+        app.get('/ping', (req, res) => {
+            req.log.info('Handling ping');
+            res.json({ pong: true });
+        });
+
+        await captureRootLogger(async (memory) => {
+            const server = await new Promise((resolve) => {
+                const listening = app.listen(0, () => resolve(listening));
+            });
+            try {
+                const baseURL = `http://127.0.0.1:${server.address().port}`;
+                const traced = await axios.get(`${baseURL}/ping`, { headers: { 'X-Request-Id': 'upstream-42' } });
+                const generated = await axios.get(`${baseURL}/ping`, { headers: { 'X-Request-Id': 'not an id!' } });
+
+                expect(traced.headers['x-request-id']).toBe('upstream-42');
+                expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+                const traceOf = requestId => memory.entries.filter(entry => entry.requestId === requestId).map(entry => entry.message);
+                expect(traceOf('upstream-42')).toEqual(['Incoming request', 'Handling ping', 'Request completed']);
+                expect(traceOf(generated.headers['x-request-id'])).toHaveLength(3);
+                // Only the network prefix of the client address is logged
+                expect(memory.entries.find(entry => entry.message === 'Incoming request').ip).toBe('127.0.0.0');
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+    });
+});
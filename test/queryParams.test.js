@@ -0,0 +1,47 @@
+const { normalizeQueryOptions, applyQueryOptions } = require('../service/queryParams');
+
+const options = (overrides = {}) => normalizeQueryOptions({
+    utm: { utm_source: 'newsletter', utm_medium: 'email' },
+    passThrough: true,
+    ...overrides
+});
+
+describe('query parameter handling', () => {
+    test('normalizeQueryOptions fills in defaults and rejects bad settings', () => {
+        expect(normalizeQueryOptions({})).toEqual({ utm: {}, passThrough: false, conflict: 'keep' });
+
+        const codeFor = (value) => {
+            try {
+                normalizeQueryOptions(value);
+                return null;
+            } catch (error) {
+                return error.code;
+            }
+        };
+        expect(codeFor({ utm: { utm_foo: 'x' } })).toBe('INVALID_QUERY_OPTIONS');
+        expect(codeFor({ utm: { utm_source: '' } })).toBe('INVALID_QUERY_OPTIONS');
+        expect(codeFor({ conflict: 'merge' })).toBe('INVALID_QUERY_OPTIONS');
+        expect(codeFor({ passThrough: 'yes' })).toBe('INVALID_QUERY_OPTIONS');
+        expect(codeFor({ forward: true })).toBe('INVALID_QUERY_OPTIONS');
+    });
+
+    test('UTM defaults and forwarded params are appended to the destination', () => {
+        expect(applyQueryOptions('https://example.com/page?id=7', options(), 'ref=ad&tag=a&tag=b'))
+            .toBe('https://example.com/page?id=7&utm_source=newsletter&utm_medium=email&ref=ad&tag=a&tag=b');
+        expect(applyQueryOptions('https://example.com/page', options({ passThrough: false }), 'ref=ad'))
+            .toBe('https://example.com/page?utm_source=newsletter&utm_medium=email');
+        expect(applyQueryOptions('https://example.com/page', null, 'ref=ad')).toBe('https://example.com/page');
+    });
+
+    test('the conflict policy settles keys the destination already has', () => {
+        const destination = 'https://example.com/page?utm_source=site&id=7';
+        const incoming = 'id=9&utm_medium=social';
+
+        expect(applyQueryOptions(destination, options({ conflict: 'keep' }), incoming))
+            .toBe('https://example.com/page?utm_source=site&id=7&utm_medium=email');
+        expect(applyQueryOptions(destination, options({ conflict: 'override' }), incoming))
+            .toBe('https://example.com/page?utm_source=newsletter&id=9&utm_medium=social');
+        expect(applyQueryOptions(destination, options({ conflict: 'drop' }), incoming))
+            .toBe('https://example.com/page');
+    });
+});
@@ -0,0 +1,96 @@
+const express = require('express');
+const axios = require('axios');
+const { createRateLimiters } = require('../middleware/rateLimiter');
+const { createApiKeyAuth } = require('../middleware/apiKeyAuth');
+
+describe('rate limiters', () => {
+    let server;
+    let client;
+
+    beforeAll(async () => {
+        const rateLimits = createRateLimiters({
+            windowMs: 60 * 1000,
+            max: 100,
+            store: 'memory',
+            policies: {
+                auth: { max: 3 },
+                create: { max: 2 },
+                redirect: { max: 3 }
+            }
+        });
+        // Stand-in for ApiKeyService: any key starting with "key-" is valid
+        const auth = createApiKeyAuth({
+            authenticate: async key => (key.startsWith('key-') ? { keyId: key, ownerId: key, role: 'user' } : null)
+        });
+
+        const app = express();
+        app.use(rateLimits.auth, auth.authenticate);
+        app.post('/create', rateLimits.create, (req, res) => res.json({ ok: true }));
+        app.get('/redirect', rateLimits.redirect, (req, res) => res.json({ ok: true }));
+        app.get('/private', auth.requireApiKey, (req, res) => res.json({ ok: true }));
+
+        await new Promise((resolve) => {
+            server = app.listen(0, resolve);
+        });
+        client = axios.create({
+            baseURL: `http://127.0.0.1:${server.address().port}`,
+            validateStatus: () => true
+        });
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    test('each policy keeps its own budget and sends RateLimit-* headers', async () => {
+        const first = await client.post('/create');
+        expect(first.status).toBe(200);
+        expect(first.headers['ratelimit-limit']).toBe('2');
+        expect(first.headers['ratelimit-remaining']).toBe('1');
+        expect(first.headers['ratelimit-reset']).toBeDefined();
+        expect(first.headers['x-ratelimit-limit']).toBeUndefined();
+
+        await client.post('/create');
+        const limited = await client.post('/create');
+        expect(limited.status).toBe(429);
+        expect(limited.data).toMatchObject({ code: 'RATE_LIMITED', policy: 'create', limit: 2 });
+        // Both say when this client's window resets, not how long windows are
+        expect(limited.data.retryAfter).toBe(Number(limited.headers['retry-after']));
+        expect(limited.data.retryAfter).toBeLessThanOrEqual(60);
+
+        // The redirect policy is counted separately
+        expect((await client.get('/redirect')).headers['ratelimit-limit']).toBe('3');
+    });
+
+    test('API key callers are counted per key rather than per IP', async () => {
+        await client.post('/create', null, { headers: { 'X-API-Key': 'key-a' } });
+        await client.post('/create', null, { headers: { 'X-API-Key': 'key-a' } });
+
+        expect((await client.post('/create', null, { headers: { 'X-API-Key': 'key-a' } })).status).toBe(429);
+        expect((await client.post('/create', null, { headers: { 'X-API-Key': 'key-b' } })).status).toBe(200);
+    });
+
+    test('a bad key is ignored on public routes, and repeated bad keys are limited per IP', async () => {
+        const withKey = key => ({ headers: { 'X-API-Key': key } });
+
+        expect((await client.get('/redirect', withKey('wrong'))).status).toBe(200);
+        const rejected = await client.get('/private', withKey('wrong'));
+        expect(rejected.status).toBe(401);
+        expect(rejected.data.code).toBe('INVALID_API_KEY');
+        expect((await client.get('/private')).data.code).toBe('UNAUTHENTICATED');
+
+        // Valid keys and requests without one don't use up the budget of three
+        expect((await client.get('/private', withKey('key-c'))).status).toBe(200);
+        expect((await client.get('/private', withKey('wrong'))).status).toBe(401);
+        const blocked = await client.get('/private', withKey('wrong'));
+        expect(blocked.status).toBe(429);
+        expect(blocked.data).toMatchObject({ code: 'RATE_LIMITED', policy: 'auth' });
+        expect((await client.get('/private', withKey('key-c'))).status).toBe(429);
+        expect((await client.get('/private')).status).toBe(401);
+    });
+
+    test('unknown stores are rejected', () => {
+        expect(() => createRateLimiters({ windowMs: 1000, max: 1, store: 'redis', policies: { create: {} } }))
+            .toThrow(/Unknown rate limit store/);
+    });
+});
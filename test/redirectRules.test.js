@@ -0,0 +1,95 @@
+const { normalizeRules, selectRule, parseAcceptLanguage } = require('../service/redirectRules');
+const { parseUserAgent } = require('../service/userAgent');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+const ANDROID_TABLET = 'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+const WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+
+const US = { country: 'US', region: 'CA', city: 'San Francisco' };
+const limits = { maxRules: 5 };
+
+const errorFor = (rules) => {
+    try {
+        normalizeRules(rules, limits);
+        return null;
+    } catch (error) {
+        expect(error).toMatchObject({ statusCode: 400, code: 'INVALID_RULES' });
+        return error.message;
+    }
+};
+
+describe('redirect rules', () => {
+    test('parseUserAgent tells device class and OS family apart', () => {
+        expect(parseUserAgent(IPHONE)).toEqual({ device: 'mobile', os: 'ios' });
+        expect(parseUserAgent(ANDROID_TABLET)).toEqual({ device: 'tablet', os: 'android' });
+        expect(parseUserAgent(WINDOWS)).toEqual({ device: 'desktop', os: 'windows' });
+        expect(parseUserAgent(undefined)).toEqual({ device: 'unknown', os: 'unknown' });
+    });
+
+    test('parseAcceptLanguage orders tags by quality and drops q=0 and wildcards', () => {
+        expect(parseAcceptLanguage('en;q=0.5, fr-CH, fr;q=0.9, de;q=0, *;q=0.1')).toEqual(['fr-ch', 'fr', 'en']);
+        expect(parseAcceptLanguage(undefined)).toEqual([]);
+    });
+
+    test('normalizeRules assigns ids, canonicalizes values and defaults the time zone', () => {
+        const [rule] = normalizeRules([{
+            url: 'https://example.com/fr',
+            conditions: { country: ['fr', 'be'], language: 'FR', time: { from: '09:00', to: '17:00' } }
+        }], limits);
+
+        expect(rule.id).toEqual(expect.any(String));
+        expect(rule.conditions).toEqual({
+            country: ['FR', 'BE'],
+            language: ['fr'],
+            time: { from: '09:00', to: '17:00', timezone: 'UTC' }
+        });
+    });
+
+    test('normalizeRules rejects malformed rules with the offending index', () => {
+        expect(errorFor('nope')).toMatch(/array/);
+        expect(errorFor([{ url: 'https://a.example', conditions: {} }])).toMatch(/^Rule 0: conditions/);
+        expect(errorFor([{ url: 'https://a.example', conditions: { planet: 'mars' } }])).toMatch(/unknown condition "planet"/);
+        expect(errorFor([{ url: 'https://a.example', conditions: { device: 'fridge' } }])).toMatch(/device "fridge"/);
+        expect(errorFor([{ url: 'https://a.example', conditions: { region: 'CA' } }])).toMatch(/region "CA"/);
+        expect(errorFor([{ url: 'https://a.example', conditions: { time: { from: '9am', to: '17:00' } } }])).toMatch(/HH:MM/);
+        expect(errorFor([{ url: 'https://a.example', conditions: { time: { from: '09:00', to: '17:00', timezone: 'Mars/Olympus' } } }]))
+            .toMatch(/time zone/);
+        expect(errorFor([
+            { id: 'same', url: 'https://a.example', conditions: { os: 'ios' } },
+            { id: 'same', url: 'https://b.example', conditions: { os: 'android' } }
+        ])).toMatch(/^Rule 1: id "same"/);
+        expect(errorFor(new Array(6).fill({ url: 'https://a.example', conditions: { os: 'ios' } }))).toMatch(/at most 5/);
+    });
+
+    test('selectRule returns the first rule whose conditions all match', () => {
+        const rules = normalizeRules([
+            { id: 'ca-ios', url: 'https://example.com/ca-ios', conditions: { region: 'US-CA', os: 'ios' } },
+            { id: 'mobile', url: 'https://example.com/mobile', conditions: { device: ['mobile', 'tablet'] } },
+            { id: 'french', url: 'https://example.com/fr', conditions: { language: 'fr' } },
+            { id: 'germany', url: 'https://example.com/de', conditions: { country: 'DE' } }
+        ], limits);
+
+        expect(selectRule(rules, { location: US, userAgent: IPHONE }).id).toBe('ca-ios');
+        expect(selectRule(rules, { location: { country: 'US', region: 'NY' }, userAgent: IPHONE }).id).toBe('mobile');
+        expect(selectRule(rules, { location: US, userAgent: WINDOWS, acceptLanguage: 'fr-CA,en;q=0.8' }).id).toBe('french');
+        // Only the visitor's preferred language counts
+        expect(selectRule(rules, { location: US, userAgent: WINDOWS, acceptLanguage: 'en,fr;q=0.8' })).toBeNull();
+        expect(selectRule(rules, { location: { country: 'DE', region: 'BE' }, userAgent: WINDOWS }).id).toBe('germany');
+        // Unknown locations never match a geographic rule
+        expect(selectRule(rules, { location: { country: 'Unknown', region: 'Unknown' }, userAgent: WINDOWS })).toBeNull();
+        expect(selectRule([], { location: US })).toBeNull();
+    });
+
+    test('time windows use the rule\'s time zone and may wrap past midnight', () => {
+        const rules = normalizeRules([
+            { id: 'night', url: 'https://example.com/night', conditions: { time: { from: '22:00', to: '06:00', timezone: 'Asia/Tokyo' } } },
+            { id: 'office', url: 'https://example.com/office', conditions: { time: { from: '09:00', to: '17:00' } } }
+        ], limits);
+        const at = iso => ({ location: US, now: new Date(iso) });
+
+        expect(selectRule(rules, at('2025-03-01T14:30:00Z')).id).toBe('night'); // 23:30 in Tokyo
+        expect(selectRule(rules, at('2025-03-01T20:59:00Z')).id).toBe('night'); // 05:59 in Tokyo
+        expect(selectRule(rules, at('2025-03-01T09:00:00Z')).id).toBe('office');
+        expect(selectRule(rules, at('2025-03-01T21:00:00Z'))).toBeNull(); // 06:00 in Tokyo, ends are exclusive
+    });
+});
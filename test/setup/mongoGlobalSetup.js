@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Fails the run rather than letting the Mongo suites skip against a server
+// that was asked for but isn't there
+const assertReachable = async (uri) => {
+    const connection = mongoose.createConnection(uri, { serverSelectionTimeoutMS: 5000 });
+    try {
+        await connection.asPromise();
+        await connection.db.admin().ping();
+    } catch (error) {
+        throw new Error(`MONGODB_TEST_URI is set but MongoDB can't be reached there: ${error.message}`);
+    } finally {
+        await connection.close().catch(() => {});
+    }
+};
+
+// Starts a throwaway mongod for the Mongo-backed suites. An existing server
+// can be used instead by exporting MONGODB_TEST_URI before running jest. If no
+// mongod can be started the Mongo suites are skipped, with a warning at the end
+// of the run; MONGODB_TESTS=required makes that a failure instead.
+module.exports = async () => {
+    if (process.env.MONGODB_TEST_URI) {
+        await assertReachable(process.env.MONGODB_TEST_URI);
+        return;
+    }
+
+    try {
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        const mongod = await MongoMemoryServer.create();
+        globalThis.__MONGOD__ = mongod;
+        process.env.MONGODB_TEST_URI = mongod.getUri();
+    } catch (error) {
+        if (process.env.MONGODB_TESTS === 'required') {
+            throw new Error(`MONGODB_TESTS=required but no MongoDB test server could be started: ${error.message}`);
+        }
+        globalThis.__MONGO_SKIPPED__ = error.message;
+        console.warn(`MongoDB test server unavailable, Mongo suites will be skipped: ${error.message}`);
+    }
+};
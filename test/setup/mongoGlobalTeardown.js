@@ -0,0 +1,16 @@
+module.exports = async () => {
+    if (globalThis.__MONGOD__) {
+        await globalThis.__MONGOD__.stop();
+    }
+
+    // Repeated after the summary, where a green run would otherwise hide it
+    if (globalThis.__MONGO_SKIPPED__) {
+        console.warn([
+            '',
+            '*** The MongoDB repository suites were SKIPPED: the Mongo backend was not tested. ***',
+            '*** Set MONGODB_TEST_URI to a running server, or MONGODB_TESTS=required to fail instead. ***',
+            `Reason: ${globalThis.__MONGO_SKIPPED__}`,
+            ''
+        ].join('\n'));
+    }
+};
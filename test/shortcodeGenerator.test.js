@@ -0,0 +1,77 @@
+const UrlRepository = require('../repository/urlRepository');
+const UrlService = require('../service/urlService');
+const SequenceRepository = require('../repository/sequenceRepository');
+const { createShortcodeGenerator, RandomGenerator } = require('../shortcode');
+const { ALPHABET } = require('../shortcode/base62');
+
+const options = (overrides = {}) => ({ strategy: 'random', length: 6, maxLength: 20, obfuscate: false, salt: '', ...overrides });
+
+describe('Shortcode generators', () => {
+    test('random codes use the configured length and alphabet', async () => {
+        const generator = createShortcodeGenerator(options());
+
+        const codes = await Promise.all(Array.from({ length: 50 }, () => generator.generate({})));
+        codes.forEach(code => expect(code).toMatch(/^[A-Za-z0-9]{6}$/));
+        expect(new Set(codes).size).toBe(50);
+    });
+
+    test('counter codes follow the sequence and lengthen once it outgrows them', async () => {
+        const sequenceRepository = new SequenceRepository();
+        const generator = createShortcodeGenerator(options({ strategy: 'counter', length: 1 }), { sequenceRepository });
+
+        const codes = [];
+        for (let i = 0; i < 63; i++) {
+            codes.push(await generator.generate({}));
+        }
+
+        expect(codes.slice(0, 3)).toEqual(['B', 'C', 'D']);
+        expect(codes[61]).toBe('BA');
+        expect(codes[62]).toBe('BB');
+    });
+
+    test('obfuscated counter codes are scrambled but never repeat', async () => {
+        const generator = createShortcodeGenerator(
+            options({ strategy: 'counter', length: 2, obfuscate: true, salt: 'pepper' }),
+            { sequenceRepository: new SequenceRepository() }
+        );
+
+        const codes = [];
+        for (let i = 0; i < 62 * 62 - 1; i++) {
+            codes.push(await generator.generate({}));
+        }
+
+        expect(new Set(codes).size).toBe(codes.length);
+        codes.forEach(code => expect(code).toHaveLength(2));
+        expect(codes.slice(0, 3)).not.toEqual(['AB', 'AC', 'AD']);
+        expect(await generator.generate({})).toHaveLength(3);
+    });
+
+    test('hash codes are deterministic per URL and change with the attempt', async () => {
+        const generator = createShortcodeGenerator(options({ strategy: 'hash', length: 7 }));
+        const url = 'https://example.com/page';
+
+        const first = await generator.generate({ url, attempt: 0 });
+        expect(first).toMatch(/^[A-Za-z0-9]{7}$/);
+        expect(await generator.generate({ url, attempt: 0 })).toBe(first);
+        expect(await generator.generate({ url, attempt: 1 })).not.toBe(first);
+        expect(await generator.generate({ url: 'https://example.com/other', attempt: 0 })).not.toBe(first);
+    });
+
+    test('unknown strategies are rejected', () => {
+        expect(() => createShortcodeGenerator(options({ strategy: 'sequential' }))).toThrow(/Unknown shortcode strategy/);
+    });
+
+    test('UrlService grows the code length when the keyspace fills up', async () => {
+        const generator = new RandomGenerator({ length: 1, maxLength: 3 });
+        const service = new UrlService(new UrlRepository(), undefined, { shortcodeGenerator: generator });
+
+        // 62 one-character links exhaust the keyspace at length 1
+        for (const shortcode of ALPHABET) {
+            await service.urlRepository.create({ originalUrl: 'https://example.com', shortcode });
+        }
+
+        const shortUrl = await service.createShortUrl({ url: 'https://example.com/next' });
+        expect(shortUrl.shortcode).toHaveLength(2);
+        expect(generator.length).toBe(2);
+    });
+});
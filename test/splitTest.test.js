@@ -0,0 +1,64 @@
+const { normalizeVariants, selectVariant } = require('../service/splitTest');
+
+const limits = { maxVariants: 4 };
+
+const variants = (...weights) => normalizeVariants(
+    weights.map((weight, index) => ({ id: `v${index}`, url: `https://example.com/${index}`, weight })),
+    limits
+);
+
+const visitor = index => ({ ip: `198.51.100.${index % 250}`, userAgent: `agent-${index}` });
+
+describe('split test variants', () => {
+    test('normalizeVariants checks count, weights and ids', () => {
+        const errorFor = (list) => {
+            try {
+                normalizeVariants(list, limits);
+                return null;
+            } catch (error) {
+                expect(error).toMatchObject({ statusCode: 400, code: 'INVALID_VARIANTS' });
+                return error.message;
+            }
+        };
+
+        expect(errorFor([{ url: 'https://a.example', weight: 1 }])).toMatch(/2 to 4 variants/);
+        expect(errorFor([{ url: 'https://a.example', weight: 1 }, { url: 'https://b.example', weight: 1.5 }]))
+            .toMatch(/^Variant 1: weight/);
+        expect(errorFor([{ url: 'https://a.example', weight: -1 }, { url: 'https://b.example', weight: 1 }]))
+            .toMatch(/^Variant 0: weight/);
+        expect(errorFor([{ id: 'a', url: 'https://a.example', weight: 1 }, { id: 'a', url: 'https://b.example', weight: 1 }]))
+            .toMatch(/id "a"/);
+
+        const [first] = normalizeVariants([{ url: 'https://a.example', weight: 1 }, { url: 'https://b.example', weight: 0 }], limits);
+        expect(first).toEqual({ id: expect.any(String), url: 'https://a.example', weight: 1 });
+    });
+
+    test('visitors are spread roughly in proportion to the weights', () => {
+        const split = variants(3, 1);
+        const counts = { v0: 0, v1: 0 };
+        for (let i = 0; i < 2000; i++) {
+            counts[selectVariant('link-1', split, visitor(i)).id]++;
+        }
+
+        expect(counts.v0 / 2000).toBeGreaterThan(0.68);
+        expect(counts.v0 / 2000).toBeLessThan(0.82);
+    });
+
+    test('assignment is sticky by hash and by the remembered variant id', () => {
+        const split = variants(1, 1, 1);
+        const first = selectVariant('link-1', split, visitor(7));
+
+        expect(selectVariant('link-1', split, visitor(7))).toBe(first);
+        // A remembered variant survives a reweighting that would hash the visitor elsewhere
+        expect(selectVariant('link-1', variants(5, 5, 1), { ...visitor(7), variantId: 'v2' }).id).toBe('v2');
+    });
+
+    test('paused variants get no visitors and an all-paused link has none', () => {
+        const split = variants(0, 5);
+        for (let i = 0; i < 50; i++) {
+            expect(selectVariant('link-1', split, { ...visitor(i), variantId: 'v0' }).id).toBe('v1');
+        }
+        expect(selectVariant('link-1', variants(0, 0), visitor(1))).toBeNull();
+        expect(selectVariant('link-1', [], visitor(1))).toBeNull();
+    });
+});
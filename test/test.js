@@ -93,6 +93,9 @@ async function runTests() {
 // Run tests if this file is executed directly
 if (require.main === module) {
     runTests();
+} else if (typeof test === 'function') {
+    // Picked up by jest: run the same scenario as a single test case
+    test('URL service end-to-end scenario', runTests);
 }
 
 module.exports = { runTests };
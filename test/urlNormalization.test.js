@@ -0,0 +1,20 @@
+const ShortUrl = require('../domain/ShortUrl');
+
+describe('ShortUrl.normalizeUrl', () => {
+    test.each([
+        ['HTTPS://Example.COM/Path', 'https://example.com/Path'],
+        ['http://example.com:80/a', 'http://example.com/a'],
+        ['https://example.com:443/a', 'https://example.com/a'],
+        ['https://example.com:8443/a', 'https://example.com:8443/a'],
+        ['https://example.com/a/b///', 'https://example.com/a/b'],
+        ['https://example.com', 'https://example.com/'],
+        ['https://example.com/?b=2&a=1&a=0', 'https://example.com/?a=1&a=0&b=2'],
+        ['https://example.com/a/?utm=x#Frag', 'https://example.com/a?utm=x#Frag']
+    ])('%s -> %s', (input, expected) => {
+        expect(ShortUrl.normalizeUrl(input)).toBe(expected);
+    });
+
+    test('unparseable input is returned unchanged', () => {
+        expect(ShortUrl.normalizeUrl('not a url')).toBe('not a url');
+    });
+});
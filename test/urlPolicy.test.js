@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UrlPolicy = require('../service/urlPolicy');
+const config = require('../config/config');
+
+const policyConfig = (overrides = {}) => ({
+    allowedSchemes: ['http', 'https'],
+    blocklistFile: null,
+    allowPrivateAddresses: false,
+    resolveHosts: false,
+    ownHosts: ['sho.rt', 'localhost:3000'],
+    ...overrides
+});
+
+const reasonFor = async (policy, url) => {
+    try {
+        await policy.check(url);
+        return null;
+    } catch (error) {
+        expect(error).toMatchObject({ statusCode: 400, code: 'URL_REJECTED' });
+        return error.details.reason;
+    }
+};
+
+describe('UrlPolicy', () => {
+    let blocklistDir;
+    let policy;
+
+    beforeAll(() => {
+        blocklistDir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-policy-'));
+        const blocklistFile = path.join(blocklistDir, 'blocklist.txt');
+        fs.writeFileSync(blocklistFile, [
+            '# comment line',
+            'phish.example   # exact host only',
+            '*.malware.example',
+            '.Tracker.EXAMPLE.'
+        ].join('\n'));
+
+        policy = new UrlPolicy(policyConfig({ blocklistFile }));
+    });
+
+    afterAll(() => {
+        fs.rmSync(blocklistDir, { recursive: true, force: true });
+    });
+
+    test('allows ordinary public http(s) destinations', async () => {
+        expect(await reasonFor(policy, 'https://example.com/page?q=1')).toBeNull();
+        expect(await reasonFor(policy, 'http://93.184.216.34/')).toBeNull();
+        // IPv6 addresses carrying a public IPv4 address
+        expect(await reasonFor(policy, 'http://[::93.184.216.34]/')).toBeNull();
+        expect(await reasonFor(policy, 'http://[2002:5db8:d822::1]/')).toBeNull();
+        expect(await reasonFor(policy, 'http://[2606:4700::1111]/')).toBeNull();
+        expect(await reasonFor(policy, 'https://sub.phish.example/')).toBeNull();
+    });
+
+    test.each([
+        ['javascript:alert(1)', 'SCHEME_NOT_ALLOWED'],
+        ['data:text/html,<script>alert(1)</script>', 'SCHEME_NOT_ALLOWED'],
+        ['file:///etc/passwd', 'SCHEME_NOT_ALLOWED'],
+        ['ftp://example.com/file', 'SCHEME_NOT_ALLOWED'],
+        ['https://PHISH.example./login', 'BLOCKED_HOST'],
+        ['https://malware.example/', 'BLOCKED_DOMAIN'],
+        ['https://cdn.eu.malware.example/x.js', 'BLOCKED_DOMAIN'],
+        ['https://a.tracker.example/', 'BLOCKED_DOMAIN'],
+        ['http://localhost:8080/admin', 'PRIVATE_ADDRESS'],
+        ['http://app.localhost/', 'PRIVATE_ADDRESS'],
+        ['http://127.0.0.1/', 'PRIVATE_ADDRESS'],
+        ['http://2130706433/', 'PRIVATE_ADDRESS'],
+        ['http://10.1.2.3/', 'PRIVATE_ADDRESS'],
+        ['http://172.20.0.1/', 'PRIVATE_ADDRESS'],
+        ['http://192.168.1.1/', 'PRIVATE_ADDRESS'],
+        ['http://169.254.169.254/latest/meta-data', 'PRIVATE_ADDRESS'],
+        ['http://[::1]/', 'PRIVATE_ADDRESS'],
+        ['http://[fd12::1]/', 'PRIVATE_ADDRESS'],
+        ['http://[::ffff:127.0.0.1]/', 'PRIVATE_ADDRESS'],
+        ['http://192.0.0.170/', 'PRIVATE_ADDRESS'],
+        ['http://198.19.255.1/', 'PRIVATE_ADDRESS'],
+        ['http://224.0.0.251/', 'PRIVATE_ADDRESS'],
+        ['http://239.255.255.250:1900/', 'PRIVATE_ADDRESS'],
+        ['http://255.255.255.255/', 'PRIVATE_ADDRESS'],
+        ['http://[64:ff9b::a9fe:a9fe]/', 'PRIVATE_ADDRESS'],
+        ['http://192.0.2.10/', 'PRIVATE_ADDRESS'],
+        ['http://198.51.100.7/', 'PRIVATE_ADDRESS'],
+        ['http://203.0.113.200/', 'PRIVATE_ADDRESS'],
+        ['http://[fec0::1]/', 'PRIVATE_ADDRESS'],
+        ['http://[::127.0.0.1]/', 'PRIVATE_ADDRESS'],
+        ['http://[::a9fe:a9fe]/', 'PRIVATE_ADDRESS'],
+        ['http://[2002:7f00:1::]/', 'PRIVATE_ADDRESS'],
+        ['http://[2002:c0a8:101::1]/', 'PRIVATE_ADDRESS'],
+        ['https://sho.rt/abc123', 'SELF_REFERENCE'],
+        ['https://SHO.RT:8443/abc123', 'SELF_REFERENCE']
+    ])('rejects %s with %s', async (url, reason) => {
+        expect(await reasonFor(policy, url)).toBe(reason);
+    });
+
+    test('private addresses can be allowed and the scheme list changed', async () => {
+        const relaxed = new UrlPolicy(policyConfig({ allowPrivateAddresses: true, allowedSchemes: ['https', 'ftp'] }));
+
+        expect(await reasonFor(relaxed, 'https://10.0.0.5/')).toBeNull();
+        expect(await reasonFor(relaxed, 'ftp://example.com/file')).toBeNull();
+        expect(await reasonFor(relaxed, 'http://example.com/')).toBe('SCHEME_NOT_ALLOWED');
+    });
+
+    test('lookup refuses connections to hosts that resolve to private addresses', async () => {
+        const lookup = (urlPolicy, options) => new Promise((resolve) => {
+            urlPolicy.lookup('localhost', options, (error, address) => resolve(error || address));
+        });
+
+        expect(await lookup(policy, {})).toMatchObject({ code: 'URL_REJECTED', details: { reason: 'PRIVATE_ADDRESS' } });
+        expect(await lookup(policy, { all: true })).toMatchObject({ code: 'URL_REJECTED' });
+
+        const relaxed = new UrlPolicy(policyConfig({ allowPrivateAddresses: true }));
+        expect(await lookup(relaxed, { family: 4 })).toBe('127.0.0.1');
+    });
+
+    test('the base URL host is an own host even when not listed', async () => {
+        const previous = config.baseUrl;
+        config.baseUrl = 'https://go.example';
+        let unlisted;
+        try {
+            unlisted = new UrlPolicy(policyConfig({ ownHosts: [] }));
+        } finally {
+            config.baseUrl = previous;
+        }
+
+        expect(await reasonFor(unlisted, 'https://GO.example/abc123')).toBe('SELF_REFERENCE');
+        expect(await reasonFor(unlisted, 'https://example.com/abc123')).toBeNull();
+    });
+
+    test('a missing blocklist file blocks nothing', async () => {
+        const withoutFile = new UrlPolicy(policyConfig({ blocklistFile: path.join(blocklistDir, 'missing.txt') }));
+        expect(await reasonFor(withoutFile, 'https://phish.example/')).toBeNull();
+    });
+});
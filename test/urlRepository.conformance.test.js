@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const UrlRepository = require('../repository/urlRepository');
+const MongoUrlRepository = require('../repository/mongoUrlRepository');
+const ShortUrl = require('../domain/ShortUrl');
+const ServiceError = require('../domain/ServiceError');
+const ShortUrlModel = require('../models/shortUrl');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+const backends = [
+    {
+        name: 'memory',
+        enabled: true,
+        persistent: false,
+        connect: async () => {},
+        reset: async () => {},
+        disconnect: async () => {},
+        create: () => new UrlRepository()
+    },
+    {
+        name: 'mongo',
+        enabled: Boolean(process.env.MONGODB_TEST_URI),
+        persistent: true,
+        connect: () => mongoose.connect(process.env.MONGODB_TEST_URI, { dbName: 'url_repository_conformance' }),
+        reset: () => ShortUrlModel.deleteMany({}),
+        disconnect: async () => {
+            await mongoose.connection.dropDatabase();
+            await mongoose.disconnect();
+        },
+        create: () => new MongoUrlRepository()
+    }
+];
+
+backends.forEach((backend) => {
+    const describeBackend = backend.enabled ? describe : describe.skip;
+
+    describeBackend(`UrlRepository conformance: ${backend.name}`, () => {
+        let repository;
+
+        beforeAll(() => backend.connect());
+        afterAll(() => backend.disconnect());
+
+        beforeEach(async () => {
+            await backend.reset();
+            repository = backend.create();
+        });
+
+        afterEach(() => repository.close());
+
+        test('create returns a ShortUrl that findByShortcode and findById resolve', async () => {
+            const expiresAt = minutesFromNow(30);
+            const created = await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'conf1', expiresAt });
+
+            expect(created).toBeInstanceOf(ShortUrl);
+            expect(created.isActive).toBe(true);
+
+            const byShortcode = await repository.findByShortcode('conf1');
+            expect(byShortcode.id).toBe(created.id);
+            expect(byShortcode.originalUrl).toBe('https://example.com/a');
+            expect(new Date(byShortcode.expiresAt).getTime()).toBe(expiresAt.getTime());
+
+            const byId = await repository.findById(created.id);
+            expect(byId.shortcode).toBe('conf1');
+        });
+
+        test('create rejects a taken shortcode with a 409 ServiceError', async () => {
+            await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'taken' });
+
+            await expect(repository.create({ originalUrl: 'https://example.com/b', shortcode: 'taken' }))
+                .rejects.toMatchObject({ statusCode: 409, code: 'SHORTCODE_TAKEN' });
+        });
+
+        test('every domain is its own shortcode namespace', async () => {
+            const expiresAt = minutesFromNow(30);
+            const plain = await repository.create({ originalUrl: 'https://example.com/default', shortcode: 'sale', expiresAt });
+            const onA = await repository.create({ originalUrl: 'https://a.example.com', shortcode: 'sale', domain: 'go.a.com', expiresAt });
+            await repository.create({ originalUrl: 'https://b.example.com', shortcode: 'sale', domain: 'go.b.com', expiresAt });
+
+            await expect(repository.create({ originalUrl: 'https://example.com/c', shortcode: 'sale', domain: 'go.a.com' }))
+                .rejects.toMatchObject({ statusCode: 409, code: 'SHORTCODE_TAKEN' });
+
+            expect((await repository.findByShortcode('sale')).id).toBe(plain.id);
+            expect((await repository.findByShortcode('sale', { domain: 'go.a.com' })).originalUrl).toBe('https://a.example.com');
+            expect((await repository.findByShortcode('sale', { domain: 'go.b.com' })).originalUrl).toBe('https://b.example.com');
+            expect(await repository.findByShortcode('sale', { domain: 'go.c.com' })).toBeNull();
+
+            await repository.addClick('sale', { ip: '203.0.113.1' }, { domain: 'go.a.com' });
+            expect((await repository.findById(onA.id)).getClickCount()).toBe(1);
+            expect((await repository.findById(plain.id)).getClickCount()).toBe(0);
+
+            expect((await repository.list({ domain: 'go.b.com' })).total).toBe(1);
+            expect((await repository.list({ domain: null })).items.map(shortUrl => shortUrl.id)).toEqual([plain.id]);
+
+            await repository.delete(onA.id);
+            expect(await repository.findByShortcode('sale', { domain: 'go.a.com' })).toBeNull();
+            expect(await repository.findByShortcode('sale', { domain: 'go.b.com' })).not.toBeNull();
+        });
+
+        test('lookups of unknown links resolve to null', async () => {
+            expect(await repository.findByShortcode('nope')).toBeNull();
+            expect(await repository.findById('00000000-0000-0000-0000-000000000000')).toBeNull();
+        });
+
+        test('expired links are treated as absent', async () => {
+            const expired = await repository.create({
+                originalUrl: 'https://example.com/old',
+                shortcode: 'expired1',
+                expiresAt: minutesFromNow(-1)
+            });
+
+            expect(await repository.findByShortcode('expired1')).toBeNull();
+            expect(await repository.findById(expired.id)).toBeNull();
+        });
+
+        test('update persists fields and re-keys a changed shortcode', async () => {
+            const created = await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'before' });
+            const expiresAt = minutesFromNow(120);
+
+            const updated = await repository.update(created.id, {
+                originalUrl: 'https://example.com/b',
+                shortcode: 'after',
+                isActive: false,
+                expiresAt
+            });
+
+            expect(updated.shortcode).toBe('after');
+            expect(await repository.findByShortcode('before')).toBeNull();
+
+            const [stored] = await repository.getAll();
+            expect(stored.originalUrl).toBe('https://example.com/b');
+            expect(stored.shortcode).toBe('after');
+            expect(stored.isActive).toBe(false);
+            expect(new Date(stored.expiresAt).getTime()).toBe(expiresAt.getTime());
+        });
+
+        test('concurrent updates of different fields and clicks are all kept', async () => {
+            const created = await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'busy' });
+
+            const [edited, previewed] = await Promise.all([
+                repository.update(created.id, { isActive: false }),
+                repository.update(created.id, { metadata: { status: 'ok', title: 'Busy' } }),
+                repository.addClick('busy', {})
+            ]);
+            expect(edited.updatedAt).toBeInstanceOf(Date);
+            expect(previewed.updatedAt).toBeInstanceOf(Date);
+
+            const [stored] = await repository.getAll();
+            expect(stored.isActive).toBe(false);
+            expect(stored.metadata).toEqual({ status: 'ok', title: 'Busy' });
+            expect(stored.getClickCount()).toBe(1);
+        });
+
+        test('update rejects unknown ids and taken shortcodes', async () => {
+            await expect(repository.update('missing', { isActive: false }))
+                .rejects.toBeInstanceOf(ServiceError);
+
+            const first = await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'first' });
+            await repository.create({ originalUrl: 'https://example.com/b', shortcode: 'second' });
+
+            await expect(repository.update(first.id, { shortcode: 'second' }))
+                .rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        test('delete removes a link and reports whether anything was removed', async () => {
+            const created = await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'gone' });
+
+            expect(await repository.delete(created.id)).toBe(true);
+            expect(await repository.findByShortcode('gone')).toBeNull();
+            expect(await repository.delete(created.id)).toBe(false);
+        });
+
+        test('addClick counts the click on the link and returns the event for the click store', async () => {
+            const created = await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'clicky' });
+
+            const click = await repository.addClick('clicky', {
+                ip: '203.0.113.5',
+                userAgent: 'jest',
+                referer: 'https://ref.example',
+                location: { country: 'US', region: 'CA', city: 'San Francisco' }
+            });
+            await repository.addClick('clicky', { ip: '203.0.113.6' });
+
+            expect(click).toMatchObject({ shortUrlId: created.id, shortcode: 'clicky', ip: '203.0.113.5' });
+            expect(click.id).toBeDefined();
+
+            const [stored] = await repository.getAll();
+            expect(stored.getClickCount()).toBe(2);
+            expect(stored.lastClickAt).toBeDefined();
+            expect(stored.clicks).toBeUndefined();
+        });
+
+        test('addClick enforces maxClicks and activeFrom, even for concurrent clicks', async () => {
+            await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'limited', maxClicks: 2 });
+            await repository.create({ originalUrl: 'https://example.com/b', shortcode: 'later', activeFrom: minutesFromNow(30) });
+
+            const results = await Promise.allSettled([1, 2, 3, 4].map(() => repository.addClick('limited', {})));
+            expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+            expect(results.find(result => result.status === 'rejected').reason)
+                .toMatchObject({ statusCode: 410, code: 'CLICK_LIMIT_REACHED' });
+
+            const [limited] = (await repository.getAll()).filter(url => url.shortcode === 'limited');
+            expect(limited.getClickCount()).toBe(2);
+            expect(limited.getRemainingClicks()).toBe(0);
+
+            await expect(repository.addClick('later', {})).rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('bot clicks are recorded but do not count against maxClicks', async () => {
+            await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'single', maxClicks: 1 });
+
+            await repository.addClick('single', { isBot: true });
+            await repository.addClick('single', {});
+            await expect(repository.addClick('single', {})).rejects.toMatchObject({ code: 'CLICK_LIMIT_REACHED' });
+
+            const [single] = (await repository.getAll()).filter(url => url.shortcode === 'single');
+            expect(single.getClickCount()).toBe(2);
+            expect(single.getRemainingClicks()).toBe(0);
+        });
+
+        test('addClick rejects unknown shortcodes', async () => {
+            await expect(repository.addClick('nope', {})).rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        test('list filters by status and search and pages newest first', async () => {
+            await repository.create({ originalUrl: 'https://example.com/one', shortcode: 'list1', createdAt: new Date('2025-01-01') });
+            const second = await repository.create({ originalUrl: 'https://shop.example/two', shortcode: 'list2', createdAt: new Date('2025-01-02') });
+            await repository.create({ originalUrl: 'https://example.com/three', shortcode: 'list3', createdAt: new Date('2025-01-03') });
+            await repository.create({ originalUrl: 'https://example.com/old', shortcode: 'list4', expiresAt: minutesFromNow(-5) });
+            await repository.update(second.id, { isActive: false });
+
+            const firstPage = await repository.list({ page: 1, limit: 2 });
+            expect(firstPage.total).toBe(4);
+            expect(firstPage.items).toHaveLength(2);
+
+            const active = await repository.list({ status: 'active', page: 1, limit: 10 });
+            expect(active.items.map(url => url.shortcode)).toEqual(['list3', 'list1']);
+
+            const inactive = await repository.list({ status: 'inactive', page: 1, limit: 10 });
+            expect(inactive.items.map(url => url.shortcode)).toEqual(['list2']);
+
+            const expired = await repository.list({ status: 'expired', page: 1, limit: 10 });
+            expect(expired.items.map(url => url.shortcode)).toEqual(['list4']);
+
+            const searched = await repository.list({ search: 'SHOP.example', page: 1, limit: 10 });
+            expect(searched.items.map(url => url.shortcode)).toEqual(['list2']);
+        });
+
+        test('findByNormalizedUrl returns the owner\'s newest live, active link', async () => {
+            const normalizedUrl = ShortUrl.normalizeUrl('https://example.com/dup');
+            await repository.create({ originalUrl: 'https://example.com/dup', shortcode: 'dup1', ownerId: 'alice', createdAt: new Date('2025-01-01') });
+            const newer = await repository.create({ originalUrl: 'https://EXAMPLE.com/dup/', shortcode: 'dup2', ownerId: 'alice', createdAt: new Date('2025-01-02') });
+            await repository.create({ originalUrl: 'https://example.com/dup', shortcode: 'dup3', ownerId: 'bob' });
+            await repository.create({ originalUrl: 'https://example.com/dup', shortcode: 'dup4', ownerId: 'carol', expiresAt: minutesFromNow(-1) });
+
+            expect((await repository.findByNormalizedUrl(normalizedUrl, { ownerId: 'alice' })).shortcode).toBe('dup2');
+            expect((await repository.findByNormalizedUrl(normalizedUrl, { ownerId: 'bob' })).shortcode).toBe('dup3');
+            expect(await repository.findByNormalizedUrl(normalizedUrl, { ownerId: 'carol' })).toBeNull();
+
+            await repository.update(newer.id, { isActive: false });
+            expect((await repository.findByNormalizedUrl(normalizedUrl, { ownerId: 'alice' })).shortcode).toBe('dup1');
+
+            await repository.update(newer.id, {
+                isActive: true,
+                originalUrl: 'https://example.com/moved',
+                normalizedUrl: ShortUrl.normalizeUrl('https://example.com/moved')
+            });
+            expect((await repository.findByNormalizedUrl(normalizedUrl, { ownerId: 'alice' })).shortcode).toBe('dup1');
+        });
+
+        test('getStats and cleanup agree on expired links', async () => {
+            await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'live1', expiresAt: minutesFromNow(10) });
+            await repository.create({ originalUrl: 'https://example.com/b', shortcode: 'live2' });
+            await repository.create({ originalUrl: 'https://example.com/c', shortcode: 'dead1', expiresAt: minutesFromNow(-10) });
+
+            const stats = await repository.getStats();
+            expect(stats).toMatchObject({ totalUrls: 3, activeUrls: 2, expiredUrls: 1 });
+            expect(stats.cacheStats).toBeDefined();
+
+            expect(await repository.cleanup()).toBe(1);
+            expect((await repository.getAll()).map(url => url.shortcode).sort()).toEqual(['live1', 'live2']);
+        });
+
+        test('links deleted for having expired are passed to onExpired once', async () => {
+            const expired = [];
+            repository.onExpired = async (shortUrl) => {
+                expired.push(shortUrl.shortcode);
+            };
+            await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'gone1', expiresAt: minutesFromNow(-10) });
+            const byId = await repository.create({ originalUrl: 'https://example.com/b', shortcode: 'gone2', expiresAt: minutesFromNow(-10) });
+            await repository.create({ originalUrl: 'https://example.com/c', shortcode: 'gone3', expiresAt: minutesFromNow(-10) });
+            await repository.create({ originalUrl: 'https://example.com/d', shortcode: 'kept' });
+
+            expect(await repository.findByShortcode('gone1')).toBeNull();
+            expect(await repository.findById(byId.id)).toBeNull();
+            expect(await repository.cleanup()).toBe(1);
+            expect(await repository.findByShortcode('gone1')).toBeNull();
+
+            expect(expired).toEqual(['gone1', 'gone2', 'gone3']);
+        });
+
+        if (backend.persistent) {
+            test('a fresh repository instance sees expiry, activity and click counts', async () => {
+                const expiresAt = minutesFromNow(60);
+                const created = await repository.create({ originalUrl: 'https://example.com/a', shortcode: 'durable', expiresAt });
+                await repository.update(created.id, { isActive: false });
+                await repository.addClick('durable', { ip: '198.51.100.1' });
+
+                const reopened = backend.create();
+                try {
+                    const stored = await reopened.findByShortcode('durable');
+                    expect(new Date(stored.expiresAt).getTime()).toBe(expiresAt.getTime());
+                    expect(stored.isActive).toBe(false);
+                    expect(stored.getClickCount()).toBe(1);
+                } finally {
+                    await reopened.close();
+                }
+            });
+        }
+    });
+});
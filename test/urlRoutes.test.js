@@ -0,0 +1,831 @@
+const axios = require('axios');
+const createApp = require('../app');
+const UrlRepository = require('../repository/urlRepository');
+const UrlService = require('../service/urlService');
+const UrlPolicy = require('../service/urlPolicy');
+const ApiKeyRepository = require('../repository/apiKeyRepository');
+const ApiKeyService = require('../service/apiKeyService');
+const DomainRepository = require('../repository/domainRepository');
+const DomainService = require('../service/domainService');
+
+// Keep the remote evaluation logger off the network during tests
+jest.mock('../logger/logger', () => ({ log: jest.fn().mockResolvedValue(undefined) }));
+
+const ADMIN_KEY = 'test-admin-key';
+
+// Visitors look like a browser, or bot detection would set their clicks apart
+const BROWSER_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36',
+    'Accept-Language': 'en-GB,en;q=0.8'
+};
+
+describe('URL routes', () => {
+    let server;
+    let client; // authenticated as owner "alice"
+    let anonymous;
+    let bobKey;
+    let urlRepository;
+    let urlService;
+    const admin = { headers: { 'X-API-Key': ADMIN_KEY } };
+
+    beforeAll(async () => {
+        urlRepository = new UrlRepository();
+        const urlPolicy = new UrlPolicy();
+        const domainService = new DomainService(new DomainRepository(), { urlRepository, urlPolicy });
+        urlService = new UrlService(urlRepository, undefined, { urlPolicy, domainService });
+        const apiKeyService = new ApiKeyService(new ApiKeyRepository(), { bootstrapAdminKey: ADMIN_KEY });
+        const app = createApp({ urlService, apiKeyService, domainService });
+        await new Promise((resolve) => {
+            server = app.listen(0, resolve);
+        });
+
+        const options = {
+            baseURL: `http://127.0.0.1:${server.address().port}`,
+            maxRedirects: 0,
+            validateStatus: () => true,
+            headers: BROWSER_HEADERS
+        };
+        anonymous = axios.create(options);
+
+        const alice = await anonymous.post('/apikeys', { ownerId: 'alice' }, admin);
+        const bob = await anonymous.post('/apikeys', { ownerId: 'bob' }, admin);
+        bobKey = bob.data.key;
+        client = axios.create({ ...options, headers: { ...BROWSER_HEADERS, 'X-API-Key': alice.data.key } });
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    test('POST /shorturls creates a link through UrlService', async () => {
+        const response = await client.post('/shorturls', {
+            url: 'https://example.com/landing',
+            validity: 60,
+            shortcode: 'route1'
+        });
+
+        expect(response.status).toBe(201);
+        expect(response.data.shortcode).toBe('route1');
+        expect(response.data.shortLink).toMatch(/\/route1$/);
+        expect(new Date(response.data.expiry).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('POST /shorturls generates a valid shortcode when none is given', async () => {
+        const response = await client.post('/shorturls', { url: 'https://example.com/generated' });
+
+        expect(response.status).toBe(201);
+        expect(response.data.shortcode).toMatch(/^[a-zA-Z0-9]{6}$/);
+    });
+
+    test('POST /shorturls rejects invalid input with service error codes', async () => {
+        const badUrl = await client.post('/shorturls', { url: 'not a url' });
+        expect(badUrl.status).toBe(400);
+        expect(badUrl.data.code).toBe('INVALID_URL');
+
+        const badValidity = await client.post('/shorturls', { url: 'https://example.com', validity: -5 });
+        expect(badValidity.status).toBe(400);
+        expect(badValidity.data.code).toBe('INVALID_VALIDITY');
+
+        const duplicate = await client.post('/shorturls', { url: 'https://example.com', shortcode: 'route1' });
+        expect(duplicate.status).toBe(409);
+        expect(duplicate.data.code).toBe('SHORTCODE_TAKEN');
+    });
+
+    test('destination URLs are checked against the URL policy on create and update', async () => {
+        const scheme = await client.post('/shorturls', { url: 'javascript:alert(document.cookie)' });
+        expect(scheme.status).toBe(400);
+        expect(scheme.data).toMatchObject({ code: 'URL_REJECTED', details: { reason: 'SCHEME_NOT_ALLOWED' } });
+
+        const internal = await client.post('/shorturls', { url: 'http://169.254.169.254/latest/meta-data' });
+        expect(internal.data.details.reason).toBe('PRIVATE_ADDRESS');
+
+        await client.post('/shorturls', { url: 'https://example.com/safe', shortcode: 'policy1' });
+        const update = await client.patch('/shorturls/policy1', { url: 'http://127.0.0.1:3000/admin' });
+        expect(update.status).toBe(400);
+        expect(update.data.details.reason).toBe('PRIVATE_ADDRESS');
+        expect((await anonymous.get('/policy1')).headers.location).toBe('https://example.com/safe');
+    });
+
+    test('POST /shorturls replays the original response for a repeated Idempotency-Key', async () => {
+        const retry = { headers: { 'Idempotency-Key': 'order-42' } };
+        const first = await client.post('/shorturls', { url: 'https://example.com/once' }, retry);
+        const second = await client.post('/shorturls', { url: 'https://example.com/once' }, retry);
+
+        expect(first.status).toBe(201);
+        expect(second.status).toBe(201);
+        expect(second.headers['idempotent-replayed']).toBe('true');
+        expect(second.data).toEqual(first.data);
+        expect((await client.get('/shorturls?search=example.com/once')).data.items).toHaveLength(1);
+
+        const reused = await client.post('/shorturls', { url: 'https://example.com/other' }, retry);
+        expect(reused.status).toBe(422);
+        expect(reused.data.code).toBe('IDEMPOTENCY_KEY_REUSED');
+
+        // Keys are per caller, so another owner gets a fresh link
+        const bob = await client.post('/shorturls', { url: 'https://example.com/once' }, {
+            headers: { 'Idempotency-Key': 'order-42', 'X-API-Key': bobKey }
+        });
+        expect(bob.status).toBe(201);
+        expect(bob.headers['idempotent-replayed']).toBeUndefined();
+        expect(bob.data.shortcode).not.toBe(first.data.shortcode);
+        await client.delete(`/shorturls/${bob.data.shortcode}`, { headers: { 'X-API-Key': bobKey } });
+    });
+
+    test('POST /shorturls with dedupe returns the owner\'s live link for an equivalent URL', async () => {
+        const created = await client.post('/shorturls', { url: 'https://Example.com:443/dedupe/?b=2&a=1', dedupe: true });
+        expect(created.status).toBe(201);
+
+        const reused = await client.post('/shorturls', { url: 'https://example.com/dedupe?a=1&b=2', dedupe: true });
+        expect(reused.status).toBe(200);
+        expect(reused.data).toMatchObject({ shortcode: created.data.shortcode, deduplicated: true });
+
+        const withoutDedupe = await client.post('/shorturls', { url: 'https://example.com/dedupe?a=1&b=2' });
+        expect(withoutDedupe.data.shortcode).not.toBe(created.data.shortcode);
+
+        const otherOwner = await client.post('/shorturls', { url: 'https://example.com/dedupe?a=1&b=2', dedupe: true }, {
+            headers: { 'X-API-Key': bobKey }
+        });
+        expect(otherOwner.status).toBe(201);
+        await client.delete(`/shorturls/${otherOwner.data.shortcode}`, { headers: { 'X-API-Key': bobKey } });
+
+        // Once no live link is left, dedupe creates a new one
+        await client.delete(`/shorturls/${created.data.shortcode}`);
+        await client.delete(`/shorturls/${withoutDedupe.data.shortcode}`);
+        const afterDelete = await client.post('/shorturls', { url: 'https://example.com/dedupe?b=2&a=1', dedupe: true });
+        expect(afterDelete.status).toBe(201);
+
+        const badFlag = await client.post('/shorturls', { url: 'https://example.com', dedupe: 'yes' });
+        expect(badFlag.status).toBe(400);
+        expect(badFlag.data.code).toBe('INVALID_DEDUPE');
+    });
+
+    test('GET /:shortcode redirects and records the click shown by the stats route', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/tracked', shortcode: 'tracked' });
+
+        const redirect = await anonymous.get('/tracked', { headers: { Referer: 'https://news.example' } });
+        expect(redirect.status).toBe(302);
+        expect(redirect.headers.location).toBe('https://example.com/tracked');
+
+        const stats = await client.get('/shorturls/tracked');
+        expect(stats.status).toBe(200);
+        expect(stats.data.totalClicks).toBe(1);
+        expect(stats.data.clicks[0].referer).toBe('https://news.example');
+    });
+
+    test('bot clicks are redirected but kept out of the human totals', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/unfurled', shortcode: 'unfurled' });
+
+        const unfurler = await anonymous.get('/unfurled', { headers: { 'User-Agent': 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)' } });
+        expect(unfurler.status).toBe(302);
+        expect(unfurler.headers.location).toBe('https://example.com/unfurled');
+        await anonymous.get('/unfurled');
+
+        const stats = await client.get('/shorturls/unfurled');
+        expect(stats.data).toMatchObject({ totalClicks: 1, botClicks: 1 });
+        expect(stats.data.clicks.map(click => click.isBot)).toEqual([false, true]);
+        expect(stats.data.clicks[1].botReason).toBe('USER_AGENT');
+
+        const analytics = await client.get('/shorturls/unfurled/analytics');
+        expect(analytics.data).toMatchObject({ totalClicks: 1, botClicks: 1 });
+    });
+
+    test('clicks keep a truncated IP and a visitor hash, and stats count unique visitors', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/visited', shortcode: 'visited' });
+
+        await anonymous.get('/visited');
+        await anonymous.get('/visited');
+        await anonymous.get('/visited', { headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Firefox/128.0' } });
+
+        const stats = await client.get('/shorturls/visited');
+        expect(stats.data.totalClicks).toBe(3);
+        expect(stats.data.uniqueVisitors).toEqual({
+            total: 2,
+            daily: [{ day: new Date().toISOString().slice(0, 10), count: 2 }],
+            method: 'exact'
+        });
+        expect(stats.data.clicks[0]).toMatchObject({ ip: null, ipPrefix: '127.0.0.0', visitorId: expect.any(String) });
+
+        const analytics = await client.get('/shorturls/visited/analytics');
+        expect(analytics.data.uniqueVisitors.total).toBe(2);
+    });
+
+    test('password-protected links redirect only after the password is verified', async () => {
+        const created = await client.post('/shorturls', {
+            url: 'https://example.com/internal-doc',
+            shortcode: 'secret',
+            password: 'open sesame'
+        });
+        expect(created.status).toBe(201);
+
+        const details = await client.get('/shorturls/secret');
+        expect(details.data.passwordProtected).toBe(true);
+        expect(JSON.stringify(details.data)).not.toContain('scrypt');
+
+        const json = await anonymous.get('/secret');
+        expect(json.status).toBe(401);
+        expect(json.data.code).toBe('PASSWORD_REQUIRED');
+
+        const form = await anonymous.get('/secret', { headers: { Accept: 'text/html' } });
+        expect(form.status).toBe(401);
+        expect(form.headers['content-type']).toMatch(/^text\/html/);
+        expect(form.data).toContain('<form method="post" action="/secret">');
+
+        const wrong = await anonymous.get('/secret', { headers: { 'X-Link-Password': 'guess' } });
+        expect(wrong.status).toBe(401);
+        expect(wrong.data.code).toBe('WRONG_PASSWORD');
+
+        const byHeader = await anonymous.get('/secret', { headers: { 'X-Link-Password': 'open sesame' } });
+        expect(byHeader.status).toBe(302);
+        expect(byHeader.headers.location).toBe('https://example.com/internal-doc');
+
+        const byForm = await anonymous.post('/secret', 'password=open+sesame', {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+        expect(byForm.status).toBe(303);
+        expect(byForm.headers.location).toBe('https://example.com/internal-doc');
+
+        // Only the two successful unlocks count as clicks
+        expect((await client.get('/shorturls/secret')).data.totalClicks).toBe(2);
+
+        const tooShort = await client.post('/shorturls', { url: 'https://example.com', password: 'abc' });
+        expect(tooShort.status).toBe(400);
+        expect(tooShort.data.code).toBe('INVALID_PASSWORD');
+    });
+
+    test('failed unlock attempts are throttled per link', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/vault', shortcode: 'vault', password: 'correct horse' });
+
+        for (let i = 0; i < 5; i++) {
+            expect((await anonymous.post('/vault', { password: `wrong-${i}` })).status).toBe(401);
+        }
+
+        const locked = await anonymous.post('/vault', { password: 'correct horse' });
+        expect(locked.status).toBe(429);
+        expect(locked.data.code).toBe('UNLOCK_THROTTLED');
+        expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+
+        const lockedForm = await anonymous.post('/vault', 'password=correct+horse', {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'text/html' }
+        });
+        expect(lockedForm.status).toBe(429);
+        expect(lockedForm.data).toContain('Too many wrong passwords');
+
+        // Changing the password lifts the lock; removing it makes the link public
+        await client.patch('/shorturls/vault', { password: 'battery staple' });
+        expect((await anonymous.post('/vault', { password: 'battery staple' })).status).toBe(303);
+
+        await client.patch('/shorturls/vault', { password: null });
+        expect((await anonymous.get('/vault')).status).toBe(302);
+        expect((await client.get('/shorturls/vault')).data.totalClicks).toBe(2);
+    });
+
+    test('a link preview bot does not use up a single-use link', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/invite', shortcode: 'invite', maxClicks: 1 });
+
+        const preview = await anonymous.get('/invite', { headers: { 'User-Agent': 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)' } });
+        expect(preview.status).toBe(302);
+        expect((await client.get('/shorturls/invite')).data).toMatchObject({ remainingClicks: 1, totalClicks: 0, botClicks: 1 });
+
+        const human = await anonymous.get('/invite', { headers: BROWSER_HEADERS });
+        expect(human.status).toBe(302);
+        expect((await client.get('/shorturls/invite')).data).toMatchObject({ remainingClicks: 0, totalClicks: 1, botClicks: 1 });
+        expect((await anonymous.get('/invite', { headers: BROWSER_HEADERS })).status).toBe(410);
+    });
+
+    test('links stop redirecting after maxClicks and stay hidden until activeFrom', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/download', shortcode: 'oneshot', maxClicks: 1 });
+
+        const redirects = await Promise.all([1, 2, 3].map(() => anonymous.get('/oneshot')));
+        expect(redirects.map(response => response.status).sort()).toEqual([302, 410, 410]);
+        expect(redirects.find(response => response.status === 410).data.code).toBe('CLICK_LIMIT_REACHED');
+
+        const oneshot = await client.get('/shorturls/oneshot');
+        expect(oneshot.data).toMatchObject({ maxClicks: 1, remainingClicks: 0, totalClicks: 1 });
+
+        const activeFrom = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        await client.post('/shorturls', { url: 'https://example.com/campaign', shortcode: 'launch', activeFrom, validity: 60 });
+        expect((await anonymous.get('/launch')).status).toBe(404);
+
+        const scheduled = await client.get('/shorturls/launch');
+        expect(scheduled.data).toMatchObject({ activeFrom, isLive: false, maxClicks: null, remainingClicks: null });
+        // validity counts from the go-live time
+        expect(new Date(scheduled.data.expiresAt).getTime()).toBe(new Date(activeFrom).getTime() + 60 * 60 * 1000);
+
+        const afterExpiry = await client.patch('/shorturls/launch', {
+            activeFrom: new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString()
+        });
+        expect(afterExpiry.data.code).toBe('INVALID_ACTIVE_FROM');
+
+        await client.patch('/shorturls/launch', { activeFrom: null });
+        expect((await anonymous.get('/launch')).status).toBe(302);
+
+        const badLimit = await client.post('/shorturls', { url: 'https://example.com', maxClicks: 0 });
+        expect(badLimit.data.code).toBe('INVALID_MAX_CLICKS');
+    });
+
+    test('redirect rules pick the destination and stats count clicks per rule', async () => {
+        const created = await client.post('/shorturls', {
+            url: 'https://example.com/app',
+            shortcode: 'ruled',
+            rules: [
+                { id: 'ios', url: 'https://apps.example/ios', conditions: { os: 'ios' } },
+                { id: 'german', url: 'https://example.com/de/app', conditions: { language: 'de' } }
+            ]
+        });
+        expect(created.status).toBe(201);
+
+        const iphone = await anonymous.get('/ruled', { headers: { 'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)' } });
+        expect(iphone.headers.location).toBe('https://apps.example/ios');
+        const german = await anonymous.get('/ruled', { headers: { 'Accept-Language': 'de-AT,de;q=0.9,en;q=0.5' } });
+        expect(german.headers.location).toBe('https://example.com/de/app');
+        const fallback = await anonymous.get('/ruled', { headers: { 'Accept-Language': 'en-US' } });
+        expect(fallback.headers.location).toBe('https://example.com/app');
+        await anonymous.get('/ruled');
+
+        const stats = await client.get('/shorturls/ruled');
+        expect(stats.data.rules).toEqual([
+            { id: 'ios', url: 'https://apps.example/ios', conditions: { os: ['ios'] }, clicks: 1 },
+            { id: 'german', url: 'https://example.com/de/app', conditions: { language: ['de'] }, clicks: 1 }
+        ]);
+        expect(stats.data.fallbackClicks).toBe(2);
+        expect(stats.data.clicks[0].ruleId).toBeNull();
+
+        const badRule = await client.patch('/shorturls/ruled', { rules: [{ url: 'https://example.com', conditions: { device: 'watch' } }] });
+        expect(badRule.status).toBe(400);
+        expect(badRule.data).toMatchObject({ code: 'INVALID_RULES', details: { index: 0 } });
+        const privateRule = await client.patch('/shorturls/ruled', { rules: [{ url: 'http://10.0.0.1/', conditions: { os: 'ios' } }] });
+        expect(privateRule.data.code).toBe('URL_REJECTED');
+
+        await client.patch('/shorturls/ruled', { rules: null });
+        expect((await anonymous.get('/ruled', { headers: { 'Accept-Language': 'de' } })).headers.location).toBe('https://example.com/app');
+    });
+
+    test('split links rotate across weighted variants and keep visitors on theirs', async () => {
+        const created = await client.post('/shorturls', {
+            url: 'https://example.com/landing',
+            shortcode: 'splitme',
+            variants: [
+                { id: 'a', url: 'https://example.com/landing-a', weight: 1 },
+                { id: 'b', url: 'https://example.com/landing-b', weight: 0 }
+            ]
+        });
+        expect(created.status).toBe(201);
+
+        const first = await anonymous.get('/splitme');
+        expect(first.headers.location).toBe('https://example.com/landing-a');
+        const cookie = first.headers['set-cookie'][0];
+        expect(cookie).toMatch(/^sl_variant=a;.*Path=\/splitme/);
+
+        // New weights for the same shortcode: new visitors go to b, a returning visitor stays on a
+        const reweighted = await client.patch('/shorturls/splitme', {
+            variants: [
+                { id: 'a', url: 'https://example.com/landing-a', weight: 1 },
+                { id: 'b', url: 'https://example.com/landing-b', weight: 1000 }
+            ]
+        });
+        expect(reweighted.data.shortcode).toBe('splitme');
+        expect((await anonymous.get('/splitme', { headers: { Cookie: 'sl_variant=a' } })).headers.location)
+            .toBe('https://example.com/landing-a');
+
+        await client.patch('/shorturls/splitme', {
+            variants: [
+                { id: 'a', url: 'https://example.com/landing-a', weight: 0 },
+                { id: 'b', url: 'https://example.com/landing-b', weight: 1 }
+            ]
+        });
+        expect((await anonymous.get('/splitme', { headers: { Cookie: 'sl_variant=a' } })).headers.location)
+            .toBe('https://example.com/landing-b');
+
+        const stats = await client.get('/shorturls/splitme');
+        expect(stats.data.variants).toEqual([
+            { id: 'a', url: 'https://example.com/landing-a', weight: 0, clicks: 2 },
+            { id: 'b', url: 'https://example.com/landing-b', weight: 1, clicks: 1 }
+        ]);
+        expect(stats.data.clicks[0].variantId).toBe('b');
+
+        const single = await client.patch('/shorturls/splitme', { variants: [{ url: 'https://example.com/x', weight: 1 }] });
+        expect(single.data.code).toBe('INVALID_VARIANTS');
+    });
+
+    test('redirects merge UTM defaults and forward the visitor\'s query string', async () => {
+        await client.post('/shorturls', {
+            url: 'https://example.com/promo?utm_source=site',
+            shortcode: 'campaign',
+            queryOptions: { utm: { utm_source: 'newsletter', utm_campaign: 'spring' }, passThrough: true }
+        });
+
+        const kept = await anonymous.get('/campaign?ref=mail&utm_campaign=other');
+        expect(kept.headers.location).toBe('https://example.com/promo?utm_source=site&utm_campaign=spring&ref=mail');
+
+        await client.patch('/shorturls/campaign', {
+            queryOptions: { utm: { utm_source: 'newsletter' }, passThrough: true, conflict: 'override' }
+        });
+        const overridden = await anonymous.get('/campaign?utm_source=friend');
+        expect(overridden.headers.location).toBe('https://example.com/promo?utm_source=friend');
+
+        const stats = await client.get('/shorturls/campaign');
+        expect(stats.data.queryOptions).toEqual({ utm: { utm_source: 'newsletter' }, passThrough: true, conflict: 'override' });
+        expect(stats.data.clicks.map(click => click.destination)).toEqual([
+            'https://example.com/promo?utm_source=friend',
+            'https://example.com/promo?utm_source=site&utm_campaign=spring&ref=mail'
+        ]);
+
+        const invalid = await client.patch('/shorturls/campaign', { queryOptions: { conflict: 'merge' } });
+        expect(invalid.data.code).toBe('INVALID_QUERY_OPTIONS');
+    });
+
+    test('links choose their redirect status and permanent ones are cacheable until expiry', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/moved', shortcode: 'perm', redirectStatus: 301 });
+        const permanent = await anonymous.get('/perm');
+        expect(permanent.status).toBe(301);
+        const maxAge = Number(/^public, max-age=(\d+)$/.exec(permanent.headers['cache-control'])[1]);
+        expect(maxAge).toBeGreaterThan(29 * 60);
+        expect(maxAge).toBeLessThanOrEqual(30 * 60); // default validity caps the configured day
+
+        await client.patch('/shorturls/perm', { redirectStatus: 307 });
+        const temporary = await anonymous.get('/perm');
+        expect(temporary.status).toBe(307);
+        expect(temporary.headers['cache-control']).toBe('private, no-cache');
+
+        // A destination that depends on the visitor is never cached, whatever the status
+        await client.patch('/shorturls/perm', { redirectStatus: 308, queryOptions: { passThrough: true } });
+        const forwarded = await anonymous.get('/perm?ref=x');
+        expect(forwarded.status).toBe(308);
+        expect(forwarded.headers['cache-control']).toBe('private, no-cache');
+
+        const invalid = await client.patch('/shorturls/perm', { redirectStatus: 303 });
+        expect(invalid.data.code).toBe('INVALID_REDIRECT_STATUS');
+        expect((await anonymous.get('/tracked')).status).toBe(302);
+    });
+
+    test('interstitial links show a countdown page to browsers and count the click', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/away?a=1&b=2', shortcode: 'leaving', interstitial: true });
+
+        const page = await anonymous.get('/leaving', { headers: { Accept: 'text/html' } });
+        expect(page.status).toBe(200);
+        expect(page.headers['cache-control']).toBe('private, no-cache');
+        expect(page.data).toContain('<meta http-equiv="refresh" content="5;url=https://example.com/away?a=1&amp;b=2">');
+        expect(page.data).toContain('<strong>example.com</strong>');
+        const nonce = /script-src 'nonce-([^']+)'/.exec(page.headers['content-security-policy'])[1];
+        expect(page.data).toContain(`<script nonce="${nonce}">`);
+
+        const api = await anonymous.get('/leaving');
+        expect(api.status).toBe(302);
+
+        expect((await client.get('/shorturls/leaving')).data).toMatchObject({ interstitial: true, totalClicks: 2 });
+    });
+
+    test('GET /:shortcode+ previews the destination without counting a click', async () => {
+        await client.post('/shorturls', {
+            url: 'https://example.com/peek',
+            shortcode: 'peek',
+            queryOptions: { utm: { utm_source: 'preview' } }
+        });
+
+        const preview = await anonymous.get('/peek+');
+        expect(preview.status).toBe(200);
+        expect(preview.data).toMatchObject({
+            shortcode: 'peek',
+            destination: 'https://example.com/peek?utm_source=preview',
+            redirectStatus: 302,
+            interstitial: false
+        });
+
+        const page = await anonymous.get('/peek+', { headers: { Accept: 'text/html' } });
+        expect(page.data).toContain('<code>https://example.com/peek?utm_source=preview</code>');
+        expect(page.headers.location).toBeUndefined();
+
+        expect((await client.get('/shorturls/peek')).data.totalClicks).toBe(0);
+        expect((await anonymous.get('/nothere+')).status).toBe(404);
+    });
+
+    test('stats paginate the raw clicks and analytics aggregate them', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/popular', shortcode: 'popular' });
+        for (let i = 0; i < 3; i++) {
+            await anonymous.get('/popular', { headers: { 'User-Agent': 'jest-agent' } });
+        }
+
+        const stats = await client.get('/shorturls/popular?limit=2');
+        expect(stats.data.totalClicks).toBe(3);
+        expect(stats.data.clicks).toHaveLength(2);
+        expect(stats.data.pagination).toEqual({ page: 1, limit: 2, total: 3, totalPages: 2 });
+
+        const clicks = await client.get('/shorturls/popular/clicks?page=2&limit=2');
+        expect(clicks.status).toBe(200);
+        expect(clicks.data.clicks).toHaveLength(1);
+
+        const analytics = await client.get('/shorturls/popular/analytics?interval=hour');
+        expect(analytics.status).toBe(200);
+        expect(analytics.data.totalClicks).toBe(3);
+        expect(analytics.data.timeline.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(3);
+        expect(analytics.data.topUserAgents).toEqual([{ value: 'jest-agent', count: 3 }]);
+        expect(analytics.data.topReferrers).toEqual([{ value: '(direct)', count: 3 }]);
+
+        const badInterval = await client.get('/shorturls/popular/analytics?interval=week');
+        expect(badInterval.status).toBe(400);
+        expect(badInterval.data.code).toBe('INVALID_INTERVAL');
+    });
+
+    test('creating and managing links requires a valid API key', async () => {
+        expect((await anonymous.post('/shorturls', { url: 'https://example.com' })).status).toBe(401);
+        expect((await anonymous.get('/shorturls')).status).toBe(401);
+        expect((await anonymous.get('/shorturls/route1')).status).toBe(401);
+        expect((await anonymous.delete('/shorturls/route1')).status).toBe(401);
+
+        const wrongKey = await anonymous.get('/shorturls', { headers: { 'X-API-Key': 'wrong' } });
+        expect(wrongKey.status).toBe(401);
+        expect(wrongKey.data.code).toBe('INVALID_API_KEY');
+        // The redirect is public, so a stale key doesn't break it
+        expect((await anonymous.get('/route1', { headers: { 'X-API-Key': 'wrong' } })).status).toBe(302);
+    });
+
+    test('admin can list, filter, update and delete any link', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/managed', shortcode: 'managed' });
+
+        const listed = await client.get('/shorturls?search=managed', admin);
+        expect(listed.status).toBe(200);
+        expect(listed.data.items.map(item => item.shortcode)).toEqual(['managed']);
+        expect(listed.data.pagination.total).toBe(1);
+
+        const expiresAt = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+        const updated = await client.patch('/shorturls/managed', {
+            url: 'https://example.com/moved',
+            expiresAt,
+            isActive: false
+        }, admin);
+        expect(updated.status).toBe(200);
+        expect(updated.data).toMatchObject({ originalUrl: 'https://example.com/moved', isActive: false, expiresAt });
+
+        const inactive = await client.get('/shorturls?status=inactive', admin);
+        expect(inactive.data.items.map(item => item.shortcode)).toEqual(['managed']);
+
+        const blocked = await anonymous.get('/managed');
+        expect(blocked.status).toBe(410);
+        expect(blocked.data.code).toBe('INACTIVE');
+
+        await client.patch('/shorturls/managed', { isActive: true }, admin);
+        expect((await anonymous.get('/managed')).headers.location).toBe('https://example.com/moved');
+
+        const invalid = await client.patch('/shorturls/managed', { isActive: 'yes' }, admin);
+        expect(invalid.status).toBe(400);
+
+        expect((await client.delete('/shorturls/managed', admin)).status).toBe(204);
+        expect((await anonymous.get('/managed')).status).toBe(404);
+        expect((await client.delete('/shorturls/managed', admin)).status).toBe(404);
+    });
+
+    test('links are scoped to the owner of the API key that created them', async () => {
+        const bob = { headers: { 'X-API-Key': bobKey } };
+        const created = await client.post('/shorturls', { url: 'https://example.com/private', shortcode: 'private' });
+        expect(created.status).toBe(201);
+
+        expect((await client.get('/shorturls/private')).status).toBe(200);
+        expect((await client.get('/shorturls/private', bob)).status).toBe(404);
+        expect((await client.get('/shorturls/private/analytics', bob)).status).toBe(404);
+        expect((await client.patch('/shorturls/private', { isActive: false }, bob)).status).toBe(404);
+        expect((await client.delete('/shorturls/private', bob)).status).toBe(404);
+
+        const bobsList = await client.get('/shorturls', bob);
+        expect(bobsList.data.items).toEqual([]);
+
+        const alicesList = await client.get('/shorturls?search=private');
+        expect(alicesList.data.items.map(item => item.ownerId)).toEqual(['alice']);
+
+        expect((await client.get('/shorturls/private', admin)).status).toBe(200);
+        expect((await client.get('/shorturls?ownerId=alice&search=private', admin)).data.items).toHaveLength(1);
+    });
+
+    test('API keys can be listed by their owner and revoked', async () => {
+        const issued = await anonymous.post('/apikeys', { ownerId: 'carol', name: 'ci' }, admin);
+        expect(issued.status).toBe(201);
+        expect(issued.data.key).toMatch(/^usk_/);
+        expect(issued.data.keyHash).toBeUndefined();
+
+        const carol = { headers: { 'X-API-Key': issued.data.key } };
+        expect((await anonymous.post('/apikeys', { ownerId: 'carol' }, carol)).status).toBe(403);
+
+        const listed = await anonymous.get('/apikeys', carol);
+        expect(listed.data.items.map(item => item.id)).toEqual([issued.data.id]);
+        expect(listed.data.items[0].key).toBeUndefined();
+
+        expect((await anonymous.delete(`/apikeys/${issued.data.id}`, { headers: { 'X-API-Key': bobKey } })).status).toBe(404);
+
+        const revoked = await anonymous.delete(`/apikeys/${issued.data.id}`, carol);
+        expect(revoked.status).toBe(200);
+        expect(revoked.data.revokedAt).toBeTruthy();
+
+        const afterRevoke = await anonymous.get('/apikeys', carol);
+        expect(afterRevoke.status).toBe(401);
+    });
+
+    test('POST /shorturls/batch reports per-item results in partial mode', async () => {
+        const response = await client.post('/shorturls/batch', {
+            items: [
+                { url: 'https://example.com/b1', shortcode: 'batch1' },
+                { url: 'nope' },
+                { url: 'https://example.com/b3', shortcode: 'batch1' },
+                { url: 'https://example.com/b4', validity: 10 }
+            ]
+        });
+
+        expect(response.status).toBe(207);
+        expect(response.data).toMatchObject({ mode: 'partial', total: 4, created: 2, failed: 2 });
+        expect(response.data.results[0]).toMatchObject({ index: 0, status: 'created', shortcode: 'batch1' });
+        expect(response.data.results[1]).toMatchObject({ index: 1, status: 'error', error: { code: 'INVALID_URL' } });
+        expect(response.data.results[2].error.code).toBe('SHORTCODE_TAKEN');
+        expect(response.data.results[3].shortLink).toMatch(/\/[a-zA-Z0-9]{6}$/);
+    });
+
+    test('POST /shorturls/batch in atomic mode creates everything or nothing', async () => {
+        const rejected = await client.post('/shorturls/batch', {
+            mode: 'atomic',
+            items: [
+                { url: 'https://example.com/a1', shortcode: 'atomic1' },
+                { url: 'https://example.com/a2', shortcode: 'atomic1' }
+            ]
+        });
+        expect(rejected.status).toBe(400);
+        expect(rejected.data.code).toBe('BATCH_REJECTED');
+        expect(rejected.data.results.map(result => result.status)).toEqual(['skipped', 'error']);
+        expect(rejected.data.results[1].error.code).toBe('DUPLICATE_IN_BATCH');
+        expect((await anonymous.get('/atomic1')).status).toBe(404);
+
+        const accepted = await client.post('/shorturls/batch?mode=atomic', [
+            { url: 'https://example.com/a1', shortcode: 'atomic1' },
+            { url: 'https://example.com/a2', shortcode: 'atomic2' }
+        ]);
+        expect(accepted.status).toBe(201);
+        expect(accepted.data.created).toBe(2);
+        expect((await anonymous.get('/atomic2')).status).toBe(302);
+    });
+
+    test('POST /shorturls/batch enforces the maximum batch size', async () => {
+        const items = Array.from({ length: 501 }, (value, index) => ({ url: `https://example.com/${index}` }));
+        const response = await client.post('/shorturls/batch', { items });
+
+        expect(response.status).toBe(413);
+        expect(response.data.code).toBe('BATCH_TOO_LARGE');
+    });
+
+    test('POST /import/shorturls creates links row by row and reports failures', async () => {
+        const expiry = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+        const csv = [
+            'url,shortcode,validity,expiry',
+            'https://example.com/imported,import1,,',
+            'not a url,,,',
+            `https://example.com/dated,import2,,${expiry}`,
+            'https://example.com/again,import1,,',
+            '"https://example.com/q?a=1,2",,15,'
+        ].join('\n');
+
+        const response = await client.post('/import/shorturls', csv, { headers: { 'Content-Type': 'text/csv' } });
+
+        expect(response.status).toBe(200);
+        expect(response.data).toMatchObject({ total: 5, created: 3, failed: 2, truncated: false });
+        expect(response.data.errors.map(error => [error.row, error.code])).toEqual([
+            [3, 'INVALID_URL'],
+            [5, 'SHORTCODE_TAKEN']
+        ]);
+        expect(response.data.links[1]).toMatchObject({ row: 4, shortcode: 'import2', expiry });
+        expect((await anonymous.get('/import1')).headers.location).toBe('https://example.com/imported');
+
+        const noUrlColumn = await client.post('/import/shorturls', 'link\nhttps://example.com', {
+            headers: { 'Content-Type': 'text/csv' }
+        });
+        expect(noUrlColumn.status).toBe(400);
+        expect(noUrlColumn.data.code).toBe('INVALID_CSV');
+
+        const json = await client.post('/import/shorturls', { url: 'https://example.com' });
+        expect(json.status).toBe(415);
+    });
+
+    test('GET /export/shorturls streams the caller\'s links as CSV or NDJSON', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/export?x="y",z', shortcode: 'export1' });
+
+        const csv = await client.get('/export/shorturls');
+        expect(csv.status).toBe(200);
+        expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+        expect(csv.headers['content-disposition']).toBe('attachment; filename="shorturls.csv"');
+
+        const lines = csv.data.trim().split('\n');
+        expect(lines[0]).toBe('url,shortcode,domain,expiry,createdAt,isActive,ownerId,clickCount');
+        expect(lines).toContainEqual(expect.stringMatching(/^"https:\/\/example\.com\/export\?x=""y"",z",export1,/));
+
+        const ndjson = await client.get('/export/shorturls?format=ndjson', { headers: { 'X-API-Key': bobKey } });
+        expect(ndjson.headers['content-type']).toMatch(/^application\/x-ndjson/);
+        const bobsLinks = ndjson.data.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+        expect(bobsLinks.every(link => link.ownerId === 'bob')).toBe(true);
+
+        const badFormat = await client.get('/export/shorturls?format=xml');
+        expect(badFormat.status).toBe(400);
+        expect(badFormat.data.code).toBe('INVALID_FORMAT');
+    });
+
+    test('GET /export/clicks streams raw click events for one link or all of them', async () => {
+        await client.post('/shorturls', { url: 'https://example.com/clicked', shortcode: 'exportc' });
+        await anonymous.get('/exportc', { headers: { 'User-Agent': 'agent, with comma' } });
+        await anonymous.get('/exportc');
+
+        const single = await client.get('/export/clicks?shortcode=exportc&format=ndjson');
+        expect(single.status).toBe(200);
+        const clicks = single.data.trim().split('\n').map(line => JSON.parse(line));
+        expect(clicks).toHaveLength(2);
+        expect(clicks[0]).toMatchObject({ shortcode: 'exportc' });
+        expect(clicks.map(click => click.userAgent)).toContain('agent, with comma');
+
+        const all = await client.get('/export/clicks');
+        expect(all.data).toContain('exportc');
+        expect(all.data).toContain('"agent, with comma"');
+
+        expect((await client.get('/export/clicks?shortcode=exportc', { headers: { 'X-API-Key': bobKey } })).status).toBe(404);
+        expect((await anonymous.get('/export/clicks')).status).toBe(401);
+    });
+
+    test('custom domains give each host its own shortcode namespace and fallback', async () => {
+        const onA = { headers: { Host: 'go.a.com' } };
+        const onB = { headers: { Host: 'go.b.com' } };
+        const asBob = { headers: { 'X-API-Key': bobKey } };
+
+        // Only admins register domains, on behalf of an owner
+        expect((await client.post('/domains', { host: 'go.a.com' })).status).toBe(403);
+        const registered = await anonymous.post('/domains', { host: 'Go.A.com', ownerId: 'alice' }, admin);
+        expect(registered.status).toBe(201);
+        expect(registered.data).toMatchObject({ host: 'go.a.com', ownerId: 'alice', fallbackUrl: null });
+        await anonymous.post('/domains', { host: 'go.b.com', ownerId: 'alice', fallbackUrl: 'https://b.example.com/' }, admin);
+        expect((await anonymous.post('/domains', { host: 'go.a.com', ownerId: 'bob' }, admin)).data.code).toBe('DOMAIN_TAKEN');
+        expect((await anonymous.post('/domains', { host: 'not a host', ownerId: 'bob' }, admin)).data.code).toBe('INVALID_DOMAIN');
+
+        const onDomainA = await client.post('/shorturls', { url: 'https://a.example.com/sale', shortcode: 'sale', domain: 'go.a.com' });
+        const onDomainB = await client.post('/shorturls', { url: 'https://b.example.com/sale', shortcode: 'sale', domain: 'go.b.com' });
+        expect(onDomainA.status).toBe(201);
+        expect(onDomainA.data.shortLink).toBe('http://go.a.com/sale');
+        expect(onDomainB.status).toBe(201);
+        expect((await client.post('/shorturls', { url: 'https://example.com', shortcode: 'sale', domain: 'go.a.com' })).status).toBe(409);
+        expect((await client.post('/shorturls', { url: 'https://example.com', domain: 'go.a.com' }, asBob)).data.code).toBe('INVALID_DOMAIN');
+
+        // Registered hosts are short hosts, so links can't loop back through them
+        const loop = await client.post('/shorturls', { url: 'https://go.a.com/sale' });
+        expect(loop.data.details.reason).toBe('SELF_REFERENCE');
+
+        // The Host header picks the namespace; the default one doesn't have "sale"
+        expect((await anonymous.get('/sale', onA)).headers.location).toBe('https://a.example.com/sale');
+        expect((await anonymous.get('/sale', onB)).headers.location).toBe('https://b.example.com/sale');
+        expect((await anonymous.get('/sale')).status).toBe(404);
+
+        // Unknown codes go to the domain's fallback URL when it has one
+        const fallback = await anonymous.get('/nothing-here', onB);
+        expect(fallback.status).toBe(302);
+        expect(fallback.headers.location).toBe('https://b.example.com/');
+        expect((await anonymous.get('/nothing-here', onA)).status).toBe(404);
+        expect((await client.patch('/domains/go.a.com', { fallbackUrl: 'https://a.example.com/' })).data.fallbackUrl)
+            .toBe('https://a.example.com/');
+        expect((await anonymous.get('/nothing-here', onA)).headers.location).toBe('https://a.example.com/');
+
+        // Management routes name the namespace with ?domain=
+        const stats = await client.get('/shorturls/sale?domain=go.b.com');
+        expect(stats.data).toMatchObject({ domain: 'go.b.com', originalUrl: 'https://b.example.com/sale', totalClicks: 1 });
+        const listed = await client.get('/shorturls?domain=go.a.com');
+        expect(listed.data.items.map(item => item.shortcode)).toEqual(['sale']);
+
+        // Domains are scoped to their owner like links
+        expect((await client.get('/domains')).data.items.map(domain => domain.host)).toEqual(['go.a.com', 'go.b.com']);
+        expect((await client.get('/domains', asBob)).data.items).toEqual([]);
+        expect((await client.get('/domains/go.a.com', asBob)).status).toBe(404);
+
+        // A domain can only be removed once its links are gone
+        const inUse = await client.delete('/domains/go.a.com');
+        expect(inUse.status).toBe(409);
+        expect(inUse.data.code).toBe('DOMAIN_IN_USE');
+        expect((await client.delete('/shorturls/sale?domain=go.a.com')).status).toBe(204);
+        expect((await client.delete('/shorturls/sale?domain=go.b.com')).status).toBe(204);
+        expect((await client.delete('/domains/go.a.com')).status).toBe(204);
+        expect((await client.delete('/domains/go.b.com')).status).toBe(204);
+        expect((await client.get('/domains')).data.items).toEqual([]);
+    });
+
+    test('an expired link takes its clicks with it, whether a visit or the cleanup finds it', async () => {
+        const visited = (await client.post('/shorturls', { url: 'https://example.com/short-lived', shortcode: 'brief1' })).data;
+        const cleaned = (await client.post('/shorturls', { url: 'https://example.com/short-lived', shortcode: 'brief2' })).data;
+        await anonymous.get('/brief1');
+        await anonymous.get('/brief2');
+
+        const ids = [];
+        for (const shortcode of ['brief1', 'brief2']) {
+            const shortUrl = await urlRepository.findByShortcode(shortcode);
+            ids.push(shortUrl.id);
+            await urlRepository.update(shortUrl.id, { expiresAt: new Date(Date.now() - 1000) });
+            expect((await urlService.clickRepository.list(shortUrl.id, {})).total).toBe(1);
+        }
+
+        expect((await anonymous.get(`/${visited.shortcode}`)).status).toBe(404);
+        expect((await urlService.removeExpiredUrls()).map(shortUrl => shortUrl.shortcode)).toContain(cleaned.shortcode);
+        for (const id of ids) {
+            expect((await urlService.clickRepository.list(id, {})).total).toBe(0);
+        }
+    });
+
+    test('unknown shortcodes return 404 on both redirect and stats', async () => {
+        expect((await client.get('/missing')).status).toBe(404);
+        expect((await client.get('/shorturls/missing')).status).toBe(404);
+    });
+});
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { VisitorPrivacy, truncateIp } = require('../service/visitorPrivacy');
+const HyperLogLog = require('../service/hyperLogLog');
+const UrlRepository = require('../repository/urlRepository');
+const VisitorSketchRepository = require('../repository/visitorSketchRepository');
+const UrlService = require('../service/urlService');
+
+const randomHash = () => crypto.randomBytes(16).toString('hex');
+
+describe('visitor privacy', () => {
+    test('truncateIp keeps the network part only', () => {
+        expect(truncateIp('203.0.113.77')).toBe('203.0.113.0');
+        expect(truncateIp('::ffff:198.51.100.9')).toBe('198.51.100.0');
+        expect(truncateIp('2001:db8:abcd:12:34::1')).toBe('2001:db8:abcd::');
+        expect(truncateIp('2001:db8::1')).toBe('2001:db8:0::');
+        expect(truncateIp('not an ip')).toBeNull();
+        expect(truncateIp(undefined)).toBeNull();
+    });
+
+    test('visitor ids are stable within a day and change with it', () => {
+        const privacy = new VisitorPrivacy({});
+        const visitor = { ip: '203.0.113.77', userAgent: 'Mozilla/5.0' };
+        const morning = privacy.identify(visitor, new Date('2025-03-01T08:00:00Z'));
+
+        expect(morning).toEqual({ ip: null, ipPrefix: '203.0.113.0', visitorId: expect.stringMatching(/^[0-9a-f]{32}$/) });
+        expect(privacy.identify(visitor, new Date('2025-03-01T20:00:00Z')).visitorId).toBe(morning.visitorId);
+        expect(privacy.identify({ ...visitor, userAgent: 'Other' }, new Date('2025-03-01T20:00:00Z')).visitorId)
+            .not.toBe(morning.visitorId);
+        expect(privacy.identify(visitor, new Date('2025-03-02T08:00:00Z')).visitorId).not.toBe(morning.visitorId);
+    });
+
+    test('a hash secret gives every instance the same ids, and raw IPs are kept only on request', () => {
+        const at = new Date('2025-03-01T08:00:00Z');
+        const visitor = { ip: '203.0.113.77', userAgent: 'Mozilla/5.0' };
+        const first = new VisitorPrivacy({ hashSecret: 'shared' }).identify(visitor, at);
+        const second = new VisitorPrivacy({ hashSecret: 'shared', retainRawIp: true }).identify(visitor, at);
+
+        expect(second.visitorId).toBe(first.visitorId);
+        expect(first.ip).toBeNull();
+        expect(second.ip).toBe('203.0.113.77');
+    });
+
+    test('HyperLogLog estimates small and large cardinalities closely', () => {
+        const small = new HyperLogLog(12);
+        const ids = Array.from({ length: 50 }, randomHash);
+        ids.concat(ids).forEach(id => small.add(id));
+        expect(small.count()).toBeGreaterThanOrEqual(48);
+        expect(small.count()).toBeLessThanOrEqual(52);
+
+        const left = new HyperLogLog(12);
+        const right = new HyperLogLog(12);
+        for (let i = 0; i < 20000; i++) {
+            (i % 2 ? left : right).add(randomHash());
+        }
+        const merged = left.merge(right).count();
+        expect(Math.abs(merged - 20000) / 20000).toBeLessThan(0.06);
+    });
+
+    test('links can report sketch estimates instead of exact counts', async () => {
+        const urlService = new UrlService(new UrlRepository(), undefined, { visitorSketches: new VisitorSketchRepository() });
+        await urlService.createShortUrl({ url: 'https://example.com/busy', shortcode: 'busy' });
+
+        const browser = { accept: 'text/html', acceptLanguage: 'en', method: 'GET' };
+        for (let i = 0; i < 30; i++) {
+            await urlService.redirectToOriginalUrl('busy', { ...browser, ip: `198.51.100.${i % 10}`, userAgent: 'Mozilla/5.0' });
+        }
+        await urlService.redirectToOriginalUrl('busy', { ip: '198.51.100.99', userAgent: 'Twitterbot/1.0' });
+
+        const { uniqueVisitors } = await urlService.getShortUrlStats('busy');
+        expect(uniqueVisitors).toMatchObject({ total: 10, method: 'estimate' });
+        expect(uniqueVisitors.daily).toEqual([{ day: new Date().toISOString().slice(0, 10), count: 10 }]);
+    });
+});
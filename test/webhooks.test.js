@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const axios = require('axios');
+const createApp = require('../app');
+const UrlRepository = require('../repository/urlRepository');
+const UrlService = require('../service/urlService');
+const UrlPolicy = require('../service/urlPolicy');
+const ServiceError = require('../domain/ServiceError');
+const ApiKeyRepository = require('../repository/apiKeyRepository');
+const ApiKeyService = require('../service/apiKeyService');
+const WebhookRepository = require('../repository/webhookRepository');
+const WebhookService = require('../service/webhookService');
+const CleanupJob = require('../cron_job/cleanupJob');
+
+// Keep the remote evaluation logger off the network during tests
+jest.mock('../logger/logger', () => ({ log: jest.fn().mockResolvedValue(undefined) }));
+
+const ADMIN_KEY = 'test-admin-key';
+
+const settings = {
+    timeoutMs: 300,
+    maxAttempts: 3,
+    retryDelayMs: 10,
+    deliveryRetentionDays: 30,
+    concurrency: 2,
+    maxQueueSize: 100,
+    maxPerOwner: 3,
+    userAgent: 'webhook-test'
+};
+
+const VISITOR = {
+    ip: '203.0.113.7',
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36',
+    acceptLanguage: 'en',
+    accept: 'text/html',
+    method: 'GET',
+    query: ''
+};
+
+// What a receiver does to check a delivery came from us
+const verify = (secret, { headers, body }) => {
+    const [timestamp, signature] = headers['x-webhook-signature'].split(',').map(part => part.split('=')[1]);
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'));
+};
+
+describe('webhooks', () => {
+    let receiver;
+    let baseUrl;
+    let received; // path -> [{ headers, body }]
+    let urlPolicy;
+    let urlRepository;
+    let webhooks;
+    let urlService;
+
+    // Local stand-in for subscribers
+    const routes = {
+        '/ok': (req, res) => res.writeHead(204).end(),
+        '/flaky': (req, res) => (received['/flaky'].length < 3 ? res.writeHead(500).end() : res.writeHead(200).end('thanks')),
+        '/down': (req, res) => res.writeHead(503).end()
+    };
+
+    beforeAll(async () => {
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received[req.url] = [...(received[req.url] || []), { headers: req.headers, body }];
+                (routes[req.url] || routes['/down'])(req, res);
+            });
+        });
+        await new Promise((resolve) => {
+            receiver.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+    });
+
+    beforeEach(() => {
+        received = {};
+        urlPolicy = new UrlPolicy({ allowedSchemes: ['http', 'https'], allowPrivateAddresses: true, ownHosts: [] });
+        urlRepository = new UrlRepository();
+        webhooks = new WebhookService(new WebhookRepository(), { settings, urlPolicy });
+        urlService = new UrlService(urlRepository, undefined, { urlPolicy, webhooks });
+    });
+
+    afterEach(async () => {
+        webhooks.close();
+        await urlRepository.close();
+    });
+
+    afterAll((done) => {
+        receiver.close(done);
+    });
+
+    const alice = { keyId: 'k1', ownerId: 'alice', role: 'user' };
+
+    test('link lifecycle and click events arrive signed with the webhook secret', async () => {
+        const { webhook, secret } = await webhooks.createWebhook({
+            url: `${baseUrl}/ok`,
+            events: ['link.created', 'link.updated', 'link.clicked']
+        }, alice);
+        expect(secret).toMatch(/^whsec_/);
+        expect(webhook.toJSON()).not.toHaveProperty('secret');
+
+        await urlService.createShortUrl({ url: 'https://example.com/launch', shortcode: 'hook1', ownerId: 'alice' });
+        await urlService.updateShortUrl('hook1', { maxClicks: 10 });
+        await urlService.redirectToOriginalUrl('hook1', VISITOR);
+        // Other owners' links are none of this webhook's business
+        await urlService.createShortUrl({ url: 'https://example.com/other', ownerId: 'bob' });
+        await webhooks.onIdle();
+
+        const deliveries = received['/ok'];
+        expect(deliveries).toHaveLength(3);
+        expect(deliveries.every(delivery => verify(secret, delivery))).toBe(true);
+
+        const [created, updated, clicked] = deliveries.map(delivery => JSON.parse(delivery.body));
+        expect(created).toMatchObject({ event: 'link.created', data: { link: { shortcode: 'hook1', ownerId: 'alice' } } });
+        expect(updated).toMatchObject({ event: 'link.updated', data: { changes: ['maxClicks'], link: { maxClicks: 10 } } });
+        expect(clicked).toMatchObject({ event: 'link.clicked', data: { click: { ipPrefix: '203.0.113.0', isBot: false } } });
+        expect(deliveries[2].headers).toMatchObject({
+            'x-webhook-event': 'link.clicked',
+            'x-webhook-delivery': clicked.id,
+            'user-agent': 'webhook-test'
+        });
+
+        const log = await webhooks.listDeliveries(webhook.id, {}, alice);
+        expect(log.pagination.total).toBe(3);
+        expect(log.items.every(delivery => delivery.status === 'delivered' && delivery.lastStatusCode === 204)).toBe(true);
+    });
+
+    test('failed deliveries are retried with backoff, then dead-lettered and redelivered by hand', async () => {
+        const { webhook: flaky } = await webhooks.createWebhook({ url: `${baseUrl}/flaky`, events: ['link.created'] }, alice);
+        const { webhook: down } = await webhooks.createWebhook({ url: `${baseUrl}/down`, events: ['link.created'] }, alice);
+
+        await urlService.createShortUrl({ url: 'https://example.com/retry', ownerId: 'alice' });
+        await webhooks.onIdle();
+
+        // Three attempts at each; the flaky receiver accepts the last one
+        expect(received['/flaky']).toHaveLength(3);
+        expect(new Set(received['/flaky'].map(({ body }) => body)).size).toBe(1);
+        const [delivered] = (await webhooks.listDeliveries(flaky.id, {}, alice)).items;
+        expect(delivered).toMatchObject({ status: 'delivered', attempts: 3, lastStatusCode: 200 });
+
+        expect(received['/down']).toHaveLength(3);
+        const deadLetters = await webhooks.listDeliveries(down.id, { status: 'dead' }, alice);
+        expect(deadLetters.items).toHaveLength(1);
+        expect(deadLetters.items[0]).toMatchObject({ attempts: 3, lastStatusCode: 503, lastError: 'HTTP_503' });
+
+        routes['/down'] = (req, res) => res.writeHead(200).end();
+        try {
+            await expect(webhooks.redeliver(down.id, delivered.id, alice)).rejects.toMatchObject({ statusCode: 404 });
+            await webhooks.redeliver(down.id, deadLetters.items[0].id, alice);
+            await webhooks.onIdle();
+        } finally {
+            routes['/down'] = (req, res) => res.writeHead(503).end();
+        }
+        expect((await webhooks.listDeliveries(down.id, { status: 'dead' }, alice)).items).toHaveLength(0);
+        expect((await webhooks.listDeliveries(down.id, { status: 'delivered' }, alice)).items).toHaveLength(1);
+    });
+
+    test('a receiver whose host resolves to a private address is refused when created and when delivering', async () => {
+        const strictPolicy = new UrlPolicy({ allowedSchemes: ['http', 'https'], allowPrivateAddresses: false, ownHosts: [] });
+        const guarded = new WebhookService(new WebhookRepository(), { settings, urlPolicy: strictPolicy });
+        const service = new UrlService(urlRepository, undefined, { urlPolicy, webhooks: guarded });
+        // receiver.example resolves to whatever resolvesTo says, as a DNS server under the receiver's control would
+        let resolvesTo = '127.0.0.1';
+        const answer = () => [{ address: resolvesTo, family: 4 }];
+        const promiseLookup = jest.spyOn(dns.promises, 'lookup').mockImplementation(async () => answer());
+        const callbackLookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, answer()));
+        const url = `http://receiver.example:${receiver.address().port}/ok`;
+
+        try {
+            await expect(guarded.createWebhook({ url, events: ['link.created'] }, alice))
+                .rejects.toMatchObject({ code: 'URL_REJECTED', details: { reason: 'PRIVATE_ADDRESS' } });
+
+            resolvesTo = '93.184.216.34';
+            const { webhook } = await guarded.createWebhook({ url, events: ['link.created'] }, alice);
+            // Rebound to loopback once registered: the check before sending catches it
+            resolvesTo = '127.0.0.1';
+            await service.createShortUrl({ url: 'https://example.com/rebound', ownerId: 'alice' });
+            await guarded.onIdle();
+            // Had the check missed it, the connection would still be refused
+            jest.spyOn(strictPolicy, 'check').mockResolvedValue();
+            await service.createShortUrl({ url: 'https://example.com/pinned', ownerId: 'alice' });
+            await guarded.onIdle();
+
+            expect(received['/ok']).toBeUndefined();
+            const { items } = await guarded.listDeliveries(webhook.id, {}, alice);
+            expect(items).toHaveLength(2);
+            expect(items.every(delivery => delivery.status === 'dead' && delivery.attempts === 1 && delivery.lastError === 'URL_REJECTED')).toBe(true);
+        } finally {
+            promiseLookup.mockRestore();
+            callbackLookup.mockRestore();
+            guarded.close();
+        }
+    });
+
+    test('an atomic batch announces its links only once all of them are created', async () => {
+        await webhooks.createWebhook({ url: `${baseUrl}/ok`, events: ['link.created'] }, alice);
+        const items = [{ url: 'https://example.com/b1' }, { url: 'https://example.com/b2' }];
+
+        // The second shortcode is claimed between validation and creation: the batch rolls back
+        const create = urlRepository.create.bind(urlRepository);
+        const claimed = jest.spyOn(urlRepository, 'create')
+            .mockImplementationOnce(create)
+            .mockRejectedValueOnce(new ServiceError('Shortcode already exists', 409, 'SHORTCODE_EXISTS'));
+        const rolledBack = await urlService.createShortUrlsBatch(items, { mode: 'atomic', ownerId: 'alice' });
+        claimed.mockRestore();
+        await webhooks.onIdle();
+
+        expect(rolledBack.created).toBe(0);
+        expect(await urlRepository.getAll()).toEqual([]);
+        expect(received['/ok']).toBeUndefined();
+
+        const committed = await urlService.createShortUrlsBatch(items, { mode: 'atomic', ownerId: 'alice' });
+        await webhooks.onIdle();
+        expect(committed.created).toBe(2);
+        expect(received['/ok'].map(({ body }) => JSON.parse(body).data.link.originalUrl)).toEqual(['https://example.com/b1', 'https://example.com/b2']);
+    });
+
+    test('every link deleted for having expired is reported, by the cleanup job or on a visit', async () => {
+        await webhooks.createWebhook({ url: `${baseUrl}/ok`, events: ['link.expired'] }, alice);
+        for (const shortcode of ['old1', 'old2']) {
+            await urlRepository.create({
+                originalUrl: `https://example.com/${shortcode}`,
+                shortcode,
+                ownerId: 'alice',
+                expiresAt: new Date(Date.now() - 1000)
+            });
+        }
+        await urlService.createShortUrl({ url: 'https://example.com/fresh', ownerId: 'alice' });
+
+        await expect(urlService.redirectToOriginalUrl('old2', VISITOR)).rejects.toMatchObject({ statusCode: 404 });
+        const cleanupJob = new CleanupJob(urlService, { webhooks });
+        await cleanupJob.runCleanup();
+        await webhooks.onIdle();
+
+        const reported = received['/ok'].map(({ body }) => JSON.parse(body));
+        expect(reported.map(({ event }) => event)).toEqual(['link.expired', 'link.expired']);
+        expect(reported.map(({ data }) => data.link.shortcode)).toEqual(['old2', 'old1']);
+        expect((await urlRepository.getAll()).map(shortUrl => shortUrl.originalUrl)).toEqual(['https://example.com/fresh']);
+    });
+
+    test('delivered and dead deliveries are pruned once past retention, pending ones are kept', async () => {
+        const { webhook } = await webhooks.createWebhook({ url: `${baseUrl}/ok`, events: ['link.created'] }, alice);
+        const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const repository = webhooks.webhookRepository;
+        const deliveries = [['old-delivered', 'delivered', 31], ['old-dead', 'dead', 40], ['old-pending', 'pending', 31], ['recent', 'delivered', 2]];
+        for (const [id, status, age] of deliveries) {
+            await repository.createDelivery({ id, webhookId: webhook.id, ownerId: 'alice', event: 'link.created', status, createdAt: daysAgo(age) });
+        }
+
+        expect(await webhooks.pruneDeliveries()).toBe(2);
+        const { items } = await repository.listDeliveries({ webhookId: webhook.id });
+        expect(items.map(delivery => delivery.id).sort()).toEqual(['old-pending', 'recent']);
+    });
+
+    test('webhook routes manage subscriptions and show the delivery log to their owner only', async () => {
+        const apiKeyService = new ApiKeyService(new ApiKeyRepository(), { bootstrapAdminKey: ADMIN_KEY });
+        const app = createApp({ urlService, apiKeyService, webhookService: webhooks });
+        const server = await new Promise((resolve) => {
+            const listening = app.listen(0, () => resolve(listening));
+        });
+
+        try {
+            const api = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+            const admin = { headers: { 'X-API-Key': ADMIN_KEY } };
+            const asAlice = { headers: { 'X-API-Key': (await api.post('/apikeys', { ownerId: 'alice' }, admin)).data.key } };
+            const asBob = { headers: { 'X-API-Key': (await api.post('/apikeys', { ownerId: 'bob' }, admin)).data.key } };
+
+            const badEvents = await api.post('/webhooks', { url: `${baseUrl}/ok`, events: ['link.exploded'] }, asAlice);
+            expect(badEvents.data.code).toBe('INVALID_EVENTS');
+
+            const created = await api.post('/webhooks', {
+                url: `${baseUrl}/ok`,
+                events: ['link.created'],
+                secret: 'a-shared-secret-of-some-length'
+            }, asAlice);
+            expect(created.status).toBe(201);
+            expect(created.data).toMatchObject({ ownerId: 'alice', events: ['link.created'], secret: 'a-shared-secret-of-some-length' });
+            const { id } = created.data;
+
+            await api.post('/shorturls', { url: 'https://example.com/routed' }, asAlice);
+            await webhooks.onIdle();
+
+            const log = await api.get(`/webhooks/${id}/deliveries`, asAlice);
+            expect(log.status).toBe(200);
+            expect(log.data.items).toHaveLength(1);
+            expect(log.data.items[0]).toMatchObject({ event: 'link.created', status: 'delivered', attempts: 1 });
+            expect((await api.get(`/webhooks/${id}/deliveries?status=lost`, asAlice)).data.code).toBe('INVALID_STATUS');
+
+            expect((await api.get('/webhooks', asAlice)).data.items.map(webhook => webhook.id)).toEqual([id]);
+            expect((await api.get(`/webhooks/${id}`, asAlice)).data).not.toHaveProperty('secret');
+            expect((await api.get('/webhooks', asBob)).data.items).toEqual([]);
+            expect((await api.get(`/webhooks/${id}/deliveries`, asBob)).status).toBe(404);
+            expect((await api.delete(`/webhooks/${id}`, asBob)).status).toBe(404);
+
+            expect((await api.delete(`/webhooks/${id}`, asAlice)).status).toBe(204);
+            expect((await api.get(`/webhooks/${id}`, asAlice)).status).toBe(404);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,27 @@
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+
+// Minimal standalone page; styles are inline so no static assets are needed.
+// head is extra markup for <head> and must already be escaped.
+const renderPage = ({ title, body, head = '' }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+${head}<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 28rem; margin: 4rem auto; padding: 0 1rem; color: #222; }
+input, button { font: inherit; padding: .5rem; }
+.error { color: #b00020; }
+.destination { word-break: break-all; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+module.exports = { escapeHtml, renderPage };
@@ -0,0 +1,37 @@
+const { escapeHtml, renderPage } = require('./html');
+
+const destinationBlock = (destination) => `<p>This link goes to <strong>${escapeHtml(new URL(destination).host)}</strong>:</p>
+<p class="destination"><code>${escapeHtml(destination)}</code></p>`;
+
+// "You are leaving" page for links in interstitial mode. The meta refresh does the
+// redirect; the nonce'd script only counts down, so the page works without script.
+const renderInterstitialPage = ({ destination, seconds, nonce }) => renderPage({
+    title: 'You are leaving',
+    head: `<meta http-equiv="refresh" content="${seconds};url=${escapeHtml(destination)}">\n`,
+    body: `<h1>You are leaving</h1>
+${destinationBlock(destination)}
+<p>Redirecting in <span id="countdown">${seconds}</span> seconds.</p>
+<p><a href="${escapeHtml(destination)}" rel="noopener noreferrer">Continue now</a></p>
+<script nonce="${escapeHtml(nonce)}">
+(function () {
+    var left = ${Number(seconds)};
+    var countdown = document.getElementById('countdown');
+    var timer = setInterval(function () {
+        left -= 1;
+        countdown.textContent = String(Math.max(left, 0));
+        if (left <= 0) clearInterval(timer);
+    }, 1000);
+}());
+</script>`
+});
+
+// Served by GET /:shortcode+ to show where a link goes without following it
+const renderPreviewPage = ({ shortcode, destination }) => renderPage({
+    title: `Preview of /${shortcode}`,
+    body: `<h1>Link preview</h1>
+<p>Short link <code>/${escapeHtml(shortcode)}</code></p>
+${destinationBlock(destination)}
+<p><a href="${escapeHtml(destination)}" rel="noopener noreferrer">Go to this address</a></p>`
+});
+
+module.exports = { renderInterstitialPage, renderPreviewPage };
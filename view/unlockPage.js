@@ -0,0 +1,17 @@
+const { escapeHtml, renderPage } = require('./html');
+
+// Form served by GET /:shortcode for password-protected links; it posts back
+// to the same path, where the password is checked before redirecting
+const renderUnlockPage = ({ shortcode, error }) => renderPage({
+    title: 'Password required',
+    body: `<h1>Password required</h1>
+<p>This link is password protected.</p>
+${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+<form method="post" action="/${escapeHtml(encodeURIComponent(shortcode))}">
+<label for="password">Password</label>
+<input id="password" name="password" type="password" required autofocus autocomplete="current-password">
+<button type="submit">Continue</button>
+</form>`
+});
+
+module.exports = { renderUnlockPage };